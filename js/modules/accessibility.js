@@ -10,6 +10,7 @@
  * Keyboard Controls:
  * - Space: Select/deselect task for moving
  * - Arrow Keys: Navigate between quadrants (when task selected)
+ * - Shift + Arrow Up/Down: Move selected task up/down within its quadrant
  * - Enter: Confirm move to highlighted quadrant
  * - Escape: Cancel selection
  */
@@ -61,6 +62,9 @@ export class KeyboardDragManager {
      */
     setupKeyboardListeners() {
         document.addEventListener('keydown', (e) => {
+            // Leave typing in form fields (e.g. checklist input) alone
+            if (e.target.matches('input[type="text"], textarea, select')) return;
+
             // Only handle if target is a task item
             const taskItem = e.target.closest('.task-item');
 
@@ -79,6 +83,12 @@ export class KeyboardDragManager {
                 this.clearSelection();
             }
 
+            if (e.shiftKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && this.selectedTask) {
+                e.preventDefault();
+                this.moveWithinQuadrant(e.key === 'ArrowUp' ? -1 : 1);
+                return;
+            }
+
             if (e.key.startsWith('Arrow') && this.selectedTask) {
                 e.preventDefault();
                 this.navigateQuadrants(e.key);
@@ -120,7 +130,7 @@ export class KeyboardDragManager {
         // Announce to screen reader
         this.announce(
             `Task selected: ${this.selectedTask.text}. ` +
-            `Press Arrow keys to choose destination quadrant, Enter to move, or Escape to cancel.`
+            `Press Arrow keys to choose destination quadrant, Enter to move, Shift + Arrow Up/Down to reorder, or Escape to cancel.`
         );
     }
 
@@ -228,6 +238,54 @@ export class KeyboardDragManager {
         this.clearSelection();
     }
 
+    /**
+     * Move the selected task one position up or down within its quadrant
+     * @param {number} direction - -1 = up, 1 = down
+     */
+    moveWithinQuadrant(direction) {
+        const items = Array.from(this.selectedTaskElement.parentElement.children)
+            .filter(item => item.classList.contains('task-item'));
+        const index = items.indexOf(this.selectedTaskElement);
+        const target = index + direction;
+
+        if (index === -1 || target < 0 || target >= items.length) {
+            this.announce(direction < 0 ? 'Task is already at the top.' : 'Task is already at the bottom.');
+            return;
+        }
+
+        // Moving down means placing the task in front of the one after its next neighbour
+        const before = direction < 0 ? items[target] : items[target + 1];
+        const { id, segment } = this.selectedTask;
+
+        const moved = this.onMoveCallback
+            ? this.onMoveCallback(id, segment, segment, before ? before.dataset.taskId : null)
+            : null;
+
+        if (!moved) {
+            this.announce('Task cannot be reordered in the current sort mode.');
+            return;
+        }
+
+        this.announce(`Task moved to position ${target + 1} of ${items.length}.`);
+
+        // The quadrant is re-rendered after the move, keep the task selected
+        setTimeout(() => this.restoreSelection(id), 0);
+    }
+
+    /**
+     * Re-select a task after its element was re-rendered
+     * @param {string} taskId - Task ID
+     */
+    restoreSelection(taskId) {
+        const taskElement = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+        if (!taskElement || !this.selectedTask || this.selectedTask.id !== taskId) return;
+
+        this.selectedTaskElement = taskElement;
+        taskElement.classList.add('keyboard-selected');
+        taskElement.setAttribute('aria-pressed', 'true');
+        taskElement.focus();
+    }
+
     /**
      * Get human-readable quadrant name
      */
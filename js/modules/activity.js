@@ -0,0 +1,166 @@
+/**
+ * Activity Module
+ * Append-only event log per task (`task.activity`)
+ *
+ * Events: {type, at, device, from?, to?, fields?}
+ * - created   (to: quadrant)
+ * - moved     (from -> to quadrant)
+ * - completed (from: quadrant the task was completed from, to: Done)
+ * - restored  (from: Done, to: quadrant)
+ * - edited    (fields: changed task fields)
+ * - undone    (from -> to quadrant if the undo moved the task)
+ * - redone    (from -> to quadrant if the redo moved the task)
+ *
+ * The log is part of the task, so it is stored locally and in Firestore like
+ * any other field. Events are never changed; the oldest ones (except
+ * "created") are dropped beyond MAX_ACTIVITY_EVENTS. When two devices changed
+ * the same task, both logs are merged (union, see conflicts.js). Undo and redo
+ * keep the log and append an undone/redone event, the events of the undone
+ * step stay.
+ */
+
+import { SEGMENTS, STORAGE_KEYS, MAX_ACTIVITY_EVENTS } from './config.js';
+import { generateId } from './ids.js';
+
+export const ACTIVITY_TYPES = ['created', 'moved', 'completed', 'restored', 'edited', 'undone', 'redone'];
+
+// Fields that change with every event and are no edits of their own
+const IGNORED_FIELDS = ['id', 'updatedAt', 'revision', 'activity'];
+
+let deviceId = null;
+
+/**
+ * Get the ID of this device (browser profile), created on first use
+ * @returns {string}
+ */
+export function getDeviceId() {
+    if (deviceId) return deviceId;
+
+    try {
+        deviceId = localStorage.getItem(STORAGE_KEYS.DEVICE_ID);
+        if (!deviceId) {
+            deviceId = generateId().slice(0, 8);
+            localStorage.setItem(STORAGE_KEYS.DEVICE_ID, deviceId);
+        }
+    } catch {
+        // Storage blocked (e.g. private mode): the ID is valid for this session only
+        deviceId = deviceId || generateId().slice(0, 8);
+    }
+    return deviceId;
+}
+
+/**
+ * Key that identifies the same event in two logs
+ */
+function getEventKey(event) {
+    return `${event.at}|${event.type}|${event.device}|${event.from ?? ''}|${event.to ?? ''}`;
+}
+
+/**
+ * Sort events by time and drop the oldest beyond MAX_ACTIVITY_EVENTS
+ * The "created" event is always kept.
+ * @param {Array<object>} events - Events
+ * @returns {Array<object>} New list
+ */
+export function trimActivity(events) {
+    const sorted = [...events].sort((a, b) => a.at - b.at);
+    if (sorted.length <= MAX_ACTIVITY_EVENTS) return sorted;
+
+    const created = sorted.find(event => event.type === 'created');
+    if (!created) return sorted.slice(-MAX_ACTIVITY_EVENTS);
+
+    const rest = sorted.filter(event => event !== created).slice(-(MAX_ACTIVITY_EVENTS - 1));
+    return [created, ...rest];
+}
+
+/**
+ * Append an event to the activity of a task
+ * @param {object} task - Task object (modified)
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {object} [details] - {from, to} quadrants or {fields}
+ * @param {number} [now=Date.now()] - Time of the event
+ * @returns {object} The event
+ */
+export function recordActivity(task, type, details = {}, now = Date.now()) {
+    const event = { type, at: now, device: getDeviceId(), ...details };
+    task.activity = trimActivity([...(task.activity || []), event]);
+    return event;
+}
+
+/**
+ * Record a quadrant change with the matching event type
+ * @param {object} task - Task object (modified)
+ * @param {number} from - Previous segment
+ * @param {number} to - New segment
+ * @param {number} [now=Date.now()] - Time of the event
+ * @returns {object|null} The event, null if the segment did not change
+ */
+export function recordSegmentChange(task, from, to, now = Date.now()) {
+    if (from === to) return null;
+
+    let type = 'moved';
+    if (to === SEGMENTS.DONE) type = 'completed';
+    else if (from === SEGMENTS.DONE) type = 'restored';
+
+    return recordActivity(task, type, { from, to }, now);
+}
+
+/**
+ * Record an edit of task fields
+ * @param {object} task - Task object (modified)
+ * @param {Array<string>} fields - Changed fields
+ * @param {number} [now=Date.now()] - Time of the event
+ * @returns {object|null} The event, null if no relevant field changed
+ */
+export function recordEdit(task, fields, now = Date.now()) {
+    const changed = [...new Set(fields)].filter(field => !IGNORED_FIELDS.includes(field));
+    return changed.length > 0 ? recordActivity(task, 'edited', { fields: changed }, now) : null;
+}
+
+/**
+ * Merge the activity of two concurrent versions of a task
+ * @param {Array<object>|null} mine - Local events
+ * @param {Array<object>|null} theirs - Remote events
+ * @returns {Array<object>} All events of both sides, sorted by time
+ */
+export function mergeActivity(mine, theirs) {
+    const events = new Map();
+    [...(theirs || []), ...(mine || [])].forEach(event => {
+        events.set(getEventKey(event), event);
+    });
+    return trimActivity([...events.values()]);
+}
+
+/**
+ * Get the events of a task, newest first (for the timeline)
+ * Tasks from before the log get their creation and completion from
+ * createdAt/completedAt (without device).
+ * @param {object} task - Task object
+ * @returns {Array<object>}
+ */
+export function getTaskActivity(task) {
+    if (!task) return [];
+
+    const events = [...(task.activity || [])];
+    if (!events.some(event => event.type === 'created') && typeof task.createdAt === 'number') {
+        events.push({ type: 'created', at: task.createdAt, device: null });
+    }
+    if (task.completedAt && !events.some(event => event.type === 'completed')) {
+        events.push({ type: 'completed', at: task.completedAt, device: null, to: SEGMENTS.DONE });
+    }
+    return trimActivity(events).reverse();
+}
+
+/**
+ * Collect the events of all tasks (for statistics)
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {string|null} [type] - Only events of this type
+ * @returns {Array<object>} Events with `taskId`, sorted by time
+ */
+export function collectActivity(tasks, type = null) {
+    return Object.values(tasks)
+        .flat()
+        .flatMap(task => (task.activity || []).map(event => ({ ...event, taskId: task.id })))
+        .filter(event => !type || event.type === type)
+        .sort((a, b) => a.at - b.at);
+}
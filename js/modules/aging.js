@@ -0,0 +1,134 @@
+/**
+ * Aging Module
+ * Task age and staleness (aging indicators on the cards, clean-up of Ignore!)
+ *
+ * The age counts from `createdAt`, the idle time from the last modification
+ * (`updatedAt`, falling back to `createdAt`). A card is "aging" once it has
+ * been idle for the threshold of its quadrant and "stale" after twice that
+ * time. Thresholds are stored per device like the other preferences.
+ */
+
+import {
+    SEGMENTS,
+    STORAGE_KEYS,
+    DEFAULT_STALE_THRESHOLDS,
+    DEFAULT_CLEANUP_DAYS
+} from './config.js';
+import { isUpcoming } from './recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the number of full days since a task was created
+ * @param {object} task - Task object
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number|null} Days or null without creation time
+ */
+export function getTaskAgeDays(task, now = Date.now()) {
+    if (typeof task.createdAt !== 'number') return null;
+    return Math.max(0, Math.floor((now - task.createdAt) / DAY_MS));
+}
+
+/**
+ * Get the number of full days since a task was last modified
+ * @param {object} task - Task object
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number|null} Days or null without creation time
+ */
+export function getIdleDays(task, now = Date.now()) {
+    const modifiedAt = Math.max(task.createdAt || 0, task.updatedAt || 0);
+    if (!modifiedAt) return null;
+    return Math.max(0, Math.floor((now - modifiedAt) / DAY_MS));
+}
+
+/**
+ * Get the aging thresholds per quadrant
+ * @returns {object} Segment ID (1-4) -> days (0 = no aging)
+ */
+export function getStaleThresholds() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.STALE_THRESHOLDS)) || {};
+    } catch {
+        // Broken value: fall back to the defaults
+    }
+
+    const thresholds = {};
+    Object.keys(DEFAULT_STALE_THRESHOLDS).forEach(segmentId => {
+        const days = stored[segmentId];
+        thresholds[segmentId] = Number.isInteger(days) && days >= 0 ? days : DEFAULT_STALE_THRESHOLDS[segmentId];
+    });
+    return thresholds;
+}
+
+/**
+ * Set the aging threshold of a quadrant
+ * @param {number} segmentId - Segment ID (1-4)
+ * @param {number} days - Days (0 = no aging)
+ */
+export function setStaleThreshold(segmentId, days) {
+    const thresholds = { ...getStaleThresholds(), [segmentId]: days };
+    localStorage.setItem(STORAGE_KEYS.STALE_THRESHOLDS, JSON.stringify(thresholds));
+}
+
+/**
+ * Get how stale an open task is
+ * @param {object} task - Task object
+ * @param {object} thresholds - Segment ID -> days (see getStaleThresholds)
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {'aging'|'stale'|null} null for fresh and completed tasks
+ */
+export function getStaleLevel(task, thresholds, now = Date.now()) {
+    const threshold = thresholds[task.segment];
+    if (!threshold || task.checked) return null;
+
+    const idleDays = getIdleDays(task, now);
+    if (idleDays === null || idleDays < threshold) return null;
+    return idleDays >= threshold * 2 ? 'stale' : 'aging';
+}
+
+/**
+ * Get when a task entered its current quadrant
+ * Taken from the activity log; tasks without a matching event count from their creation.
+ * @param {object} task - Task object
+ * @returns {number|null} Timestamp (ms)
+ */
+export function getSegmentEnteredAt(task) {
+    const entries = (task.activity || []).filter(event => event.to === task.segment);
+    if (entries.length > 0) {
+        return Math.max(...entries.map(event => event.at));
+    }
+    return typeof task.createdAt === 'number' ? task.createdAt : null;
+}
+
+/**
+ * Get the number of days after which Ignore! tasks are offered for clean-up
+ * @returns {number} Days
+ */
+export function getCleanupDays() {
+    const days = parseInt(localStorage.getItem(STORAGE_KEYS.CLEANUP_DAYS), 10);
+    return isNaN(days) || days < 1 ? DEFAULT_CLEANUP_DAYS : days;
+}
+
+/**
+ * Set the number of days after which Ignore! tasks are offered for clean-up
+ * @param {number} days - Days
+ */
+export function setCleanupDays(days) {
+    localStorage.setItem(STORAGE_KEYS.CLEANUP_DAYS, String(days));
+}
+
+/**
+ * Find the tasks that have been in Ignore! for at least the given days
+ * Upcoming recurring instances are not shown yet and stay.
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} days - Days in Ignore!
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Array<object>} Tasks
+ */
+export function findStaleIgnoredTasks(tasks, days, now = Date.now()) {
+    return (tasks[SEGMENTS.IGNORE] || []).filter(task => {
+        const enteredAt = getSegmentEnteredAt(task);
+        return !task.checked && !isUpcoming(task, now) && enteredAt !== null && now - enteredAt >= days * DAY_MS;
+    });
+}
@@ -21,10 +21,53 @@ export const COLORS = {
 
 export const STORAGE_KEYS = {
     TASKS: 'eisenhauer-tasks',
+    TAGS: 'eisenhauer-tags',
     LANGUAGE: 'language',
     DARK_MODE: 'darkMode',
-    DRAG_HINT_SEEN: 'dragHintSeen'
+    DRAG_HINT_SEEN: 'dragHintSeen',
+    ESCALATION_WINDOW: 'escalationWindowHours',
+    SORT_MODES: 'sortModes',
+    LAST_SYNC: 'lastSyncAt',
+    DEVICE_ID: 'deviceId',
+    LAST_REVIEW: 'lastReviewAt',
+    REVIEW_AGE_DAYS: 'reviewAgeDays',
+    STALE_THRESHOLDS: 'staleThresholds',
+    CLEANUP_DAYS: 'ignoreCleanupDays'
 };
 
 export const UPDATE_CHECK_INTERVAL = 10000; // 10 seconds
 export const MAX_TASK_LENGTH = 140;
+export const MAX_NOTES_LENGTH = 5000; // Markdown notes per task (also enforced in firestore.rules)
+export const HISTORY_LIMIT = 50; // Undo steps kept in memory
+export const MAX_ACTIVITY_EVENTS = 100; // Activity events per task (also enforced in firestore.rules)
+export const FIRESTORE_BATCH_LIMIT = 500; // Max operations per Firestore WriteBatch
+export const MAX_ORDER_KEY_LENGTH = 50; // Longer keys trigger a rebalance of the segment (firestore.rules allows 100)
+export const BACKUP_SCHEMA_VERSION = 1; // Format of JSON backups (see importer.js)
+
+// Sort modes of the quadrant headers ('manual' = drag & drop order)
+export const SORT_MODES = ['manual', 'created', 'due', 'alpha', 'modified'];
+export const DEFAULT_SORT_MODE = 'manual';
+
+// Deadline escalation: a task whose due date enters the window is promoted
+export const ESCALATION_RULES = {
+    [SEGMENTS.SCHEDULE]: SEGMENTS.DO,
+    [SEGMENTS.IGNORE]: SEGMENTS.DELEGATE
+};
+export const DEFAULT_ESCALATION_WINDOW_HOURS = 24;
+export const ESCALATION_CHECK_INTERVAL = 60000; // 1 minute
+
+// Recurring tasks: upcoming instances are shown once their day arrives
+export const RECURRENCE_CHECK_INTERVAL = 60000; // 1 minute
+
+// Weekly review: reminder after the interval, open tasks older than the age are highlighted
+export const REVIEW_INTERVAL_DAYS = 7;
+export const DEFAULT_REVIEW_AGE_DAYS = 14;
+
+// Aging: days without changes until a card fades per quadrant (0 = never), stale after twice that
+export const DEFAULT_STALE_THRESHOLDS = {
+    [SEGMENTS.DO]: 3,
+    [SEGMENTS.SCHEDULE]: 14,
+    [SEGMENTS.DELEGATE]: 7,
+    [SEGMENTS.IGNORE]: 30
+};
+export const DEFAULT_CLEANUP_DAYS = 60; // Bulk clean-up of Ignore!
@@ -0,0 +1,153 @@
+/**
+ * Conflicts Module
+ * Detects and resolves concurrent edits of the same task on several devices
+ *
+ * Every task document in Firestore carries a `revision` that is increased
+ * with each write. The module remembers the last state of every task this
+ * client saw in Firestore (the "synced" state). A queued write whose synced
+ * revision no longer matches the document was made against an outdated task:
+ * the write is not applied blindly, the three versions (base = synced state,
+ * mine = local, theirs = remote) are merged field by field instead.
+ *
+ * Fields changed on one side only are taken from that side. Fields changed on
+ * both sides to different values are conflicts; a few of them have a
+ * deterministic rule (e.g. the earlier completion time wins), so trivial cases
+ * like both devices completing the task resolve the same way everywhere.
+ */
+
+import { compareKeys } from './ordering.js';
+import { mergeActivity } from './activity.js';
+
+// Sync metadata, never compared or merged as task content
+const META_FIELDS = ['id', 'revision'];
+
+// Deterministic rules for fields both sides changed
+const FIELD_RULES = {
+    // Latest change
+    updatedAt: (mine, theirs) => Math.max(mine || 0, theirs || 0) || null,
+    // Earliest completion or escalation
+    completedAt: (mine, theirs) => minDefined(mine, theirs),
+    escalatedAt: (mine, theirs) => minDefined(mine, theirs),
+    // Both devices placed the task, keep the lower key so every device agrees
+    order: (mine, theirs) => (compareKeys(mine || '', theirs || '') <= 0 ? mine : theirs) || null,
+    // Keep tags added on either side, drop tags removed on either side
+    tags: (mine, theirs, base) => mergeTagLists(base || [], mine || [], theirs || []),
+    // Events of both devices (the log is append-only)
+    activity: (mine, theirs) => mergeActivity(mine, theirs)
+};
+
+// Last state of each task seen in Firestore (by task ID)
+const syncedTasks = new Map();
+
+/**
+ * Smaller of two optional numbers
+ */
+function minDefined(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return Math.min(a, b);
+}
+
+/**
+ * Three-way merge of tag lists
+ */
+function mergeTagLists(base, mine, theirs) {
+    const removed = new Set([
+        ...base.filter(tag => !mine.includes(tag)),
+        ...base.filter(tag => !theirs.includes(tag))
+    ]);
+
+    // Theirs first, then tags only added locally
+    return [...new Set([...theirs, ...mine])].filter(tag => !removed.has(tag));
+}
+
+/**
+ * Compare two field values (missing and null are treated alike)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+export function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Remember the state of a task as stored in Firestore
+ * @param {object} task - Task data including id and revision
+ */
+export function rememberSyncedTask(task) {
+    syncedTasks.set(String(task.id), JSON.parse(JSON.stringify(task)));
+}
+
+/**
+ * Forget a task (deleted in Firestore)
+ * @param {string} taskId - Task ID
+ */
+export function forgetSyncedTask(taskId) {
+    syncedTasks.delete(String(taskId));
+}
+
+/**
+ * Forget all tasks (e.g. when another user signs in)
+ */
+export function clearSyncedTasks() {
+    syncedTasks.clear();
+}
+
+/**
+ * Get the last state of a task seen in Firestore
+ * @param {string} taskId - Task ID
+ * @returns {object|null}
+ */
+export function getSyncedTask(taskId) {
+    return syncedTasks.get(String(taskId)) || null;
+}
+
+/**
+ * Merge two concurrent versions of a task
+ * @param {object|null} base - Last common (synced) state
+ * @param {object} mine - Local version
+ * @param {object} theirs - Remote version
+ * @returns {{task: object, conflicts: Array<string>}} Merged task (conflicting fields keep
+ *          the local value) and the fields both sides changed without a rule
+ */
+export function mergeTasks(base, mine, theirs) {
+    const previous = base || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(mine), ...Object.keys(theirs)]);
+    const task = { id: theirs.id ?? mine.id };
+    const conflicts = [];
+
+    fields.forEach(field => {
+        if (META_FIELDS.includes(field)) return;
+
+        const changedMine = !isSameValue(mine[field], previous[field]);
+        const changedTheirs = !isSameValue(theirs[field], previous[field]);
+
+        if (!changedMine || isSameValue(mine[field], theirs[field])) {
+            task[field] = theirs[field] ?? null;
+        } else if (!changedTheirs) {
+            task[field] = mine[field] ?? null;
+        } else if (FIELD_RULES[field]) {
+            task[field] = FIELD_RULES[field](mine[field], theirs[field], previous[field]);
+        } else {
+            task[field] = mine[field] ?? null;
+            conflicts.push(field);
+        }
+    });
+
+    return { task, conflicts };
+}
+
+/**
+ * Resolve a conflict without asking the user, if that is safe
+ * @param {object|null} base - Last common (synced) state
+ * @param {object} mine - Local version
+ * @param {object|null} theirs - Remote version (null = deleted on another device)
+ * @returns {object|null} Merged task, or null if the user has to decide
+ */
+export function resolveAutomatically(base, mine, theirs) {
+    if (!theirs) return null;
+
+    const { task, conflicts } = mergeTasks(base, mine, theirs);
+    return conflicts.length === 0 ? task : null;
+}
@@ -0,0 +1,286 @@
+/**
+ * CSV Module
+ * Exports tasks as CSV for spreadsheets and turns CSV files back into backups
+ *
+ * Export: one row per task (id, text, quadrant, checked, createdAt,
+ * completedAt, recurring). German exports use semicolons like German Excel,
+ * and a byte order mark so Excel reads the file as UTF-8. Texts starting with
+ * a formula character get a leading apostrophe, so spreadsheets do not run them.
+ *
+ * Import: the file is decoded as UTF-8 (Windows-1252 as fallback for older
+ * Excel exports), the delimiter is detected, columns are mapped to task fields
+ * (guessed from the header, adjustable in the import wizard) and quadrant
+ * names of all languages are mapped back to segment IDs. The result has the
+ * backup format, so it is validated and previewed like a JSON import. The
+ * recurring column is a description only and is not imported.
+ */
+
+import { SEGMENTS, BACKUP_SCHEMA_VERSION } from './config.js';
+import { getRecurringDescription } from './tasks.js';
+
+export const CSV_COLUMNS = ['id', 'text', 'quadrant', 'checked', 'createdAt', 'completedAt', 'recurring'];
+
+// Task fields a CSV column can be mapped to
+export const CSV_IMPORT_FIELDS = ['id', 'text', 'quadrant', 'checked', 'createdAt', 'completedAt'];
+
+// Header names (lower case) recognized per field, besides the field name itself
+const HEADER_ALIASES = {
+    id: ['id'],
+    text: ['text', 'task', 'title', 'name', 'aufgabe', 'titel'],
+    quadrant: ['quadrant', 'segment', 'category', 'kategorie'],
+    checked: ['checked', 'done', 'completed', 'erledigt', 'abgehakt'],
+    createdAt: ['createdat', 'created', 'created at', 'erstellt', 'erstellt am'],
+    completedAt: ['completedat', 'completed at', 'erledigt am', 'abgeschlossen am']
+};
+
+const DELIMITERS = [';', ',', '\t'];
+
+// Cell values read as "checked"
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'x', 'ja', 'j', 'wahr', '✓', '✔'];
+
+/**
+ * Quote a CSV cell if needed
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function formatCell(value, delimiter) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    // Formula injection: =, +, -, @ would be evaluated by spreadsheets
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Format a timestamp as ISO string
+ */
+function formatTime(value) {
+    if (!value) return '';
+    const time = typeof value === 'number' ? value : (value.toMillis ? value.toMillis() : null);
+    return time ? new Date(time).toISOString() : '';
+}
+
+/**
+ * Build a CSV file of all tasks
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Language of quadrant names and recurrence descriptions
+ * @returns {string} CSV text (with byte order mark)
+ */
+export function tasksToCsv(tasks, translations, currentLanguage) {
+    const lang = translations[currentLanguage];
+    const delimiter = currentLanguage === 'de' ? ';' : ',';
+
+    const rows = [CSV_COLUMNS];
+    Object.values(SEGMENTS).forEach(segmentId => {
+        (tasks[segmentId] || []).forEach(task => {
+            rows.push([
+                task.id,
+                task.text,
+                lang.segments[segmentId].title,
+                task.checked ? 'true' : 'false',
+                formatTime(task.createdAt),
+                formatTime(task.completedAt),
+                getRecurringDescription(task.recurring, lang)
+            ]);
+        });
+    });
+
+    return `\uFEFF${rows.map(row => row.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n')}\r\n`;
+}
+
+/**
+ * Decode a CSV file
+ * @param {ArrayBuffer} buffer - File content
+ * @returns {{text: string, encoding: string}}
+ */
+export function decodeCsv(buffer) {
+    let text;
+    let encoding = 'utf-8';
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        // Not valid UTF-8: Excel "CSV" exports use the Windows code page
+        encoding = 'windows-1252';
+        text = new TextDecoder('windows-1252').decode(buffer);
+    }
+    return { text: text.replace(/^\uFEFF/, ''), encoding };
+}
+
+/**
+ * Detect the delimiter from the header line (quoted parts are ignored)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+    const header = (text.split(/\r?\n/)[0] || '').replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map(delimiter => header.split(delimiter).length - 1);
+    const best = Math.max(...counts);
+    return best > 0 ? DELIMITERS[counts.indexOf(best)] : ',';
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180: quoted cells may contain delimiters, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Delimiter (detected if omitted)
+ * @returns {Array<Array<string>>} Rows without empty lines
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess which column holds which task field
+ * @param {Array<string>} headers - Header row
+ * @returns {object} Field -> column index (-1 = not mapped)
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const mapping = {};
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const names = [field.toLowerCase(), ...HEADER_ALIASES[field]];
+        mapping[field] = normalized.findIndex(header => names.includes(header));
+    });
+
+    return mapping;
+}
+
+/**
+ * Normalize a quadrant name for comparison ("Sofort!" -> "sofort")
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Map a quadrant name of any language (or a segment number) to its segment ID
+ * @param {string} name - Quadrant name from the file
+ * @param {object} translations - Translations object
+ * @returns {number|null} Segment ID or null if unknown
+ */
+export function getSegmentByName(name, translations) {
+    const value = normalizeName(name);
+    if (!value) return null;
+
+    const segmentIds = Object.values(SEGMENTS);
+    if (segmentIds.includes(Number(value))) {
+        return Number(value);
+    }
+
+    for (const lang of Object.values(translations)) {
+        const match = segmentIds.find(segmentId =>
+            normalizeName(lang.segments[segmentId].title) === value
+        );
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Read a date cell: ISO dates, German dates (31.12.2026 14:30) or milliseconds
+ * @param {string} value - Cell value
+ * @returns {number|string|null} Milliseconds, null if empty, the raw value if unreadable
+ *          (reported by the backup validation)
+ */
+function parseDate(value) {
+    const text = value.trim();
+    if (!text) return null;
+    if (/^\d{10,}$/.test(text)) return Number(text);
+
+    const german = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:,?\s+(\d{1,2}):(\d{2}))?$/);
+    if (german) {
+        const [, day, month, year, hours = 0, minutes = 0] = german;
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? text : time;
+}
+
+/**
+ * Read a text cell written by tasksToCsv (removes the formula guard)
+ */
+function parseText(value) {
+    return value.replace(/^'(?=[=+\-@])/, '');
+}
+
+/**
+ * Convert CSV rows into the backup format (validated by importer.js)
+ * Rows with an unknown quadrant are listed under that name, so the
+ * validation reports them as invalid.
+ * @param {Array<Array<string>>} rows - Parsed rows including the header
+ * @param {object} mapping - Field -> column index (see guessColumnMapping)
+ * @param {object} translations - Translations object
+ * @returns {{schemaVersion: number, tasks: object}} Backup data
+ */
+export function csvToBackup(rows, mapping, translations) {
+    const tasks = {};
+    const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] ?? '') : '');
+
+    rows.slice(1).forEach(row => {
+        const quadrant = cell(row, 'quadrant');
+        // Without a quadrant column, tasks go to "Do!"
+        const key = mapping.quadrant >= 0 ? (getSegmentByName(quadrant, translations) ?? quadrant.trim()) : SEGMENTS.DO;
+
+        const task = { text: parseText(cell(row, 'text')).trim() };
+        const id = cell(row, 'id').trim();
+        if (id) task.id = id;
+        task.checked = TRUE_VALUES.includes(cell(row, 'checked').trim().toLowerCase());
+
+        const createdAt = parseDate(cell(row, 'createdAt'));
+        if (createdAt !== null) task.createdAt = createdAt;
+        const completedAt = parseDate(cell(row, 'completedAt'));
+        if (completedAt !== null) task.completedAt = completedAt;
+
+        if (!tasks[key]) tasks[key] = [];
+        tasks[key].push(task);
+    });
+
+    return { schemaVersion: BACKUP_SCHEMA_VERSION, tasks };
+}
@@ -0,0 +1,144 @@
+/**
+ * Deadlines Module
+ * Due date helpers and deadline-driven escalation between quadrants
+ *
+ * A task in Schedule! (2) is promoted to Do! (1) and a task in Ignore! (4)
+ * is promoted to Delegate! (3) once its due date enters the escalation window.
+ * Each task is escalated at most once; undoing an escalation marks it as
+ * dismissed so the scheduler leaves it alone afterwards.
+ */
+
+import {
+    STORAGE_KEYS,
+    ESCALATION_RULES,
+    DEFAULT_ESCALATION_WINDOW_HOURS,
+    ESCALATION_CHECK_INTERVAL
+} from './config.js';
+import { isUpcoming } from './recurrence.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the configured escalation window in hours
+ * @returns {number} Window in hours (0 = escalation disabled)
+ */
+export function getEscalationWindowHours() {
+    const stored = localStorage.getItem(STORAGE_KEYS.ESCALATION_WINDOW);
+    if (stored === null) return DEFAULT_ESCALATION_WINDOW_HOURS;
+
+    const hours = parseInt(stored, 10);
+    return isNaN(hours) || hours < 0 ? DEFAULT_ESCALATION_WINDOW_HOURS : hours;
+}
+
+/**
+ * Set the escalation window in hours
+ * @param {number} hours - Window in hours (0 = escalation disabled)
+ */
+export function setEscalationWindowHours(hours) {
+    localStorage.setItem(STORAGE_KEYS.ESCALATION_WINDOW, String(hours));
+}
+
+/**
+ * Get the segment a task should be escalated to
+ * @param {object} task - Task object
+ * @param {number} now - Current time (ms)
+ * @param {number} windowMs - Escalation window (ms)
+ * @returns {number|null} Target segment ID or null if no escalation is due
+ */
+export function getEscalationTarget(task, now, windowMs) {
+    if (!task || !task.dueDate || task.checked) return null;
+    if (task.escalatedAt || task.escalationDismissed) return null;
+    // Upcoming recurring instances are hidden until their day
+    if (isUpcoming(task, now)) return null;
+
+    const target = ESCALATION_RULES[task.segment];
+    if (!target) return null;
+
+    return task.dueDate - now <= windowMs ? target : null;
+}
+
+/**
+ * Find all tasks whose deadline has entered the escalation window
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} now - Current time (ms)
+ * @param {number} windowMs - Escalation window (ms)
+ * @returns {Array<{task: object, fromSegment: number, toSegment: number}>}
+ */
+export function findTasksToEscalate(tasks, now, windowMs) {
+    const escalations = [];
+
+    Object.keys(ESCALATION_RULES).forEach(segmentId => {
+        const fromSegment = parseInt(segmentId);
+        (tasks[fromSegment] || []).forEach(task => {
+            const toSegment = getEscalationTarget(task, now, windowMs);
+            if (toSegment) {
+                escalations.push({ task, fromSegment, toSegment });
+            }
+        });
+    });
+
+    return escalations;
+}
+
+/**
+ * Check whether a task is overdue
+ * @param {object} task - Task object
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {boolean}
+ */
+export function isOverdue(task, now = Date.now()) {
+    return Boolean(task.dueDate) && !task.checked && task.dueDate < now;
+}
+
+/**
+ * Convert a datetime-local input value to a timestamp
+ * @param {string} value - Input value (YYYY-MM-DDTHH:mm or YYYY-MM-DD)
+ * @returns {number|null} Timestamp (ms) or null if empty/invalid
+ */
+export function parseDueDateInput(value) {
+    if (!value) return null;
+
+    // Date-only values are due at the end of that day
+    const normalized = value.includes('T') ? value : `${value}T23:59`;
+    const timestamp = new Date(normalized).getTime();
+    return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Convert a timestamp to a datetime-local input value (local time)
+ * @param {number|null} timestamp - Timestamp (ms)
+ * @returns {string} Input value or empty string
+ */
+export function formatDueDateInput(timestamp) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Start the escalation scheduler
+ * Runs an initial check immediately and then on a fixed interval.
+ * @param {object} options - Scheduler options
+ * @param {function} options.getTasks - Returns the current tasks object
+ * @param {function} options.onEscalate - Called with each escalation ({task, fromSegment, toSegment})
+ * @param {number} [options.interval] - Check interval (ms)
+ * @returns {function} Stop function
+ */
+export function startEscalationScheduler({ getTasks, onEscalate, interval = ESCALATION_CHECK_INTERVAL }) {
+    const check = () => {
+        const windowHours = getEscalationWindowHours();
+        if (windowHours === 0) return;
+
+        const escalations = findTasksToEscalate(getTasks(), Date.now(), windowHours * HOUR_MS);
+        escalations.forEach(escalation => onEscalate(escalation));
+    };
+
+    check();
+    const timer = setInterval(check, interval);
+
+    console.log('[Deadlines] Escalation scheduler started');
+    return () => clearInterval(timer);
+}
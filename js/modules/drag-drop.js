@@ -93,7 +93,7 @@ function handleDrop(e, onTaskMove) {
         return false;
     }
 
-    const taskId = parseInt(draggedElement.dataset.taskId);
+    const taskId = draggedElement.dataset.taskId;
     const fromSegment = parseInt(draggedElement.dataset.segmentId);
     const toSegment = parseInt(e.currentTarget.dataset.segment);
 
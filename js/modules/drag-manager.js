@@ -328,6 +328,7 @@ export class DragManager {
   #handleDragEnd(e) {
     // Reset visual state
     this.element.style.opacity = this.state.originalOpacity;
+    clearDropIndicator();
 
     // Update store
     store.setState({
@@ -460,6 +461,13 @@ export class DragManager {
 
       this.state.dropTarget = dropZone;
     }
+
+    // Show where the task will be inserted
+    if (dropZone) {
+      showDropIndicator(dropZone, y, this.data.id);
+    } else {
+      clearDropIndicator();
+    }
   }
 
   /**
@@ -489,6 +497,7 @@ export class DragManager {
     if (this.state.dropTarget) {
       this.state.dropTarget.classList.remove('drag-over');
     }
+    clearDropIndicator();
 
     // Haptic feedback on drop
     if (this.state.dropTarget) {
@@ -553,6 +562,7 @@ export class DragManager {
     if (this.state.dropTarget) {
       this.state.dropTarget.classList.remove('drag-over');
     }
+    clearDropIndicator();
 
     store.setState({
       isDragging: false,
@@ -642,29 +652,88 @@ export class DragManager {
   }
 }
 
+/**
+ * Find the task a dragged task would be dropped in front of
+ * @param {HTMLElement} dropZone - Task list under the pointer
+ * @param {number} y - Pointer position (client coordinates)
+ * @param {string} [draggedId] - ID of the dragged task (not a valid neighbour)
+ * @returns {string|null} Task ID, or null to drop at the end of the list
+ */
+export function getDropBeforeId(dropZone, y, draggedId = null) {
+  const items = Array.from(dropZone.children).filter(item =>
+    item.classList.contains('task-item') && item.dataset.taskId !== String(draggedId)
+  );
+
+  // First task whose vertical center is below the pointer
+  const before = items.find(item => {
+    const rect = item.getBoundingClientRect();
+    return y < rect.top + rect.height / 2;
+  });
+
+  return before ? before.dataset.taskId : null;
+}
+
+/**
+ * Mark the insert position of a dragged task
+ * @param {HTMLElement} dropZone - Task list under the pointer
+ * @param {number} y - Pointer position (client coordinates)
+ * @param {string} [draggedId] - ID of the dragged task
+ */
+export function showDropIndicator(dropZone, y, draggedId = null) {
+  clearDropIndicator();
+
+  const beforeId = getDropBeforeId(dropZone, y, draggedId);
+  const beforeItem = beforeId
+    ? Array.from(dropZone.children).find(item => item.dataset.taskId === beforeId)
+    : null;
+
+  if (beforeItem) {
+    beforeItem.classList.add('drop-before');
+  } else {
+    dropZone.classList.add('drop-at-end');
+  }
+}
+
+/**
+ * Remove all insert position markers
+ */
+export function clearDropIndicator() {
+  document.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+  document.querySelectorAll('.drop-at-end').forEach(el => el.classList.remove('drop-at-end'));
+}
+
 /**
  * Setup drop zones for HTML5 drag & drop (mouse)
+ * Safe to call on every render: listeners are only attached once per element.
  * @param {HTMLElement} dropZone - Drop zone element
- * @param {Function} onDrop - Drop callback
+ * @param {Function} onDrop - Drop callback (data, dropZone, beforeTaskId)
  */
 export function setupDropZone(dropZone, onDrop) {
+  if (dropZone.dataset.dropZoneReady) return;
+  dropZone.dataset.dropZoneReady = 'true';
+
   dropZone.addEventListener('dragover', (e) => {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     dropZone.classList.add('drag-over');
+
+    const { draggedTask } = store.getState();
+    showDropIndicator(dropZone, e.clientY, draggedTask ? draggedTask.id : null);
   });
 
   dropZone.addEventListener('dragleave', () => {
     dropZone.classList.remove('drag-over');
+    clearDropIndicator();
   });
 
   dropZone.addEventListener('drop', (e) => {
     e.preventDefault();
     dropZone.classList.remove('drag-over');
+    clearDropIndicator();
 
     try {
       const data = JSON.parse(e.dataTransfer.getData('application/json'));
-      onDrop(data, dropZone);
+      onDrop(data, dropZone, getDropBeforeId(dropZone, e.clientY, data.id));
     } catch (error) {
       ErrorHandler.handleError(error, {
         operation: 'drop',
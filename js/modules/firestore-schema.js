@@ -0,0 +1,50 @@
+/**
+ * Firestore Schema Module
+ * The task document as stored in Firestore
+ *
+ * firestore.rules validates exactly these fields. When adding a field, add it
+ * to TASK_FIELDS and buildTaskData, validate it in validTask() in
+ * firestore.rules and cover it in tests/rules (npm run test:rules).
+ */
+
+// All fields of a task document (mirrors taskFields() in firestore.rules)
+export const TASK_FIELDS = [
+    'text', 'segment', 'checked', 'createdAt', 'updatedAt', 'completedAt', 'completedFrom',
+    'dueDate', 'escalatedFrom', 'escalatedAt', 'escalationDismissed',
+    'recurring', 'upcomingAt', 'subtasks', 'tags', 'order', 'notes', 'activity', 'revision'
+];
+
+/**
+ * Build the Firestore document data for a task
+ * The revision is added by storage when the document is written.
+ * @param {object} task - Task object
+ * @param {object} firebase - Firebase instance
+ * @returns {object} Firestore document data
+ */
+export function buildTaskData(task, firebase) {
+    return {
+        text: task.text,
+        segment: task.segment,
+        checked: task.checked || false,
+        // Preserve existing createdAt if it exists (for moved tasks), otherwise use server timestamp
+        createdAt: task.createdAt || firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: task.updatedAt || null,
+        // Written as null (or empty) when unset so merge updates can clear them
+        dueDate: task.dueDate || null,
+        escalatedFrom: task.escalatedFrom || null,
+        escalatedAt: task.escalatedAt || null,
+        completedAt: task.completedAt || null,
+        // Quadrant the task was completed from (statistics)
+        completedFrom: task.completedFrom || null,
+        recurring: task.recurring || null,
+        upcomingAt: task.upcomingAt || null,
+        subtasks: (task.subtasks || []).map(({ id, text, checked }) => ({ id, text, checked })),
+        tags: task.tags || [],
+        // Fractional index key for the manual order within the segment
+        order: task.order || null,
+        notes: task.notes || null,
+        // Append-only event log (see activity.js)
+        activity: task.activity || [],
+        escalationDismissed: Boolean(task.escalationDismissed)
+    };
+}
@@ -0,0 +1,226 @@
+/**
+ * History Module
+ * Undo/redo stack for task operations
+ *
+ * Operations run through `execute()`, which snapshots all tasks before and
+ * after the operation and records only the tasks that changed. Undo/redo
+ * restore one side of those snapshots and return the affected tasks, so the
+ * caller can replay the change against storage (update or delete). The activity
+ * log is append-only: restored tasks keep their current log plus an
+ * undone/redone event.
+ */
+
+import { HISTORY_LIMIT } from './config.js';
+import { getAllTasks, insertTask, removeTaskById } from './tasks.js';
+import { recordActivity } from './activity.js';
+
+/**
+ * Copy a task so later mutations do not leak into the snapshot
+ * @param {object} task - Task object
+ * @returns {object} Copied task
+ */
+function cloneTask(task) {
+    const copy = { ...task };
+
+    if (task.recurring) copy.recurring = { ...task.recurring };
+    if (task.subtasks) copy.subtasks = task.subtasks.map(subtask => ({ ...subtask }));
+    if (task.tags) copy.tags = [...task.tags];
+    if (task.activity) copy.activity = [...task.activity];
+
+    return copy;
+}
+
+/**
+ * Snapshot the position and state of every task
+ * @returns {Map<string, {segment: number, index: number, json: string, task: object}>}
+ */
+function snapshotTasks() {
+    const snapshot = new Map();
+    const tasks = getAllTasks();
+
+    Object.keys(tasks).forEach(segmentId => {
+        tasks[segmentId].forEach((task, index) => {
+            snapshot.set(task.id, {
+                segment: parseInt(segmentId),
+                index,
+                json: JSON.stringify(task),
+                task: cloneTask(task)
+            });
+        });
+    });
+
+    return snapshot;
+}
+
+/**
+ * Compare two snapshots and collect the tasks that changed
+ * @returns {Array<{id: string, before: object|null, after: object|null}>}
+ */
+function diffSnapshots(before, after) {
+    const changes = [];
+    const ids = new Set([...before.keys(), ...after.keys()]);
+
+    ids.forEach(id => {
+        const prev = before.get(id);
+        const next = after.get(id);
+
+        if (prev && next && prev.json === next.json && prev.segment === next.segment) return;
+
+        changes.push({
+            id,
+            before: prev ? { index: prev.index, task: prev.task } : null,
+            after: next ? { index: next.index, task: next.task } : null
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Restore one side of the recorded changes
+ * @param {Array} changes - Recorded changes
+ * @param {'before'|'after'} side - Which state to restore
+ * @returns {Array<{id: string, task: object|null}>} Restored tasks (null = deleted)
+ */
+function applyChanges(changes, side) {
+    const current = new Map();
+    changes.forEach(change => {
+        const removed = removeTaskById(change.id);
+        if (removed) current.set(change.id, removed.task);
+    });
+
+    // Insert in ascending index order so earlier positions are filled first
+    const restored = changes
+        .filter(change => change[side])
+        .sort((a, b) => a[side].index - b[side].index);
+
+    restored.forEach(change => {
+        const task = cloneTask(change[side].task);
+        const previous = current.get(change.id);
+
+        if (previous) {
+            task.activity = [...(previous.activity || [])];
+        }
+        const segments = previous && previous.segment !== task.segment ? { from: previous.segment, to: task.segment } : {};
+        recordActivity(task, side === 'before' ? 'undone' : 'redone', segments);
+
+        insertTask(task, change[side].index);
+    });
+
+    return changes.map(change => ({
+        id: change.id,
+        task: change[side] ? getAllTasks()[change[side].task.segment].find(t => t.id === change.id) : null
+    }));
+}
+
+/**
+ * Command history with multi-step undo/redo
+ */
+export class CommandHistory {
+    /**
+     * @param {number} [limit=HISTORY_LIMIT] - Maximum number of undo steps
+     */
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Run a task operation and record its changes
+     * @param {string} label - Operation name (add, delete, move, toggle, update, clearCompleted, cleanup)
+     * @param {function} operation - Operation mutating the tasks module state
+     * @returns {*} Result of the operation
+     */
+    execute(label, operation) {
+        const before = snapshotTasks();
+        const result = operation();
+        const changes = diffSnapshots(before, snapshotTasks());
+
+        if (changes.length > 0) {
+            this.undoStack.push({ label, changes });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+            // A new operation invalidates the redo path
+            this.redoStack = [];
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the most recent undoable operation
+     * @returns {object|null} History entry
+     */
+    peek() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Undo the last operation
+     * @param {object} [expected] - Only undo if this entry is still the last one (e.g. from a toast)
+     * @returns {{label: string, tasks: Array<{id: string, task: object|null}>}|null}
+     */
+    undo(expected = null) {
+        if (expected && this.peek() !== expected) return null;
+
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        const tasks = applyChanges(entry.changes, 'before');
+        this.redoStack.push(entry);
+        return { label: entry.label, tasks };
+    }
+
+    /**
+     * Redo the last undone operation
+     * @returns {{label: string, tasks: Array<{id: string, task: object|null}>}|null}
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        const tasks = applyChanges(entry.changes, 'after');
+        this.undoStack.push(entry);
+        return { label: entry.label, tasks };
+    }
+
+    /**
+     * @returns {boolean} True if there is an operation to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is an operation to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget operations that touch the given tasks (e.g. after a remote change)
+     * Undoing them would overwrite the newer remote state.
+     * @param {Array<string>} taskIds - Task IDs
+     */
+    discard(taskIds) {
+        const ids = new Set(taskIds);
+        const keep = entry => !entry.changes.some(change => ids.has(change.id));
+
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+    }
+
+    /**
+     * Forget all recorded operations (e.g. after loading another user's tasks)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Shared history used by the app
+export const commandHistory = new CommandHistory();
@@ -0,0 +1,391 @@
+/**
+ * iCalendar Module
+ * Exports tasks as .ics file for calendar apps and reads VTODOs back as backup
+ *
+ * Export: open tasks become VTODOs (DUE, PRIORITY from the quadrant, RRULE from
+ * the recurring config, CATEGORIES with quadrant name and tags). Done tasks become a
+ * completed VTODO (COMPLETED stamp, X-EISENHAUER-COMPLETED-FROM with the quadrant
+ * of origin) plus a VEVENT at the completion time, so calendars that do not show
+ * tasks still list what was done when.
+ *
+ * Import: every VTODO becomes a task. The quadrant is taken from a category
+ * with a quadrant name, otherwise from PRIORITY. Completed VTODOs go to "Done!",
+ * completed from the exported quadrant of origin or their quadrant category.
+ * VEVENTs are not imported (they only mirror completed VTODOs). The result has
+ * the backup format, so it is validated and previewed like a JSON import.
+ *
+ * The file is a snapshot: the app is a static site without a server, so there
+ * is no subscription URL calendars could poll.
+ */
+
+import { SEGMENTS, BACKUP_SCHEMA_VERSION } from './config.js';
+import { getSegmentByName } from './csv.js';
+import { ImportError } from './importer.js';
+import { normalizeTag } from './tags.js';
+import { ORIGIN_SEGMENTS, getCompletedFrom } from './metrics.js';
+
+const CALENDAR_NAME = 'Eisenhauer Matrix';
+
+// UIDs of exported tasks end with this domain, imported UIDs with it keep their task ID
+const UID_DOMAIN = 'eisenhauer-matrix';
+
+// PRIORITY (RFC 5545: 1 = highest, 9 = lowest) per quadrant
+const SEGMENT_PRIORITIES = {
+    [SEGMENTS.DO]: 1,
+    [SEGMENTS.SCHEDULE]: 3,
+    [SEGMENTS.DELEGATE]: 5,
+    [SEGMENTS.IGNORE]: 9
+};
+
+// Quadrant a done task was completed from (statistics)
+const COMPLETED_FROM_PROPERTY = 'X-EISENHAUER-COMPLETED-FROM';
+
+// RRULE weekday codes by weekday number (0 = Sunday, as stored in recurring.weekdays)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape a TEXT value
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line to at most 75 octets (continuation lines start with a space)
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // The space of a continuation line counts as well
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as UTC DATE-TIME (20260301T090000Z)
+ * @param {number} time - Milliseconds
+ * @returns {string}
+ */
+function formatDateTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the RRULE value of a recurring config
+ * @param {object} recurring - Recurring config ({interval, weekdays, dayOfMonth, customDays})
+ * @returns {string|null} RRULE value or null if the task does not recur
+ */
+export function recurringToRrule(recurring) {
+    if (!recurring || !recurring.enabled) return null;
+
+    switch (recurring.interval) {
+        case 'daily':
+            return 'FREQ=DAILY';
+        case 'weekly': {
+            const weekdays = (recurring.weekdays || []).map(day => WEEKDAY_CODES[day]).filter(Boolean);
+            return weekdays.length > 0 ? `FREQ=WEEKLY;BYDAY=${weekdays.join(',')}` : 'FREQ=WEEKLY';
+        }
+        case 'monthly':
+            return `FREQ=MONTHLY;BYMONTHDAY=${recurring.dayOfMonth || 1}`;
+        case 'custom':
+            return `FREQ=DAILY;INTERVAL=${Math.max(1, recurring.customDays || 1)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read an RRULE value into a recurring config
+ * Rules the app cannot repeat (e.g. yearly, every second week) are not imported.
+ * @param {string} rrule - RRULE value
+ * @returns {object|null} Recurring config or null
+ */
+export function rruleToRecurring(rrule) {
+    const parts = {};
+    rrule.split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (key && value) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+    const interval = parseInt(parts.INTERVAL || '1');
+    if (!(interval >= 1)) return null;
+
+    const recurring = { enabled: true, weekdays: [], dayOfMonth: 1, customDays: 1 };
+
+    switch (parts.FREQ) {
+        case 'DAILY':
+            if (interval > 1) {
+                return { ...recurring, interval: 'custom', customDays: interval };
+            }
+            return { ...recurring, interval: 'daily' };
+
+        case 'WEEKLY': {
+            if (interval > 1) {
+                // Every n weeks is only possible without weekdays
+                return parts.BYDAY ? null : { ...recurring, interval: 'custom', customDays: interval * 7 };
+            }
+            const weekdays = (parts.BYDAY || '').split(',')
+                .map(day => WEEKDAY_CODES.indexOf(day.replace(/^[+-]?\d+/, '')))
+                .filter(day => day >= 0);
+            return { ...recurring, interval: 'weekly', weekdays: [...new Set(weekdays)].sort((a, b) => a - b) };
+        }
+
+        case 'MONTHLY': {
+            const dayOfMonth = parseInt(parts.BYMONTHDAY || '1');
+            if (interval > 1 || !(dayOfMonth >= 1 && dayOfMonth <= 31)) return null;
+            return { ...recurring, interval: 'monthly', dayOfMonth };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Content lines of one task
+ */
+function taskToLines(task, segmentId, lang, stamp) {
+    const done = segmentId === SEGMENTS.DONE || task.checked;
+    const uid = `${task.id}@${UID_DOMAIN}`;
+    const categories = [lang.segments[segmentId].title, ...(task.tags || [])];
+
+    const todo = [
+        'BEGIN:VTODO',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeText(task.text)}`
+    ];
+    if (task.createdAt) todo.push(`CREATED:${formatDateTime(task.createdAt)}`);
+    if (task.notes) todo.push(`DESCRIPTION:${escapeText(task.notes)}`);
+    if (task.dueDate) todo.push(`DUE:${formatDateTime(task.dueDate)}`);
+    if (SEGMENT_PRIORITIES[segmentId]) todo.push(`PRIORITY:${SEGMENT_PRIORITIES[segmentId]}`);
+    todo.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+
+    const rrule = recurringToRrule(task.recurring);
+    // A recurrence rule needs a start date
+    if (rrule && !done) {
+        todo.push(`DTSTART:${formatDateTime(task.dueDate || task.createdAt || Date.now())}`);
+        todo.push(`RRULE:${rrule}`);
+    }
+
+    if (!done) {
+        todo.push('STATUS:NEEDS-ACTION', 'END:VTODO');
+        return todo;
+    }
+
+    const completed = formatDateTime(task.completedAt || task.createdAt || Date.now());
+    todo.push('STATUS:COMPLETED', `COMPLETED:${completed}`, 'PERCENT-COMPLETE:100');
+    const completedFrom = getCompletedFrom(task);
+    if (completedFrom) todo.push(`${COMPLETED_FROM_PROPERTY}:${completedFrom}`);
+    todo.push('END:VTODO');
+
+    return [
+        ...todo,
+        'BEGIN:VEVENT',
+        `UID:${task.id}-done@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${completed}`,
+        `SUMMARY:✓ ${escapeText(task.text)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build an iCalendar file of all tasks
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Language of the quadrant categories
+ * @param {number} [now=Date.now()] - Export time (DTSTAMP)
+ * @returns {string} iCalendar text
+ */
+export function tasksToIcs(tasks, translations, currentLanguage, now = Date.now()) {
+    const lang = translations[currentLanguage];
+    const stamp = formatDateTime(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${UID_DOMAIN}//${CALENDAR_NAME}//${currentLanguage.toUpperCase()}`,
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${CALENDAR_NAME}`
+    ];
+
+    Object.values(SEGMENTS).forEach(segmentId => {
+        (tasks[segmentId] || []).forEach(task => {
+            lines.push(...taskToLines(task, segmentId, lang, stamp));
+        });
+    });
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Read a DATE or DATE-TIME value
+ * Floating times and times with TZID are read as local time, date-only values
+ * as the end of that day (like date-only due dates in the app).
+ * @param {string} value - Property value
+ * @returns {number|string} Milliseconds, or the raw value if unreadable (reported by the validation)
+ */
+function parseDateValue(value) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return value;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+        return new Date(year, month - 1, day, 23, 59).getTime();
+    }
+    return utc
+        ? Date.UTC(year, month - 1, day, hours, minutes, seconds)
+        : new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+}
+
+/**
+ * Split iCalendar text into components with their properties
+ * @param {string} text - iCalendar text
+ * @returns {Array<{type: string, properties: object}>} Components (VTODO, VEVENT, ...);
+ *          properties are keyed by name, values are lists (CATEGORIES may appear more than once)
+ */
+export function parseIcs(text) {
+    // Unfold continuation lines
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const components = [];
+    const stack = [];
+
+    lines.forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator < 0) return;
+
+        const [name] = line.slice(0, separator).split(';');
+        const property = name.toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (property === 'BEGIN') {
+            stack.push({ type: value.trim().toUpperCase(), properties: {} });
+        } else if (property === 'END') {
+            const component = stack.pop();
+            if (component) components.push(component);
+        } else if (stack.length > 0) {
+            const { properties } = stack[stack.length - 1];
+            (properties[property] = properties[property] || []).push(value);
+        }
+    });
+
+    return components;
+}
+
+/**
+ * Map a PRIORITY value to a quadrant (inverse of SEGMENT_PRIORITIES)
+ * @param {number} priority - PRIORITY (0 or missing = undefined)
+ * @returns {number} Segment ID
+ */
+function getSegmentByPriority(priority) {
+    // 1-2, or 0/missing (undefined priority) like CSV rows without quadrant
+    if (!(priority >= 3)) return SEGMENTS.DO;
+    if (priority <= 4) return SEGMENTS.SCHEDULE;
+    if (priority <= 6) return SEGMENTS.DELEGATE;
+    return SEGMENTS.IGNORE;
+}
+
+/**
+ * Convert the VTODOs of an iCalendar file into the backup format (validated by importer.js)
+ * @param {string} text - iCalendar text
+ * @param {object} translations - Translations object
+ * @returns {{schemaVersion: number, tasks: object}} Backup data
+ * @throws {ImportError} If the file is no iCalendar file (code noCalendar)
+ */
+export function icsToBackup(text, translations) {
+    const components = parseIcs(text);
+    if (!components.some(component => component.type === 'VCALENDAR')) {
+        throw new ImportError('noCalendar', 'The file is not an iCalendar file');
+    }
+
+    const tasks = {};
+    components.filter(component => component.type === 'VTODO').forEach(({ properties }) => {
+        const first = (name) => (properties[name] ? properties[name][0] : null);
+
+        const categories = (properties.CATEGORIES || [])
+            .flatMap(value => value.split(/(?<!\\),/))
+            .map(category => unescapeText(category).trim())
+            .filter(Boolean);
+        const completed = (first('STATUS') || '').trim().toUpperCase() === 'COMPLETED' || first('COMPLETED') !== null;
+
+        let segment = null;
+        const tags = [];
+        categories.forEach(category => {
+            // Tags keep their prefix (#work, @alice), so they are not taken for quadrant names
+            const match = /^[#@]/.test(category) ? null : getSegmentByName(category, translations);
+            if (match && !segment) {
+                segment = match;
+            } else if (!match) {
+                const tag = normalizeTag(category.replace(/\s+/g, '-'));
+                if (tag) tags.push(tag);
+            }
+        });
+
+        // The quadrant category of a completed task is where it was completed from
+        const completedFrom = parseInt(first(COMPLETED_FROM_PROPERTY)) || segment;
+        if (completed) {
+            segment = SEGMENTS.DONE;
+        } else if (!segment || segment === SEGMENTS.DONE) {
+            segment = getSegmentByPriority(parseInt(first('PRIORITY')));
+        }
+
+        const task = {
+            text: unescapeText(first('SUMMARY') || '').trim(),
+            checked: completed
+        };
+
+        const uid = (first('UID') || '').trim();
+        if (uid.endsWith(`@${UID_DOMAIN}`)) task.id = uid.slice(0, -UID_DOMAIN.length - 1);
+
+        const description = first('DESCRIPTION');
+        if (description) task.notes = unescapeText(description);
+        if (tags.length > 0) task.tags = [...new Set(tags)];
+
+        const created = first('CREATED');
+        if (created) task.createdAt = parseDateValue(created);
+        const due = first('DUE');
+        if (due) task.dueDate = parseDateValue(due);
+        if (completed && first('COMPLETED')) task.completedAt = parseDateValue(first('COMPLETED'));
+        if (completed && ORIGIN_SEGMENTS.includes(completedFrom)) task.completedFrom = completedFrom;
+
+        const rrule = first('RRULE');
+        const recurring = rrule && !completed ? rruleToRecurring(rrule) : null;
+        if (recurring) task.recurring = recurring;
+
+        if (!tasks[segment]) tasks[segment] = [];
+        tasks[segment].push(task);
+    });
+
+    return { schemaVersion: BACKUP_SCHEMA_VERSION, tasks };
+}
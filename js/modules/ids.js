@@ -0,0 +1,77 @@
+/**
+ * IDs Module
+ * Collision-safe string IDs for tasks and migration of legacy numeric IDs
+ *
+ * Older versions used `Date.now()` (collides across devices) and
+ * `Date.now() + Math.random()` on import (float IDs that do not survive a
+ * Firestore round-trip as the same value). All IDs are now strings.
+ */
+
+/**
+ * Generate a new unique ID (UUID v4)
+ * @returns {string} ID
+ */
+export function generateId() {
+    const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+
+    if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+        return cryptoApi.randomUUID();
+    }
+
+    // Fallback for older browsers and non-secure contexts (randomUUID requires HTTPS)
+    const bytes = new Uint8Array(16);
+    if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+        cryptoApi.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant 10xx
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Check whether an ID has to be replaced (float timestamp from old imports, or missing)
+ * @param {*} id - Task ID
+ * @returns {boolean}
+ */
+function needsNewId(id) {
+    if (id === undefined || id === null || id === '') return true;
+    if (typeof id === 'number') return !Number.isInteger(id);
+    return /^\d+\.\d+$/.test(String(id));
+}
+
+/**
+ * Migrate legacy task IDs to strings (in place)
+ * Integer timestamps keep their value as string, so Firestore document IDs
+ * (which already are `String(id)`) and other references stay valid. Float IDs
+ * get a new ID. Safe to run on every load: already migrated data is left alone.
+ * @param {object} tasks - Tasks grouped by segment
+ * @returns {{changed: boolean, renamed: Array<{from: string, to: string, task: object}>}}
+ *          `renamed` lists tasks whose ID changed its value (storage must move them)
+ */
+export function migrateTaskIds(tasks) {
+    let changed = false;
+    const renamed = [];
+
+    Object.values(tasks || {}).forEach(segmentTasks => {
+        (segmentTasks || []).forEach(task => {
+            if (needsNewId(task.id)) {
+                const from = task.id === undefined || task.id === null ? '' : String(task.id);
+                task.id = generateId();
+                renamed.push({ from, to: task.id, task });
+                changed = true;
+            } else if (typeof task.id !== 'string') {
+                task.id = String(task.id);
+                changed = true;
+            }
+        });
+    });
+
+    return { changed, renamed };
+}
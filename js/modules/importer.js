@@ -0,0 +1,371 @@
+/**
+ * Importer Module
+ * Validates JSON backups and plans their import without side effects
+ *
+ * Backups are written by exportData ({schemaVersion, version, exportDate, tasks}).
+ * Files from before schema versioning have no schemaVersion and are read as
+ * version 1. Every task is validated on its own: invalid tasks are reported
+ * (quadrant, position, invalid fields) and left out, the others can still be
+ * imported. planImport is the dry run behind the import preview: it returns the
+ * resulting tasks and a summary without touching the current tasks or storage.
+ */
+
+import { SEGMENTS, MAX_TASK_LENGTH, MAX_NOTES_LENGTH, BACKUP_SCHEMA_VERSION } from './config.js';
+import { TASK_FIELDS } from './firestore-schema.js';
+import { generateId, migrateTaskIds } from './ids.js';
+import { ensureTaskOrder, isValidKey } from './ordering.js';
+import { ACTIVITY_TYPES, trimActivity } from './activity.js';
+
+// merge: add all tasks, skipDuplicates: add tasks not already present, replace: imported tasks only
+export const IMPORT_MODES = ['merge', 'skipDuplicates', 'replace'];
+
+// Timestamps stored as milliseconds
+const TIME_FIELDS = ['updatedAt', 'completedAt', 'dueDate', 'escalatedAt', 'upcomingAt'];
+
+const RECURRING_INTERVALS = ['daily', 'weekly', 'monthly', 'custom'];
+const RECURRING_FIELDS = ['enabled', 'interval', 'weekdays', 'dayOfMonth', 'customDays'];
+
+/**
+ * Error that makes a whole file unusable
+ * `code` is one of: invalidJson, noTasks, unsupportedVersion, noColumns (CSV), noCalendar (iCalendar)
+ */
+export class ImportError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ImportError';
+        this.code = code;
+    }
+}
+
+/**
+ * Convert a timestamp of a backup to milliseconds
+ * Older backups contain Firestore timestamps ({seconds, nanoseconds}) or ISO strings.
+ * @param {*} value - Timestamp
+ * @returns {number|null|undefined} Milliseconds, null if unset, undefined if invalid
+ */
+function toMillis(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (typeof value === 'string') {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? undefined : time;
+    }
+    if (typeof value === 'object' && typeof value.seconds === 'number') {
+        return value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6);
+    }
+    return undefined;
+}
+
+/**
+ * Validate a recurring configuration against the shape firestore.rules accept
+ * @param {*} recurring - Configuration from the file
+ * @returns {object|null} Configuration without unknown keys, null if invalid
+ */
+function normalizeRecurring(recurring) {
+    if (!recurring || typeof recurring !== 'object' || Array.isArray(recurring)
+        || typeof recurring.enabled !== 'boolean' || !RECURRING_INTERVALS.includes(recurring.interval)) {
+        return null;
+    }
+
+    const { weekdays, dayOfMonth, customDays } = recurring;
+    if ((weekdays !== undefined && !(Array.isArray(weekdays) && weekdays.length <= 7
+            && weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)))
+        || (dayOfMonth !== undefined && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31))
+        || (customDays !== undefined && !(Number.isInteger(customDays) && customDays >= 1))) {
+        return null;
+    }
+
+    const normalized = {};
+    RECURRING_FIELDS.forEach(field => {
+        if (recurring[field] !== undefined) {
+            normalized[field] = recurring[field];
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Validate and normalize one task of a backup
+ * @param {*} raw - Task from the file
+ * @param {number} segment - Quadrant the task is listed in
+ * @returns {{task: object|null, problems: Array<string>}} Normalized task (its segment may
+ *          differ from the given one), or the invalid fields
+ */
+function validateTask(raw, segment) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { task: null, problems: ['task'] };
+    }
+
+    const problems = [];
+    const task = { id: raw.id };
+
+    // Only fields the app knows, the revision is sync metadata
+    TASK_FIELDS.forEach(field => {
+        if (field !== 'revision' && raw[field] !== undefined) {
+            task[field] = raw[field];
+        }
+    });
+    task.segment = segment;
+
+    if (typeof task.text !== 'string' || task.text.trim() === '' || task.text.length > MAX_TASK_LENGTH) {
+        problems.push('text');
+    } else {
+        task.text = task.text.trim();
+    }
+
+    if (task.checked !== undefined && typeof task.checked !== 'boolean') {
+        problems.push('checked');
+    }
+    task.checked = task.checked === true;
+
+    const createdAt = toMillis(task.createdAt);
+    if (createdAt === undefined) {
+        problems.push('createdAt');
+    } else {
+        task.createdAt = createdAt || Date.now();
+    }
+
+    TIME_FIELDS.forEach(field => {
+        const time = toMillis(task[field]);
+        if (time === undefined) {
+            problems.push(field);
+        } else if (time === null) {
+            delete task[field];
+        } else {
+            task[field] = time;
+        }
+    });
+
+    if (task.escalatedFrom !== undefined && task.escalatedFrom !== null
+        && !(Number.isInteger(task.escalatedFrom) && task.escalatedFrom >= 1 && task.escalatedFrom <= 5)) {
+        problems.push('escalatedFrom');
+    }
+
+    if (task.completedFrom !== undefined && task.completedFrom !== null
+        && !(Number.isInteger(task.completedFrom) && task.completedFrom >= 1 && task.completedFrom <= 4)) {
+        problems.push('completedFrom');
+    }
+
+    if (task.tags !== undefined && task.tags !== null
+        && !(Array.isArray(task.tags) && task.tags.length <= 50 && task.tags.every(tag => typeof tag === 'string'))) {
+        problems.push('tags');
+    }
+
+    if (task.subtasks !== undefined && task.subtasks !== null) {
+        const valid = Array.isArray(task.subtasks) && task.subtasks.length <= 100
+            && task.subtasks.every(subtask => subtask && typeof subtask.text === 'string'
+                && (subtask.checked === undefined || typeof subtask.checked === 'boolean'));
+        if (valid) {
+            // Firestore rejects undefined fields, older or hand-written files may lack them
+            task.subtasks = task.subtasks.map(({ id, text, checked }) => ({
+                id: (typeof id === 'string' && id !== '') || Number.isFinite(id) ? id : generateId(),
+                text,
+                checked: checked === true
+            }));
+        } else {
+            problems.push('subtasks');
+        }
+    }
+
+    if (task.notes !== undefined && task.notes !== null
+        && !(typeof task.notes === 'string' && task.notes.length <= MAX_NOTES_LENGTH)) {
+        problems.push('notes');
+    }
+
+    if (task.recurring !== undefined && task.recurring !== null) {
+        const recurring = normalizeRecurring(task.recurring);
+        if (recurring) {
+            task.recurring = recurring;
+        } else {
+            problems.push('recurring');
+        }
+    }
+
+    if (task.escalationDismissed !== undefined && task.escalationDismissed !== null
+        && typeof task.escalationDismissed !== 'boolean') {
+        problems.push('escalationDismissed');
+    }
+
+    if (task.activity !== undefined && task.activity !== null) {
+        const valid = Array.isArray(task.activity) && task.activity.every(event =>
+            event && ACTIVITY_TYPES.includes(event.type) && Number.isFinite(event.at));
+        if (valid) {
+            task.activity = trimActivity(task.activity);
+        } else {
+            problems.push('activity');
+        }
+    }
+
+    // The done state follows the quadrant (toggleTask only completes open tasks
+    // outside Done and restores checked tasks in Done): checked tasks of other
+    // quadrants are moved to Done as completed from there
+    if (task.checked && segment !== SEGMENTS.DONE) {
+        task.segment = SEGMENTS.DONE;
+        task.completedAt = task.completedAt || Date.now();
+        if (task.completedFrom === undefined || task.completedFrom === null) {
+            task.completedFrom = segment;
+        }
+    } else if (segment === SEGMENTS.DONE) {
+        task.checked = true;
+    }
+
+    // An unusable order key is not worth rejecting the task, a new one is assigned
+    if (task.order !== undefined && !(typeof task.order === 'string' && isValidKey(task.order))) {
+        delete task.order;
+    }
+
+    return problems.length > 0 ? { task: null, problems } : { task, problems };
+}
+
+/**
+ * Validate the parsed content of a backup file
+ * @param {*} data - Parsed JSON
+ * @returns {{schemaVersion: number, exportDate: string|null, tasks: object, total: number,
+ *          errors: Array<{segment: string, index: number, text: string|null, problems: Array<string>}>}}
+ *          Valid tasks grouped by segment and the rejected tasks
+ * @throws {ImportError} If the file is no backup or from a newer schema version
+ */
+export function validateBackup(data) {
+    if (!data || typeof data !== 'object' || !data.tasks || typeof data.tasks !== 'object') {
+        throw new ImportError('noTasks', 'No tasks found');
+    }
+
+    const schemaVersion = data.schemaVersion ?? 1;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1 || schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new ImportError('unsupportedVersion', `Unsupported schema version: ${data.schemaVersion}`);
+    }
+
+    const tasks = {};
+    Object.values(SEGMENTS).forEach(segmentId => {
+        tasks[segmentId] = [];
+    });
+    const errors = [];
+    let total = 0;
+
+    Object.keys(data.tasks).forEach(key => {
+        const segment = parseInt(key);
+        const list = Array.isArray(data.tasks[key]) ? data.tasks[key] : [];
+
+        list.forEach((raw, index) => {
+            total++;
+            const text = raw && typeof raw.text === 'string' ? raw.text : null;
+
+            if (!tasks[segment]) {
+                errors.push({ segment: key, index, text, problems: ['segment'] });
+                return;
+            }
+
+            const { task, problems } = validateTask(raw, segment);
+            if (task) {
+                tasks[task.segment].push(task);
+            } else {
+                errors.push({ segment: key, index, text, problems });
+            }
+        });
+    });
+
+    return {
+        schemaVersion,
+        exportDate: typeof data.exportDate === 'string' ? data.exportDate : null,
+        tasks,
+        total,
+        errors
+    };
+}
+
+/**
+ * Parse and validate the text of a backup file
+ * @param {string} text - File content
+ * @returns {object} See validateBackup
+ * @throws {ImportError}
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new ImportError('invalidJson', 'The file is not valid JSON');
+    }
+    return validateBackup(data);
+}
+
+/**
+ * Key that identifies the same task in two data sets
+ */
+function getDuplicateKey(task) {
+    return `${String(task.text).trim()}|${toMillis(task.createdAt)}`;
+}
+
+/**
+ * Plan an import (dry run)
+ * @param {object} backup - Result of validateBackup
+ * @param {object} currentTasks - Current tasks grouped by segment (not modified)
+ * @param {string} [mode='merge'] - One of IMPORT_MODES
+ * @returns {{tasks: object, added: Array<object>, removedIds: Array<string>, counts: object,
+ *          duplicates: number, skipped: number, invalid: number}}
+ *          Resulting tasks, tasks to write, current tasks that disappear (replace),
+ *          imported tasks per segment and duplicates of current (or earlier imported) tasks
+ */
+export function planImport(backup, currentTasks, mode = 'merge') {
+    const replace = mode === 'replace';
+    const tasks = {};
+    const counts = {};
+    const seen = new Set();
+
+    Object.values(SEGMENTS).forEach(segmentId => {
+        tasks[segmentId] = replace ? [] : [...(currentTasks[segmentId] || [])];
+        counts[segmentId] = 0;
+        (currentTasks[segmentId] || []).forEach(task => seen.add(getDuplicateKey(task)));
+    });
+
+    const added = [];
+    let duplicates = 0;
+    let skipped = 0;
+
+    Object.keys(backup.tasks).forEach(segmentId => {
+        backup.tasks[segmentId].forEach(source => {
+            const key = getDuplicateKey(source);
+            const isDuplicate = seen.has(key);
+            seen.add(key);
+
+            if (isDuplicate) {
+                duplicates++;
+                if (mode === 'skipDuplicates') {
+                    skipped++;
+                    return;
+                }
+            }
+
+            const task = JSON.parse(JSON.stringify(source));
+            if (!replace) {
+                // New ID to avoid conflicts, imported tasks go after the existing ones
+                task.id = generateId();
+                delete task.order;
+            }
+            tasks[segmentId].push(task);
+            added.push(task);
+            counts[segmentId]++;
+        });
+    });
+
+    // Replace keeps the IDs of the backup (which may still be numeric or missing)
+    if (replace) {
+        migrateTaskIds(tasks);
+    }
+    ensureTaskOrder(tasks);
+
+    const keptIds = new Set(added.map(task => task.id));
+    const removedIds = replace
+        ? Object.values(currentTasks).flat().map(task => task.id).filter(id => !keptIds.has(id))
+        : [];
+
+    return {
+        tasks,
+        added,
+        removedIds,
+        counts,
+        duplicates,
+        skipped,
+        invalid: backup.errors.length
+    };
+}
@@ -0,0 +1,208 @@
+/**
+ * Markdown Module
+ * Renders task notes as a small, safe Markdown subset
+ *
+ * Supported: paragraphs and line breaks, headings (#, ##, ###), bullet and
+ * numbered lists, fenced code blocks, `inline code`, **bold**, *italic*,
+ * [links](https://…) and bare http(s) URLs.
+ *
+ * The output is sanitized by construction: all text is HTML-escaped and the
+ * renderer only emits its own tags. Raw HTML in notes is shown as text, and
+ * links are only created for http(s), mailto and tel URLs.
+ */
+
+const SAFE_URL = /^(https?:\/\/|mailto:|tel:)/i;
+
+// [label](url) or a bare http(s) URL (trailing punctuation is not part of the URL)
+const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])/g;
+
+/**
+ * Escape text for use in HTML (content and attribute values)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a link target against the allowed schemes
+ * @param {string} url - Raw URL
+ * @returns {string|null} URL or null if not allowed (e.g. javascript:)
+ */
+function getSafeUrl(url) {
+    const trimmed = url.trim();
+    if (SAFE_URL.test(trimmed)) return trimmed;
+    if (/^www\./i.test(trimmed)) return `https://${trimmed}`;
+    return null;
+}
+
+/**
+ * Build a link element
+ */
+function renderLink(url, labelHtml) {
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+/**
+ * Apply bold and italic markers to already escaped text
+ * @param {string} html - Escaped text
+ * @returns {string}
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?![_\w])/g, '$1<em>$2</em>');
+}
+
+/**
+ * Render links and emphasis of a text without code spans
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+function renderText(text) {
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(LINK_PATTERN)) {
+        html += renderEmphasis(escapeHtml(text.slice(last, match.index)));
+        last = match.index + match[0].length;
+
+        if (match[3]) {
+            html += renderLink(match[3], escapeHtml(match[3]));
+            continue;
+        }
+
+        const url = getSafeUrl(match[2]);
+        const label = renderEmphasis(escapeHtml(match[1]));
+        // Links with a forbidden scheme keep their label only
+        html += url ? renderLink(url, label) : label;
+    }
+
+    return html + renderEmphasis(escapeHtml(text.slice(last)));
+}
+
+/**
+ * Render inline Markdown of a single line
+ * @param {string} line - Raw line
+ * @returns {string} HTML
+ */
+function renderInline(line) {
+    // Code spans first, so their content is never formatted
+    return line.split(/(`[^`]+`)/).map(part =>
+        /^`[^`]+`$/.test(part)
+            ? `<code>${escapeHtml(part.slice(1, -1))}</code>`
+            : renderText(part)
+    ).join('');
+}
+
+/**
+ * Render Markdown notes to sanitized HTML
+ * @param {string} source - Markdown text
+ * @returns {string} HTML
+ */
+export function renderMarkdown(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushList = () => {
+        if (list) {
+            blocks.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.type}>`);
+            list = null;
+        }
+    };
+
+    const addListItem = (type, text) => {
+        flushParagraph();
+        if (list && list.type !== type) {
+            flushList();
+        }
+        if (!list) {
+            list = { type, items: [] };
+        }
+        list.items.push(text);
+    };
+
+    lines.forEach(line => {
+        if (code !== null) {
+            if (/^\s*```/.test(line)) {
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            return;
+        }
+
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            code = [];
+            return;
+        }
+
+        const heading = line.match(/^(#{1,3})\s+(.+)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.+)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            // Notes live inside a modal, so headings start below the modal title
+            const level = heading[1].length + 3;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (bullet) {
+            addListItem('ul', bullet[1]);
+        } else if (numbered) {
+            addListItem('ol', numbered[1]);
+        } else if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    });
+
+    // Unclosed code block: render what was written so far
+    if (code !== null) {
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+
+    return blocks.join('');
+}
+
+/**
+ * Get a short plain-text preview of notes (e.g. for a tooltip)
+ * @param {string} source - Markdown text
+ * @param {number} [maxLength=80] - Maximum length
+ * @returns {string}
+ */
+export function getNotesPreview(source, maxLength = 80) {
+    const text = String(source || '')
+        .replace(/```/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[#*_`>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
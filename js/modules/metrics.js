@@ -0,0 +1,304 @@
+/**
+ * Metrics Module
+ * Pure calculations behind the statistics (metrics modal)
+ *
+ * All calendar calculations use local time and calendar arithmetic
+ * (new Date(year, month, day - n)) instead of adding multiples of 24 hours,
+ * so days, weeks and streaks stay correct across DST changes. Weeks start on
+ * Monday and are numbered according to ISO 8601.
+ *
+ * Quadrant-of-origin analytics: the quadrant a task was completed from is
+ * stored as `completedFrom` when it is completed. Tasks completed before that
+ * field existed fall back to the activity log (see activity.js); tasks without
+ * either count as "unknown" origin.
+ */
+
+import { SEGMENTS } from './config.js';
+import { isUpcoming } from './recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quadrants a task can be completed from
+export const ORIGIN_SEGMENTS = [SEGMENTS.DO, SEGMENTS.SCHEDULE, SEGMENTS.DELEGATE, SEGMENTS.IGNORE];
+
+/**
+ * Get the quadrant a completed task was completed from
+ * @param {object} task - Completed task
+ * @returns {number|null} Segment ID or null if unknown
+ */
+export function getCompletedFrom(task) {
+    if (ORIGIN_SEGMENTS.includes(task.completedFrom)) return task.completedFrom;
+
+    const completions = (task.activity || []).filter(event => event.type === 'completed');
+    const last = completions[completions.length - 1];
+    return last && ORIGIN_SEGMENTS.includes(last.from) ? last.from : null;
+}
+
+/**
+ * Start of the day (00:00 local time) of a date
+ * @param {Date|number} date - Date or timestamp
+ * @returns {Date}
+ */
+export function startOfDay(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Start of the week (Monday 00:00 local time) of a date
+ * @param {Date|number} date - Date or timestamp
+ * @returns {Date}
+ */
+export function startOfWeek(date) {
+    const d = new Date(date);
+    // getDay(): 0 = Sunday, weeks start on Monday
+    const offset = (d.getDay() + 6) % 7;
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() - offset);
+}
+
+/**
+ * Start of the month (1st, 00:00 local time) of a date
+ * @param {Date|number} date - Date or timestamp
+ * @returns {Date}
+ */
+export function startOfMonth(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+}
+
+// Start of a period and the start of the period n periods later
+const PERIODS = {
+    day: { start: startOfDay, add: (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n) },
+    week: { start: startOfWeek, add: (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n * 7) },
+    month: { start: startOfMonth, add: (d, n) => new Date(d.getFullYear(), d.getMonth() + n, 1) }
+};
+
+// Number of periods shown per chart period
+export const PERIOD_COUNTS = { day: 7, week: 4, month: 6 };
+
+/**
+ * ISO 8601 week number (weeks start on Monday, week 1 contains the first Thursday)
+ * @param {Date|number} date - Date or timestamp (local time)
+ * @returns {{year: number, week: number}} Week-numbering year and week
+ */
+export function getISOWeek(date) {
+    const d = new Date(date);
+    // The Thursday of the same week decides the year
+    const thursday = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 3 - (d.getDay() + 6) % 7);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    // Whole days between two local midnights (rounding absorbs DST offsets)
+    const days = Math.round((thursday - startOfWeek(firstThursday)) / DAY_MS);
+    return { year: thursday.getFullYear(), week: Math.floor(days / 7) + 1 };
+}
+
+/**
+ * Consecutive periods up to the current one
+ * @param {'day'|'week'|'month'} period - Period length
+ * @param {number} count - Number of periods
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<{start: Date, end: Date}>} Periods (oldest first), end is exclusive
+ */
+export function getPeriods(period, count, now = Date.now()) {
+    const { start, add } = PERIODS[period];
+    const current = start(now);
+    const periods = [];
+    for (let i = count - 1; i >= 0; i--) {
+        const from = add(current, -i);
+        periods.push({ start: from, end: add(from, 1) });
+    }
+    return periods;
+}
+
+/**
+ * Index of the period containing a time
+ * @returns {number} Index or -1
+ */
+function findPeriod(periods, time) {
+    return periods.findIndex(({ start, end }) => time >= start.getTime() && time < end.getTime());
+}
+
+/**
+ * Count completed tasks per period (completed tasks chart)
+ * @param {Array<object>} completedTasks - Tasks of the Done segment
+ * @param {'day'|'week'|'month'} period - Period length
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<{start: Date, end: Date, count: number}>} The last PERIOD_COUNTS[period] periods
+ */
+export function getCompletedTasksData(completedTasks, period, now = Date.now()) {
+    const periods = getPeriods(period, PERIOD_COUNTS[period], now).map(p => ({ ...p, count: 0 }));
+
+    completedTasks.forEach(task => {
+        if (!task.completedAt) return;
+        const index = findPeriod(periods, task.completedAt);
+        if (index !== -1) periods[index].count++;
+    });
+
+    return periods;
+}
+
+/**
+ * Current streak: consecutive days with at least one completed task
+ * Today counts if something was completed, but an empty today does not break
+ * the streak of the days before.
+ * @param {Array<object>} completedTasks - Tasks of the Done segment
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} Days
+ */
+export function calculateStreak(completedTasks, now = Date.now()) {
+    const days = new Set(completedTasks
+        .filter(task => task.completedAt)
+        .map(task => startOfDay(task.completedAt).getTime()));
+
+    const today = startOfDay(now);
+    let streak = 0;
+    for (let i = 0; ; i++) {
+        const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+        if (days.has(day.getTime())) {
+            streak++;
+        } else if (i > 0) {
+            break;
+        }
+    }
+    return streak;
+}
+
+/**
+ * Average time from creation to completion
+ * @param {Array<object>} completedTasks - Tasks of the Done segment
+ * @returns {number|null} Milliseconds or null without completion times
+ */
+export function calculateAverageProcessingTime(completedTasks) {
+    const durations = completedTasks
+        .filter(task => typeof task.createdAt === 'number' && task.completedAt)
+        .map(task => Math.max(0, task.completedAt - task.createdAt));
+
+    return durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : null;
+}
+
+/**
+ * Count tasks per quadrant: open tasks where they are, completed tasks by origin
+ * Upcoming recurring instances are not shown on the board yet and are left out.
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {object} Segment ID (1-4) or 'unknown' -> number of tasks
+ */
+export function getSegmentDistribution(tasks, now = Date.now()) {
+    const counts = { unknown: 0 };
+    ORIGIN_SEGMENTS.forEach(segmentId => {
+        counts[segmentId] = (tasks[segmentId] || []).filter(task => !isUpcoming(task, now)).length;
+    });
+
+    (tasks[SEGMENTS.DONE] || []).forEach(task => {
+        counts[getCompletedFrom(task) ?? 'unknown']++;
+    });
+    return counts;
+}
+
+/**
+ * Count completions per originating quadrant and week
+ * @param {Array<object>} completedTasks - Tasks of the Done segment
+ * @param {number} [weeks=8] - Number of weeks up to the current one
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{weeks: Array<Date>, counts: object}} Week starts (oldest first) and
+ *          counts per origin (segment ID or 'unknown'), one value per week
+ */
+export function getCompletionsByOrigin(completedTasks, weeks = 8, now = Date.now()) {
+    const periods = getPeriods('week', weeks, now);
+
+    const counts = { unknown: new Array(weeks).fill(0) };
+    ORIGIN_SEGMENTS.forEach(segmentId => {
+        counts[segmentId] = new Array(weeks).fill(0);
+    });
+
+    completedTasks.forEach(task => {
+        if (!task.completedAt) return;
+
+        const index = findPeriod(periods, task.completedAt);
+        if (index === -1) return;
+
+        counts[getCompletedFrom(task) ?? 'unknown'][index]++;
+    });
+
+    return { weeks: periods.map(period => period.start), counts };
+}
+
+/**
+ * Average time from creation to completion per originating quadrant
+ * @param {Array<object>} completedTasks - Tasks of the Done segment
+ * @returns {object} Segment ID -> {average: number|null (ms), count: number}
+ */
+export function getAverageTimeByOrigin(completedTasks) {
+    const totals = {};
+    ORIGIN_SEGMENTS.forEach(segmentId => {
+        totals[segmentId] = { sum: 0, count: 0 };
+    });
+
+    completedTasks.forEach(task => {
+        const origin = getCompletedFrom(task);
+        if (!origin || typeof task.createdAt !== 'number' || !task.completedAt) return;
+
+        totals[origin].sum += Math.max(0, task.completedAt - task.createdAt);
+        totals[origin].count++;
+    });
+
+    const result = {};
+    ORIGIN_SEGMENTS.forEach(segmentId => {
+        const { sum, count } = totals[segmentId];
+        result[segmentId] = { average: count > 0 ? sum / count : null, count };
+    });
+    return result;
+}
+
+/**
+ * Check whether a task was in a quadrant at some point
+ */
+function wasInSegment(task, segmentId) {
+    if (task.segment === segmentId || task.escalatedFrom === segmentId || task.completedFrom === segmentId) {
+        return true;
+    }
+    return (task.activity || []).some(event => event.from === segmentId || event.to === segmentId);
+}
+
+/**
+ * Check whether a task went from Schedule! to Do! (deadline escalation or moved by hand)
+ */
+function wasPulledIntoDo(task) {
+    if (task.escalatedFrom === SEGMENTS.SCHEDULE) return true;
+    return (task.activity || []).some(event =>
+        event.type === 'moved' && event.from === SEGMENTS.SCHEDULE && event.to === SEGMENTS.DO
+    );
+}
+
+/**
+ * Firefighting ratio: share of the tasks planned in Schedule! that ended up in Do!
+ * @param {object} tasks - Tasks grouped by segment (open and done tasks count)
+ * @returns {{escalated: number, scheduled: number, ratio: number|null}}
+ *          ratio is null without any scheduled task
+ */
+export function getFirefightingRatio(tasks) {
+    let scheduled = 0;
+    let escalated = 0;
+
+    Object.values(tasks).flat().forEach(task => {
+        if (!wasInSegment(task, SEGMENTS.SCHEDULE)) return;
+        scheduled++;
+        if (wasPulledIntoDo(task)) escalated++;
+    });
+
+    return { escalated, scheduled, ratio: scheduled > 0 ? escalated / scheduled : null };
+}
+
+/**
+ * Format a duration for display (2d 3h, 5h, 12m)
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Formatted duration or '-'
+ */
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+
+    const days = Math.floor(ms / DAY_MS);
+    const hours = Math.floor(ms / (60 * 60 * 1000)) % 24;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h`;
+    return `${Math.floor(ms / (60 * 1000))}m`;
+}
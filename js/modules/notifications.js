@@ -130,6 +130,21 @@ export function showNotification(options) {
   return id;
 }
 
+/**
+ * Replace the message of a visible notification (e.g. progress)
+ * @param {string} id - Notification ID
+ * @param {string} message - New message
+ */
+export function updateNotification(id, message) {
+  const notif = activeNotifications.find(n => n.id === id);
+  if (!notif) return;
+
+  const messageEl = notif.element.querySelector('.notification-message');
+  if (messageEl) {
+    messageEl.textContent = message;
+  }
+}
+
 /**
  * Dismiss notification
  * @param {string} id - Notification ID
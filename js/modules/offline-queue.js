@@ -1,14 +1,58 @@
 /**
  * @fileoverview Offline Queue Management (Instance-based with Events)
- * @version 3.0.0
+ * @version 5.0.0
  * @since 2025-10-17
  *
  * Complete rewrite: Static class → Instance class with Event Emitter
  * Fixes: offlineQueue.on is not a function error
+ *
+ * v4: Items are serializable descriptors ({operation, key, payload}) that are
+ * executed by handlers registered per operation, so queued items survive a
+ * reload. Queued writes to the same key (e.g. task ID) are coalesced.
+ *
+ * v5: Failed items are retried on a schedule (exponential backoff with jitter,
+ * capped). Errors that cannot succeed on a retry (e.g. permission-denied from
+ * firestore.rules) fail the item at once. Failed items stay in the queue as the
+ * dead-letter list: they can be retried, discarded or exported for debugging.
  */
 
 const localforage = window.localforage;
 
+// Firestore error codes that a retry cannot fix (rejected by the rules, malformed data, ...)
+const PERMANENT_ERROR_CODES = [
+  'permission-denied',
+  'invalid-argument',
+  'not-found',
+  'already-exists',
+  'failed-precondition',
+  'out-of-range',
+  'unimplemented',
+  'data-loss'
+];
+
+/**
+ * Check whether an operation may succeed when it is tried again
+ * Network problems and errors without a known code are retryable.
+ * @param {Error} error - Error thrown by the handler
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return !(error && PERMANENT_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * Delay before the next attempt: exponential, capped, with jitter so that
+ * several clients (or items) do not retry in lockstep
+ * @param {number} attempt - Number of failed attempts (1 = first failure)
+ * @param {number} baseDelay - Delay after the first failure (ms)
+ * @param {number} maxDelay - Upper bound (ms)
+ * @returns {number} Delay in ms (between half and all of the capped delay)
+ */
+export function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
 /**
  * Offline Queue Manager
  */
@@ -16,13 +60,19 @@ export class OfflineQueue {
   /**
    * Create new queue instance
    * @param {string} queueName - Queue identifier
+   * @param {Object} [options]
+   * @param {number} [options.baseDelay=1000] - Backoff after the first failure (ms)
+   * @param {number} [options.maxDelay=300000] - Longest backoff (ms)
    */
-  constructor(queueName) {
+  constructor(queueName, { baseDelay = 1000, maxDelay = 5 * 60 * 1000 } = {}) {
     this.queueName = queueName;
     this.eventListeners = new Map();
-    this.executors = new Map(); // Store executor functions separately
+    this.handlers = new Map(); // Operation name -> async handler(payload, item)
     this.queue = [];
     this.isProcessing = false;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryTimer = null;
 
     // Create IndexedDB store
     this.store = localforage.createInstance({
@@ -30,8 +80,8 @@ export class OfflineQueue {
       storeName: `queue_${queueName}`
     });
 
-    // Load existing queue
-    this._loadQueue();
+    // Load existing queue (add and processQueue wait for it)
+    this.ready = this._loadQueue();
 
     console.log(`[OfflineQueue] Initialized: ${queueName}`);
   }
@@ -44,8 +94,21 @@ export class OfflineQueue {
     try {
       const stored = await this.store.getItem('queue');
       if (stored && Array.isArray(stored)) {
-        this.queue = stored;
-        console.log(`[OfflineQueue] Loaded ${this.queue.length} items`);
+        // Items of older versions held closures that did not survive the reload
+        const restorable = stored.filter(item => 'payload' in item);
+        if (restorable.length < stored.length) {
+          console.warn(`[OfflineQueue] Dropped ${stored.length - restorable.length} items without payload`);
+        }
+
+        // Items interrupted by the reload are retried
+        restorable.forEach(item => {
+          if (item.status === 'processing') {
+            item.status = 'pending';
+          }
+        });
+        // Keep items added while loading
+        this.queue = [...restorable, ...this.queue];
+        console.log(`[OfflineQueue] Loaded ${restorable.length} items`);
       }
     } catch (error) {
       console.error('[OfflineQueue] Load error:', error);
@@ -104,29 +167,72 @@ export class OfflineQueue {
     }
   }
 
+  /**
+   * Register the handler that executes an operation
+   * Handlers must be registered before the queue is processed (e.g. at module load).
+   * @param {string} operation - Operation name
+   * @param {Function} handler - Async function (payload, item)
+   */
+  registerHandler(operation, handler) {
+    this.handlers.set(operation, handler);
+  }
+
+  /**
+   * Find a pending (not yet started) item
+   * @private
+   */
+  _findPending(key, operations) {
+    return this.queue.find(i =>
+      i.status === 'pending' && i.key === key && operations.includes(i.operation)
+    );
+  }
+
   /**
    * Add item to queue
-   * @param {string} operation - Operation description
-   * @param {Function} executor - Async function to execute
-   * @param {Object} metadata - Additional data
-   * @param {number} maxRetries - Max retry attempts
+   * @param {string} operation - Operation name (a registered handler)
+   * @param {Object} payload - Serializable data for the handler
+   * @param {Object} [options]
+   * @param {string} [options.key] - Target of the operation (e.g. task ID), used for coalescing
+   * @param {Array<string>} [options.mergeInto] - Pending operations on the same key that take
+   *        over this payload instead of queueing a new item (the payload must be the full state)
+   * @param {Array<string>} [options.supersedes] - Pending operations on the same key that become obsolete
+   * @param {number} [options.maxRetries=5] - Max attempts before the item fails
+   * @returns {Promise<string>} Item ID
    */
-  async add(operation, executor, metadata = {}, maxRetries = 3) {
-    const id = this._generateId();
+  async add(operation, payload = {}, { key = null, mergeInto = [], supersedes = [], maxRetries = 5 } = {}) {
+    await this.ready;
+
+    const existing = key !== null ? this._findPending(key, mergeInto) : null;
+    if (existing) {
+      // Coalesce: one write with the latest state, at the position of the first one
+      existing.payload = payload;
+      await this._saveQueue();
+
+      console.log(`[OfflineQueue] Coalesced: ${operation} into ${existing.operation} (${existing.id})`);
+      this._emit('itemAdded', existing);
+      return existing.id;
+    }
 
-    // Store executor function separately (not serializable)
-    this.executors.set(id, executor);
+    if (key !== null && supersedes.length > 0) {
+      this.queue = this.queue.filter(i =>
+        !(i.status === 'pending' && i.key === key && supersedes.includes(i.operation))
+      );
+    }
 
-    // Create serializable item (without executor function)
+    const id = this._generateId();
     const item = {
       id,
       operation,
-      metadata,
+      key,
+      payload,
       retries: 0,
       maxRetries,
       createdAt: new Date().toISOString(),
       status: 'pending',
-      error: null
+      error: null,
+      errorCode: null,
+      nextAttemptAt: null,
+      failedAt: null
     };
 
     this.queue.push(item);
@@ -143,46 +249,95 @@ export class OfflineQueue {
     return id;
   }
 
+  /**
+   * Reset an item for a new round of attempts
+   * @private
+   */
+  _resetItem(item) {
+    item.status = 'pending';
+    item.retries = 0;
+    item.error = null;
+    item.errorCode = null;
+    item.nextAttemptAt = null;
+    item.failedAt = null;
+  }
+
+  /**
+   * Schedule processing for the earliest item waiting for its backoff
+   * @private
+   */
+  _scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const waiting = this.queue.filter(i => i.status === 'pending' && i.nextAttemptAt);
+    if (waiting.length === 0) return;
+
+    const next = Math.min(...waiting.map(i => i.nextAttemptAt));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      // While offline the online event resumes the queue
+      if (navigator.onLine) {
+        this.processQueue();
+      }
+    }, Math.max(0, next - Date.now()));
+  }
+
   /**
    * Process all pending items in queue
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate=false] - Also process items still waiting for their backoff
+   *        (e.g. when the connection is back)
    */
-  async processQueue() {
+  async processQueue({ immediate = false } = {}) {
+    await this.ready;
+
     if (this.isProcessing) {
       console.log('[OfflineQueue] Already processing');
       return { processed: 0, succeeded: 0, failed: 0 };
     }
 
-    const pendingItems = this.queue.filter(i => i.status === 'pending');
+    const now = Date.now();
+    const pendingItems = this.queue.filter(i =>
+      i.status === 'pending' && (immediate || !i.nextAttemptAt || i.nextAttemptAt <= now)
+    );
 
     if (pendingItems.length === 0) {
-      console.log('[OfflineQueue] Queue empty');
-      this._emit('queueEmpty');
+      if (this.getPendingCount() > 0) {
+        this._scheduleRetry();
+      } else {
+        console.log('[OfflineQueue] Queue empty');
+        this._emit('queueEmpty');
+      }
       return { processed: 0, succeeded: 0, failed: 0 };
     }
 
     this.isProcessing = true;
     console.log(`[OfflineQueue] Processing ${pendingItems.length} items...`);
+    this._emit('processingStarted');
 
     let processed = 0;
     let succeeded = 0;
     let failed = 0;
 
     for (const item of pendingItems) {
+      // Removed while processing (superseded)
+      if (!this.queue.includes(item)) continue;
+
       try {
         item.status = 'processing';
         await this._saveQueue();
 
-        // Get executor function from map
-        const executor = this.executors.get(item.id);
-        if (typeof executor === 'function') {
-          await executor();
-        } else {
-          throw new Error('Executor is not a function - queue may have been cleared');
+        const handler = this.handlers.get(item.operation);
+        if (typeof handler !== 'function') {
+          const missing = new Error(`No handler registered for operation: ${item.operation}`);
+          missing.code = 'unimplemented';
+          throw missing;
         }
+        await handler(item.payload, item);
 
         // Success - remove from queue
         this.queue = this.queue.filter(i => i.id !== item.id);
-        this.executors.delete(item.id); // Clean up executor
         await this._saveQueue();
 
         succeeded++;
@@ -193,18 +348,22 @@ export class OfflineQueue {
         failed++;
         item.retries++;
         item.error = error.message;
+        item.errorCode = error.code || null;
 
         console.error(`[OfflineQueue] ✗ Failed: ${item.operation}`, error);
 
-        if (item.retries >= item.maxRetries) {
-          // Max retries reached
+        const retryable = isRetryableError(error);
+        if (!retryable || item.retries >= item.maxRetries) {
+          // Dead letter: kept until retried or discarded
           item.status = 'failed';
-          console.warn(`[OfflineQueue] Max retries: ${item.operation}`);
+          item.nextAttemptAt = null;
+          item.failedAt = new Date().toISOString();
+          console.warn(`[OfflineQueue] ${retryable ? 'Max retries' : 'Permanent error'}: ${item.operation}`);
           this._emit('itemFailed', item, error);
-          this.executors.delete(item.id); // Clean up executor
         } else {
-          // Reset to pending for retry
+          // Back to pending, retried after the backoff
           item.status = 'pending';
+          item.nextAttemptAt = Date.now() + getBackoffDelay(item.retries, this.baseDelay, this.maxDelay);
           console.log(`[OfflineQueue] Will retry: ${item.operation} (${item.retries}/${item.maxRetries})`);
         }
 
@@ -221,6 +380,13 @@ export class OfflineQueue {
     if (stillPending === 0) {
       this._emit('queueEmpty');
     }
+    this._scheduleRetry();
+
+    // Items added during this run were not started by add() and have no retry timer
+    const arrived = this.queue.some(i => i.status === 'pending' && !i.nextAttemptAt);
+    if (arrived && navigator.onLine) {
+      setTimeout(() => this.processQueue(), 0);
+    }
 
     const result = { processed, succeeded, failed };
     console.log('[OfflineQueue] Complete:', result);
@@ -235,12 +401,135 @@ export class OfflineQueue {
     return this.queue.filter(i => i.status === 'pending').length;
   }
 
+  /**
+   * Check whether a queued (not yet written) item matches
+   * @param {Function} predicate - Called with each item
+   * @returns {boolean}
+   */
+  hasPending(predicate) {
+    return this.queue.some(i =>
+      (i.status === 'pending' || i.status === 'processing') && predicate(i)
+    );
+  }
+
+  /**
+   * Get count of permanently failed items
+   */
+  getFailedCount() {
+    return this.queue.filter(i => i.status === 'failed').length;
+  }
+
+  /**
+   * Get copies of all items (pending, processing and failed)
+   * @returns {Array<Object>}
+   */
+  getItems() {
+    return this.queue.map(item => ({ ...item }));
+  }
+
+  /**
+   * Retry an item (also a failed one) with a fresh retry budget
+   * @param {string} id - Item ID
+   */
+  async retry(id) {
+    const item = this.queue.find(i => i.id === id);
+    if (!item || item.status === 'processing') return;
+
+    this._resetItem(item);
+    await this._saveQueue();
+    this._emit('itemAdded', item);
+
+    return this.processQueue();
+  }
+
+  /**
+   * Retry all failed items
+   */
+  async retryFailed() {
+    this.queue.forEach(item => {
+      if (item.status === 'failed') {
+        this._resetItem(item);
+      }
+    });
+    await this._saveQueue();
+
+    return this.processQueue({ immediate: true });
+  }
+
+  /**
+   * Get copies of the permanently failed items (dead letters)
+   * @returns {Array<Object>}
+   */
+  getDeadLetters() {
+    return this.getItems().filter(item => item.status === 'failed');
+  }
+
+  /**
+   * Export the dead letters for debugging
+   * @returns {Object} Serializable report ({queue, exportedAt, items})
+   */
+  exportDeadLetters() {
+    return {
+      queue: this.queueName,
+      exportedAt: new Date().toISOString(),
+      items: this.getDeadLetters()
+    };
+  }
+
+  /**
+   * Discard an item without executing it
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} False if the item is unknown or being executed
+   */
+  async remove(id) {
+    const item = this.queue.find(i => i.id === id);
+    if (!item || item.status === 'processing') return false;
+
+    this.queue = this.queue.filter(i => i !== item);
+    await this._saveQueue();
+    this._emit('itemRemoved', item);
+    return true;
+  }
+
+  /**
+   * Discard pending items of some keys (e.g. written by other means)
+   * Items already being written are kept.
+   * @param {Array<string>} keys - Targets of the operations
+   * @returns {Promise<Array<Object>>} Discarded items, in queue order
+   */
+  async discardPending(keys) {
+    const targets = new Set(keys);
+    const discarded = this.queue.filter(i => i.status === 'pending' && targets.has(i.key));
+    if (discarded.length === 0) return [];
+
+    this.queue = this.queue.filter(i => !discarded.includes(i));
+    await this._saveQueue();
+    discarded.forEach(item => this._emit('itemRemoved', item));
+    return discarded;
+  }
+
+  /**
+   * Update the payload of pending items (e.g. after an earlier write to the same key)
+   * @param {string} key - Target of the operations
+   * @param {Function} updater - Called with each payload, returns the new payload
+   */
+  async updatePending(key, updater) {
+    const items = this.queue.filter(i => i.status === 'pending' && i.key === key);
+    if (items.length === 0) return;
+
+    items.forEach(item => {
+      item.payload = updater(item.payload);
+    });
+    await this._saveQueue();
+  }
+
   /**
    * Clear all items
    */
   async clearAll() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
     this.queue = [];
-    this.executors.clear(); // Clear executor functions too
     await this._saveQueue();
     this._emit('queueEmpty');
   }
@@ -0,0 +1,246 @@
+/**
+ * Ordering Module
+ * Fractional index keys for the manual order of tasks within a segment,
+ * and the sort modes offered in the quadrant headers
+ *
+ * Every task stores an `order` string. Tasks are sorted by comparing these
+ * strings, and a task moved between two neighbours gets a key that sorts
+ * between theirs, so a reorder only ever writes the moved task. Keys use
+ * base-62 digits in ASCII order and never end in '0', which guarantees that
+ * there is always room for another key between two existing ones.
+ * Adding tasks at the same end of a segment again and again makes the keys
+ * longer, so a segment whose keys outgrow MAX_ORDER_KEY_LENGTH gets fresh ones.
+ */
+
+import { MAX_ORDER_KEY_LENGTH } from './config.js';
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Compute a digit string between a and b
+ * @param {string} a - Lower bound ('' = start)
+ * @param {string|null} b - Upper bound (null = end)
+ * @returns {string}
+ */
+function midpoint(a, b) {
+    if (b !== null) {
+        // Keep the common prefix (a is padded with zeros) and continue behind it
+        let n = 0;
+        while ((a[n] || '0') === b[n]) {
+            n++;
+        }
+        if (n > 0) {
+            return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+        }
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+
+    // Adjacent digits: b's first digit alone already sorts between a and b
+    if (b !== null && b.length > 1) {
+        return b.slice(0, 1);
+    }
+
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Validate an order key
+ * @param {string} key - Order key
+ */
+function assertKey(key) {
+    if (typeof key !== 'string' || key === '' || key.endsWith('0') ||
+        [...key].some(char => !DIGITS.includes(char))) {
+        throw new Error(`Invalid order key: ${key}`);
+    }
+}
+
+/**
+ * Compare two order keys (plain string order, not locale-aware)
+ * @param {string} a - Order key
+ * @param {string} b - Order key
+ * @returns {number} Negative, zero or positive
+ */
+export function compareKeys(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Generate a key that sorts between two keys
+ * @param {string|null} a - Key before (null = before the first task)
+ * @param {string|null} b - Key after (null = after the last task)
+ * @returns {string} New key with a < key < b
+ */
+export function keyBetween(a = null, b = null) {
+    if (a !== null) assertKey(a);
+    if (b !== null) assertKey(b);
+    if (a !== null && b !== null && a >= b) {
+        throw new Error(`Order keys out of range: ${a} >= ${b}`);
+    }
+
+    return midpoint(a || '', b);
+}
+
+/**
+ * Generate n evenly spread keys between two keys
+ * Bisecting keeps the keys short, unlike calling keyBetween n times in a row.
+ * @param {string|null} a - Key before (null = start)
+ * @param {string|null} b - Key after (null = end)
+ * @param {number} n - Number of keys
+ * @returns {Array<string>} Ascending keys
+ */
+export function keysBetween(a, b, n) {
+    if (n <= 0) return [];
+
+    const middle = keyBetween(a, b);
+    const before = Math.floor((n - 1) / 2);
+
+    return [
+        ...keysBetween(a, middle, before),
+        middle,
+        ...keysBetween(middle, b, n - 1 - before)
+    ];
+}
+
+/**
+ * Sort tasks by their order key (ties are broken by ID so every device agrees)
+ * @param {Array<object>} segmentTasks - Tasks of one segment
+ * @returns {Array<object>} The same array, sorted
+ */
+export function sortByOrder(segmentTasks) {
+    return segmentTasks.sort((a, b) =>
+        compareKeys(a.order || '', b.order || '') || compareKeys(String(a.id), String(b.id))
+    );
+}
+
+/**
+ * Give tasks without an order key one and sort every segment (in place)
+ * Tasks without a key (created before manual ordering) keep their current
+ * relative position and are placed after the ordered tasks.
+ * @param {object} tasks - Tasks grouped by segment
+ * @returns {Array<object>} Tasks that received a new key (storage must save them)
+ */
+export function ensureTaskOrder(tasks) {
+    const assigned = [];
+
+    Object.values(tasks || {}).forEach(segmentTasks => {
+        if (!segmentTasks) return;
+
+        const unordered = segmentTasks.filter(task => !isValidKey(task.order));
+        const ordered = sortByOrder(segmentTasks.filter(task => isValidKey(task.order)));
+        const last = ordered.length > 0 ? ordered[ordered.length - 1].order : null;
+
+        keysBetween(last, null, unordered.length).forEach((key, i) => {
+            unordered[i].order = key;
+            assigned.push(unordered[i]);
+        });
+
+        segmentTasks.splice(0, segmentTasks.length, ...ordered, ...unordered);
+    });
+
+    return assigned;
+}
+
+/**
+ * Regenerate the keys of a segment once one of them is too long (in place)
+ * The tasks keep their order and get short, evenly spread keys again.
+ * @param {Array<object>} segmentTasks - Tasks of one segment
+ * @returns {Array<object>} Tasks that received a new key (storage must save them)
+ */
+export function rebalanceKeys(segmentTasks) {
+    if (!segmentTasks.some(task => String(task.order || '').length > MAX_ORDER_KEY_LENGTH)) {
+        return [];
+    }
+
+    const assigned = [];
+
+    sortByOrder(segmentTasks);
+    keysBetween(null, null, segmentTasks.length).forEach((key, i) => {
+        if (segmentTasks[i].order !== key) {
+            segmentTasks[i].order = key;
+            assigned.push(segmentTasks[i]);
+        }
+    });
+
+    return assigned;
+}
+
+/**
+ * Check whether a value is a usable order key
+ * @param {*} key - Value to check
+ * @returns {boolean}
+ */
+export function isValidKey(key) {
+    try {
+        assertKey(key);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Convert a stored timestamp to milliseconds
+ * Firestore returns server timestamps as Timestamp objects instead of numbers.
+ * @param {number|Date|object|null} value - Timestamp
+ * @returns {number|null}
+ */
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return null;
+}
+
+/**
+ * Compare two optional numbers, missing values last
+ */
+function compareOptional(a, b, descending = false) {
+    if (a === null && b === null) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return descending ? b - a : a - b;
+}
+
+/**
+ * Time of the last change (tasks from before `updatedAt` fall back to creation)
+ */
+function getModifiedAt(task) {
+    return toMillis(task.updatedAt) ?? toMillis(task.createdAt);
+}
+
+// Comparators per sort mode; ties keep the manual order (Array.prototype.sort is stable)
+const COMPARATORS = {
+    // Oldest first
+    created: (a, b) => compareOptional(toMillis(a.createdAt), toMillis(b.createdAt)),
+    // Earliest due date first, tasks without due date last
+    due: (a, b) => compareOptional(a.dueDate || null, b.dueDate || null),
+    // Most recently changed first
+    modified: (a, b) => compareOptional(getModifiedAt(a), getModifiedAt(b), true)
+};
+
+/**
+ * Sort the tasks of a segment for display (does not mutate the input)
+ * @param {Array<object>} segmentTasks - Tasks in manual order
+ * @param {string} [mode='manual'] - Sort mode (manual, created, due, alpha, modified)
+ * @param {string} [locale] - Locale for alphabetical sorting
+ * @returns {Array<object>} Sorted copy
+ */
+export function sortTasks(segmentTasks, mode = 'manual', locale = undefined) {
+    const sorted = [...segmentTasks];
+
+    if (mode === 'alpha') {
+        const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+        return sorted.sort((a, b) => collator.compare(a.text, b.text));
+    }
+
+    const compare = COMPARATORS[mode];
+    return compare ? sorted.sort(compare) : sorted;
+}
@@ -0,0 +1,361 @@
+/**
+ * Quick Add Parser Module
+ * Natural-language parsing of task input in German and English
+ *
+ * "Call Bob tomorrow 3pm !urgent #work every monday" becomes
+ * { text: 'Call Bob', segment: 3, dueDate: <tomorrow 15:00>, tags: ['#work'],
+ *   recurring: { enabled: true, interval: 'weekly', weekdays: [1], ... } }
+ *
+ * Recognized phrases are removed from the task text. The recurring config has
+ * the same shape as getRecurringConfig() in ui.js.
+ */
+
+import { SEGMENTS } from './config.js';
+import { parseTags } from './tags.js';
+
+// Weekday names (JS getDay() numbering: 0 = Sunday)
+// Abbreviations are left out on purpose, "sun" or "wed" are too common in task texts.
+const WEEKDAYS = {
+    sunday: 0, sonntag: 0,
+    monday: 1, montag: 1,
+    tuesday: 2, dienstag: 2,
+    wednesday: 3, mittwoch: 3,
+    thursday: 4, donnerstag: 4,
+    friday: 5, freitag: 5,
+    saturday: 6, samstag: 6, sonnabend: 6
+};
+
+// Priority flags: important/urgent combine into a quadrant, quadrant names select it directly
+const FLAGS = {
+    urgent: { urgent: true },
+    dringend: { urgent: true },
+    important: { important: true },
+    wichtig: { important: true },
+    do: { segment: SEGMENTS.DO },
+    sofort: { segment: SEGMENTS.DO },
+    schedule: { segment: SEGMENTS.SCHEDULE },
+    planen: { segment: SEGMENTS.SCHEDULE },
+    delegate: { segment: SEGMENTS.DELEGATE },
+    abgeben: { segment: SEGMENTS.DELEGATE },
+    ignore: { segment: SEGMENTS.IGNORE },
+    later: { segment: SEGMENTS.IGNORE },
+    'später': { segment: SEGMENTS.IGNORE },
+    spaeter: { segment: SEGMENTS.IGNORE }
+};
+
+const WEEKDAY = `(${Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|')})`;
+const WEEKDAY_LIST = `${WEEKDAY}(?:\\s*(?:,|and|und)\\s*${WEEKDAY})*`;
+
+// Phrases start at the beginning of the text or after whitespace and end before whitespace/punctuation
+const START = '(^|\\s)';
+const END = '(?=[\\s,;!?]|$)';
+
+const DATE_PREFIX = '(?:(?:on|am|by|bis|due|fällig)\\s+)?';
+const TIME_PREFIX = '(?:(?:at|um)\\s+)?';
+
+/**
+ * Build a phrase regex
+ * @param {string} pattern - Phrase pattern (without boundaries)
+ * @param {string} [flags='i'] - Regex flags
+ * @returns {RegExp}
+ */
+function phrase(pattern, flags = 'i') {
+    return new RegExp(`${START}${pattern}${END}`, flags);
+}
+
+/**
+ * Find a phrase in the remaining text and remove it
+ * @param {{text: string}} state - Parser state (text is updated)
+ * @param {RegExp} regex - Phrase regex (first group is the leading whitespace)
+ * @param {function} handler - Called with the match groups; return false to reject the match
+ * @returns {boolean} True if the phrase was found and consumed
+ */
+function consume(state, regex, handler) {
+    const match = state.text.match(regex);
+    if (!match || handler(match.slice(2)) === false) return false;
+
+    state.text = state.text.slice(0, match.index) + match[1] + state.text.slice(match.index + match[0].length);
+    return true;
+}
+
+/**
+ * Get all weekday numbers mentioned in a weekday list ("monday and thursday")
+ * @param {string} list - Matched weekday list
+ * @returns {Array<number>} Sorted weekday numbers
+ */
+function parseWeekdayList(list) {
+    const days = list.toLowerCase()
+        .split(/\s*(?:,|\band\b|\bund\b)\s*/)
+        .map(name => WEEKDAYS[name.trim()])
+        .filter(day => day !== undefined);
+
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Create a recurring config in the getRecurringConfig() format
+ */
+function recurringConfig(interval, options = {}) {
+    return {
+        enabled: true,
+        interval,
+        weekdays: options.weekdays || [],
+        dayOfMonth: options.dayOfMonth || 1,
+        customDays: options.customDays || 1
+    };
+}
+
+/**
+ * Start of a day (local time)
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Add days in local time (DST-safe)
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Set the time of day on a date (returns a new date)
+ */
+function withTime(date, { hours, minutes }) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+}
+
+/**
+ * Next date with the given weekday, strictly after today
+ */
+function nextWeekday(today, weekday) {
+    const diff = (weekday - today.getDay() + 7) % 7 || 7;
+    return addDays(today, diff);
+}
+
+/**
+ * Build a date from day/month/year, rolling dates without year into the future
+ * @returns {Date|null} Date or null if invalid
+ */
+function buildDate(today, day, month, year) {
+    let fullYear = year ? parseInt(year) : today.getFullYear();
+    if (fullYear < 100) fullYear += 2000;
+
+    const date = new Date(fullYear, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+
+    if (!year && date < today) {
+        date.setFullYear(fullYear + 1);
+    }
+    return date;
+}
+
+/**
+ * Parse recurrence phrases
+ */
+function parseRecurring(state) {
+    const tryConsume = (pattern, handler) => !state.recurring && consume(state, phrase(pattern), handler);
+
+    tryConsume('(?:every|alle)\\s+(\\d+)\\s+(days?|tagen?|weeks?|wochen?)', ([count, unit]) => {
+        const days = parseInt(count) * (/^w/i.test(unit) ? 7 : 1);
+        if (days < 1) return false;
+        state.recurring = recurringConfig('custom', { customDays: days });
+    });
+
+    tryConsume('(?:daily|täglich|taeglich|every\\s+day|jeden\\s+tag)', () => {
+        state.recurring = recurringConfig('daily');
+    });
+
+    tryConsume('(?:every\\s+weekday|werktags|an\\s+werktagen)', () => {
+        state.recurring = recurringConfig('weekly', { weekdays: [1, 2, 3, 4, 5] });
+    });
+
+    tryConsume(`(?:every|jeden)\\s+(${WEEKDAY_LIST})`, ([list]) => {
+        state.recurring = recurringConfig('weekly', { weekdays: parseWeekdayList(list) });
+    });
+
+    // Plural weekday names: "mondays", "montags"
+    tryConsume(`${WEEKDAY}s`, ([name]) => {
+        state.recurring = recurringConfig('weekly', { weekdays: [WEEKDAYS[name.toLowerCase()]] });
+    });
+
+    tryConsume('(?:weekly|wöchentlich|woechentlich|every\\s+week|jede\\s+woche)', () => {
+        state.recurring = recurringConfig('weekly');
+    });
+
+    tryConsume('(?:every|jeden)\\s+(\\d{1,2})(?:st|nd|rd|th|\\.)?(?:\\s+(?:of\\s+the\\s+month|im\\s+monat|des\\s+monats))?', ([day]) => {
+        const dayOfMonth = parseInt(day);
+        if (dayOfMonth < 1 || dayOfMonth > 31) return false;
+        state.recurring = recurringConfig('monthly', { dayOfMonth });
+    });
+
+    tryConsume('(?:monthly|monatlich|every\\s+month|jeden\\s+monat)', () => {
+        state.recurring = recurringConfig('monthly');
+        state.monthlyWithoutDay = true;
+    });
+}
+
+/**
+ * Parse date phrases (relative and absolute)
+ */
+function parseDate(state, today) {
+    const tryConsume = (pattern, handler) => !state.date && consume(state, phrase(pattern), handler);
+
+    tryConsume('(?:day\\s+after\\s+tomorrow|übermorgen|uebermorgen)', () => {
+        state.date = addDays(today, 2);
+    });
+
+    tryConsume('(?:today|heute)', () => {
+        state.date = today;
+    });
+
+    tryConsume('(?:tomorrow|morgen)', () => {
+        state.date = addDays(today, 1);
+    });
+
+    tryConsume('in\\s+(\\d+)\\s+(days?|tagen?|weeks?|wochen?|months?|monaten?)', ([count, unit]) => {
+        const n = parseInt(count);
+        if (/^mon/i.test(unit)) {
+            state.date = new Date(today.getFullYear(), today.getMonth() + n, today.getDate());
+        } else {
+            state.date = addDays(today, n * (/^w/i.test(unit) ? 7 : 1));
+        }
+    });
+
+    tryConsume('(?:next\\s+week|nächste\\s+woche|naechste\\s+woche)', () => {
+        state.date = addDays(today, 7);
+    });
+
+    tryConsume(`${DATE_PREFIX}(?:(?:next|nächsten|naechsten|kommenden)\\s+)?${WEEKDAY}`, ([name]) => {
+        state.date = nextWeekday(today, WEEKDAYS[name.toLowerCase()]);
+    });
+
+    // ISO: 2025-10-21
+    tryConsume(`${DATE_PREFIX}(\\d{4})-(\\d{1,2})-(\\d{1,2})`, ([year, month, day]) => {
+        state.date = buildDate(today, parseInt(day), parseInt(month), year);
+        if (!state.date) return false;
+    });
+
+    // German: 21.10. or 21.10.2025
+    tryConsume(`${DATE_PREFIX}(\\d{1,2})\\.(\\d{1,2})\\.(\\d{2}(?:\\d{2})?)?`, ([day, month, year]) => {
+        state.date = buildDate(today, parseInt(day), parseInt(month), year);
+        if (!state.date) return false;
+    });
+
+    // English: 10/21 or 10/21/2025 (day first if the first number cannot be a month)
+    tryConsume(`${DATE_PREFIX}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}(?:\\d{2})?))?`, ([first, second, year]) => {
+        const a = parseInt(first);
+        const b = parseInt(second);
+        state.date = a > 12 ? buildDate(today, a, b, year) : buildDate(today, b, a, year);
+        if (!state.date) return false;
+    });
+}
+
+/**
+ * Parse time phrases ("3pm", "15:30", "15 Uhr")
+ */
+function parseTime(state) {
+    const setTime = (hours, minutes) => {
+        if (hours > 23 || minutes > 59) return false;
+        state.time = { hours, minutes };
+    };
+    const tryConsume = (pattern, handler) => !state.time && consume(state, phrase(pattern), handler);
+
+    tryConsume(`${TIME_PREFIX}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)`, ([h, m, meridiem]) => {
+        let hours = parseInt(h);
+        if (hours < 1 || hours > 12) return false;
+        if (meridiem.toLowerCase() === 'pm' && hours !== 12) hours += 12;
+        if (meridiem.toLowerCase() === 'am' && hours === 12) hours = 0;
+        return setTime(hours, m ? parseInt(m) : 0);
+    });
+
+    tryConsume(`${TIME_PREFIX}(\\d{1,2}):(\\d{2})(?:\\s*uhr)?`, ([h, m]) => setTime(parseInt(h), parseInt(m)));
+
+    tryConsume(`${TIME_PREFIX}(\\d{1,2})\\s*uhr`, ([h]) => setTime(parseInt(h), 0));
+}
+
+/**
+ * Parse priority flags ("!urgent", "!wichtig", "!do")
+ */
+function parseFlags(state) {
+    const flags = {};
+    const regex = phrase('!(\\p{L}+)', 'iu');
+
+    while (consume(state, regex, ([name]) => {
+        const flag = FLAGS[name.toLowerCase()];
+        if (!flag) return false;
+        Object.assign(flags, flag);
+    })) {
+        // Keep consuming flags
+    }
+
+    if (flags.segment) return flags.segment;
+    if (flags.urgent && flags.important) return SEGMENTS.DO;
+    if (flags.important) return SEGMENTS.SCHEDULE;
+    if (flags.urgent) return SEGMENTS.DELEGATE;
+    return null;
+}
+
+/**
+ * Parse a quick add input
+ * @param {string} input - Raw input text
+ * @param {object} [options] - Parser options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {{text: string, segment: number|null, dueDate: number|null, tags: Array<string>, recurring: object|null}}
+ */
+export function parseQuickAdd(input, { now = new Date() } = {}) {
+    const raw = (input || '').trim();
+    const { text: withoutTags, tags } = parseTags(raw);
+
+    const state = { text: withoutTags, recurring: null, date: null, time: null, monthlyWithoutDay: false };
+    const today = startOfDay(now);
+
+    const segment = parseFlags(state);
+    parseRecurring(state);
+    parseDate(state, today);
+    parseTime(state);
+
+    if (!state.date && state.time) {
+        if (state.recurring && state.recurring.weekdays.length > 0) {
+            // Recurring weekly tasks start on the first matching weekday
+            const candidates = state.recurring.weekdays.map(day => {
+                const date = addDays(today, (day - today.getDay() + 7) % 7);
+                return withTime(date, state.time) <= now ? addDays(date, 7) : date;
+            });
+            state.date = new Date(Math.min(...candidates));
+        } else {
+            // A time that already passed today means tomorrow
+            state.date = withTime(today, state.time) <= now ? addDays(today, 1) : today;
+        }
+    }
+
+    // Date-only values are due at the end of that day (like the due date input)
+    const dueDate = state.date
+        ? withTime(state.date, state.time || { hours: 23, minutes: 59 }).getTime()
+        : null;
+
+    // "monthly" without a day repeats on the day of the due date (or today)
+    if (state.monthlyWithoutDay) {
+        state.recurring.dayOfMonth = (dueDate ? new Date(dueDate) : today).getDate();
+    }
+
+    const text = state.text.replace(/\s+/g, ' ').trim();
+
+    return {
+        text: text || raw,
+        segment,
+        dueDate,
+        tags,
+        recurring: state.recurring
+    };
+}
+
+/**
+ * Check whether the parser recognized anything besides plain text
+ * @param {object} parsed - Result of parseQuickAdd
+ * @returns {boolean}
+ */
+export function hasQuickAddDetails(parsed) {
+    return Boolean(parsed && (parsed.segment || parsed.dueDate || parsed.recurring || parsed.tags.length > 0));
+}
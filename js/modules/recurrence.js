@@ -0,0 +1,176 @@
+/**
+ * Recurrence Module
+ * Computes the next occurrence of recurring tasks and materializes them when due
+ *
+ * Completing a recurring task creates the next instance right away, but with
+ * `upcomingAt` set to the start of the next occurrence day. Until then the
+ * instance is hidden; the scheduler clears `upcomingAt` once the day arrives.
+ */
+
+import { RECURRENCE_CHECK_INTERVAL } from './config.js';
+
+/**
+ * Start of a day (local time)
+ * @param {Date|number} date - Date or timestamp
+ * @returns {Date}
+ */
+function startOfDay(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Add days in local time (keeps the day stable across DST changes)
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Date with the given day of month, clamped to the month length (31st -> 28th/29th in February)
+ */
+function clampedDayOfMonth(year, month, dayOfMonth) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(dayOfMonth, daysInMonth));
+}
+
+/**
+ * Get the next occurrence day of a recurring config
+ * @param {object} recurring - Recurring config ({interval, weekdays, dayOfMonth, customDays})
+ * @param {Date|number} from - Reference date; the occurrence is on a later day
+ * @returns {Date|null} Start of the next occurrence day or null if the config is invalid
+ */
+export function getNextOccurrence(recurring, from) {
+    if (!recurring || !recurring.enabled) return null;
+
+    const day = startOfDay(from);
+
+    switch (recurring.interval) {
+        case 'daily':
+            return addDays(day, 1);
+
+        case 'weekly': {
+            const weekdays = recurring.weekdays || [];
+            if (weekdays.length === 0) {
+                return addDays(day, 7);
+            }
+            for (let offset = 1; offset <= 7; offset++) {
+                const candidate = addDays(day, offset);
+                if (weekdays.includes(candidate.getDay())) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+
+        case 'monthly': {
+            const dayOfMonth = recurring.dayOfMonth || 1;
+            const thisMonth = clampedDayOfMonth(day.getFullYear(), day.getMonth(), dayOfMonth);
+            return thisMonth > day
+                ? thisMonth
+                : clampedDayOfMonth(day.getFullYear(), day.getMonth() + 1, dayOfMonth);
+        }
+
+        case 'custom':
+            return addDays(day, Math.max(1, recurring.customDays || 1));
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get due date and visibility of the instance following a completed recurring task
+ * The schedule continues from the due date, or from today if the task was completed late.
+ * @param {object} task - Completed recurring task
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{dueDate: number, upcomingAt: number}|null} Null if the config is invalid
+ */
+export function getNextInstanceDates(task, now = Date.now()) {
+    const anchor = Math.max(task.dueDate || 0, now);
+    const occurrence = getNextOccurrence(task.recurring, anchor);
+    if (!occurrence) return null;
+
+    // Keep the time of day of the previous due date; date-only tasks are due at the end of the day
+    const time = task.dueDate ? new Date(task.dueDate) : null;
+    const dueDate = new Date(occurrence);
+    if (time) {
+        dueDate.setHours(time.getHours(), time.getMinutes(), 0, 0);
+    } else {
+        dueDate.setHours(23, 59, 0, 0);
+    }
+
+    return {
+        dueDate: dueDate.getTime(),
+        upcomingAt: occurrence.getTime()
+    };
+}
+
+/**
+ * Check whether a task is an upcoming recurring instance that is not shown yet
+ * @param {object} task - Task object
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {boolean}
+ */
+export function isUpcoming(task, now = Date.now()) {
+    return Boolean(task.upcomingAt) && task.upcomingAt > now;
+}
+
+/**
+ * Get tasks without upcoming instances (for rendering)
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {object} Visible tasks grouped by segment
+ */
+export function getVisibleTasks(tasks, now = Date.now()) {
+    const visible = {};
+    Object.keys(tasks).forEach(segmentId => {
+        visible[segmentId] = tasks[segmentId].filter(task => !isUpcoming(task, now));
+    });
+    return visible;
+}
+
+/**
+ * Make upcoming instances whose day has arrived visible
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Array<object>} Materialized tasks
+ */
+export function materializeDueOccurrences(tasks, now = Date.now()) {
+    const materialized = [];
+
+    Object.values(tasks).forEach(segmentTasks => {
+        segmentTasks.forEach(task => {
+            if (task.upcomingAt && task.upcomingAt <= now) {
+                task.upcomingAt = null;
+                materialized.push(task);
+            }
+        });
+    });
+
+    return materialized;
+}
+
+/**
+ * Start the recurrence scheduler
+ * Runs an initial check immediately and then on a fixed interval.
+ * @param {object} options - Scheduler options
+ * @param {function} options.getTasks - Returns the current tasks object
+ * @param {function} options.onMaterialize - Called with the materialized tasks (only if there are any)
+ * @param {number} [options.interval] - Check interval (ms)
+ * @returns {function} Stop function
+ */
+export function startRecurrenceScheduler({ getTasks, onMaterialize, interval = RECURRENCE_CHECK_INTERVAL }) {
+    const check = () => {
+        const materialized = materializeDueOccurrences(getTasks(), Date.now());
+        if (materialized.length > 0) {
+            onMaterialize(materialized);
+        }
+    };
+
+    check();
+    const timer = setInterval(check, interval);
+
+    console.log('[Recurrence] Scheduler started');
+    return () => clearInterval(timer);
+}
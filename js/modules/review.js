@@ -0,0 +1,125 @@
+/**
+ * Review Module
+ * Weekly review: walk through the open tasks of every quadrant and decide for
+ * each one (keep, move, delegate, drop, reschedule)
+ *
+ * The time of the last finished review is stored per device like the other
+ * preferences. A review is due REVIEW_INTERVAL_DAYS after the last one; before
+ * the first review it is due once a task has been open for that long.
+ */
+
+import {
+    SEGMENTS,
+    STORAGE_KEYS,
+    REVIEW_INTERVAL_DAYS,
+    DEFAULT_REVIEW_AGE_DAYS
+} from './config.js';
+import { ORIGIN_SEGMENTS, getCompletedFrom } from './metrics.js';
+import { isUpcoming } from './recurrence.js';
+import { getTaskAgeDays } from './aging.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_ACTIONS = ['keep', 'move', 'delegate', 'drop', 'reschedule'];
+
+/**
+ * Get the time of the last finished review
+ * @returns {number|null} Timestamp (ms) or null if there was none
+ */
+export function getLastReviewAt() {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEYS.LAST_REVIEW), 10);
+    return isNaN(stored) ? null : stored;
+}
+
+/**
+ * Remember the time of the finished review
+ * @param {number} [timestamp=Date.now()] - Timestamp (ms)
+ */
+export function setLastReviewAt(timestamp = Date.now()) {
+    localStorage.setItem(STORAGE_KEYS.LAST_REVIEW, String(timestamp));
+}
+
+/**
+ * Get the age (days) from which open tasks are highlighted in the review
+ * @returns {number} Days
+ */
+export function getReviewAgeDays() {
+    const days = parseInt(localStorage.getItem(STORAGE_KEYS.REVIEW_AGE_DAYS), 10);
+    return isNaN(days) || days < 1 ? DEFAULT_REVIEW_AGE_DAYS : days;
+}
+
+/**
+ * Set the age (days) from which open tasks are highlighted in the review
+ * @param {number} days - Days
+ */
+export function setReviewAgeDays(days) {
+    localStorage.setItem(STORAGE_KEYS.REVIEW_AGE_DAYS, String(days));
+}
+
+/**
+ * Open tasks of the quadrants in review order
+ * Do! to Ignore!, oldest first within a quadrant. Upcoming recurring instances
+ * are not shown in the matrix yet and are left out.
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Array<object>} Tasks
+ */
+export function buildReviewQueue(tasks, now = Date.now()) {
+    return ORIGIN_SEGMENTS.flatMap(segmentId => (tasks[segmentId] || [])
+        .filter(task => !task.checked && !isUpcoming(task, now))
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    );
+}
+
+/**
+ * Summary shown at the start of a review
+ * Without a previous review the completions of the last REVIEW_INTERVAL_DAYS count.
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number|null} lastReviewAt - Time of the last review
+ * @param {number} ageDays - Age from which open tasks count as old
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{since: number, firstReview: boolean, completed: number, completedByOrigin: object, open: number, old: number}}
+ *          completedByOrigin: segment ID or 'unknown' -> number of tasks
+ */
+export function getReviewSummary(tasks, lastReviewAt, ageDays, now = Date.now()) {
+    const since = lastReviewAt || now - REVIEW_INTERVAL_DAYS * DAY_MS;
+
+    const completedByOrigin = { unknown: 0 };
+    ORIGIN_SEGMENTS.forEach(segmentId => {
+        completedByOrigin[segmentId] = 0;
+    });
+
+    const completed = (tasks[SEGMENTS.DONE] || []).filter(task => task.completedAt && task.completedAt >= since);
+    completed.forEach(task => {
+        completedByOrigin[getCompletedFrom(task) ?? 'unknown']++;
+    });
+
+    const open = buildReviewQueue(tasks, now);
+
+    return {
+        since,
+        firstReview: !lastReviewAt,
+        completed: completed.length,
+        completedByOrigin,
+        open: open.length,
+        old: open.filter(task => getTaskAgeDays(task, now) >= ageDays).length
+    };
+}
+
+/**
+ * Check whether a review is due
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {number|null} lastReviewAt - Time of the last review
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {boolean}
+ */
+export function isReviewDue(tasks, lastReviewAt, now = Date.now()) {
+    if (lastReviewAt) {
+        return now - lastReviewAt >= REVIEW_INTERVAL_DAYS * DAY_MS;
+    }
+
+    // Nothing to review for new users yet
+    return ORIGIN_SEGMENTS.some(segmentId => (tasks[segmentId] || []).some(task =>
+        !task.checked && getTaskAgeDays(task, now) >= REVIEW_INTERVAL_DAYS
+    ));
+}
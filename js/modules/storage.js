@@ -7,6 +7,19 @@
 import { OfflineQueue } from './offline-queue.js';
 import { ErrorHandler, NetworkError } from './error-handler.js';
 import { showError, showSuccess, showInfo, showWarning } from './notifications.js';
+import { STORAGE_KEYS, FIRESTORE_BATCH_LIMIT, BACKUP_SCHEMA_VERSION } from './config.js';
+import { migrateTaskIds } from './ids.js';
+import { toLocalTask } from './sync.js';
+import { buildTaskData } from './firestore-schema.js';
+import { tasksToCsv } from './csv.js';
+import { tasksToIcs } from './ical.js';
+import {
+    getSyncedTask,
+    rememberSyncedTask,
+    forgetSyncedTask,
+    clearSyncedTasks,
+    resolveAutomatically
+} from './conflicts.js';
 
 // Note: This module expects auth.js to provide:
 // - currentUser, isGuestMode
@@ -19,12 +32,20 @@ const offlineQueue = new OfflineQueue('eisenhauer-sync-queue');
 // UI update callback
 let syncStatusCallback = null;
 
+// Called when a queued write hit a task that changed on another device
+let conflictCallback = null;
+
+// Firestore instance for queued writes (also those restored after a reload)
+let queueDb = null;
+
 /**
  * Initialize storage module with notification support
  * @param {Function} onSyncStatusChange - Optional callback for sync status updates
+ * @param {Function} onConflict - Optional callback for edit conflicts ({taskId, base, mine, theirs, resolved})
  */
-export function initStorage(onSyncStatusChange = null) {
+export function initStorage(onSyncStatusChange = null, onConflict = null) {
     syncStatusCallback = onSyncStatusChange;
+    conflictCallback = onConflict;
 
     // Listen for network status changes
     window.addEventListener('online', handleOnline);
@@ -33,16 +54,21 @@ export function initStorage(onSyncStatusChange = null) {
     // Setup queue event listeners
     offlineQueue.on('itemProcessed', (item) => {
         console.log('[Storage] Queue item processed:', item.id);
+        localStorage.setItem(STORAGE_KEYS.LAST_SYNC, String(Date.now()));
         updateSyncStatusUI();
     });
 
+    offlineQueue.on('itemAdded', updateSyncStatusUI);
+    offlineQueue.on('itemRemoved', updateSyncStatusUI);
+    offlineQueue.on('processingStarted', updateSyncStatusUI);
+
     offlineQueue.on('itemFailed', (item, error) => {
         console.error('[Storage] Queue item failed:', item.id, error);
         showError(`Sync failed: ${item.operation}`, {
             duration: 5000,
             actions: [{
                 label: 'Retry',
-                onClick: () => offlineQueue.processQueue()
+                onClick: () => offlineQueue.retryFailed()
             }]
         });
         updateSyncStatusUI();
@@ -74,7 +100,10 @@ async function handleOnline() {
     console.log('[Storage] Network online - processing queue');
     showInfo('Back online - syncing changes...', 3000);
     updateSyncStatusUI();
-    await offlineQueue.processQueue();
+    // Before sign-in the queue is resumed by resumeOfflineQueue
+    if (queueDb) {
+        await offlineQueue.processQueue({ immediate: true });
+    }
 }
 
 /**
@@ -88,16 +117,77 @@ function handleOffline() {
 
 /**
  * Get current queue status
+ * `state` is one of: offline, syncing, error (failed items), pending, synced
  * @returns {object} Queue statistics
  */
 export function getSyncStatus() {
+    const pendingItems = offlineQueue.getPendingCount();
+    const failedItems = offlineQueue.getFailedCount();
+    const isProcessing = offlineQueue.isProcessing;
+    const isOnline = navigator.onLine;
+    const lastSync = parseInt(localStorage.getItem(STORAGE_KEYS.LAST_SYNC));
+
+    let state = 'synced';
+    if (!isOnline) {
+        state = 'offline';
+    } else if (isProcessing) {
+        state = 'syncing';
+    } else if (failedItems > 0) {
+        state = 'error';
+    } else if (pendingItems > 0) {
+        state = 'pending';
+    }
+
     return {
-        pendingItems: offlineQueue.getPendingCount(),
-        isProcessing: offlineQueue.isProcessing,
-        isOnline: navigator.onLine
+        pendingItems,
+        failedItems,
+        isProcessing,
+        isOnline,
+        lastSyncAt: Number.isNaN(lastSync) ? null : lastSync,
+        state
     };
 }
 
+/**
+ * Get all queued sync operations (pending, running and failed)
+ * @returns {Array<object>} Queue items ({id, operation, key, payload, status, retries, maxRetries,
+ *          error, errorCode, nextAttemptAt, failedAt, createdAt})
+ */
+export function getSyncQueueItems() {
+    return offlineQueue.getItems();
+}
+
+/**
+ * Retry a queued sync operation
+ * @param {string} id - Queue item ID
+ */
+export async function retrySyncItem(id) {
+    await offlineQueue.retry(id);
+}
+
+/**
+ * Retry all failed sync operations
+ */
+export async function retryAllSyncItems() {
+    await offlineQueue.retryFailed();
+}
+
+/**
+ * Download the permanently failed sync operations as JSON (for debugging)
+ */
+export function exportFailedSyncItems() {
+    const dataStr = JSON.stringify(offlineQueue.exportDeadLetters(), null, 2);
+    downloadFile(dataStr, `eisenhauer-sync-failures-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+}
+
+/**
+ * Discard a queued sync operation (the change is not written to Firestore)
+ * @param {string} id - Queue item ID
+ */
+export async function discardSyncItem(id) {
+    await offlineQueue.remove(id);
+}
+
 /**
  * Save all tasks to storage (Firebase or LocalForage depending on auth state)
  * @param {object} tasks - Tasks object to save
@@ -194,6 +284,234 @@ export async function loadUserTasks(userId, db) {
     }
 }
 
+/**
+ * Subscribe to the user's tasks in Firestore (live updates)
+ * The first snapshot delivers all tasks; later snapshots report only the
+ * changes. Changes from our own writes (latency compensation) are skipped,
+ * they are already applied locally.
+ * @param {string} userId - User ID
+ * @param {object} db - Firestore database instance
+ * @param {function} onChanges - Called with remote changes ([{type, id, data}])
+ * @returns {Promise<{tasks: object, unsubscribe: function}>} Initial tasks and a function to stop listening
+ */
+export function subscribeToUserTasks(userId, db, onChanges) {
+    const emptyTasks = () => ({ 1: [], 2: [], 3: [], 4: [], 5: [] });
+    if (!userId || !db) return Promise.resolve({ tasks: emptyTasks(), unsubscribe: () => {} });
+
+    return new Promise((resolve) => {
+        let initial = true;
+
+        const unsubscribe = db.collection('users')
+            .doc(userId)
+            .collection('tasks')
+            .onSnapshot((snapshot) => {
+                if (initial) {
+                    initial = false;
+                    const tasks = emptyTasks();
+                    clearSyncedTasks();
+                    snapshot.forEach(doc => {
+                        // Use Firestore document ID, the revision stays in the synced state
+                        rememberSyncedTask({ ...doc.data(), id: doc.id });
+                        const task = toLocalTask(doc.id, doc.data());
+                        if (tasks[task.segment]) {
+                            tasks[task.segment].push(task);
+                        }
+                    });
+                    console.log('User tasks loaded from Firestore (live)');
+                    resolve({ tasks, unsubscribe });
+                    return;
+                }
+
+                const changes = snapshot.docChanges()
+                    .filter(change => !change.doc.metadata.hasPendingWrites)
+                    .map(change => ({ type: change.type, id: change.doc.id, data: change.doc.data() }));
+
+                if (changes.length > 0) {
+                    onChanges(changes);
+                }
+            }, (error) => {
+                console.error('Error in task subscription:', error);
+                if (initial) {
+                    initial = false;
+                    resolve({ tasks: emptyTasks(), unsubscribe });
+                }
+            });
+    });
+}
+
+/**
+ * Check whether a write for a task is still waiting in the offline queue
+ * @param {string} taskId - Task ID
+ * @returns {boolean}
+ */
+export function hasPendingTaskWrite(taskId) {
+    return offlineQueue.hasPending(item => item.key === String(taskId));
+}
+
+/**
+ * Get the Firestore document of a task
+ */
+function getTaskRef(userId, taskId) {
+    if (!queueDb) {
+        throw new Error('Firestore not connected');
+    }
+    return queueDb.collection('users')
+        .doc(userId)
+        .collection('tasks')
+        .doc(String(taskId));
+}
+
+/**
+ * Queue handler: write a new task (overwrites the document)
+ * @param {{userId: string, taskId: string, data: object}} payload - Queued operation
+ */
+async function writeTask({ userId, taskId, data }) {
+    const synced = getSyncedTask(taskId);
+    const revision = (synced ? synced.revision || 0 : 0) + 1;
+
+    await getTaskRef(userId, taskId).set({ ...data, revision });
+    const saved = { ...data, id: String(taskId), revision };
+    rememberSyncedTask(saved);
+    await rebaseQueuedUpdates(saved);
+    console.log('[Storage] Task saved to Firestore:', taskId);
+}
+
+/**
+ * Let updates queued during a write build on the state just written
+ * @param {object} saved - Written task data (including id and revision)
+ */
+async function rebaseQueuedUpdates(saved) {
+    await offlineQueue.updatePending(saved.id, payload =>
+        ('base' in payload ? { ...payload, base: saved } : payload)
+    );
+}
+
+/**
+ * Decide what to write for an edit, given the current remote document
+ * Unknown tasks (never synced) and unchanged documents are written directly.
+ * @param {object|null} base - Synced state the edit was made on
+ * @param {object} mine - Edited task data (including id)
+ * @param {object|null} theirs - Remote document (including id), null if missing
+ * @returns {{saved: object|null, merge: boolean, conflict: object|null}} State to write (with
+ *          revision, null = nothing), whether to merge it, and the conflict to report
+ */
+function planTaskWrite(base, mine, theirs) {
+    const remoteRevision = theirs ? theirs.revision || 0 : null;
+
+    if (!base || remoteRevision === (base.revision || 0)) {
+        // Merge handles both new and existing tasks
+        return { saved: { ...mine, revision: (remoteRevision || 0) + 1 }, merge: true, conflict: null };
+    }
+
+    // The task changed on another device since we last saw it
+    const resolved = resolveAutomatically(base, mine, theirs);
+    if (!resolved) {
+        return { saved: null, merge: false, conflict: { taskId: mine.id, base, mine, theirs, resolved: null } };
+    }
+
+    const saved = { ...resolved, revision: remoteRevision + 1 };
+    return { saved, merge: false, conflict: { taskId: mine.id, base, mine, theirs, resolved: saved } };
+}
+
+/**
+ * Write a planned state within a transaction (the id is not a document field)
+ */
+function setPlannedTask(transaction, ref, { saved, merge }) {
+    const data = { ...saved };
+    delete data.id;
+    transaction.set(ref, data, { merge });
+}
+
+/**
+ * Remember a written task and report a conflict of the write
+ * @param {{saved: object|null, conflict: object|null}} plan - Result of planTaskWrite
+ */
+async function finishTaskWrite({ saved, conflict }) {
+    if (saved) {
+        rememberSyncedTask(saved);
+        await rebaseQueuedUpdates(saved);
+    }
+    if (conflict) {
+        console.warn('[Storage] Edit conflict for task:', conflict.taskId, conflict.resolved ? '(resolved)' : '');
+        if (conflictCallback) {
+            conflictCallback(conflict);
+        }
+    }
+}
+
+/**
+ * Queue handler: update a task, detecting changes made on another device
+ * The base is the synced state the edit was made on. It is queued with the
+ * edit, so conflicts are detected even if the app was reloaded in between.
+ * @param {{userId: string, taskId: string, data: object, base: object|null}} payload - Queued operation
+ */
+async function writeTaskUpdate({ userId, taskId, data, base }) {
+    const id = String(taskId);
+    const ref = getTaskRef(userId, id);
+
+    const plan = await queueDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const theirs = doc.exists ? { ...doc.data(), id } : null;
+
+        const planned = planTaskWrite(base, { ...data, id }, theirs);
+        if (planned.saved) {
+            setPlannedTask(transaction, ref, planned);
+        }
+        return planned;
+    });
+
+    await finishTaskWrite(plan);
+    if (plan.saved) {
+        console.log('[Storage] Task updated in Firestore:', id);
+    }
+}
+
+/**
+ * Queue handler: delete a task
+ * @param {{userId: string, taskId: string}} payload - Queued operation
+ */
+async function removeTask({ userId, taskId }) {
+    await getTaskRef(userId, taskId).delete();
+    forgetSyncedTask(taskId);
+    console.log('[Storage] Task deleted from Firestore:', taskId);
+}
+
+/**
+ * Queue handler: save a tag definition
+ * @param {{userId: string, definition: {name: string, color: string}}} payload - Queued operation
+ */
+async function writeTag({ userId, definition }) {
+    if (!queueDb) {
+        throw new Error('Firestore not connected');
+    }
+    await queueDb.collection('users')
+        .doc(userId)
+        .collection('tags')
+        .doc(encodeURIComponent(definition.name))
+        .set({ name: definition.name, color: definition.color });
+    console.log('[Storage] Tag saved to Firestore:', definition.name);
+}
+
+offlineQueue.registerHandler('saveTask', writeTask);
+offlineQueue.registerHandler('updateTask', writeTaskUpdate);
+offlineQueue.registerHandler('deleteTask', removeTask);
+offlineQueue.registerHandler('saveTag', writeTag);
+
+/**
+ * Connect the offline queue to Firestore and write what is still queued
+ * (e.g. edits made offline before the last reload)
+ * @param {object} db - Firestore database instance
+ */
+export async function resumeOfflineQueue(db) {
+    if (!db) return;
+
+    queueDb = db;
+    if (navigator.onLine) {
+        await offlineQueue.processQueue({ immediate: true });
+    }
+    updateSyncStatusUI();
+}
+
 /**
  * Save a single task to Firestore (with offline queue support)
  * @param {object} task - Task object
@@ -204,45 +522,20 @@ export async function loadUserTasks(userId, db) {
 export async function saveTaskToFirestore(task, userId, db, firebase) {
     if (!userId || !db) return;
 
-    const taskData = {
-        text: task.text,
-        segment: task.segment,
-        checked: task.checked || false,
-        // Preserve existing createdAt if it exists (for moved tasks), otherwise use server timestamp
-        createdAt: task.createdAt || firebase.firestore.FieldValue.serverTimestamp()
-    };
-
-    // Add optional fields
-    if (task.completedAt) {
-        taskData.completedAt = task.completedAt;
-    }
-
-    if (task.recurring) {
-        taskData.recurring = task.recurring;
-    }
+    queueDb = db;
+    const taskId = String(task.id);
 
     // Add to offline queue with retry logic
     await offlineQueue.add(
         'saveTask',
-        async () => {
-            await db.collection('users')
-                .doc(userId)
-                .collection('tasks')
-                .doc(task.id.toString())
-                .set(taskData);
-            console.log('[Storage] Task saved to Firestore:', task.id);
-        },
-        {
-            taskId: task.id,
-            userId,
-            taskData
-        },
-        3 // maxRetries
+        { userId, taskId, data: buildTaskData(task, firebase) },
+        { key: taskId, mergeInto: ['saveTask'] }
     );
 }
 
 /**
  * Update a task in Firestore (with offline queue support)
+ * Queued updates of the same task are coalesced into one write with the latest state.
  * @param {object} task - Task object
  * @param {string} userId - User ID
  * @param {object} db - Firestore database instance
@@ -251,71 +544,215 @@ export async function saveTaskToFirestore(task, userId, db, firebase) {
 export async function updateTaskInFirestore(task, userId, db, firebase) {
     if (!userId || !db) return;
 
-    const updateData = {
-        text: task.text,
-        segment: task.segment,
-        checked: task.checked || false,
-        // Preserve existing createdAt if it exists, otherwise use server timestamp
-        createdAt: task.createdAt || firebase.firestore.FieldValue.serverTimestamp()
-    };
-
-    if (task.completedAt) {
-        updateData.completedAt = task.completedAt;
-    }
+    queueDb = db;
+    await queueTaskUpdate(task, userId, firebase, getSyncedTask(String(task.id)));
+}
 
-    if (task.recurring) {
-        updateData.recurring = task.recurring;
-    }
+/**
+ * Add an update to the offline queue
+ * @param {object} task - Task object
+ * @param {string} userId - User ID
+ * @param {object} firebase - Firebase instance
+ * @param {object|null} base - Synced state the edit was made on
+ */
+async function queueTaskUpdate(task, userId, firebase, base) {
+    const taskId = String(task.id);
 
     // Add to offline queue with retry logic
     await offlineQueue.add(
         'updateTask',
-        async () => {
-            // Use set with merge:true to handle both new and existing tasks
-            await db.collection('users')
-                .doc(userId)
-                .collection('tasks')
-                .doc(task.id.toString())
-                .set(updateData, { merge: true });
-            console.log('[Storage] Task updated in Firestore:', task.id);
-        },
-        {
-            taskId: task.id,
-            userId,
-            updateData
-        },
-        3 // maxRetries
+        { userId, taskId, data: buildTaskData(task, firebase), base },
+        { key: taskId, mergeInto: ['saveTask', 'updateTask'] }
     );
 }
 
 /**
  * Delete a task from Firestore (with offline queue support)
- * @param {number} taskId - Task ID
+ * @param {string} taskId - Task ID
  * @param {string} userId - User ID
  * @param {object} db - Firestore database instance
  */
 export async function deleteTaskFromFirestore(taskId, userId, db) {
     if (!userId || !db) return;
 
-    // Add to offline queue with retry logic
+    queueDb = db;
+
+    // Add to offline queue with retry logic; queued writes of the task are obsolete
     await offlineQueue.add(
         'deleteTask',
-        async () => {
-            await db.collection('users')
-                .doc(userId)
-                .collection('tasks')
-                .doc(taskId.toString())
-                .delete();
-            console.log('[Storage] Task deleted from Firestore:', taskId);
-        },
-        {
-            taskId,
-            userId
-        },
-        3 // maxRetries
+        { userId, taskId: String(taskId) },
+        { key: String(taskId), supersedes: ['saveTask', 'updateTask'] }
     );
 }
 
+/**
+ * Commit one chunk of task writes as a single transaction (all or nothing)
+ * The current documents are read first, so tasks changed on another device
+ * are merged or reported like queued updates (see writeTaskUpdate).
+ * @param {Array<object>} operations - At most FIRESTORE_BATCH_LIMIT operations
+ * @param {string} userId - User ID
+ * @param {object} firebase - Firebase instance
+ * @param {Map<string, object|null>} bases - Synced state the edits were made on, per task ID
+ */
+async function commitTaskBatch(operations, userId, firebase, bases) {
+    const writes = operations.filter(operation => operation.type !== 'delete');
+    const deleted = operations.filter(operation => operation.type === 'delete')
+        .map(operation => String(operation.taskId));
+
+    const plans = await queueDb.runTransaction(async (transaction) => {
+        // A transaction reads everything before it writes
+        const refs = writes.map(operation => getTaskRef(userId, String(operation.task.id)));
+        const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+        const planned = writes.map((operation, i) => {
+            const id = String(operation.task.id);
+            const theirs = docs[i].exists ? { ...docs[i].data(), id } : null;
+            const base = bases.has(id) ? bases.get(id) : getSyncedTask(id);
+
+            const plan = planTaskWrite(base, { ...buildTaskData(operation.task, firebase), id }, theirs);
+            if (plan.saved) {
+                setPlannedTask(transaction, refs[i], plan);
+            }
+            return plan;
+        });
+        deleted.forEach(taskId => transaction.delete(getTaskRef(userId, taskId)));
+        return planned;
+    });
+
+    for (const plan of plans) {
+        await finishTaskWrite(plan);
+    }
+    deleted.forEach(forgetSyncedTask);
+}
+
+/**
+ * Write many task changes at once (import, migration, clearing completed tasks)
+ * Operations are committed in transactions of at most FIRESTORE_BATCH_LIMIT.
+ * Each chunk is atomic, so an interruption never leaves a chunk half-written.
+ * Writes of the same tasks still waiting in the offline queue are obsolete and
+ * dropped, the state their edits were made on is kept for conflict detection.
+ * When offline, or if a chunk cannot be committed, that chunk and the rest go
+ * through the offline queue (one write per task, with retries).
+ * @param {Array<{type: 'set'|'delete', task?: object, taskId?: string}>} operations - Full task
+ *        states to write or IDs to delete
+ * @param {string} userId - User ID
+ * @param {object} db - Firestore database instance
+ * @param {object} firebase - Firebase instance
+ * @param {function} [onProgress] - Called with (done, total) after each chunk
+ * @returns {Promise<{written: number, queued: number}>} Operations committed in batches and queued
+ */
+export async function writeTasksInBatches(operations, userId, db, firebase, onProgress = null) {
+    if (!userId || !db || operations.length === 0) {
+        return { written: 0, queued: 0 };
+    }
+
+    queueDb = db;
+    const total = operations.length;
+    let written = 0;
+
+    const discarded = await offlineQueue.discardPending(operations.map(operation =>
+        String(operation.type === 'delete' ? operation.taskId : operation.task.id)
+    ));
+    const bases = new Map();
+    discarded.forEach(item => {
+        if ('base' in item.payload && !bases.has(item.key)) {
+            bases.set(item.key, item.payload.base);
+        }
+    });
+
+    if (navigator.onLine) {
+        for (let start = 0; start < total; start += FIRESTORE_BATCH_LIMIT) {
+            const chunk = operations.slice(start, start + FIRESTORE_BATCH_LIMIT);
+            try {
+                await commitTaskBatch(chunk, userId, firebase, bases);
+            } catch (error) {
+                console.error('[Storage] Batch write failed, queueing the remaining operations:', error);
+                break;
+            }
+
+            written += chunk.length;
+            console.log(`[Storage] Batch committed (${written}/${total})`);
+            if (onProgress) {
+                onProgress(written, total);
+            }
+        }
+    }
+
+    const remaining = operations.slice(written);
+    for (const operation of remaining) {
+        if (operation.type === 'delete') {
+            await deleteTaskFromFirestore(operation.taskId, userId, db);
+        } else {
+            const taskId = String(operation.task.id);
+            const base = bases.has(taskId) ? bases.get(taskId) : getSyncedTask(taskId);
+            await queueTaskUpdate(operation.task, userId, firebase, base);
+        }
+    }
+    if (remaining.length > 0 && onProgress) {
+        onProgress(total, total);
+    }
+
+    return { written, queued: remaining.length };
+}
+
+/**
+ * Load tag definitions (name, color)
+ * Guest mode reads localStorage, logged-in users read their Firestore tags collection.
+ * @param {string|null} userId - User ID (null in guest mode)
+ * @param {object|null} db - Firestore database instance
+ * @returns {Promise<Array<{name: string, color: string}>>} Tag definitions
+ */
+export async function loadTagDefinitions(userId, db) {
+    try {
+        if (!userId || !db) {
+            const stored = localStorage.getItem(STORAGE_KEYS.TAGS);
+            return stored ? JSON.parse(stored) : [];
+        }
+
+        const snapshot = await db.collection('users')
+            .doc(userId)
+            .collection('tags')
+            .get();
+
+        const definitions = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            definitions.push({ name: data.name, color: data.color });
+        });
+
+        console.log('Tag definitions loaded from Firestore');
+        return definitions;
+    } catch (error) {
+        console.error('Error loading tag definitions:', error);
+        return [];
+    }
+}
+
+/**
+ * Save tag definitions
+ * Guest mode stores the full list in localStorage, logged-in users get one Firestore document per tag.
+ * @param {Array<{name: string, color: string}>} definitions - Definitions to save
+ * @param {string|null} userId - User ID (null in guest mode)
+ * @param {object|null} db - Firestore database instance
+ * @param {Array<{name: string, color: string}>} [allDefinitions] - Full list for guest mode
+ */
+export async function saveTagDefinitions(definitions, userId, db, allDefinitions = definitions) {
+    if (!userId || !db) {
+        localStorage.setItem(STORAGE_KEYS.TAGS, JSON.stringify(allDefinitions));
+        return;
+    }
+
+    queueDb = db;
+
+    for (const definition of definitions) {
+        await offlineQueue.add(
+            'saveTag',
+            { userId, definition: { name: definition.name, color: definition.color } },
+            { key: `tag:${definition.name}`, mergeInto: ['saveTag'] }
+        );
+    }
+}
+
 /**
  * Migrate local data to Firestore (one-time on first login)
  * @param {string} userId - User ID
@@ -340,39 +777,12 @@ export async function migrateLocalData(userId, db, firebase) {
             return;
         }
 
-        const batch = db.batch();
-        let taskCount = 0;
-
-        Object.keys(tasksData).forEach(segmentId => {
-            tasksData[segmentId].forEach(task => {
-                const docRef = db.collection('users')
-                    .doc(userId)
-                    .collection('tasks')
-                    .doc(task.id.toString());
-
-                const taskData = {
-                    text: task.text,
-                    segment: task.segment,
-                    checked: task.checked || false,
-                    // Preserve existing createdAt if it exists (for moved tasks), otherwise use server timestamp
-                    createdAt: task.createdAt || firebase.firestore.FieldValue.serverTimestamp()
-                };
-
-                if (task.completedAt) {
-                    taskData.completedAt = task.completedAt;
-                }
+        // Guest data may still use numeric IDs
+        migrateTaskIds(tasksData);
 
-                if (task.recurring) {
-                    taskData.recurring = task.recurring;
-                }
-
-                batch.set(docRef, taskData);
-                taskCount++;
-            });
-        });
-
-        await batch.commit();
-        console.log(`Local data migrated to Firestore (${taskCount} tasks)`);
+        const operations = Object.values(tasksData).flat().map(task => ({ type: 'set', task }));
+        const { written, queued } = await writeTasksInBatches(operations, userId, db, firebase);
+        console.log(`Local data migrated to Firestore (${written} tasks, ${queued} queued)`);
 
         // Clear both storage methods after migration
         await localforage.removeItem('eisenhauerTasks');
@@ -382,93 +792,87 @@ export async function migrateLocalData(userId, db, firebase) {
     }
 }
 
+/**
+ * Let the browser download generated content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const dataBlob = new Blob([content], { type });
+
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Export data as JSON file
  * @param {object} tasks - Tasks object
  * @param {string} version - App version
+ * @param {string} [fileName='eisenhauer-backup'] - File name (the date is appended)
  */
-export function exportData(tasks, version) {
+export function exportData(tasks, version, fileName = 'eisenhauer-backup') {
     const exportData = {
+        schemaVersion: BACKUP_SCHEMA_VERSION,
         version: version || 'unknown',
         exportDate: new Date().toISOString(),
         tasks: tasks
     };
 
     const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `eisenhauer-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadFile(dataStr, `${fileName}-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
 
     console.log('Data exported successfully');
 }
 
 /**
- * Import data from JSON file
- * @param {File} file - File to import
- * @param {object} currentTasks - Current tasks object
- * @param {function} saveCallback - Callback to save imported tasks
- * @returns {Promise<object>} Imported tasks object
+ * Export tasks as CSV file (one row per task, for spreadsheets)
+ * @param {object} tasks - Tasks object
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Language of quadrant names (German uses semicolons)
  */
-export function importData(file, currentTasks, saveCallback) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-
-        reader.onload = async (e) => {
-            try {
-                const importedData = JSON.parse(e.target.result);
-
-                // Validate data structure
-                if (!importedData.tasks) {
-                    throw new Error('Ungültiges Datenformat: Keine Tasks gefunden');
-                }
-
-                let finalTasks;
-
-                if (confirm('Möchtest du die importierten Daten mit den aktuellen Daten zusammenführen? (Abbrechen = Aktuelle Daten ersetzen)')) {
-                    // Merge: Add imported tasks to existing ones
-                    finalTasks = { ...currentTasks };
-
-                    Object.keys(importedData.tasks).forEach(segmentId => {
-                        if (!finalTasks[segmentId]) {
-                            finalTasks[segmentId] = [];
-                        }
-
-                        importedData.tasks[segmentId].forEach(task => {
-                            // Generate new ID to avoid conflicts
-                            task.id = Date.now() + Math.random();
-                            finalTasks[segmentId].push(task);
-                        });
-                    });
-                } else {
-                    // Replace: Overwrite existing tasks
-                    finalTasks = importedData.tasks;
-                }
+export function exportCsv(tasks, translations, currentLanguage) {
+    const csv = tasksToCsv(tasks, translations, currentLanguage);
+    downloadFile(csv, `eisenhauer-tasks-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8');
 
-                // Call save callback if provided
-                if (saveCallback) {
-                    await saveCallback(finalTasks);
-                }
+    console.log('CSV exported successfully');
+}
 
-                console.log('Data imported successfully');
-                resolve(finalTasks);
-            } catch (error) {
-                console.error('Import Error:', error);
-                reject(error);
-            }
-        };
+/**
+ * Export tasks as iCalendar file (VTODOs and VEVENTs, see ical.js)
+ * @param {object} tasks - Tasks object
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Language of the quadrant categories
+ */
+export function exportIcs(tasks, translations, currentLanguage) {
+    const ics = tasksToIcs(tasks, translations, currentLanguage);
+    downloadFile(ics, `eisenhauer-tasks-${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar;charset=utf-8');
 
-        reader.onerror = () => {
-            reject(new Error('Fehler beim Lesen der Datei'));
-        };
+    console.log('iCalendar exported successfully');
+}
 
-        reader.readAsText(file);
+/**
+ * Read an import file (validated and previewed by importer.js)
+ * @param {File} file - File to import
+ * @param {boolean} [binary=false] - Read raw bytes (CSV files are decoded by csv.js)
+ * @returns {Promise<string|ArrayBuffer>} File content
+ */
+export function readImportFile(file, binary = false) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Fehler beim Lesen der Datei'));
+        if (binary) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
     });
 }
 
@@ -23,6 +23,8 @@
  * @property {Object<number, Array>} tasks - Tasks grouped by segment ID
  * @property {string} language - Current UI language ('de' | 'en')
  * @property {string} theme - Current theme ('light' | 'dark' | 'system')
+ * @property {{tags: Array<string>, mode: 'any'|'all'}} tagFilter - Active tag filter
+ * @property {Object<number, string>} sortModes - Sort mode per segment ID (missing = 'manual')
  * @property {'online'|'offline'} networkStatus - Network connectivity status
  * @property {Array} syncQueue - Pending offline operations
  * @property {boolean} isDragging - Global drag state
@@ -65,6 +67,8 @@ class Store {
       // UI Settings
       language: this.#getInitialLanguage(),
       theme: this.#getInitialTheme(),
+      tagFilter: { tags: [], mode: 'any' },
+      sortModes: this.#getInitialSortModes(),
 
       // Network & Sync
       networkStatus: navigator.onLine ? 'online' : 'offline',
@@ -290,6 +294,8 @@ class Store {
       tasks: { 1: [], 2: [], 3: [], 4: [], 5: [] },
       language: this.state.language,
       theme: this.state.theme,
+      tagFilter: { tags: [], mode: 'any' },
+      sortModes: this.state.sortModes,
       networkStatus: navigator.onLine ? 'online' : 'offline',
       syncQueue: [],
       isDragging: false,
@@ -417,6 +423,20 @@ class Store {
     return 'system';
   }
 
+  /**
+   * Get initial sort modes per segment from localStorage
+   * @private
+   * @returns {Object<number, string>}
+   */
+  #getInitialSortModes() {
+    try {
+      const stored = JSON.parse(localStorage.getItem('sortModes'));
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+      return {};
+    }
+  }
+
   /**
    * Check if in development mode
    * @private
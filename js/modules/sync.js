@@ -0,0 +1,105 @@
+/**
+ * Sync Module
+ * Applies remote task changes (Firestore snapshots) to the local tasks
+ *
+ * Changes are applied incrementally: only the affected tasks are replaced,
+ * and the caller learns which segments need to be re-rendered. Changes to
+ * tasks that still have a local write waiting in the offline queue are
+ * skipped, because the snapshot would otherwise revert the local edit until
+ * the queued write reaches the server (a conflict is detected then, see
+ * conflicts.js). The revision of a document is sync metadata and is kept in
+ * the synced state only, local tasks do not carry it.
+ */
+
+import { ensureTaskOrder } from './ordering.js';
+import { isSameValue, rememberSyncedTask, forgetSyncedTask } from './conflicts.js';
+
+/**
+ * Compare a local task with remote data
+ * Missing and null fields are treated alike (Firestore stores cleared fields as null).
+ * @param {object} local - Local task
+ * @param {object} remote - Remote task (including id)
+ * @returns {boolean} True if nothing changed
+ */
+function isSameTask(local, remote) {
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    return [...keys].every(key => isSameValue(local[key], remote[key]));
+}
+
+/**
+ * Split remote document data into the local task and its revision
+ * @param {string} id - Document ID
+ * @param {object} data - Document data
+ * @returns {object} Local task (without revision)
+ */
+export function toLocalTask(id, data) {
+    const task = { ...data, id };
+    delete task.revision;
+    return task;
+}
+
+/**
+ * Find a task by ID in any segment
+ * @returns {{segmentId: string, index: number}|null}
+ */
+function findTask(tasks, taskId) {
+    for (const segmentId of Object.keys(tasks)) {
+        const index = tasks[segmentId].findIndex(t => t.id === taskId);
+        if (index !== -1) return { segmentId, index };
+    }
+    return null;
+}
+
+/**
+ * Apply remote changes to the tasks object (in place)
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {Array<{type: 'added'|'modified'|'removed', id: string, data: object}>} changes - Remote changes
+ * @param {object} [options]
+ * @param {function} [options.isPending] - Returns true if a local write for the task ID is still queued
+ * @returns {{segments: Set<number>, taskIds: Array<string>, reordered: Array<object>}}
+ *          Affected segments and tasks; `reordered` lists tasks that received a new order key
+ *          (written by clients without manual ordering) and should be saved
+ */
+export function applyRemoteChanges(tasks, changes, { isPending = () => false } = {}) {
+    const segments = new Set();
+    const taskIds = [];
+
+    changes.forEach(({ type, id, data }) => {
+        if (isPending(id)) return;
+
+        const existing = findTask(tasks, id);
+
+        if (type === 'removed') {
+            forgetSyncedTask(id);
+            if (!existing) return;
+            tasks[existing.segmentId].splice(existing.index, 1);
+            segments.add(parseInt(existing.segmentId));
+            taskIds.push(id);
+            return;
+        }
+
+        rememberSyncedTask({ ...data, id });
+
+        const task = toLocalTask(id, data);
+        if (!tasks[task.segment]) return;
+
+        if (existing) {
+            if (isSameTask(tasks[existing.segmentId][existing.index], task)) return;
+            tasks[existing.segmentId].splice(existing.index, 1);
+            segments.add(parseInt(existing.segmentId));
+        }
+
+        tasks[task.segment].push(task);
+        segments.add(task.segment);
+        taskIds.push(id);
+    });
+
+    // Keep the affected segments in manual order (also gives keyless tasks a key)
+    const affected = {};
+    segments.forEach(segmentId => {
+        affected[segmentId] = tasks[segmentId];
+    });
+    const reordered = ensureTaskOrder(affected);
+
+    return { segments, taskIds, reordered };
+}
@@ -0,0 +1,162 @@
+/**
+ * Tags Module
+ * Tag parsing (#work, @alice), tag definitions (name, color) and tag filtering
+ */
+
+// Colors assigned to new tags in order of creation
+export const TAG_COLORS = [
+    '#3b82f6', // Blue
+    '#ec4899', // Pink
+    '#14b8a6', // Teal
+    '#f97316', // Orange
+    '#8b5cf6', // Purple
+    '#84cc16', // Lime
+    '#06b6d4', // Cyan
+    '#e11d48'  // Rose
+];
+
+// Matches #tag and @person tokens preceded by start of text or whitespace
+const TAG_PATTERN = /(^|\s)([#@][\p{L}\p{N}_-]+)/gu;
+
+// Tag definitions keyed by tag name
+let tagDefinitions = {};
+
+/**
+ * Normalize a tag name (lowercase, with # prefix unless it is an @mention)
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag or empty string
+ */
+export function normalizeTag(tag) {
+    const trimmed = (tag || '').trim().toLowerCase();
+    if (!trimmed || trimmed === '#' || trimmed === '@') return '';
+
+    return trimmed.startsWith('#') || trimmed.startsWith('@') ? trimmed : `#${trimmed}`;
+}
+
+/**
+ * Extract tags from task text
+ * @param {string} text - Task text, e.g. "Call Bob #work @alice"
+ * @returns {{text: string, tags: Array<string>}} Text without tags and the found tags
+ */
+export function parseTags(text) {
+    const tags = [];
+
+    const stripped = (text || '').replace(TAG_PATTERN, (match, leading, tag) => {
+        const normalized = normalizeTag(tag);
+        if (normalized && !tags.includes(normalized)) {
+            tags.push(normalized);
+        }
+        return leading;
+    }).replace(/\s+/g, ' ').trim();
+
+    return { text: stripped, tags };
+}
+
+/**
+ * Parse a comma or space separated tag input (from the modals)
+ * @param {string} value - Input value, e.g. "work, @alice"
+ * @returns {Array<string>} Normalized tags
+ */
+export function parseTagInput(value) {
+    const tags = [];
+
+    (value || '').split(/[\s,]+/).forEach(tag => {
+        const normalized = normalizeTag(tag);
+        if (normalized && !tags.includes(normalized)) {
+            tags.push(normalized);
+        }
+    });
+
+    return tags;
+}
+
+/**
+ * Merge tag lists without duplicates
+ * @param {...Array<string>} lists - Tag lists
+ * @returns {Array<string>} Merged tags
+ */
+export function mergeTags(...lists) {
+    return [...new Set(lists.flat().filter(Boolean))];
+}
+
+/**
+ * Get all tag definitions
+ * @returns {object} Definitions keyed by tag name
+ */
+export function getTagDefinitions() {
+    return tagDefinitions;
+}
+
+/**
+ * Set all tag definitions (used when loading from storage)
+ * @param {Array<{name: string, color: string}>} definitions - Tag definitions
+ */
+export function setTagDefinitions(definitions) {
+    tagDefinitions = {};
+    (definitions || []).forEach(def => {
+        if (def && def.name) {
+            tagDefinitions[def.name] = { name: def.name, color: def.color || TAG_COLORS[0] };
+        }
+    });
+}
+
+/**
+ * Create definitions for tags that do not have one yet
+ * @param {Array<string>} tags - Tag names
+ * @returns {Array<object>} Newly created definitions
+ */
+export function ensureTagDefinitions(tags) {
+    const created = [];
+
+    (tags || []).forEach(name => {
+        if (!tagDefinitions[name]) {
+            const color = TAG_COLORS[Object.keys(tagDefinitions).length % TAG_COLORS.length];
+            tagDefinitions[name] = { name, color };
+            created.push(tagDefinitions[name]);
+        }
+    });
+
+    return created;
+}
+
+/**
+ * Get the color of a tag
+ * @param {string} name - Tag name
+ * @returns {string} Color
+ */
+export function getTagColor(name) {
+    return tagDefinitions[name] ? tagDefinitions[name].color : TAG_COLORS[0];
+}
+
+/**
+ * Collect all tags used by tasks or defined by the user
+ * @param {object} tasks - Tasks grouped by segment
+ * @returns {Array<string>} Sorted tag names
+ */
+export function getAllTags(tasks) {
+    const names = new Set(Object.keys(tagDefinitions));
+
+    Object.values(tasks || {}).forEach(segmentTasks => {
+        segmentTasks.forEach(task => {
+            (task.tags || []).forEach(tag => names.add(tag));
+        });
+    });
+
+    return Array.from(names).sort();
+}
+
+/**
+ * Check whether a task matches the selected tags
+ * @param {object} task - Task object
+ * @param {Array<string>} selectedTags - Selected tag names
+ * @param {'any'|'all'} [mode='any'] - Match any or all selected tags
+ * @returns {boolean}
+ */
+export function matchesTagFilter(task, selectedTags, mode = 'any') {
+    if (!selectedTags || selectedTags.length === 0) return true;
+
+    const taskTags = task.tags || [];
+    return mode === 'all'
+        ? selectedTags.every(tag => taskTags.includes(tag))
+        : selectedTags.some(tag => taskTags.includes(tag));
+}
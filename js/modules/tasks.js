@@ -1,9 +1,15 @@
 /**
  * Tasks Module
  * Handles all task-related operations (CRUD, recurring tasks, task state)
+ * Changes are recorded in the activity log of the task (see activity.js).
  */
 
-import { SEGMENTS } from './config.js';
+import { SEGMENTS, MAX_NOTES_LENGTH } from './config.js';
+import { matchesTagFilter } from './tags.js';
+import { getNextInstanceDates } from './recurrence.js';
+import { generateId } from './ids.js';
+import { keyBetween, isValidKey, sortByOrder } from './ordering.js';
+import { recordActivity, recordSegmentChange, recordEdit } from './activity.js';
 
 // Task storage
 export let tasks = {
@@ -38,19 +44,52 @@ export function clearCurrentTask() {
     currentTask = null;
 }
 
+/**
+ * Create a new subtask object
+ * @param {string} text - Text of the subtask
+ * @returns {object} Subtask object
+ */
+function createSubtaskObject(text) {
+    return {
+        id: generateId(),
+        text,
+        checked: false
+    };
+}
+
 /**
  * Create a new task object
+ * @param {string} taskText - Text of the task
+ * @param {number} segmentId - Target segment ID (1-5)
+ * @param {object} recurringConfig - Optional recurring configuration
+ * @param {object} details - Optional task details
+ * @param {number|null} details.dueDate - Due date as timestamp (ms)
+ * @param {Array<string>} details.subtasks - Subtask texts
+ * @param {Array<string>} details.tags - Normalized tag names
  */
-function createTaskObject(taskText, segmentId, recurringConfig = null) {
+function createTaskObject(taskText, segmentId, recurringConfig = null, details = {}) {
+    const now = Date.now();
     const task = {
-        id: Date.now(),
+        id: generateId(),
         text: taskText,
         segment: segmentId,
         checked: false,
-        createdAt: Date.now(),
-        completedAt: null
+        createdAt: now,
+        updatedAt: now, // Last change, for the "last modified" sort mode
+        completedAt: null,
+        dueDate: details.dueDate || null
     };
 
+    // Add tags if given
+    if (details.tags && details.tags.length > 0) {
+        task.tags = [...details.tags];
+    }
+
+    // Add checklist if subtasks were given
+    if (details.subtasks && details.subtasks.length > 0) {
+        task.subtasks = details.subtasks.map(text => createSubtaskObject(text));
+    }
+
     // Add recurring configuration if enabled
     if (recurringConfig && recurringConfig.enabled) {
         task.recurring = {
@@ -62,19 +101,63 @@ function createTaskObject(taskText, segmentId, recurringConfig = null) {
         };
     }
 
+    recordActivity(task, 'created', { to: segmentId }, now);
+
     return task;
 }
 
+/**
+ * Get the order key of a task (null if missing, e.g. not yet migrated)
+ * @param {object|undefined} task - Task object
+ * @returns {string|null}
+ */
+function getOrderKey(task) {
+    return task && isValidKey(task.order) ? task.order : null;
+}
+
+/**
+ * Get an order key that sorts after the last task of a segment
+ * @param {number} segmentId - Segment ID
+ * @returns {string} Order key
+ */
+function getAppendKey(segmentId) {
+    const segmentTasks = tasks[segmentId];
+    return keyBetween(getOrderKey(segmentTasks[segmentTasks.length - 1]), null);
+}
+
+/**
+ * Get an order key for a position in a segment
+ * @param {Array<object>} segmentTasks - Tasks of the segment (without the moved task)
+ * @param {number} index - Target position
+ * @returns {string} Order key
+ */
+function getKeyForPosition(segmentTasks, index) {
+    const upper = getOrderKey(segmentTasks[index]);
+    let i = index - 1;
+    let lower = getOrderKey(segmentTasks[i]);
+
+    // Equal keys (created concurrently on two devices) leave no room in between,
+    // so the task goes in front of the whole group of equal keys instead
+    while (lower !== null && upper !== null && lower >= upper) {
+        i--;
+        lower = getOrderKey(segmentTasks[i]);
+    }
+
+    return keyBetween(lower, upper);
+}
+
 /**
  * Add a task to a segment
  * @param {string} taskText - Text of the task
  * @param {number} segmentId - Target segment ID (1-5)
  * @param {object} recurringConfig - Optional recurring configuration
  * @param {function} saveCallback - Callback to save tasks (Firebase or LocalStorage)
+ * @param {object} details - Optional task details (dueDate, subtasks, tags)
  * @returns {object} The created task
  */
-export function addTaskToSegment(taskText, segmentId, recurringConfig = null, saveCallback = null) {
-    const task = createTaskObject(taskText, segmentId, recurringConfig);
+export function addTaskToSegment(taskText, segmentId, recurringConfig = null, saveCallback = null, details = {}) {
+    const task = createTaskObject(taskText, segmentId, recurringConfig, details);
+    task.order = getAppendKey(segmentId);
     tasks[segmentId].push(task);
 
     // Call save callback if provided
@@ -87,7 +170,7 @@ export function addTaskToSegment(taskText, segmentId, recurringConfig = null, sa
 
 /**
  * Delete a task from a segment
- * @param {number} taskId - Task ID to delete
+ * @param {string} taskId - Task ID to delete
  * @param {number} segmentId - Segment ID containing the task
  * @param {function} deleteCallback - Callback to delete from storage
  * @returns {boolean} True if task was deleted
@@ -108,7 +191,7 @@ export function deleteTask(taskId, segmentId, deleteCallback = null) {
 
 /**
  * Move a task from one segment to another
- * @param {number} taskId - Task ID to move
+ * @param {string} taskId - Task ID to move
  * @param {number} fromSegment - Source segment ID
  * @param {number} toSegment - Target segment ID
  * @param {function} saveCallback - Callback to save changes
@@ -123,25 +206,34 @@ export function moveTask(taskId, fromSegment, toSegment, saveCallback = null) {
     // Remove from old segment
     tasks[fromSegment].splice(taskIndex, 1);
 
-    // Create updated task for new segment
+    // Create updated task for new segment (keeps all other fields, e.g. due date and subtasks)
     const movedTask = {
-        id: task.id,
-        text: task.text,
+        ...task,
         segment: toSegment,
         checked: false,
-        createdAt: task.createdAt
+        order: getAppendKey(toSegment),
+        updatedAt: Date.now()
     };
 
-    // Preserve recurring config if exists
+    // Copy nested structures so the moved task does not share them with the old object
     if (task.recurring) {
         movedTask.recurring = { ...task.recurring };
     }
 
+    if (task.subtasks) {
+        movedTask.subtasks = task.subtasks.map(subtask => ({ ...subtask }));
+    }
+
     // Clear completedAt when moving away from Done segment
-    if (fromSegment !== SEGMENTS.DONE && task.completedAt) {
-        movedTask.completedAt = task.completedAt;
+    if (fromSegment === SEGMENTS.DONE) {
+        movedTask.completedAt = null;
+        movedTask.completedFrom = null;
+    } else if (toSegment === SEGMENTS.DONE) {
+        movedTask.completedFrom = fromSegment;
     }
 
+    recordSegmentChange(movedTask, fromSegment, toSegment, movedTask.updatedAt);
+
     // Add to new segment
     tasks[toSegment].push(movedTask);
 
@@ -153,9 +245,43 @@ export function moveTask(taskId, fromSegment, toSegment, saveCallback = null) {
     return movedTask;
 }
 
+/**
+ * Move a task to a position within the same or another segment
+ * @param {string} taskId - Task ID to move
+ * @param {number} fromSegment - Source segment ID
+ * @param {number} toSegment - Target segment ID
+ * @param {string|null} beforeTaskId - Task to place the moved task in front of (null = end of the segment)
+ * @returns {object|null} The moved task or null if not found or the position did not change
+ */
+export function reorderTask(taskId, fromSegment, toSegment, beforeTaskId = null) {
+    const currentIndex = tasks[fromSegment].findIndex(t => t.id === taskId);
+    if (currentIndex === -1 || taskId === beforeTaskId) return null;
+
+    const others = tasks[toSegment].filter(t => t.id !== taskId);
+    let index = beforeTaskId === null ? -1 : others.findIndex(t => t.id === beforeTaskId);
+    if (index === -1) {
+        index = others.length;
+    }
+
+    // Dropped onto its own position
+    if (fromSegment === toSegment && index === currentIndex) return null;
+
+    const order = getKeyForPosition(others, index);
+
+    const task = fromSegment === toSegment
+        ? tasks[fromSegment][currentIndex]
+        : moveTask(taskId, fromSegment, toSegment);
+    task.order = order;
+    task.updatedAt = Date.now();
+
+    // Sorting by key (instead of splicing at index) also covers the equal-keys fallback
+    sortByOrder(tasks[toSegment]);
+    return task;
+}
+
 /**
  * Toggle task completion (move to/from Done segment)
- * @param {number} taskId - Task ID to toggle
+ * @param {string} taskId - Task ID to toggle
  * @param {number} segmentId - Current segment ID
  * @param {function} saveCallback - Callback to save changes
  * @returns {object|null} Result object with task and action info
@@ -171,12 +297,20 @@ export function toggleTask(taskId, segmentId, saveCallback = null) {
         let newRecurringTask = null;
 
         // Check if this is a recurring task
-        if (task.recurring && task.recurring.enabled) {
-            // Create a new instance of the recurring task
+        const nextDates = task.recurring && task.recurring.enabled ? getNextInstanceDates(task) : null;
+        if (nextDates) {
+            // Create the next instance, hidden until its occurrence day
             newRecurringTask = createTaskObject(task.text, task.segment, {
                 enabled: true,
                 ...task.recurring
+            }, {
+                dueDate: nextDates.dueDate,
+                // The next instance starts with a fresh checklist
+                subtasks: (task.subtasks || []).map(subtask => subtask.text),
+                tags: task.tags
             });
+            newRecurringTask.upcomingAt = nextDates.upcomingAt;
+            newRecurringTask.order = getAppendKey(segmentId);
 
             // Add the new task to the same segment
             tasks[segmentId].push(newRecurringTask);
@@ -188,6 +322,10 @@ export function toggleTask(taskId, segmentId, saveCallback = null) {
         task.segment = SEGMENTS.DONE;
         task.checked = true;
         task.completedAt = Date.now(); // Track completion time for productivity statistics
+        task.completedFrom = segmentId; // Quadrant of origin for the statistics
+        task.updatedAt = task.completedAt;
+        task.order = getAppendKey(SEGMENTS.DONE);
+        recordSegmentChange(task, segmentId, SEGMENTS.DONE, task.completedAt);
         tasks[SEGMENTS.DONE].push(task);
 
         // Call save callback if provided
@@ -210,6 +348,10 @@ export function toggleTask(taskId, segmentId, saveCallback = null) {
         task.segment = SEGMENTS.DO;
         task.checked = false;
         task.completedAt = null; // Reset completion time
+        task.completedFrom = null;
+        task.updatedAt = Date.now();
+        task.order = getAppendKey(SEGMENTS.DO);
+        recordSegmentChange(task, SEGMENTS.DONE, SEGMENTS.DO, task.updatedAt);
         tasks[SEGMENTS.DO].push(task);
 
         // Call save callback if provided
@@ -228,6 +370,109 @@ export function toggleTask(taskId, segmentId, saveCallback = null) {
     return null;
 }
 
+/**
+ * Add a subtask to a task's checklist
+ * @param {string} taskId - Parent task ID
+ * @param {number} segmentId - Segment ID containing the task
+ * @param {string} text - Subtask text
+ * @returns {object|null} Updated parent task or null if not found
+ */
+export function addSubtask(taskId, segmentId, text) {
+    const task = getTask(taskId, segmentId);
+    if (!task || !text || text.trim() === '') return null;
+
+    if (!task.subtasks) {
+        task.subtasks = [];
+    }
+    task.subtasks.push(createSubtaskObject(text.trim()));
+    task.updatedAt = Date.now();
+    recordEdit(task, ['subtasks'], task.updatedAt);
+
+    return task;
+}
+
+/**
+ * Remove a subtask from a task's checklist
+ * @param {string} taskId - Parent task ID
+ * @param {number} segmentId - Segment ID containing the task
+ * @param {string} subtaskId - Subtask ID
+ * @returns {object|null} Updated parent task or null if not found
+ */
+export function deleteSubtask(taskId, segmentId, subtaskId) {
+    const task = getTask(taskId, segmentId);
+    if (!task || !task.subtasks) return null;
+
+    const index = task.subtasks.findIndex(s => s.id === subtaskId);
+    if (index === -1) return null;
+
+    task.subtasks.splice(index, 1);
+    task.updatedAt = Date.now();
+    recordEdit(task, ['subtasks'], task.updatedAt);
+    return task;
+}
+
+/**
+ * Toggle a subtask without completing the parent
+ * When the last open subtask is ticked, the parent is completed via toggleTask.
+ * @param {string} taskId - Parent task ID
+ * @param {number} segmentId - Segment ID containing the task
+ * @param {string} subtaskId - Subtask ID
+ * @returns {object|null} { task, subtask, parentResult } or null if not found
+ */
+export function toggleSubtask(taskId, segmentId, subtaskId) {
+    const task = getTask(taskId, segmentId);
+    if (!task || !task.subtasks) return null;
+
+    const subtask = task.subtasks.find(s => s.id === subtaskId);
+    if (!subtask) return null;
+
+    subtask.checked = !subtask.checked;
+    task.updatedAt = Date.now();
+    recordEdit(task, ['subtasks'], task.updatedAt);
+
+    // Auto-complete parent when all subtasks are done
+    let parentResult = null;
+    const { done, total } = getSubtaskProgress(task);
+    if (total > 0 && done === total && !task.checked && segmentId !== SEGMENTS.DONE) {
+        parentResult = toggleTask(taskId, segmentId);
+    }
+
+    return { task, subtask, parentResult };
+}
+
+/**
+ * Set the Markdown notes of a task
+ * @param {string} taskId - Task ID
+ * @param {number} segmentId - Segment ID containing the task
+ * @param {string} notes - Notes text (empty = remove notes)
+ * @returns {object|null} Updated task or null if not found or unchanged
+ */
+export function setTaskNotes(taskId, segmentId, notes) {
+    const task = getTask(taskId, segmentId);
+    if (!task) return null;
+
+    const value = (notes || '').trim().slice(0, MAX_NOTES_LENGTH) || null;
+    if ((task.notes || null) === value) return null;
+
+    task.notes = value;
+    task.updatedAt = Date.now();
+    recordEdit(task, ['notes'], task.updatedAt);
+    return task;
+}
+
+/**
+ * Get checklist progress of a task
+ * @param {object} task - Task object
+ * @returns {{done: number, total: number}} Number of checked and total subtasks
+ */
+export function getSubtaskProgress(task) {
+    const subtasks = (task && task.subtasks) || [];
+    return {
+        done: subtasks.filter(s => s.checked).length,
+        total: subtasks.length
+    };
+}
+
 /**
  * Get all tasks from a specific segment
  * @param {number} segmentId - Segment ID (1-5)
@@ -239,7 +484,7 @@ export function getTasks(segmentId) {
 
 /**
  * Get a specific task by ID and segment
- * @param {number} taskId - Task ID
+ * @param {string} taskId - Task ID
  * @param {number} segmentId - Segment ID
  * @returns {object|null} Task object or null if not found
  */
@@ -269,6 +514,36 @@ export function setAllTasks(newTasks) {
     };
 }
 
+/**
+ * Insert an existing task object into its segment
+ * Used to restore tasks (undo/redo), keeps the task's own ID.
+ * @param {object} task - Task object (task.segment is the target segment)
+ * @param {number|null} index - Position in the segment (null = append)
+ * @returns {object} The inserted task
+ */
+export function insertTask(task, index = null) {
+    const segmentTasks = tasks[task.segment];
+    const position = index === null ? segmentTasks.length : Math.min(Math.max(index, 0), segmentTasks.length);
+    segmentTasks.splice(position, 0, task);
+    return task;
+}
+
+/**
+ * Remove a task by ID from whichever segment contains it
+ * @param {string} taskId - Task ID
+ * @returns {{task: object, segmentId: number, index: number}|null} Removed task and its position
+ */
+export function removeTaskById(taskId) {
+    for (const segmentId of Object.keys(tasks)) {
+        const index = tasks[segmentId].findIndex(t => t.id === taskId);
+        if (index !== -1) {
+            const [task] = tasks[segmentId].splice(index, 1);
+            return { task, segmentId: parseInt(segmentId), index };
+        }
+    }
+    return null;
+}
+
 /**
  * Get task count for a segment
  * @param {number} segmentId - Segment ID
@@ -288,7 +563,7 @@ export function getTotalTaskCount() {
 
 /**
  * Update a task's properties
- * @param {number} taskId - Task ID
+ * @param {string} taskId - Task ID
  * @param {number} segmentId - Segment ID
  * @param {object} updates - Properties to update
  * @returns {object|null} Updated task or null if not found
@@ -297,24 +572,30 @@ export function updateTask(taskId, segmentId, updates) {
     const task = tasks[segmentId].find(t => t.id === taskId);
     if (!task) return null;
 
-    Object.assign(task, updates);
+    Object.assign(task, updates, { updatedAt: Date.now() });
+    recordEdit(task, Object.keys(updates), task.updatedAt);
     return task;
 }
 
 /**
- * Filter tasks by search term
+ * Filter tasks by search term and tags
  * @param {string} searchTerm - Search term
+ * @param {object} [tagFilter] - Tag filter
+ * @param {Array<string>} tagFilter.tags - Selected tags
+ * @param {'any'|'all'} tagFilter.mode - Match any or all selected tags
  * @returns {object} Filtered tasks by segment
  */
-export function filterTasks(searchTerm) {
-    if (!searchTerm) return tasks;
+export function filterTasks(searchTerm, tagFilter = null) {
+    const hasTagFilter = tagFilter && tagFilter.tags && tagFilter.tags.length > 0;
+    if (!searchTerm && !hasTagFilter) return tasks;
 
     const filtered = {};
-    const lowerSearch = searchTerm.toLowerCase();
+    const lowerSearch = (searchTerm || '').toLowerCase();
 
     for (let segmentId = 1; segmentId <= 5; segmentId++) {
         filtered[segmentId] = tasks[segmentId].filter(task =>
-            task.text.toLowerCase().includes(lowerSearch)
+            task.text.toLowerCase().includes(lowerSearch) &&
+            (!hasTagFilter || matchesTagFilter(task, tagFilter.tags, tagFilter.mode))
         );
     }
 
@@ -342,6 +623,30 @@ export function clearCompletedTasks(deleteCallback = null) {
     }
 }
 
+/**
+ * Delete several tasks at once (e.g. clean-up of Ignore!)
+ * @param {Array<string>} taskIds - Task IDs
+ * @param {function} [deleteCallback] - Called with the IDs of the deleted tasks
+ * @returns {Array<object>} Deleted tasks
+ */
+export function deleteTasks(taskIds, deleteCallback = null) {
+    const ids = new Set(taskIds);
+    const deleted = [];
+
+    Object.keys(tasks).forEach(segmentId => {
+        deleted.push(...tasks[segmentId].filter(t => ids.has(t.id)));
+        tasks[segmentId] = tasks[segmentId].filter(t => !ids.has(t.id));
+    });
+
+    if (deleteCallback) {
+        deleteCallback(deleted.map(t => t.id));
+    }
+    return deleted;
+}
+
+// Translation keys of weekday numbers (0 = Sunday, as stored in recurring.weekdays)
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 /**
  * Get recurring task description for display
  * @param {object} recurring - Recurring configuration
@@ -358,7 +663,7 @@ export function getRecurringDescription(recurring, translations) {
             return t.daily;
         case 'weekly':
             if (recurring.weekdays && recurring.weekdays.length > 0) {
-                return `${t.weekly}: ${recurring.weekdays.map(d => t.weekdays[d]).join(', ')}`;
+                return `${t.weekly}: ${recurring.weekdays.map(d => t.weekdays[WEEKDAY_KEYS[d]]).join(', ')}`;
             }
             return t.weekly;
         case 'monthly':
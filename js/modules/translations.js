@@ -5,7 +5,7 @@
 
 export const translations = {
     de: {
-        taskInputPlaceholder: 'Neue Aufgabe',
+        taskInputPlaceholder: 'Neue Aufgabe – z. B. „Bericht morgen 9 Uhr !wichtig #arbeit“',
         segments: {
             1: { title: 'Sofort!', subtitle: 'wichtig & dringend' },
             2: { title: 'Planen!', subtitle: 'wichtig' },
@@ -32,11 +32,240 @@ export const translations = {
                 sunday: 'Sonntag'
             },
             dayOfMonth: 'Tag des Monats:',
-            indicator: '🔁'
+            indicator: '🔁',
+            nextOccurrence: 'Nächstes Mal'
+        },
+        deadlines: {
+            dueLabel: '📅 Fällig am (optional)',
+            due: 'Fällig',
+            overdue: 'Überfällig',
+            escalated: 'Frist naht – verschoben nach',
+            undo: 'Rückgängig',
+            windowLabel: '⏰ Bei nahender Frist hochstufen',
+            windowOff: 'Aus',
+            windowHours: 'Std. vorher',
+            windowDays: 'Tage vorher'
+        },
+        subtasks: {
+            toggle: 'Checkliste anzeigen',
+            placeholder: 'Unteraufgabe hinzufügen…',
+            delete: 'Unteraufgabe löschen'
+        },
+        notes: {
+            indicator: 'Notizen',
+            label: '📝 Notizen',
+            empty: 'Noch keine Notizen.',
+            placeholder: 'Links, Telefonnummern, Besprechungsnotizen…',
+            hint: 'Markdown: **fett**, *kursiv*, - Liste, `Code`, [Link](https://…)',
+            edit: 'Bearbeiten',
+            save: 'Speichern',
+            cancel: 'Abbrechen',
+            close: 'Schließen'
+        },
+        activity: {
+            label: '🕒 Verlauf',
+            created: 'Erstellt in',
+            createdPlain: 'Erstellt',
+            moved: 'Verschoben',
+            completed: 'Erledigt aus',
+            completedPlain: 'Erledigt',
+            restored: 'Wiederhergestellt in',
+            edited: 'Bearbeitet',
+            undone: 'Rückgängig gemacht',
+            redone: 'Wiederholt',
+            thisDevice: 'dieses Gerät',
+            otherDevice: 'anderes Gerät',
+            fields: {
+                text: 'Text',
+                notes: 'Notizen',
+                subtasks: 'Checkliste',
+                dueDate: 'Fälligkeit',
+                tags: 'Tags',
+                recurring: 'Wiederholung'
+            }
+        },
+        aging: {
+            aging: 'Angestaubt',
+            stale: 'Verstaubt',
+            daysShort: 'T',
+            days: 'Tage',
+            created: 'Alter:',
+            idle: 'unverändert:',
+            thresholdsLabel: '⏳ Verblassen nach Tagen ohne Änderung (0 = aus)',
+            cleanupLabel: '🧹 „Später!“-Aufgaben länger als',
+            cleanupCount: 'Aufgaben betroffen',
+            cleanupNone: 'Keine Aufgaben betroffen',
+            exportDelete: 'Exportieren & löschen',
+            delete: 'Löschen',
+            exported: 'Aufgaben gelöscht (als Datei heruntergeladen)',
+            deleted: 'Aufgaben gelöscht'
+        },
+        review: {
+            title: '🗓️ Wochenrückblick',
+            button: 'Wochenrückblick starten',
+            ageLabel: '🗓️ Alte Aufgaben markieren ab',
+            lastReview: 'Letzter Rückblick',
+            never: 'Noch kein Rückblick',
+            due: 'Zeit für den Wochenrückblick',
+            startNow: 'Jetzt starten',
+            sinceLast: 'Erledigt seit dem Rückblick am',
+            sinceWeek: 'Erledigt in den letzten 7 Tagen',
+            openTasks: 'Offene Aufgaben',
+            olderThan: 'davon älter als',
+            days: 'Tage',
+            age: 'Offen seit',
+            empty: 'Keine offenen Aufgaben – alles erledigt.',
+            progress: 'Aufgabe',
+            actions: {
+                keep: 'Behalten',
+                move: 'Verschieben',
+                delegate: 'Abgeben',
+                drop: 'Verwerfen',
+                reschedule: 'Neu planen'
+            },
+            moveTo: 'Verschieben nach:',
+            rescheduleTo: 'Neue Frist:',
+            apply: 'Übernehmen',
+            start: 'Los geht\'s',
+            finish: 'Fertig',
+            finished: 'Rückblick abgeschlossen.',
+            close: 'Schließen'
+        },
+        metrics: {
+            title: '📊 Produktivitäts-Statistiken',
+            overview: 'Übersicht',
+            totalCompleted: 'Gesamt erledigt',
+            streak: 'Tage Streak',
+            avgTime: 'Ø Bearbeitungszeit',
+            completedTasks: 'Erledigte Aufgaben',
+            distribution: 'Verteilung nach Quadranten (Erledigte nach Ursprung)',
+            day: 'Tag',
+            week: 'Woche',
+            month: 'Monat',
+            close: 'Schließen',
+            chartLabel: 'Erledigte Aufgaben',
+            weekPrefix: 'KW',
+            originTitle: 'Erledigt nach Ursprungs-Quadrant (pro Woche)',
+            originTimeTitle: 'Ø Zeit bis erledigt pro Quadrant',
+            firefightingTitle: '🔥 Feuerwehr-Quote',
+            firefightingLabel: 'geplante Aufgaben (Planen!) landeten in Sofort!',
+            unknownOrigin: 'Unbekannt',
+            days: 'Tage',
+            tasks: 'Aufgaben'
+        },
+        conflicts: {
+            changed: 'Auf einem anderen Gerät ebenfalls geändert',
+            deleted: 'Auf einem anderen Gerät gelöscht',
+            keepMine: 'Meine behalten',
+            keepTheirs: 'Andere übernehmen',
+            merge: 'Zusammenführen'
+        },
+        sync: {
+            label: '🔄 Synchronisation',
+            states: {
+                offline: 'Offline – Änderungen werden später synchronisiert',
+                syncing: 'Synchronisiere…',
+                error: 'Fehler – einige Änderungen konnten nicht gespeichert werden',
+                pending: 'Änderungen warten auf Synchronisation',
+                synced: 'Alles synchronisiert'
+            },
+            itemStates: {
+                pending: 'Wartend',
+                processing: 'Wird gespeichert',
+                failed: 'Fehlgeschlagen'
+            },
+            operations: {
+                saveTask: 'Erstellen',
+                updateTask: 'Ändern',
+                deleteTask: 'Löschen',
+                saveTag: 'Tag speichern'
+            },
+            lastSync: 'Zuletzt synchronisiert',
+            never: 'noch nie',
+            empty: 'Keine ausstehenden Änderungen.',
+            unknownTask: 'Gelöschte Aufgabe',
+            retries: 'Versuche',
+            retry: 'Erneut versuchen',
+            discard: 'Verwerfen',
+            retryAll: 'Alle erneut versuchen',
+            nextAttempt: 'nächster Versuch',
+            exportFailed: 'Fehlgeschlagene Änderungen exportieren',
+            bulkProgress: 'Aufgaben werden gespeichert',
+            bulkQueued: 'Änderungen werden synchronisiert, sobald die Verbindung steht'
+        },
+        importWizard: {
+            title: '📥 Daten importieren',
+            backupFrom: 'Sicherung vom',
+            tasksInFile: 'Aufgaben in der Datei',
+            preview: 'Werden importiert',
+            duplicates: 'Duplikate (gleicher Text und Erstellzeitpunkt)',
+            skipped: 'übersprungen',
+            invalid: 'ungültige Aufgaben werden nicht importiert',
+            invalidFields: 'ungültig:',
+            removed: 'vorhandene Aufgaben werden gelöscht',
+            modeLabel: 'Vorgehen',
+            modes: {
+                merge: 'Zusammenführen (alle hinzufügen)',
+                skipDuplicates: 'Zusammenführen ohne Duplikate',
+                replace: 'Ersetzen (aktuelle Aufgaben löschen)'
+            },
+            columns: 'Spalten',
+            notMapped: '– nicht importieren –',
+            fields: {
+                id: 'ID',
+                text: 'Aufgabe',
+                quadrant: 'Quadrant',
+                checked: 'Erledigt',
+                createdAt: 'Erstellt am',
+                completedAt: 'Erledigt am'
+            },
+            delimiters: {
+                ';': 'Semikolon',
+                ',': 'Komma',
+                '\t': 'Tabulator'
+            },
+            cancel: 'Abbrechen',
+            confirm: 'Importieren',
+            success: 'Aufgaben importiert',
+            errors: {
+                invalidJson: 'Die Datei ist kein gültiges JSON.',
+                noTasks: 'Die Datei enthält keine Aufgaben.',
+                noColumns: 'Die CSV-Datei hat keine Kopfzeile mit Spalten.',
+                noCalendar: 'Die Datei ist keine iCalendar-Datei (.ics).',
+                unsupportedVersion: 'Die Sicherung stammt aus einer neueren Version der App.',
+                readFailed: 'Die Datei konnte nicht gelesen werden.'
+            }
+        },
+        tags: {
+            label: '🏷️ Tags (optional)',
+            placeholder: '#arbeit, @alice',
+            filterLabel: 'Filter:',
+            matchAny: 'Beliebig',
+            matchAll: 'Alle',
+            clear: 'Zurücksetzen'
+        },
+        history: {
+            undo: 'Rückgängig',
+            deleted: 'Aufgabe gelöscht',
+            moved: 'Verschoben nach',
+            clearedCompleted: 'erledigte Aufgaben gelöscht',
+            clearCompleted: 'Erledigte Aufgaben löschen'
+        },
+        quickAdd: {
+            preview: 'Neue Aufgabe:'
+        },
+        sort: {
+            label: 'Sortierung',
+            manual: 'Eigene Reihenfolge',
+            created: 'Erstellt',
+            due: 'Fälligkeit',
+            alpha: 'A–Z',
+            modified: 'Zuletzt geändert',
+            manualOnly: 'Zum Umsortieren „Eigene Reihenfolge“ wählen'
         }
     },
     en: {
-        taskInputPlaceholder: 'New task',
+        taskInputPlaceholder: 'New task – e.g. "Report tomorrow 9am !important #work"',
         segments: {
             1: { title: 'Do!', subtitle: '' },
             2: { title: 'Schedule!', subtitle: '' },
@@ -63,7 +292,236 @@ export const translations = {
                 sunday: 'Sunday'
             },
             dayOfMonth: 'Day of month:',
-            indicator: '🔁'
+            indicator: '🔁',
+            nextOccurrence: 'Next time'
+        },
+        deadlines: {
+            dueLabel: '📅 Due date (optional)',
+            due: 'Due',
+            overdue: 'Overdue',
+            escalated: 'Deadline approaching – moved to',
+            undo: 'Undo',
+            windowLabel: '⏰ Escalate when deadline is near',
+            windowOff: 'Off',
+            windowHours: 'hours before',
+            windowDays: 'days before'
+        },
+        subtasks: {
+            toggle: 'Show checklist',
+            placeholder: 'Add subtask…',
+            delete: 'Delete subtask'
+        },
+        notes: {
+            indicator: 'Notes',
+            label: '📝 Notes',
+            empty: 'No notes yet.',
+            placeholder: 'Links, phone numbers, meeting notes…',
+            hint: 'Markdown: **bold**, *italic*, - list, `code`, [link](https://…)',
+            edit: 'Edit',
+            save: 'Save',
+            cancel: 'Cancel',
+            close: 'Close'
+        },
+        activity: {
+            label: '🕒 History',
+            created: 'Created in',
+            createdPlain: 'Created',
+            moved: 'Moved',
+            completed: 'Completed from',
+            completedPlain: 'Completed',
+            restored: 'Restored to',
+            edited: 'Edited',
+            undone: 'Undone',
+            redone: 'Redone',
+            thisDevice: 'this device',
+            otherDevice: 'other device',
+            fields: {
+                text: 'Text',
+                notes: 'Notes',
+                subtasks: 'Checklist',
+                dueDate: 'Due date',
+                tags: 'Tags',
+                recurring: 'Recurrence'
+            }
+        },
+        aging: {
+            aging: 'Aging',
+            stale: 'Stale',
+            daysShort: 'd',
+            days: 'days',
+            created: 'age:',
+            idle: 'unchanged:',
+            thresholdsLabel: '⏳ Fade after days without changes (0 = off)',
+            cleanupLabel: '🧹 "Ignore!" tasks older than',
+            cleanupCount: 'tasks affected',
+            cleanupNone: 'No tasks affected',
+            exportDelete: 'Export & delete',
+            delete: 'Delete',
+            exported: 'tasks deleted (downloaded as file)',
+            deleted: 'tasks deleted'
+        },
+        review: {
+            title: '🗓️ Weekly review',
+            button: 'Start weekly review',
+            ageLabel: '🗓️ Highlight old tasks after',
+            lastReview: 'Last review',
+            never: 'No review yet',
+            due: 'Time for the weekly review',
+            startNow: 'Start now',
+            sinceLast: 'Completed since the review on',
+            sinceWeek: 'Completed in the last 7 days',
+            openTasks: 'Open tasks',
+            olderThan: 'older than',
+            days: 'days',
+            age: 'Open for',
+            empty: 'No open tasks – all done.',
+            progress: 'Task',
+            actions: {
+                keep: 'Keep',
+                move: 'Move',
+                delegate: 'Delegate',
+                drop: 'Drop',
+                reschedule: 'Reschedule'
+            },
+            moveTo: 'Move to:',
+            rescheduleTo: 'New deadline:',
+            apply: 'Apply',
+            start: 'Let\'s go',
+            finish: 'Done',
+            finished: 'Review finished.',
+            close: 'Close'
+        },
+        metrics: {
+            title: '📊 Productivity Statistics',
+            overview: 'Overview',
+            totalCompleted: 'Total completed',
+            streak: 'Day streak',
+            avgTime: 'Avg. processing time',
+            completedTasks: 'Completed tasks',
+            distribution: 'Distribution by quadrant (completed by origin)',
+            day: 'Day',
+            week: 'Week',
+            month: 'Month',
+            close: 'Close',
+            chartLabel: 'Completed tasks',
+            weekPrefix: 'CW',
+            originTitle: 'Completed by quadrant of origin (per week)',
+            originTimeTitle: 'Avg. time to complete per quadrant',
+            firefightingTitle: '🔥 Firefighting ratio',
+            firefightingLabel: 'scheduled tasks (Schedule!) ended up in Do!',
+            unknownOrigin: 'Unknown',
+            days: 'Days',
+            tasks: 'tasks'
+        },
+        conflicts: {
+            changed: 'Also changed on another device',
+            deleted: 'Deleted on another device',
+            keepMine: 'Keep mine',
+            keepTheirs: 'Keep theirs',
+            merge: 'Merge'
+        },
+        sync: {
+            label: '🔄 Sync',
+            states: {
+                offline: 'Offline – changes will be synced later',
+                syncing: 'Syncing…',
+                error: 'Error – some changes could not be saved',
+                pending: 'Changes waiting to sync',
+                synced: 'Everything synced'
+            },
+            itemStates: {
+                pending: 'Pending',
+                processing: 'Saving',
+                failed: 'Failed'
+            },
+            operations: {
+                saveTask: 'Create',
+                updateTask: 'Update',
+                deleteTask: 'Delete',
+                saveTag: 'Save tag'
+            },
+            lastSync: 'Last synced',
+            never: 'never',
+            empty: 'No pending changes.',
+            unknownTask: 'Deleted task',
+            retries: 'Attempts',
+            retry: 'Retry',
+            discard: 'Discard',
+            retryAll: 'Retry all',
+            nextAttempt: 'next attempt',
+            exportFailed: 'Export failed changes',
+            bulkProgress: 'Saving tasks',
+            bulkQueued: 'changes will be synced once the connection is back'
+        },
+        importWizard: {
+            title: '📥 Import data',
+            backupFrom: 'Backup from',
+            tasksInFile: 'tasks in the file',
+            preview: 'To be imported',
+            duplicates: 'duplicates (same text and creation time)',
+            skipped: 'skipped',
+            invalid: 'invalid tasks will not be imported',
+            invalidFields: 'invalid:',
+            removed: 'existing tasks will be deleted',
+            modeLabel: 'Mode',
+            modes: {
+                merge: 'Merge (add all)',
+                skipDuplicates: 'Merge without duplicates',
+                replace: 'Replace (delete current tasks)'
+            },
+            columns: 'Columns',
+            notMapped: '– do not import –',
+            fields: {
+                id: 'ID',
+                text: 'Task',
+                quadrant: 'Quadrant',
+                checked: 'Done',
+                createdAt: 'Created at',
+                completedAt: 'Completed at'
+            },
+            delimiters: {
+                ';': 'semicolon',
+                ',': 'comma',
+                '\t': 'tab'
+            },
+            cancel: 'Cancel',
+            confirm: 'Import',
+            success: 'tasks imported',
+            errors: {
+                invalidJson: 'The file is not valid JSON.',
+                noTasks: 'The file contains no tasks.',
+                noColumns: 'The CSV file has no header row with columns.',
+                noCalendar: 'The file is not an iCalendar file (.ics).',
+                unsupportedVersion: 'The backup was made by a newer version of the app.',
+                readFailed: 'The file could not be read.'
+            }
+        },
+        tags: {
+            label: '🏷️ Tags (optional)',
+            placeholder: '#work, @alice',
+            filterLabel: 'Filter:',
+            matchAny: 'Any',
+            matchAll: 'All',
+            clear: 'Clear'
+        },
+        history: {
+            undo: 'Undo',
+            deleted: 'Task deleted',
+            moved: 'Moved to',
+            clearedCompleted: 'completed tasks cleared',
+            clearCompleted: 'Clear completed tasks'
+        },
+        quickAdd: {
+            preview: 'New task:'
+        },
+        sort: {
+            label: 'Sort',
+            manual: 'Custom order',
+            created: 'Created',
+            due: 'Due date',
+            alpha: 'A–Z',
+            modified: 'Last modified',
+            manualOnly: 'Choose "Custom order" to reorder tasks'
         }
     }
 };
@@ -193,6 +651,113 @@ export function updateLanguageUI(renderAllTasksCallback) {
         taskInput.placeholder = lang.taskInputPlaceholder;
     }
 
+    // Update due date labels
+    ['taskDueDateLabel', 'quickAddDueDateLabel'].forEach(id => {
+        const elem = document.getElementById(id);
+        if (elem) {
+            elem.textContent = lang.deadlines.dueLabel;
+        }
+    });
+
+    // Update tag inputs
+    ['taskTagsLabel', 'quickAddTagsLabel'].forEach(id => {
+        const elem = document.getElementById(id);
+        if (elem) {
+            elem.textContent = lang.tags.label;
+        }
+    });
+
+    ['taskTags', 'quickAddTags'].forEach(id => {
+        const elem = document.getElementById(id);
+        if (elem) {
+            elem.placeholder = lang.tags.placeholder;
+        }
+    });
+
+    const clearCompletedBtn = document.getElementById('clearCompletedBtn');
+    if (clearCompletedBtn) {
+        clearCompletedBtn.title = lang.history.clearCompleted;
+        clearCompletedBtn.setAttribute('aria-label', lang.history.clearCompleted);
+    }
+
+    document.querySelectorAll('.segment-sort-select').forEach(select => {
+        select.title = lang.sort.label;
+        select.setAttribute('aria-label', lang.sort.label);
+        select.querySelectorAll('option').forEach(option => {
+            option.textContent = lang.sort[option.value];
+        });
+    });
+
+    const escalationWindowLabel = document.getElementById('escalationWindowLabel');
+    if (escalationWindowLabel) {
+        escalationWindowLabel.textContent = lang.deadlines.windowLabel;
+    }
+
+    const syncPanelLabel = document.getElementById('syncPanelLabel');
+    if (syncPanelLabel) {
+        syncPanelLabel.textContent = lang.sync.label;
+    }
+
+    const escalationWindowSelect = document.getElementById('escalationWindowSelect');
+    if (escalationWindowSelect) {
+        escalationWindowSelect.querySelectorAll('option').forEach(option => {
+            const hours = parseInt(option.value);
+            if (hours === 0) {
+                option.textContent = lang.deadlines.windowOff;
+            } else if (hours % 24 === 0) {
+                option.textContent = `${hours / 24} ${lang.deadlines.windowDays}`;
+            } else {
+                option.textContent = `${hours} ${lang.deadlines.windowHours}`;
+            }
+        });
+    }
+
+    const agingLabel = document.getElementById('agingLabel');
+    if (agingLabel) {
+        agingLabel.textContent = lang.aging.thresholdsLabel;
+    }
+
+    document.querySelectorAll('.aging-segment').forEach(label => {
+        label.textContent = lang.segments[label.dataset.segment].title;
+    });
+
+    const cleanupLabel = document.getElementById('cleanupLabel');
+    if (cleanupLabel) {
+        cleanupLabel.textContent = lang.aging.cleanupLabel;
+    }
+
+    const cleanupDaysUnit = document.getElementById('cleanupDaysUnit');
+    if (cleanupDaysUnit) {
+        cleanupDaysUnit.textContent = lang.aging.days;
+    }
+
+    const cleanupExportBtn = document.getElementById('cleanupExportBtn');
+    if (cleanupExportBtn) {
+        cleanupExportBtn.textContent = lang.aging.exportDelete;
+    }
+
+    const cleanupDeleteBtn = document.getElementById('cleanupDeleteBtn');
+    if (cleanupDeleteBtn) {
+        cleanupDeleteBtn.textContent = lang.aging.delete;
+    }
+
+    const reviewAgeLabel = document.getElementById('reviewAgeLabel');
+    if (reviewAgeLabel) {
+        reviewAgeLabel.textContent = lang.review.ageLabel;
+    }
+
+    const reviewAgeSelect = document.getElementById('reviewAgeSelect');
+    if (reviewAgeSelect) {
+        reviewAgeSelect.querySelectorAll('option').forEach(option => {
+            option.textContent = `${option.value} ${lang.review.days}`;
+        });
+    }
+
+    const reviewBtn = document.getElementById('reviewBtn');
+    if (reviewBtn) {
+        reviewBtn.textContent = lang.review.button;
+    }
+
     // Update drag hint text
     const dragHint = document.getElementById('dragHint');
     if (dragHint) {
@@ -3,11 +3,127 @@
  * Handles all UI rendering, modals, and user interactions
  */
 
-import { COLORS, SEGMENTS } from './config.js';
-import { getTasks, getRecurringDescription } from './tasks.js';
-import { DragManager } from './drag-manager.js';
+import { COLORS, SEGMENTS, DEFAULT_SORT_MODE, MAX_NOTES_LENGTH } from './config.js';
+import { getTasks, getRecurringDescription, getSubtaskProgress } from './tasks.js';
+import { isOverdue, parseDueDateInput, formatDueDateInput } from './deadlines.js';
+import { getTagColor, parseTagInput, mergeTags } from './tags.js';
+import { parseQuickAdd, hasQuickAddDetails } from './quick-add-parser.js';
+import { sortTasks } from './ordering.js';
+import { renderMarkdown, getNotesPreview } from './markdown.js';
+import { getTaskActivity, getDeviceId } from './activity.js';
+import { REVIEW_ACTIONS } from './review.js';
+import { getTaskAgeDays, getIdleDays, getStaleLevel, getStaleThresholds } from './aging.js';
+import {
+    ORIGIN_SEGMENTS,
+    getISOWeek,
+    getCompletedTasksData,
+    calculateStreak,
+    calculateAverageProcessingTime,
+    getSegmentDistribution,
+    getCompletionsByOrigin,
+    getAverageTimeByOrigin,
+    getFirefightingRatio,
+    formatDuration
+} from './metrics.js';
+import { DragManager, getDropBeforeId } from './drag-manager.js';
 import { announceDragStart, announceDragEnd } from './accessibility.js';
 
+// Chart.js instances of the metrics modal (destroyed before redrawing)
+const metricsCharts = {};
+
+// Period of the completed tasks chart ('day', 'week' or 'month')
+let metricsPeriod = 'day';
+
+// Task IDs whose checklist is expanded (survives re-renders)
+const expandedChecklists = new Set();
+
+// Active quick add input listeners (replaced each time the modal opens)
+let quickAddKeyHandler = null;
+let quickAddInputHandler = null;
+
+/**
+ * Create the checklist (subtasks) element of a task
+ * @param {object} task - Task object
+ * @param {object} lang - Translations for the current language
+ * @param {object} callbacks - Callback functions
+ * @returns {HTMLElement} Checklist element
+ */
+function createChecklistElement(task, lang, callbacks) {
+    const list = document.createElement('div');
+    list.className = 'task-checklist';
+
+    (task.subtasks || []).forEach(subtask => {
+        const item = document.createElement('label');
+        item.className = 'task-checklist-item';
+        if (subtask.checked) {
+            item.classList.add('checked');
+        }
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = subtask.checked;
+        checkbox.addEventListener('change', () => {
+            if (callbacks.onSubtaskToggle) {
+                callbacks.onSubtaskToggle(task.id, task.segment, subtask.id);
+            }
+        });
+
+        const text = document.createElement('span');
+        text.textContent = subtask.text;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'task-checklist-delete';
+        deleteBtn.setAttribute('aria-label', `${lang.subtasks.delete}: ${subtask.text}`);
+        deleteBtn.textContent = '✕';
+        deleteBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (callbacks.onSubtaskDelete) {
+                callbacks.onSubtaskDelete(task.id, task.segment, subtask.id);
+            }
+        });
+
+        item.appendChild(checkbox);
+        item.appendChild(text);
+        item.appendChild(deleteBtn);
+        list.appendChild(item);
+    });
+
+    // New subtask input (not for completed tasks)
+    if (task.segment !== SEGMENTS.DONE) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'task-checklist-input';
+        input.placeholder = lang.subtasks.placeholder;
+        input.maxLength = 140;
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input.value.trim()) {
+                e.preventDefault();
+                if (callbacks.onSubtaskAdd) {
+                    callbacks.onSubtaskAdd(task.id, task.segment, input.value.trim());
+                }
+            }
+        });
+        list.appendChild(input);
+    }
+
+    return list;
+}
+
+/**
+ * Create a colored tag chip
+ * @param {string} tag - Tag name
+ * @returns {HTMLElement} Chip element
+ */
+function createTagChip(tag) {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    chip.textContent = tag;
+    chip.style.setProperty('--tag-color', getTagColor(tag));
+    return chip;
+}
+
 /**
  * Create a task DOM element
  * @param {object} task - Task object
@@ -17,9 +133,14 @@ import { announceDragStart, announceDragEnd } from './accessibility.js';
  * @param {function} callbacks.onToggle - Toggle task handler
  * @param {function} callbacks.onDragEnd - Drag end handler (called after drop)
  * @param {function} callbacks.onSwipeDelete - Swipe delete handler
+ * @param {function} callbacks.onSubtaskToggle - Subtask toggle handler
+ * @param {function} callbacks.onSubtaskAdd - Subtask add handler
+ * @param {function} callbacks.onSubtaskDelete - Subtask delete handler
+ * @param {function} callbacks.onOpenDetails - Open the detail view (notes) of a task
+ * @param {object} [staleThresholds] - Aging thresholds per quadrant (see getStaleThresholds)
  * @returns {HTMLElement} Task element
  */
-export function createTaskElement(task, translations, currentLanguage, callbacks = {}) {
+export function createTaskElement(task, translations, currentLanguage, callbacks = {}, staleThresholds = getStaleThresholds()) {
     const div = document.createElement('div');
     div.className = 'task-item';
     div.dataset.taskId = task.id;
@@ -67,6 +188,112 @@ export function createTaskElement(task, translations, currentLanguage, callbacks
 
     content.appendChild(textSpan);
 
+    // Open the detail view (notes) by clicking the title
+    if (callbacks.onOpenDetails) {
+        textSpan.classList.add('clickable');
+        textSpan.addEventListener('click', (e) => {
+            e.stopPropagation();
+            callbacks.onOpenDetails(task.id, task.segment);
+        });
+
+        // Enter on a focused task, unless a task is selected for keyboard moving
+        div.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === div && !document.querySelector('.task-item.keyboard-selected')) {
+                e.preventDefault();
+                callbacks.onOpenDetails(task.id, task.segment);
+            }
+        });
+    }
+
+    // Add notes indicator
+    if (task.notes) {
+        const notesIndicator = document.createElement('button');
+        notesIndicator.type = 'button';
+        notesIndicator.className = 'task-notes-indicator';
+        notesIndicator.textContent = '📝';
+        notesIndicator.title = getNotesPreview(task.notes);
+        notesIndicator.setAttribute('aria-label', translations[currentLanguage].notes.indicator);
+        notesIndicator.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (callbacks.onOpenDetails) {
+                callbacks.onOpenDetails(task.id, task.segment);
+            }
+        });
+        content.appendChild(notesIndicator);
+    }
+
+    // Add tag chips
+    if (task.tags && task.tags.length > 0) {
+        const tagsEl = document.createElement('span');
+        tagsEl.className = 'task-tags';
+        task.tags.forEach(tag => {
+            tagsEl.appendChild(createTagChip(tag));
+        });
+        content.appendChild(tagsEl);
+    }
+
+    // Add checklist progress toggle (e.g. "3/7")
+    const { done, total } = getSubtaskProgress(task);
+    const subtaskToggle = document.createElement('button');
+    subtaskToggle.type = 'button';
+    subtaskToggle.className = 'task-subtask-toggle';
+    if (total === 0) {
+        subtaskToggle.classList.add('empty');
+    } else if (done === total) {
+        subtaskToggle.classList.add('complete');
+    }
+    subtaskToggle.textContent = total > 0 ? `☑ ${done}/${total}` : '☑ +';
+    subtaskToggle.setAttribute('aria-label', translations[currentLanguage].subtasks.toggle);
+    subtaskToggle.setAttribute('aria-expanded', String(expandedChecklists.has(task.id)));
+    subtaskToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (expandedChecklists.has(task.id)) {
+            expandedChecklists.delete(task.id);
+            div.querySelector('.task-checklist')?.remove();
+            subtaskToggle.setAttribute('aria-expanded', 'false');
+        } else {
+            expandedChecklists.add(task.id);
+            content.appendChild(createChecklistElement(task, translations[currentLanguage], callbacks));
+            subtaskToggle.setAttribute('aria-expanded', 'true');
+            content.querySelector('.task-checklist-input')?.focus();
+        }
+    });
+    content.appendChild(subtaskToggle);
+
+    // Add due date badge for open tasks
+    if (task.dueDate && task.segment !== SEGMENTS.DONE) {
+        const dueSpan = document.createElement('span');
+        dueSpan.className = 'task-due';
+        const overdue = isOverdue(task);
+        if (overdue) {
+            dueSpan.classList.add('overdue');
+        }
+        const dueDate = new Date(task.dueDate);
+        const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        const formattedDue = dueDate.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+        const formattedDueTime = dueDate.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+        const deadlineTexts = translations[currentLanguage].deadlines;
+        dueSpan.textContent = `📅 ${formattedDue} ${formattedDueTime}`;
+        dueSpan.title = overdue ? deadlineTexts.overdue : deadlineTexts.due;
+        content.appendChild(dueSpan);
+    }
+
+    // Fade cards that have not been touched for the quadrant's threshold
+    const staleLevel = getStaleLevel(task, staleThresholds);
+    if (staleLevel) {
+        const agingTexts = translations[currentLanguage].aging;
+        div.classList.add(`task-${staleLevel}`);
+
+        const idleDays = getIdleDays(task);
+        const ageDays = getTaskAgeDays(task) ?? idleDays;
+        const ageSpan = document.createElement('span');
+        ageSpan.className = `task-age ${staleLevel}`;
+        ageSpan.textContent = `⏳ ${ageDays} ${agingTexts.daysShort}`;
+        ageSpan.title = `${agingTexts[staleLevel]} – ${agingTexts.created} ${ageDays} ${agingTexts.days}, ` +
+            `${agingTexts.idle} ${idleDays} ${agingTexts.days}`;
+        content.appendChild(ageSpan);
+    }
+
     // Add completion timestamp for Done! segment
     if (task.segment === SEGMENTS.DONE && task.completedAt) {
         const timestampSpan = document.createElement('span');
@@ -85,6 +312,11 @@ export function createTaskElement(task, translations, currentLanguage, callbacks
         content.appendChild(timestampSpan);
     }
 
+    // Restore expanded checklist after re-render
+    if (expandedChecklists.has(task.id)) {
+        content.appendChild(createChecklistElement(task, translations[currentLanguage], callbacks));
+    }
+
     div.appendChild(checkbox);
     div.appendChild(content);
 
@@ -130,11 +362,16 @@ export function createTaskElement(task, translations, currentLanguage, callbacks
                     const toSegment = parseInt(event.target.dataset.segment);
                     const fromSegment = task.segment;
 
-                    if (toSegment && toSegment !== fromSegment) {
-                        // Announce to screen readers
-                        announceDragEnd(task.text, fromSegment, toSegment);
+                    if (toSegment) {
+                        // Same quadrant = reorder, the drop position decides where the task goes
+                        const beforeTaskId = getDropBeforeId(event.target, event.y, task.id);
+
+                        if (toSegment !== fromSegment) {
+                            // Announce to screen readers
+                            announceDragEnd(task.text, fromSegment, toSegment);
+                        }
 
-                        callbacks.onDragEnd(task.id, fromSegment, toSegment);
+                        callbacks.onDragEnd(task.id, fromSegment, toSegment, beforeTaskId);
                     }
                 }
             },
@@ -164,16 +401,19 @@ export function createTaskElement(task, translations, currentLanguage, callbacks
  * @param {object} translations - Translations object
  * @param {string} currentLanguage - Current language
  * @param {object} callbacks - Event callbacks
+ * @param {string} [sortMode] - Sort mode of the segment (manual, created, due, alpha, modified)
+ * @param {object} [staleThresholds] - Aging thresholds per quadrant, read once for all cards
  */
-export function renderSegment(segmentId, tasks, translations, currentLanguage, callbacks = {}) {
+export function renderSegment(segmentId, tasks, translations, currentLanguage, callbacks = {}, sortMode = DEFAULT_SORT_MODE, staleThresholds = getStaleThresholds()) {
     const segmentElement = document.getElementById(`segment${segmentId}`);
     if (!segmentElement) return;
 
     segmentElement.innerHTML = '';
 
-    const segmentTasks = tasks[segmentId] || [];
+    // Sorted copy, the tasks array keeps the manual order
+    const segmentTasks = sortTasks(tasks[segmentId] || [], sortMode, currentLanguage);
     segmentTasks.forEach(task => {
-        const taskElement = createTaskElement(task, translations, currentLanguage, callbacks);
+        const taskElement = createTaskElement(task, translations, currentLanguage, callbacks, staleThresholds);
         segmentElement.appendChild(taskElement);
     });
 }
@@ -184,16 +424,142 @@ export function renderSegment(segmentId, tasks, translations, currentLanguage, c
  * @param {object} translations - Translations object
  * @param {string} currentLanguage - Current language
  * @param {object} callbacks - Event callbacks
+ * @param {object} [sortModes] - Sort mode per segment ID (missing = manual)
  */
-export function renderAllTasks(tasks, translations, currentLanguage, callbacks = {}) {
+export function renderAllTasks(tasks, translations, currentLanguage, callbacks = {}, sortModes = {}) {
+    const staleThresholds = getStaleThresholds();
     for (let i = 1; i <= 5; i++) {
-        renderSegment(i, tasks, translations, currentLanguage, callbacks);
+        renderSegment(i, tasks, translations, currentLanguage, callbacks, sortModes[i] || DEFAULT_SORT_MODE, staleThresholds);
+    }
+}
+
+/**
+ * Render the tag filter bar above the quadrants
+ * @param {Array<string>} allTags - All known tags
+ * @param {object} tagFilter - Active filter ({tags, mode})
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ * @param {function} onChange - Called with the new filter ({tags, mode})
+ */
+export function renderTagFilterBar(allTags, tagFilter, translations, currentLanguage, onChange) {
+    const bar = document.getElementById('tagFilterBar');
+    if (!bar) return;
+
+    bar.innerHTML = '';
+
+    if (allTags.length === 0) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    const lang = translations[currentLanguage].tags;
+    const selected = tagFilter.tags || [];
+
+    const label = document.createElement('span');
+    label.className = 'tag-filter-label';
+    label.textContent = lang.filterLabel;
+    bar.appendChild(label);
+
+    allTags.forEach(tag => {
+        const chip = createTagChip(tag);
+        const isSelected = selected.includes(tag);
+        chip.classList.add('tag-filter-chip');
+        chip.classList.toggle('selected', isSelected);
+        chip.setAttribute('role', 'button');
+        chip.setAttribute('tabindex', '0');
+        chip.setAttribute('aria-pressed', String(isSelected));
+
+        const toggle = () => {
+            const tags = isSelected ? selected.filter(t => t !== tag) : [...selected, tag];
+            onChange({ ...tagFilter, tags });
+        };
+        chip.addEventListener('click', toggle);
+        chip.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                toggle();
+            }
+        });
+
+        bar.appendChild(chip);
+    });
+
+    if (selected.length > 0) {
+        const modeBtn = document.createElement('button');
+        modeBtn.type = 'button';
+        modeBtn.className = 'tag-filter-btn';
+        modeBtn.textContent = tagFilter.mode === 'all' ? lang.matchAll : lang.matchAny;
+        modeBtn.addEventListener('click', () => {
+            onChange({ ...tagFilter, mode: tagFilter.mode === 'all' ? 'any' : 'all' });
+        });
+        bar.appendChild(modeBtn);
+
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.className = 'tag-filter-btn';
+        clearBtn.textContent = lang.clear;
+        clearBtn.addEventListener('click', () => {
+            onChange({ ...tagFilter, tags: [] });
+        });
+        bar.appendChild(clearBtn);
+    }
+
+    bar.style.display = 'flex';
+}
+
+/**
+ * Render the live preview of a parsed quick add input
+ * @param {HTMLElement} container - Preview container
+ * @param {object|null} parsed - Result of parseQuickAdd
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+export function renderQuickAddPreview(container, parsed, translations, currentLanguage) {
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (!hasQuickAddDetails(parsed)) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const lang = translations[currentLanguage];
+    const addItem = (className, text) => {
+        const item = document.createElement('span');
+        item.className = `quick-add-preview-item ${className}`;
+        item.textContent = text;
+        container.appendChild(item);
+    };
+
+    addItem('preview-text', `${lang.quickAdd.preview} ${parsed.text}`);
+
+    if (parsed.segment) {
+        addItem('preview-segment', `📂 ${lang.segments[parsed.segment].title}`);
+    }
+
+    if (parsed.dueDate) {
+        const dueDate = new Date(parsed.dueDate);
+        const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        let formattedDue = dueDate.toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+        // Date-only values are stored as 23:59 and shown without time
+        if (dueDate.getHours() !== 23 || dueDate.getMinutes() !== 59) {
+            formattedDue += ` ${dueDate.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })}`;
+        }
+        addItem('preview-due', `📅 ${formattedDue}`);
     }
+
+    if (parsed.recurring) {
+        addItem('preview-recurring', `${lang.recurring.indicator} ${getRecurringDescription(parsed.recurring, lang)}`);
+    }
+
+    parsed.tags.forEach(tag => container.appendChild(createTagChip(tag)));
+
+    container.style.display = 'flex';
 }
 
 /**
  * Open the task segment modal
- * @param {function} onAddTask - Callback when task is added
+ * @param {function} onAddTask - Callback when task is added (text, segment, recurring, details)
  * @param {string} currentTask - Current task text
  * @returns {function} Close modal function
  */
@@ -205,6 +571,8 @@ export function openModal(onAddTask, currentTask) {
     const weeklyOptions = document.getElementById('weeklyOptions');
     const monthlyOptions = document.getElementById('monthlyOptions');
     const customOptions = document.getElementById('customOptions');
+    const taskDueDate = document.getElementById('taskDueDate');
+    const taskTags = document.getElementById('taskTags');
     const segmentBtns = document.querySelectorAll('.segment-btn');
 
     if (!modal) {
@@ -231,13 +599,21 @@ export function openModal(onAddTask, currentTask) {
         weekdayCheckboxes.forEach(cb => cb.checked = false);
     }
 
+    // Reset due date and tags
+    if (taskDueDate) taskDueDate.value = '';
+    if (taskTags) taskTags.value = '';
+
     // Setup segment buttons
     segmentBtns.forEach(btn => {
         const segmentId = parseInt(btn.dataset.segment);
         btn.onclick = () => {
             if (currentTask) {
                 const recurringConfig = getRecurringConfig();
-                onAddTask(currentTask, segmentId, recurringConfig);
+                const details = {
+                    dueDate: parseDueDateInput(taskDueDate ? taskDueDate.value : ''),
+                    tags: parseTagInput(taskTags ? taskTags.value : '')
+                };
+                onAddTask(currentTask, segmentId, recurringConfig, details);
             }
             closeModal();
         };
@@ -452,6 +828,231 @@ export function openMetricsModal(calculateMetrics) {
     }
 }
 
+/**
+ * Colors of a chart (light/dark mode)
+ */
+function getChartColors() {
+    const isDarkMode = document.body.classList.contains('dark-mode');
+    return {
+        text: isDarkMode ? '#f9fafb' : '#1f2937',
+        grid: isDarkMode ? '#404040' : '#e5e7eb'
+    };
+}
+
+/**
+ * Draw a Chart.js chart into a canvas, replacing the previous one
+ * @param {string} canvasId - Canvas element ID
+ * @param {object} config - Chart.js configuration
+ */
+function drawChart(canvasId, config) {
+    const canvas = document.getElementById(canvasId);
+    // Chart.js is loaded from a CDN and may be missing offline
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    if (metricsCharts[canvasId]) {
+        metricsCharts[canvasId].destroy();
+    }
+    metricsCharts[canvasId] = new Chart(canvas, config);
+}
+
+/**
+ * Render the metrics modal (calculations in metrics.js)
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+export function renderMetrics(tasks, translations, currentLanguage) {
+    const completedTasks = tasks[SEGMENTS.DONE] || [];
+
+    updateMetricsLanguage(translations, currentLanguage);
+
+    document.getElementById('metricTotalCompleted').textContent = completedTasks.length;
+    document.getElementById('metricCurrentStreak').textContent = calculateStreak(completedTasks);
+    document.getElementById('metricAvgTime').textContent = formatDuration(calculateAverageProcessingTime(completedTasks));
+
+    // Period buttons (cloned to drop the listeners of the previous opening)
+    document.querySelectorAll('.chart-period-btn').forEach(button => {
+        const newButton = button.cloneNode(true);
+        newButton.classList.toggle('active', newButton.dataset.period === metricsPeriod);
+        newButton.addEventListener('click', () => {
+            metricsPeriod = newButton.dataset.period;
+            document.querySelectorAll('.chart-period-btn').forEach(b => {
+                b.classList.toggle('active', b === newButton);
+            });
+            renderCompletedTasksChart(completedTasks, translations, currentLanguage);
+        });
+        button.parentNode.replaceChild(newButton, button);
+    });
+
+    renderCompletedTasksChart(completedTasks, translations, currentLanguage);
+    renderSegmentDistributionChart(tasks, translations, currentLanguage);
+    renderOriginMetrics(tasks, translations, currentLanguage);
+}
+
+/**
+ * Render the completed tasks chart for the selected period
+ */
+function renderCompletedTasksChart(completedTasks, translations, currentLanguage) {
+    const lang = translations[currentLanguage].metrics;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+    const colors = getChartColors();
+
+    const label = ({ start }) => {
+        if (metricsPeriod === 'week') return `${lang.weekPrefix} ${getISOWeek(start).week}`;
+        if (metricsPeriod === 'month') return start.toLocaleDateString(locale, { month: 'short' });
+        return start.toLocaleDateString(locale, { weekday: 'short' });
+    };
+    const periods = getCompletedTasksData(completedTasks, metricsPeriod);
+
+    drawChart('completedTasksChart', {
+        type: 'bar',
+        data: {
+            labels: periods.map(label),
+            datasets: [{
+                label: lang.chartLabel,
+                data: periods.map(period => period.count),
+                backgroundColor: 'rgba(139, 92, 246, 0.6)',
+                borderColor: 'rgba(139, 92, 246, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: {
+                y: { beginAtZero: true, ticks: { precision: 0, color: colors.text }, grid: { color: colors.grid } },
+                x: { ticks: { color: colors.text }, grid: { color: colors.grid } }
+            }
+        }
+    });
+}
+
+/**
+ * Render the distribution of all tasks over the quadrants
+ * Completed tasks count for the quadrant they were completed from.
+ */
+function renderSegmentDistributionChart(tasks, translations, currentLanguage) {
+    const lang = translations[currentLanguage].metrics;
+    const segments = translations[currentLanguage].segments;
+    const counts = getSegmentDistribution(tasks);
+
+    const labels = ORIGIN_SEGMENTS.map(segmentId => segments[segmentId].title);
+    const data = ORIGIN_SEGMENTS.map(segmentId => counts[segmentId]);
+    const backgroundColor = ORIGIN_SEGMENTS.map(segmentId => COLORS[segmentId]);
+    if (counts.unknown > 0) {
+        labels.push(lang.unknownOrigin);
+        data.push(counts.unknown);
+        backgroundColor.push('#d1d5db');
+    }
+
+    drawChart('segmentDistributionChart', {
+        type: 'doughnut',
+        data: { labels, datasets: [{ data, backgroundColor, borderWidth: 2 }] },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { position: 'bottom', labels: { color: getChartColors().text, padding: 15 } }
+            }
+        }
+    });
+}
+
+/**
+ * Render the quadrant-of-origin analytics of the metrics modal
+ * Completions by originating quadrant per week, average time to complete per
+ * quadrant and the firefighting ratio (Schedule! -> Do!).
+ * @param {object} tasks - Tasks grouped by segment
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+function renderOriginMetrics(tasks, translations, currentLanguage) {
+    const lang = translations[currentLanguage].metrics;
+    const segments = translations[currentLanguage].segments;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+    const colors = getChartColors();
+    const completedTasks = tasks[SEGMENTS.DONE] || [];
+
+    document.getElementById('metricsOriginTitle').textContent = lang.originTitle;
+    document.getElementById('metricsOriginTimeTitle').textContent = lang.originTimeTitle;
+    document.getElementById('metricsFirefightingTitle').textContent = lang.firefightingTitle;
+
+    const scales = (stacked, title) => ({
+        x: { stacked, ticks: { color: colors.text }, grid: { color: colors.grid } },
+        y: {
+            stacked,
+            beginAtZero: true,
+            ticks: { color: colors.text, precision: 0 },
+            grid: { color: colors.grid },
+            title: { display: Boolean(title), text: title, color: colors.text }
+        }
+    });
+
+    // Completions per week, stacked by originating quadrant
+    const { weeks, counts } = getCompletionsByOrigin(completedTasks);
+    const datasets = ORIGIN_SEGMENTS.map(segmentId => ({
+        label: segments[segmentId].title,
+        data: counts[segmentId],
+        backgroundColor: COLORS[segmentId]
+    }));
+    if (counts.unknown.some(count => count > 0)) {
+        datasets.push({ label: lang.unknownOrigin, data: counts.unknown, backgroundColor: '#d1d5db' });
+    }
+
+    drawChart('originChart', {
+        type: 'bar',
+        data: {
+            labels: weeks.map(start => start.toLocaleDateString(locale, { day: 'numeric', month: 'short' })),
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { position: 'bottom', labels: { color: colors.text } } },
+            scales: scales(true)
+        }
+    });
+
+    // Average time to complete per quadrant (in days)
+    const averages = getAverageTimeByOrigin(completedTasks);
+    drawChart('originTimeChart', {
+        type: 'bar',
+        data: {
+            labels: ORIGIN_SEGMENTS.map(segmentId => segments[segmentId].title),
+            datasets: [{
+                label: lang.originTimeTitle,
+                data: ORIGIN_SEGMENTS.map(segmentId => (averages[segmentId].average === null
+                    ? 0
+                    : Math.round(averages[segmentId].average / 864000) / 100)),
+                backgroundColor: ORIGIN_SEGMENTS.map(segmentId => COLORS[segmentId])
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const { average, count } = averages[ORIGIN_SEGMENTS[context.dataIndex]];
+                            return `${formatDuration(average)} (${count} ${lang.tasks})`;
+                        }
+                    }
+                }
+            },
+            scales: scales(false, lang.days)
+        }
+    });
+
+    // Firefighting ratio
+    const { escalated, scheduled, ratio } = getFirefightingRatio(tasks);
+    document.getElementById('metricFirefighting').textContent = ratio === null ? '-' : `${Math.round(ratio * 100)} %`;
+    document.getElementById('metricFirefightingLabel').textContent =
+        `${escalated}/${scheduled} ${lang.firefightingLabel}`;
+}
+
 /**
  * Close metrics modal
  */
@@ -464,6 +1065,659 @@ export function closeMetricsModal() {
     }
 }
 
+/**
+ * Open the task detail modal (notes rendered as Markdown, editable)
+ * @param {object} task - Task object
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ * @param {function} onSaveNotes - Called with the edited notes text
+ */
+export function openTaskDetailModal(task, translations, currentLanguage, onSaveNotes) {
+    const modal = document.getElementById('taskDetailModal');
+    if (!modal) return;
+
+    const lang = translations[currentLanguage].notes;
+    const notesView = document.getElementById('taskDetailNotes');
+    const editor = document.getElementById('taskDetailEditor');
+    const notesInput = document.getElementById('taskDetailNotesInput');
+
+    document.getElementById('taskDetailTitle').textContent = task.text;
+    document.getElementById('taskDetailNotesLabel').textContent = lang.label;
+    document.getElementById('taskDetailNotesHint').textContent = lang.hint;
+    notesInput.placeholder = lang.placeholder;
+    notesInput.maxLength = MAX_NOTES_LENGTH;
+
+    // Remove old listeners by cloning the buttons
+    const replaceButton = (id) => {
+        const button = document.getElementById(id);
+        const newButton = button.cloneNode(true);
+        button.parentNode.replaceChild(newButton, button);
+        return newButton;
+    };
+    const cancelBtn = replaceButton('taskDetailCancelBtn');
+    const editBtn = replaceButton('taskDetailEditBtn');
+
+    let editing = false;
+    const setEditing = (value) => {
+        editing = value;
+        editor.style.display = editing ? 'block' : 'none';
+        notesView.style.display = editing ? 'none' : 'block';
+        editBtn.textContent = editing ? lang.save : lang.edit;
+        cancelBtn.textContent = editing ? lang.cancel : lang.close;
+        if (editing) {
+            notesInput.value = task.notes || '';
+            notesInput.focus();
+        }
+    };
+
+    editBtn.addEventListener('click', () => {
+        if (!editing) {
+            setEditing(true);
+            return;
+        }
+        onSaveNotes(notesInput.value);
+        closeTaskDetailModal();
+    });
+
+    cancelBtn.addEventListener('click', () => {
+        if (editing && task.notes) {
+            setEditing(false);
+        } else {
+            closeTaskDetailModal();
+        }
+    });
+
+    renderNotesView(notesView, task.notes, lang.empty);
+    renderActivityTimeline(document.getElementById('taskDetailActivity'), task, translations, currentLanguage);
+
+    // Tasks without notes open straight in the editor
+    setEditing(!task.notes);
+
+    modal.classList.add('active');
+    modal.style.display = 'flex';
+}
+
+/**
+ * Render notes into the detail view
+ * @param {HTMLElement} container - Notes container
+ * @param {string|null} notes - Markdown notes
+ * @param {string} emptyText - Text shown without notes
+ */
+function renderNotesView(container, notes, emptyText) {
+    container.classList.toggle('empty', !notes);
+    if (notes) {
+        // renderMarkdown escapes all user text and only emits its own tags
+        container.innerHTML = renderMarkdown(notes);
+    } else {
+        container.textContent = emptyText;
+    }
+}
+
+/**
+ * Render the activity log of a task as timeline (newest first)
+ * @param {HTMLElement} container - Timeline list
+ * @param {object} task - Task object
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+function renderActivityTimeline(container, task, translations, currentLanguage) {
+    if (!container) return;
+
+    const lang = translations[currentLanguage].activity;
+    const segments = translations[currentLanguage].segments;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+    const ownDevice = getDeviceId();
+
+    document.getElementById('taskDetailActivityLabel').textContent = lang.label;
+    container.innerHTML = '';
+
+    const describe = (event) => {
+        const from = segments[event.from] ? segments[event.from].title : '';
+        const to = segments[event.to] ? segments[event.to].title : '';
+        switch (event.type) {
+            case 'created':
+                return to ? `${lang.created} ${to}` : lang.createdPlain;
+            case 'moved':
+                return `${lang.moved}: ${from} → ${to}`;
+            case 'completed':
+                return from ? `${lang.completed} ${from}` : lang.completedPlain;
+            case 'restored':
+                return `${lang.restored} ${to}`;
+            case 'edited':
+                return `${lang.edited}: ${(event.fields || []).map(field => lang.fields[field] || field).join(', ')}`;
+            case 'undone':
+            case 'redone':
+                return from && to ? `${lang[event.type]}: ${from} → ${to}` : lang[event.type];
+            default:
+                return event.type;
+        }
+    };
+
+    getTaskActivity(task).forEach(event => {
+        const item = document.createElement('li');
+        item.className = `task-activity-item task-activity-${event.type}`;
+
+        const text = document.createElement('span');
+        text.textContent = describe(event);
+        item.appendChild(text);
+
+        const meta = document.createElement('span');
+        meta.className = 'task-activity-meta';
+        const time = new Date(event.at).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+        const device = event.device ? (event.device === ownDevice ? lang.thisDevice : lang.otherDevice) : '';
+        meta.textContent = device ? `${time} · ${device}` : time;
+        item.appendChild(meta);
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Close the task detail modal
+ */
+export function closeTaskDetailModal() {
+    const modal = document.getElementById('taskDetailModal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Open the import wizard for a validated backup
+ * The preview is recalculated (dry run) whenever another mode is chosen. CSV
+ * files additionally show the column mapping; changing it rebuilds the backup.
+ * @param {object} backup - Result of validateBackup (importer.js)
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ * @param {object} callbacks - {getPlan(backup, mode), onConfirm(backup, mode)}
+ * @param {object} [csv] - {headers, fields, mapping, delimiter, encoding, onMappingChange(mapping)},
+ *        onMappingChange returns the new backup
+ */
+export function openImportModal(backup, translations, currentLanguage, callbacks, csv = null) {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+
+    const lang = translations[currentLanguage].importWizard;
+    const segments = translations[currentLanguage].segments;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+
+    document.getElementById('importTitle').textContent = lang.title;
+    document.getElementById('importModeLabel').textContent = lang.modeLabel;
+    document.getElementById('importModeMerge').textContent = lang.modes.merge;
+    document.getElementById('importModeSkipDuplicates').textContent = lang.modes.skipDuplicates;
+    document.getElementById('importModeReplace').textContent = lang.modes.replace;
+
+    let current = backup;
+    const renderSummary = () => {
+        const exportDate = current.exportDate ? new Date(current.exportDate) : null;
+        document.getElementById('importSummary').textContent = exportDate && !Number.isNaN(exportDate.getTime())
+            ? `${lang.backupFrom} ${exportDate.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' })} · ${current.total} ${lang.tasksInFile}`
+            : `${current.total} ${lang.tasksInFile}`;
+        renderImportErrors(current.errors, lang, segments);
+    };
+    renderSummary();
+
+    // Remove old listeners by cloning the buttons
+    const replaceButton = (id) => {
+        const button = document.getElementById(id);
+        const newButton = button.cloneNode(true);
+        button.parentNode.replaceChild(newButton, button);
+        return newButton;
+    };
+    const cancelBtn = replaceButton('importCancelBtn');
+    const confirmBtn = replaceButton('importConfirmBtn');
+    cancelBtn.textContent = lang.cancel;
+    confirmBtn.textContent = lang.confirm;
+
+    const modeInputs = document.querySelectorAll('input[name="importMode"]');
+    const getMode = () => {
+        const checked = document.querySelector('input[name="importMode"]:checked');
+        return checked ? checked.value : 'merge';
+    };
+
+    const updatePreview = () => {
+        const plan = callbacks.getPlan(current, getMode());
+        renderImportPreview(plan, lang, segments);
+        confirmBtn.disabled = plan.added.length === 0 && plan.removedIds.length === 0;
+    };
+
+    modeInputs.forEach(input => {
+        input.checked = input.value === 'merge';
+        input.onchange = updatePreview;
+    });
+
+    renderImportMapping(csv, lang, (mapping) => {
+        current = csv.onMappingChange(mapping);
+        renderSummary();
+        updatePreview();
+    });
+    updatePreview();
+
+    cancelBtn.addEventListener('click', closeImportModal);
+    confirmBtn.addEventListener('click', () => {
+        const mode = getMode();
+        closeImportModal();
+        callbacks.onConfirm(current, mode);
+    });
+
+    modal.classList.add('active');
+    modal.style.display = 'flex';
+}
+
+/**
+ * Render the column mapping of a CSV import (one select per task field)
+ * @param {object|null} csv - {headers, fields, mapping, delimiter, encoding} or null for JSON files
+ * @param {object} lang - Import wizard translations
+ * @param {function} onChange - Called with the new mapping
+ */
+function renderImportMapping(csv, lang, onChange) {
+    const container = document.getElementById('importMapping');
+    container.innerHTML = '';
+    container.style.display = csv ? 'block' : 'none';
+    if (!csv) return;
+
+    const mapping = { ...csv.mapping };
+
+    const title = document.createElement('p');
+    title.className = 'import-preview-title';
+    title.textContent = `${lang.columns} (${lang.delimiters[csv.delimiter]}, ${csv.encoding.toUpperCase()})`;
+    container.appendChild(title);
+
+    csv.fields.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'import-mapping-row';
+
+        const name = document.createElement('span');
+        name.textContent = lang.fields[field];
+
+        const select = document.createElement('select');
+        const none = document.createElement('option');
+        none.value = '-1';
+        none.textContent = lang.notMapped;
+        select.appendChild(none);
+        csv.headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header || `#${index + 1}`;
+            select.appendChild(option);
+        });
+        select.value = String(mapping[field]);
+
+        select.addEventListener('change', () => {
+            mapping[field] = parseInt(select.value);
+            onChange({ ...mapping });
+        });
+
+        label.append(name, select);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Render the import preview (tasks per quadrant, duplicates, removed tasks)
+ */
+function renderImportPreview(plan, lang, segments) {
+    const preview = document.getElementById('importPreview');
+    preview.innerHTML = '';
+
+    const title = document.createElement('p');
+    title.className = 'import-preview-title';
+    title.textContent = `${lang.preview}: ${plan.added.length}`;
+    preview.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'import-counts';
+    Object.keys(plan.counts).forEach(segmentId => {
+        const item = document.createElement('li');
+        item.style.borderLeftColor = COLORS[segmentId];
+        const name = document.createElement('span');
+        name.textContent = segments[segmentId].title;
+        const count = document.createElement('strong');
+        count.textContent = plan.counts[segmentId];
+        item.append(name, count);
+        list.appendChild(item);
+    });
+    preview.appendChild(list);
+
+    const notes = [];
+    if (plan.duplicates > 0) {
+        notes.push(plan.skipped > 0
+            ? `${plan.duplicates} ${lang.duplicates} (${plan.skipped} ${lang.skipped})`
+            : `${plan.duplicates} ${lang.duplicates}`);
+    }
+    if (plan.invalid > 0) {
+        notes.push(`${plan.invalid} ${lang.invalid}`);
+    }
+    if (plan.removedIds.length > 0) {
+        notes.push(`⚠️ ${plan.removedIds.length} ${lang.removed}`);
+    }
+
+    notes.forEach(text => {
+        const note = document.createElement('p');
+        note.className = 'import-note';
+        note.textContent = text;
+        preview.appendChild(note);
+    });
+}
+
+/**
+ * Render the tasks of a backup that failed validation
+ */
+function renderImportErrors(errors, lang, segments) {
+    const container = document.getElementById('importErrors');
+    container.innerHTML = '';
+    if (errors.length === 0) return;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${errors.length} ${lang.invalid}`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    errors.slice(0, 50).forEach(error => {
+        const item = document.createElement('li');
+        const segment = segments[error.segment] ? segments[error.segment].title : error.segment;
+        const text = error.text ? ` „${error.text.slice(0, 40)}“` : '';
+        item.textContent = `${segment} #${error.index + 1}${text}: ${lang.invalidFields} ${error.problems.join(', ')}`;
+        list.appendChild(item);
+    });
+    if (errors.length > 50) {
+        const more = document.createElement('li');
+        more.textContent = `… +${errors.length - 50}`;
+        list.appendChild(more);
+    }
+    details.appendChild(list);
+    container.appendChild(details);
+}
+
+/**
+ * Close the import wizard
+ */
+export function closeImportModal() {
+    const modal = document.getElementById('importModal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.style.display = 'none';
+    }
+}
+
+/**
+ * Open the weekly review
+ * Starts with a summary, then shows the open tasks one by one. Each decision
+ * is handed to onAction and the next task follows; tasks changed elsewhere in
+ * the meantime (deleted, completed) are skipped.
+ * @param {Array<object>} queue - Tasks in review order (review.js)
+ * @param {object} summary - Result of getReviewSummary (review.js)
+ * @param {number} ageDays - Age from which tasks are highlighted
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ * @param {object} callbacks - {getTask(taskId), onAction(task, action, value), onFinish()}
+ */
+export function openReviewModal(queue, summary, ageDays, translations, currentLanguage, callbacks) {
+    const modal = document.getElementById('reviewModal');
+    if (!modal) return;
+
+    const lang = translations[currentLanguage].review;
+    const segments = translations[currentLanguage].segments;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+    const body = document.getElementById('reviewBody');
+    const progress = document.getElementById('reviewProgress');
+
+    document.getElementById('reviewTitle').textContent = lang.title;
+
+    // Remove old listeners by cloning the buttons
+    const replaceButton = (id) => {
+        const button = document.getElementById(id);
+        const newButton = button.cloneNode(true);
+        button.parentNode.replaceChild(newButton, button);
+        return newButton;
+    };
+    const cancelBtn = replaceButton('reviewCancelBtn');
+    const nextBtn = replaceButton('reviewNextBtn');
+    cancelBtn.textContent = lang.close;
+    cancelBtn.addEventListener('click', closeReviewModal);
+
+    const decisions = {};
+    let index = -1;
+    let current = null;
+
+    const createButton = (text, className, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const decide = (action, value = null) => {
+        decisions[action] = (decisions[action] || 0) + 1;
+        callbacks.onAction(current, action, value);
+        showNext();
+    };
+
+    const renderIntro = () => {
+        progress.textContent = '';
+        body.innerHTML = '';
+
+        const since = document.createElement('p');
+        since.className = 'review-summary';
+        since.textContent = summary.firstReview
+            ? `${lang.sinceWeek}: ${summary.completed}`
+            : `${lang.sinceLast} ${new Date(summary.since).toLocaleDateString(locale, { dateStyle: 'medium' })}: ${summary.completed}`;
+        body.appendChild(since);
+
+        const list = document.createElement('ul');
+        list.className = 'review-counts';
+        Object.entries(summary.completedByOrigin).forEach(([origin, count]) => {
+            if (count === 0) return;
+            const item = document.createElement('li');
+            item.style.borderLeftColor = COLORS[origin] || 'transparent';
+            const name = document.createElement('span');
+            name.textContent = segments[origin] ? segments[origin].title : translations[currentLanguage].metrics.unknownOrigin;
+            const value = document.createElement('strong');
+            value.textContent = count;
+            item.append(name, value);
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+
+        const open = document.createElement('p');
+        open.className = 'review-summary';
+        open.textContent = queue.length > 0
+            ? `${lang.openTasks}: ${summary.open} · ${lang.olderThan} ${ageDays} ${lang.days}: ${summary.old}`
+            : lang.empty;
+        body.appendChild(open);
+
+        nextBtn.style.display = '';
+        nextBtn.textContent = queue.length > 0 ? lang.start : lang.finish;
+    };
+
+    const renderTask = () => {
+        const task = current;
+        const days = getTaskAgeDays(task);
+        progress.textContent = `${lang.progress} ${index + 1} / ${queue.length} · ${segments[task.segment].title}`;
+        body.innerHTML = '';
+
+        const card = document.createElement('div');
+        card.className = 'review-task';
+        card.style.borderLeftColor = COLORS[task.segment];
+
+        const text = document.createElement('p');
+        text.className = 'review-task-text';
+        text.textContent = task.text;
+        card.appendChild(text);
+
+        if (days !== null) {
+            const age = document.createElement('span');
+            age.className = 'review-task-age';
+            age.classList.toggle('old', days >= ageDays);
+            age.textContent = `${lang.age}: ${days} ${lang.days}`;
+            card.appendChild(age);
+        }
+
+        if (task.dueDate) {
+            const due = document.createElement('span');
+            due.className = 'task-due';
+            due.classList.toggle('overdue', isOverdue(task));
+            due.textContent = `📅 ${new Date(task.dueDate).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' })}`;
+            card.appendChild(due);
+        }
+        body.appendChild(card);
+
+        // Choices for "move" and "reschedule" open below the actions
+        const options = document.createElement('div');
+        options.className = 'review-options';
+
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+        REVIEW_ACTIONS.forEach(action => {
+            // Delegated tasks have nowhere to be delegated to
+            if (action === 'delegate' && task.segment === SEGMENTS.DELEGATE) return;
+
+            actions.appendChild(createButton(lang.actions[action], `settings-action-btn review-action-${action}`, () => {
+                if (action === 'move') {
+                    renderMoveOptions(options);
+                } else if (action === 'reschedule') {
+                    renderRescheduleOptions(options);
+                } else {
+                    decide(action);
+                }
+            }));
+        });
+        body.append(actions, options);
+
+        nextBtn.style.display = 'none';
+    };
+
+    const renderMoveOptions = (container) => {
+        container.innerHTML = '';
+        const label = document.createElement('span');
+        label.textContent = lang.moveTo;
+        container.appendChild(label);
+
+        ORIGIN_SEGMENTS.filter(segmentId => segmentId !== current.segment).forEach(segmentId => {
+            const button = createButton(segments[segmentId].title, 'settings-action-btn', () => decide('move', segmentId));
+            button.style.borderLeft = `4px solid ${COLORS[segmentId]}`;
+            container.appendChild(button);
+        });
+    };
+
+    const renderRescheduleOptions = (container) => {
+        container.innerHTML = '';
+        const label = document.createElement('label');
+        label.textContent = lang.rescheduleTo;
+
+        const input = document.createElement('input');
+        input.type = 'datetime-local';
+        input.value = formatDueDateInput(current.dueDate);
+        label.appendChild(input);
+
+        const apply = createButton(lang.apply, 'settings-action-btn', () => {
+            const dueDate = parseDueDateInput(input.value);
+            if (dueDate) decide('reschedule', dueDate);
+        });
+        container.append(label, apply);
+        input.focus();
+    };
+
+    const renderFinished = () => {
+        progress.textContent = '';
+        body.innerHTML = '';
+
+        const title = document.createElement('p');
+        title.className = 'review-summary';
+        title.textContent = lang.finished;
+        body.appendChild(title);
+
+        const results = document.createElement('p');
+        results.className = 'review-summary';
+        results.textContent = REVIEW_ACTIONS
+            .filter(action => decisions[action])
+            .map(action => `${lang.actions[action]}: ${decisions[action]}`)
+            .join(' · ');
+        body.appendChild(results);
+
+        nextBtn.style.display = '';
+        nextBtn.textContent = lang.finish;
+        callbacks.onFinish();
+    };
+
+    const showNext = () => {
+        // Skip tasks that were deleted or completed while the review was open
+        do {
+            index++;
+            current = index < queue.length ? callbacks.getTask(queue[index].id) : null;
+        } while (index < queue.length && (!current || current.checked));
+
+        if (index >= queue.length) {
+            renderFinished();
+        } else {
+            renderTask();
+        }
+    };
+
+    nextBtn.addEventListener('click', () => {
+        if (index >= queue.length) {
+            closeReviewModal();
+        } else {
+            showNext();
+        }
+    });
+
+    renderIntro();
+
+    modal.classList.add('active');
+    modal.style.display = 'flex';
+}
+
+/**
+ * Show the time of the last review in the settings
+ * @param {number|null} lastReviewAt - Time of the last review
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+export function renderLastReview(lastReviewAt, translations, currentLanguage) {
+    const element = document.getElementById('reviewLastText');
+    if (!element) return;
+
+    const lang = translations[currentLanguage].review;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+    element.textContent = lastReviewAt
+        ? `${lang.lastReview}: ${new Date(lastReviewAt).toLocaleDateString(locale, { dateStyle: 'medium' })}`
+        : lang.never;
+}
+
+/**
+ * Show how many Ignore! tasks the clean-up in the settings would remove
+ * @param {number} count - Number of tasks
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ */
+export function renderCleanupPanel(count, translations, currentLanguage) {
+    const element = document.getElementById('cleanupCount');
+    if (!element) return;
+
+    const lang = translations[currentLanguage].aging;
+    element.textContent = count > 0 ? `${count} ${lang.cleanupCount}` : lang.cleanupNone;
+    ['cleanupExportBtn', 'cleanupDeleteBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = count === 0;
+    });
+}
+
+/**
+ * Close the weekly review
+ */
+export function closeReviewModal() {
+    const modal = document.getElementById('reviewModal');
+    if (modal) {
+        modal.classList.remove('active');
+        modal.style.display = 'none';
+    }
+}
+
 /**
  * Show drag hint to user
  */
@@ -506,7 +1760,7 @@ export function updateSyncStatus(syncStatus) {
     const indicator = document.getElementById('offlineIndicator');
     if (!indicator) return;
 
-    const { pendingItems, isProcessing, isOnline } = syncStatus;
+    const { pendingItems, failedItems = 0, isProcessing, isOnline } = syncStatus;
 
     if (!isOnline) {
         indicator.innerHTML = `
@@ -525,6 +1779,14 @@ export function updateSyncStatus(syncStatus) {
             </div>
         `;
         indicator.style.display = 'block';
+    } else if (failedItems > 0) {
+        indicator.innerHTML = `
+            <div class="offline-indicator-content">
+                <span class="error-dot"></span>
+                <span>${failedItems} change${failedItems !== 1 ? 's' : ''} failed to sync</span>
+            </div>
+        `;
+        indicator.style.display = 'block';
     } else if (pendingItems > 0) {
         indicator.innerHTML = `
             <div class="offline-indicator-content">
@@ -538,6 +1800,130 @@ export function updateSyncStatus(syncStatus) {
     }
 }
 
+/**
+ * Render the sync panel in the settings (status and queued operations)
+ * @param {object} syncStatus - Sync status from getSyncStatus()
+ * @param {Array<object>} items - Queue items from getSyncQueueItems()
+ * @param {object} translations - Translations object
+ * @param {string} currentLanguage - Current language
+ * @param {object} callbacks - {onRetry(id), onDiscard(id), onRetryAll(), getTaskText(taskId)}
+ */
+export function renderSyncPanel(syncStatus, items, translations, currentLanguage, callbacks = {}) {
+    const panel = document.getElementById('syncPanel');
+    if (!panel) return;
+
+    const lang = translations[currentLanguage].sync;
+    const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+
+    panel.innerHTML = '';
+
+    const status = document.createElement('div');
+    status.className = `sync-status sync-status-${syncStatus.state}`;
+    status.setAttribute('role', 'status');
+    const dot = document.createElement('span');
+    dot.className = 'sync-status-dot';
+    const statusText = document.createElement('span');
+    statusText.textContent = lang.states[syncStatus.state];
+    status.append(dot, statusText);
+    panel.appendChild(status);
+
+    const lastSync = document.createElement('p');
+    lastSync.className = 'sync-last';
+    lastSync.textContent = `${lang.lastSync}: ${syncStatus.lastSyncAt
+        ? new Date(syncStatus.lastSyncAt).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' })
+        : lang.never}`;
+    panel.appendChild(lastSync);
+
+    if (items.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'sync-empty';
+        empty.textContent = lang.empty;
+        panel.appendChild(empty);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'sync-queue';
+
+    items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.className = `sync-item sync-item-${item.status}`;
+
+        const info = document.createElement('div');
+        info.className = 'sync-item-info';
+
+        const title = document.createElement('span');
+        title.className = 'sync-item-title';
+        const payload = item.payload || {};
+        const text = (payload.data && payload.data.text)
+            || (payload.definition && payload.definition.name)
+            || (callbacks.getTaskText && callbacks.getTaskText(item.key))
+            || lang.unknownTask;
+        title.textContent = `${lang.operations[item.operation] || item.operation}: ${text}`;
+        info.appendChild(title);
+
+        const details = document.createElement('span');
+        details.className = 'sync-item-details';
+        details.textContent = `${lang.itemStates[item.status]} · ${lang.retries} ${item.retries}/${item.maxRetries}`;
+        // Waiting for the backoff after a failed attempt
+        if (item.status === 'pending' && item.nextAttemptAt) {
+            details.textContent += ` · ${lang.nextAttempt} ${new Date(item.nextAttemptAt).toLocaleTimeString(locale)}`;
+        }
+        info.appendChild(details);
+
+        if (item.error) {
+            const error = document.createElement('span');
+            error.className = 'sync-item-error';
+            error.textContent = item.errorCode ? `${item.error} (${item.errorCode})` : item.error;
+            info.appendChild(error);
+        }
+
+        entry.appendChild(info);
+
+        // Items being written cannot be changed
+        if (item.status !== 'processing') {
+            const actions = document.createElement('div');
+            actions.className = 'sync-item-actions';
+
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'settings-action-btn';
+            retryBtn.textContent = lang.retry;
+            retryBtn.addEventListener('click', () => callbacks.onRetry && callbacks.onRetry(item.id));
+
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.className = 'settings-action-btn';
+            discardBtn.textContent = lang.discard;
+            discardBtn.addEventListener('click', () => callbacks.onDiscard && callbacks.onDiscard(item.id));
+
+            actions.append(retryBtn, discardBtn);
+            entry.appendChild(actions);
+        }
+
+        list.appendChild(entry);
+    });
+
+    panel.appendChild(list);
+
+    // Failed items get a fresh retry budget, pending ones are written right away
+    const retryAllBtn = document.createElement('button');
+    retryAllBtn.type = 'button';
+    retryAllBtn.className = 'settings-action-btn sync-retry-all';
+    retryAllBtn.textContent = lang.retryAll;
+    retryAllBtn.addEventListener('click', () => callbacks.onRetryAll && callbacks.onRetryAll());
+    panel.appendChild(retryAllBtn);
+
+    if (syncStatus.failedItems > 0) {
+        const exportBtn = document.createElement('button');
+        exportBtn.type = 'button';
+        exportBtn.className = 'settings-action-btn sync-export-failed';
+        exportBtn.textContent = lang.exportFailed;
+        exportBtn.addEventListener('click', () => callbacks.onExportFailed && callbacks.onExportFailed());
+        panel.appendChild(exportBtn);
+    }
+}
+
 /**
  * Update all UI text based on current language
  * @param {object} translations - Translations object
@@ -704,7 +2090,7 @@ export function updateMetricsLanguage(translations, currentLanguage) {
 /**
  * Open Quick Add Modal for a specific segment
  * @param {number} segmentId - Segment ID (1-5)
- * @param {function} onAddTask - Callback when task is added
+ * @param {function} onAddTask - Callback when task is added (text, segment, recurring, details)
  * @param {object} translations - Translations object
  * @param {string} currentLanguage - Current language
  */
@@ -717,16 +2103,23 @@ export function openQuickAddModal(segmentId, onAddTask, translations, currentLan
     const quickAddCancelBtn = document.getElementById('quickAddCancelBtn');
     const quickRecurringEnabled = document.getElementById('quickRecurringEnabled');
     const quickRecurringOptions = document.getElementById('quickRecurringOptions');
+    const quickAddDueDate = document.getElementById('quickAddDueDate');
+    const quickAddTags = document.getElementById('quickAddTags');
 
     if (!quickAddModal || !quickAddInput) {
         console.error('Quick Add Modal elements not found!');
         return;
     }
 
+    const quickAddPreview = document.getElementById('quickAddPreview');
+
     // Reset modal
     quickAddInput.value = '';
+    renderQuickAddPreview(quickAddPreview, null, translations, currentLanguage);
     quickRecurringEnabled.checked = false;
     quickRecurringOptions.style.display = 'none';
+    if (quickAddDueDate) quickAddDueDate.value = '';
+    if (quickAddTags) quickAddTags.value = '';
 
     // Segment names
     const segmentNames = {
@@ -750,33 +2143,37 @@ export function openQuickAddModal(segmentId, onAddTask, translations, currentLan
 
     // Handle submit
     const handleSubmit = () => {
-        const text = quickAddInput.value.trim();
-        if (!text) return;
+        const input = quickAddInput.value.trim();
+        if (!input) return;
 
-        // Get recurring config if enabled
-        let recurringConfig = null;
+        // Phrases like "tomorrow 3pm !urgent every monday" fill in the details
+        const parsed = parseQuickAdd(input);
+
+        // Get recurring config if enabled (same format as getRecurringConfig)
+        let recurringConfig = parsed.recurring;
         if (quickRecurringEnabled.checked) {
-            const selectedType = document.querySelector('input[name="quickRecurringType"]:checked')?.value;
-            recurringConfig = { type: selectedType };
+            const selectedType = document.querySelector('input[name="quickRecurringType"]:checked')?.value || 'daily';
+            recurringConfig = { enabled: true, interval: selectedType };
 
             if (selectedType === 'weekly') {
-                const weekdays = Array.from(document.querySelectorAll('#quickWeekdaysContainer .weekday-check:checked'))
+                recurringConfig.weekdays = Array.from(document.querySelectorAll('#quickWeekdaysContainer .weekday-check:checked'))
                     .map(cb => parseInt(cb.value));
-                if (weekdays.length > 0) {
-                    recurringConfig.weekdays = weekdays;
-                }
             } else if (selectedType === 'monthly') {
-                const monthDay = parseInt(document.getElementById('quickMonthDay')?.value || 1);
-                recurringConfig.dayOfMonth = monthDay;
+                recurringConfig.dayOfMonth = parseInt(document.getElementById('quickMonthDay')?.value || 1);
             } else if (selectedType === 'custom') {
-                const customDays = parseInt(document.getElementById('quickCustomDays')?.value || 1);
-                recurringConfig.interval = customDays;
+                recurringConfig.customDays = parseInt(document.getElementById('quickCustomDays')?.value || 1);
             }
         }
 
+        // Form fields take precedence over parsed values
+        const details = {
+            dueDate: parseDueDateInput(quickAddDueDate ? quickAddDueDate.value : '') || parsed.dueDate,
+            tags: mergeTags(parsed.tags, parseTagInput(quickAddTags ? quickAddTags.value : ''))
+        };
+
         // Call callback
         if (onAddTask) {
-            onAddTask(text, segmentId, recurringConfig);
+            onAddTask(parsed.text, parsed.segment || segmentId, recurringConfig, details);
         }
 
         // Close modal
@@ -794,20 +2191,31 @@ export function openQuickAddModal(segmentId, onAddTask, translations, currentLan
         quickAddModal.style.display = 'none';
     });
 
-    // Handle Enter key
-    const handleKeyPress = (e) => {
+    // Handle Enter key (remove the listener of the previous opening, it submits to the old segment)
+    if (quickAddKeyHandler) {
+        quickAddInput.removeEventListener('keypress', quickAddKeyHandler);
+    }
+    quickAddKeyHandler = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
             handleSubmit();
         }
     };
-    quickAddInput.removeEventListener('keypress', handleKeyPress);
-    quickAddInput.addEventListener('keypress', handleKeyPress);
+    quickAddInput.addEventListener('keypress', quickAddKeyHandler);
+
+    // Live preview of the parsed input
+    if (quickAddInputHandler) {
+        quickAddInput.removeEventListener('input', quickAddInputHandler);
+    }
+    quickAddInputHandler = () => {
+        renderQuickAddPreview(quickAddPreview, parseQuickAdd(quickAddInput.value), translations, currentLanguage);
+    };
+    quickAddInput.addEventListener('input', quickAddInputHandler);
 }
 
 /**
  * Setup drop zones for all task lists (Drag & Drop 2.0)
- * @param {Function} onDrop - Callback when task is dropped (taskId, fromSegment, toSegment)
+ * @param {Function} onDrop - Callback when task is dropped (taskId, fromSegment, toSegment, beforeTaskId)
  */
 export function setupDropZones(onDrop) {
     import('./drag-manager.js').then(({ setupDropZone }) => {
@@ -816,13 +2224,13 @@ export function setupDropZones(onDrop) {
         taskLists.forEach(taskList => {
             const segment = parseInt(taskList.dataset.segment);
 
-            setupDropZone(taskList, (data, dropZone) => {
+            setupDropZone(taskList, (data, dropZone, beforeTaskId) => {
                 const toSegment = parseInt(dropZone.dataset.segment);
                 const fromSegment = data.segment;
 
-                if (toSegment && toSegment !== fromSegment) {
-                    console.log('[DropZone] Task dropped:', data.id, fromSegment, '→', toSegment);
-                    onDrop(data.id, fromSegment, toSegment);
+                if (toSegment) {
+                    console.log('[DropZone] Task dropped:', data.id, fromSegment, '→', toSegment, 'before', beforeTaskId);
+                    onDrop(data.id, fromSegment, toSegment, beforeTaskId);
                 }
             });
         });
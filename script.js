@@ -6,13 +6,18 @@
  */
 
 // Import all modules
-import { SEGMENTS, STORAGE_KEYS, MAX_TASK_LENGTH } from './js/modules/config.js';
+import {
+    SEGMENTS,
+    STORAGE_KEYS,
+    MAX_TASK_LENGTH,
+    DEFAULT_SORT_MODE,
+    FIRESTORE_BATCH_LIMIT
+} from './js/modules/config.js';
 import { APP_VERSION, initVersion } from './js/modules/version.js';
 import {
     translations,
     currentLanguage,
     setLanguage,
-    getTranslation,
     updateLanguageUI
 } from './js/modules/translations.js';
 import {
@@ -20,35 +25,114 @@ import {
     addTaskToSegment,
     deleteTask,
     moveTask,
+    reorderTask,
     toggleTask,
+    addSubtask,
+    deleteSubtask,
+    toggleSubtask,
+    setTaskNotes,
+    updateTask,
+    clearCompletedTasks,
+    deleteTasks,
     getTasks,
-    setAllTasks
+    setAllTasks,
+    filterTasks
 } from './js/modules/tasks.js';
+import { commandHistory } from './js/modules/history.js';
+import { migrateTaskIds } from './js/modules/ids.js';
+import { ensureTaskOrder, rebalanceKeys } from './js/modules/ordering.js';
+import { applyRemoteChanges } from './js/modules/sync.js';
+import { mergeTasks, rememberSyncedTask, forgetSyncedTask } from './js/modules/conflicts.js';
+import {
+    parseTags,
+    mergeTags,
+    getAllTags,
+    getTagDefinitions,
+    setTagDefinitions,
+    ensureTagDefinitions
+} from './js/modules/tags.js';
+import { store } from './js/modules/store.js';
 import {
     initStorage,
     saveGuestTasks,
     loadGuestTasks,
-    loadUserTasks,
+    subscribeToUserTasks,
+    hasPendingTaskWrite,
+    resumeOfflineQueue,
     saveTaskToFirestore,
     updateTaskInFirestore,
     deleteTaskFromFirestore,
     exportData,
-    importData,
+    exportCsv,
+    exportIcs,
+    readImportFile,
     requestPersistentStorage,
-    getSyncStatus
+    getSyncStatus,
+    getSyncQueueItems,
+    retrySyncItem,
+    retryAllSyncItems,
+    exportFailedSyncItems,
+    discardSyncItem,
+    writeTasksInBatches,
+    loadTagDefinitions,
+    saveTagDefinitions
 } from './js/modules/storage.js';
 import {
     renderAllTasks,
+    renderSegment,
     openModal,
     closeModal,
     openQuickAddModal,
     openSettingsModal,
     openMetricsModal,
+    renderMetrics,
+    openTaskDetailModal,
+    openImportModal,
+    openReviewModal,
+    renderLastReview,
+    renderCleanupPanel,
     showDragHint,
     updateOnlineStatus,
     updateSyncStatus,
-    setupDropZones
+    renderSyncPanel,
+    setupDropZones,
+    renderTagFilterBar,
+    renderQuickAddPreview
 } from './js/modules/ui.js';
+import { parseQuickAdd } from './js/modules/quick-add-parser.js';
+import {
+    startEscalationScheduler,
+    getEscalationWindowHours,
+    setEscalationWindowHours
+} from './js/modules/deadlines.js';
+import { startRecurrenceScheduler, getVisibleTasks } from './js/modules/recurrence.js';
+import {
+    getLastReviewAt,
+    setLastReviewAt,
+    getReviewAgeDays,
+    setReviewAgeDays,
+    buildReviewQueue,
+    getReviewSummary,
+    isReviewDue
+} from './js/modules/review.js';
+import {
+    getStaleThresholds,
+    setStaleThreshold,
+    getCleanupDays,
+    setCleanupDays,
+    findStaleIgnoredTasks
+} from './js/modules/aging.js';
+import { showNotification, dismissNotification, updateNotification } from './js/modules/notifications.js';
+import { parseBackup, validateBackup, planImport, ImportError } from './js/modules/importer.js';
+import {
+    CSV_IMPORT_FIELDS,
+    decodeCsv,
+    detectDelimiter,
+    parseCsv,
+    guessColumnMapping,
+    csvToBackup
+} from './js/modules/csv.js';
+import { icsToBackup } from './js/modules/ical.js';
 import {
     KeyboardDragManager,
     announceDragStart,
@@ -70,56 +154,334 @@ let currentUser = null;
 let db = null;
 let isGuestMode = false;
 let keyboardDragManager = null;
+let stopEscalationScheduler = null;
+let stopRecurrenceScheduler = null;
+let unsubscribeTasks = null;
+let reviewReminderShown = false;
 
 // ============================================
 // Core Functions
 // ============================================
 
 /**
- * Save all tasks (Guest or Firebase)
- * Note: For Firebase users, this function is not typically called since
- * individual task operations (add/update/delete) save directly to Firestore.
- * This function is mainly used for bulk operations like import.
+ * Validate a backup (JSON) or spreadsheet (CSV) file and open the import wizard
+ * @param {File} file - Chosen file
  */
-async function saveAllTasks() {
-    if (currentUser && db && !isGuestMode) {
-        // For logged-in users, save each task individually to Firestore
-        const { saveTaskToFirestore } = await import('./js/modules/storage.js');
-        for (const segmentId in tasks) {
-            for (const task of tasks[segmentId]) {
-                await saveTaskToFirestore(task, currentUser.uid, db, window.firebase);
+async function handleImportFile(file) {
+    const lang = translations[currentLanguage].importWizard;
+    const callbacks = {
+        // Dry run against the tasks at the time of the preview
+        getPlan: (backup, mode) => planImport(backup, tasks, mode),
+        onConfirm: (backup, mode) => applyImport(planImport(backup, tasks, mode))
+    };
+
+    try {
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            const { text, encoding } = decodeCsv(await readImportFile(file, true));
+            const delimiter = detectDelimiter(text);
+            const rows = parseCsv(text, delimiter);
+            if (rows.length === 0) {
+                throw new ImportError('noColumns', 'The CSV file has no header row');
             }
+
+            const toBackup = (mapping) => validateBackup(csvToBackup(rows, mapping, translations));
+            const mapping = guessColumnMapping(rows[0]);
+            openImportModal(toBackup(mapping), translations, currentLanguage, callbacks, {
+                headers: rows[0],
+                fields: CSV_IMPORT_FIELDS,
+                mapping,
+                delimiter,
+                encoding,
+                onMappingChange: toBackup
+            });
+        } else if (/\.ics$/i.test(file.name) || file.type === 'text/calendar') {
+            const backup = validateBackup(icsToBackup(await readImportFile(file), translations));
+            openImportModal(backup, translations, currentLanguage, callbacks);
+        } else {
+            openImportModal(parseBackup(await readImportFile(file)), translations, currentLanguage, callbacks);
         }
+    } catch (error) {
+        console.error('Import Error:', error);
+        showNotification({ type: 'error', message: lang.errors[error.code] || lang.errors.readFailed, duration: 5000 });
+    }
+}
+
+/**
+ * Apply a planned import and persist it
+ * @param {object} plan - Result of planImport
+ */
+async function applyImport(plan) {
+    const lang = translations[currentLanguage].importWizard;
+
+    // Undo steps refer to the tasks before the import
+    commandHistory.clear();
+    setAllTasks(plan.tasks);
+    registerTags(plan.added.flatMap(task => task.tags || []));
+    renderTasksWithCallbacks();
+
+    if (currentUser && db && !isGuestMode) {
+        await writeTasksWithProgress([
+            ...plan.removedIds.map(taskId => ({ type: 'delete', taskId })),
+            ...plan.added.map(task => ({ type: 'set', task }))
+        ]);
     } else {
         await saveGuestTasks(tasks);
     }
+
+    console.log('Data imported successfully');
+    showNotification({ type: 'success', message: `${plan.added.length} ${lang.success}`, duration: 3000 });
+}
+
+/**
+ * Write many task changes to Firestore in batches
+ * Bulk operations larger than one batch show their progress.
+ * @param {Array<object>} operations - Operations for writeTasksInBatches
+ */
+async function writeTasksWithProgress(operations) {
+    const lang = translations[currentLanguage].sync;
+    const notificationId = operations.length > FIRESTORE_BATCH_LIMIT
+        ? showNotification({
+            type: 'info',
+            message: `${lang.bulkProgress}: 0/${operations.length}`,
+            duration: 0,
+            closable: false
+        })
+        : null;
+
+    const { queued } = await writeTasksInBatches(operations, currentUser.uid, db, window.firebase, (done, total) => {
+        if (notificationId) {
+            updateNotification(notificationId, `${lang.bulkProgress}: ${done}/${total}`);
+        }
+    });
+
+    if (notificationId) {
+        dismissNotification(notificationId);
+    }
+    if (queued > 0) {
+        showNotification({ type: 'warning', message: `${queued} ${lang.bulkQueued}`, duration: 5000 });
+    }
 }
 
 /**
  * Load all tasks (Guest or Firebase)
  */
 async function loadAllTasks() {
+    // Undo steps refer to the previously loaded tasks
+    commandHistory.clear();
+
+    // Stop listening to the previous user's tasks
+    if (unsubscribeTasks) {
+        unsubscribeTasks();
+        unsubscribeTasks = null;
+    }
+
     if (currentUser && db && !isGuestMode) {
-        const loadedTasks = await loadUserTasks(currentUser.uid, db);
+        const { tasks: loadedTasks, unsubscribe } = await subscribeToUserTasks(currentUser.uid, db, handleRemoteTaskChanges);
+        unsubscribeTasks = unsubscribe;
+
+        // Document IDs are strings already, only float IDs from old imports are renamed
+        const { renamed } = migrateTaskIds(loadedTasks);
+        renamed.forEach(({ from, task }) => {
+            saveTaskToFirestore(task, currentUser.uid, db, window.firebase);
+            if (from) {
+                deleteTaskFromFirestore(from, currentUser.uid, db);
+            }
+        });
+
+        // Tasks created before manual ordering get an order key after the ordered ones
+        ensureTaskOrder(loadedTasks).forEach(task => {
+            updateTaskInFirestore(task, currentUser.uid, db, window.firebase);
+        });
+
         setAllTasks(loadedTasks);
+        setTagDefinitions(await loadTagDefinitions(currentUser.uid, db));
+
+        // Write edits still queued from an earlier session (the synced state is known now)
+        resumeOfflineQueue(db);
     } else {
         const loadedTasks = await loadGuestTasks();
+
+        // Convert numeric IDs of older versions to strings
+        const { changed } = migrateTaskIds(loadedTasks);
+        const ordered = ensureTaskOrder(loadedTasks);
+        if (changed || ordered.length > 0) {
+            await saveGuestTasks(loadedTasks);
+        }
+
         setAllTasks(loadedTasks);
+        setTagDefinitions(await loadTagDefinitions(null, null));
     }
 }
 
+/**
+ * Apply task changes made on another device (Firestore snapshot)
+ */
+function handleRemoteTaskChanges(changes) {
+    // Tasks with a queued local write keep the local state until it is saved
+    applyTaskChanges(changes, hasPendingTaskWrite);
+}
+
+/**
+ * Apply remote task data locally and re-render only the affected segments
+ * @param {Array<{type: string, id: string, data: object}>} changes - Changes (see sync.js)
+ * @param {function} [isPending] - Task IDs to skip
+ */
+function applyTaskChanges(changes, isPending = undefined) {
+    const { segments, taskIds, reordered } = applyRemoteChanges(tasks, changes, { isPending });
+    if (segments.size === 0) return;
+
+    // Tasks written by clients without manual ordering get a key
+    reordered.forEach(task => {
+        updateTaskInFirestore(task, currentUser.uid, db, window.firebase);
+    });
+
+    // Undoing an older local step would overwrite the remote change
+    commandHistory.discard(taskIds);
+
+    segments.forEach(segmentId => {
+        store.setNestedState(`tasks.${segmentId}`, [...tasks[segmentId]], 'remote-sync');
+    });
+
+    renderSegmentsWithCallbacks(segments);
+}
+
+// Open conflict notifications by task ID
+const conflictNotifications = new Map();
+
+/**
+ * Handle a queued write that hit a task changed on another device
+ * Trivial conflicts are resolved by storage already and only applied here,
+ * all others are shown with keep mine / keep theirs / merge actions.
+ * @param {object} conflict - {taskId, base, mine, theirs, resolved}
+ */
+function handleSyncConflict(conflict) {
+    const { taskId, base, theirs, resolved } = conflict;
+    const lang = translations[currentLanguage].conflicts;
+
+    if (resolved) {
+        applyTaskChanges([{ type: 'modified', id: taskId, data: resolved }]);
+        return;
+    }
+
+    // A newer conflict for the same task replaces the older one
+    dismissNotification(conflictNotifications.get(taskId));
+
+    const findLocalTask = () => Object.values(tasks).flat().find(t => t.id === taskId);
+
+    const keepMine = () => {
+        const mine = findLocalTask();
+        if (!mine) return;
+        // Overwrite the remote version (a deleted task is created again)
+        if (theirs) {
+            rememberSyncedTask(theirs);
+        } else {
+            forgetSyncedTask(taskId);
+        }
+        updateTaskInFirestore(mine, currentUser.uid, db, window.firebase);
+    };
+
+    const keepTheirs = () => {
+        applyTaskChanges([theirs
+            ? { type: 'modified', id: taskId, data: theirs }
+            : { type: 'removed', id: taskId, data: {} }]);
+    };
+
+    const merge = () => {
+        const mine = findLocalTask();
+        if (!mine) return keepTheirs();
+
+        const { task: merged } = mergeTasks(base, mine, theirs);
+        applyTaskChanges([{ type: 'modified', id: taskId, data: merged }]);
+        // The merge builds on the remote version
+        rememberSyncedTask(theirs);
+        updateTaskInFirestore(findLocalTask(), currentUser.uid, db, window.firebase);
+    };
+
+    const actions = [
+        { label: lang.keepMine, onClick: keepMine },
+        { label: lang.keepTheirs, onClick: keepTheirs }
+    ];
+    if (theirs) {
+        actions.push({ label: lang.merge, onClick: merge });
+    }
+
+    const text = (theirs || conflict.mine).text;
+    const id = showNotification({
+        type: 'warning',
+        message: `${theirs ? lang.changed : lang.deleted}: ${text}`,
+        actions,
+        duration: 0
+    });
+    conflictNotifications.set(taskId, id);
+}
+
+/**
+ * Update the sync indicator and the sync panel in the settings
+ * @param {object} syncStatus - Sync status from getSyncStatus()
+ */
+function handleSyncStatusChange(syncStatus) {
+    updateSyncStatus(syncStatus);
+    renderSyncPanelWithCallbacks(syncStatus);
+}
+
+/**
+ * Render the sync panel (only logged-in users sync)
+ */
+function renderSyncPanelWithCallbacks(syncStatus) {
+    const option = document.getElementById('syncSettingsOption');
+    if (!option) return;
+
+    const isSyncing = Boolean(currentUser && db && !isGuestMode);
+    option.style.display = isSyncing ? '' : 'none';
+    if (!isSyncing) return;
+
+    renderSyncPanel(syncStatus, getSyncQueueItems(), translations, currentLanguage, {
+        onRetry: retrySyncItem,
+        onDiscard: discardSyncItem,
+        onRetryAll: retryAllSyncItems,
+        onExportFailed: exportFailedSyncItems,
+        getTaskText: (taskId) => {
+            const task = Object.values(tasks).flat().find(t => t.id === taskId);
+            return task ? task.text : null;
+        }
+    });
+}
+
+/**
+ * Create definitions (colors) for new tags and persist them
+ */
+function registerTags(tagNames) {
+    const created = ensureTagDefinitions(tagNames);
+    if (created.length === 0) return;
+
+    const userId = currentUser && db && !isGuestMode ? currentUser.uid : null;
+    saveTagDefinitions(created, userId, userId ? db : null, Object.values(getTagDefinitions()));
+}
+
 /**
  * Add task handler
  */
-function handleAddTask(taskText, segment, recurringConfig = null) {
+function handleAddTask(taskText, segment, recurringConfig = null, details = {}) {
     if (!taskText || taskText.trim() === '') return;
 
-    const task = addTaskToSegment(taskText, segment, recurringConfig);
+    // Tags can be written inline (#work, @alice) or entered in the modal
+    const parsed = parseTags(taskText);
+    const tags = mergeTags(parsed.tags, details.tags || []);
+    const text = parsed.text || taskText.trim();
+    registerTags(tags);
+
+    let rebalanced = [];
+    const task = commandHistory.execute('add', () => {
+        const added = addTaskToSegment(text, segment, recurringConfig, null, { ...details, tags });
+        rebalanced = rebalanceKeys(tasks[segment]);
+        return added;
+    });
 
     // Save to storage based on mode
     if (currentUser && db && !isGuestMode) {
         // Save to Firestore
         saveTaskToFirestore(task, currentUser.uid, db, window.firebase);
+        persistRebalancedTasks(rebalanced, task);
     } else {
         // Save to LocalForage (guest mode)
         saveGuestTasks(tasks);
@@ -132,7 +494,8 @@ function handleAddTask(taskText, segment, recurringConfig = null) {
  * Delete task handler
  */
 function handleDeleteTask(taskId, segment) {
-    deleteTask(taskId, segment);
+    const task = getTasks(segment).find(t => t.id === taskId);
+    if (!commandHistory.execute('delete', () => deleteTask(taskId, segment))) return;
 
     // Delete from storage based on mode
     if (currentUser && db && !isGuestMode) {
@@ -144,17 +507,37 @@ function handleDeleteTask(taskId, segment) {
     }
 
     renderTasksWithCallbacks();
+    showUndoNotification(`${translations[currentLanguage].history.deleted}: ${task.text}`);
 }
 
 /**
- * Move task handler
+ * Move task handler (to another quadrant and/or another position)
+ * @param {string|null} [beforeTaskId] - Task to place the moved task in front of (null = end)
+ * @returns {object|null} The moved task or null if nothing was moved
  */
-function handleMoveTask(taskId, fromSegment, toSegment) {
-    console.log('🔄 handleMoveTask called:', { taskId, fromSegment, toSegment });
+function handleMoveTask(taskId, fromSegment, toSegment, beforeTaskId = null) {
+    console.log('🔄 handleMoveTask called:', { taskId, fromSegment, toSegment, beforeTaskId });
+
+    // The drop position only means something in the custom order
+    if ((store.getState().sortModes[toSegment] || DEFAULT_SORT_MODE) !== DEFAULT_SORT_MODE) {
+        if (fromSegment === toSegment) {
+            showNotification({ type: 'info', message: translations[currentLanguage].sort.manualOnly, duration: 3000 });
+            return null;
+        }
+        beforeTaskId = null;
+    }
 
-    const movedTask = moveTask(taskId, fromSegment, toSegment);
+    let rebalanced = [];
+    const movedTask = commandHistory.execute('move', () => {
+        const task = reorderTask(taskId, fromSegment, toSegment, beforeTaskId);
+        rebalanced = task ? rebalanceKeys(tasks[toSegment]) : [];
+        return task;
+    });
     console.log('✅ Task moved in data model:', movedTask);
 
+    // Dropped onto its own position
+    if (!movedTask) return null;
+
     // Force SYNCHRONOUS re-render with a small delay to ensure DOM is updated
     // This ensures the browser completes the drag operation first
     setTimeout(() => {
@@ -163,21 +546,56 @@ function handleMoveTask(taskId, fromSegment, toSegment) {
     }, 0);
 
     // Save to storage based on mode (async, happens after render)
-    if (currentUser && db && !isGuestMode && movedTask) {
+    if (currentUser && db && !isGuestMode) {
         // Update in Firestore
         updateTaskInFirestore(movedTask, currentUser.uid, db, window.firebase);
+        persistRebalancedTasks(rebalanced, movedTask);
     } else {
         // Save to LocalForage (guest mode)
         saveGuestTasks(tasks);
     }
+
+    // Reordering within a quadrant is undoable via Ctrl+Z without a toast
+    if (fromSegment !== toSegment) {
+        const lang = translations[currentLanguage];
+        showUndoNotification(`${lang.history.moved} ${lang.segments[toSegment].title} – ${movedTask.text}`);
+    }
+
+    return movedTask;
 }
 
 /**
  * Toggle task handler
  */
 function handleToggleTask(taskId, segment) {
-    const result = toggleTask(taskId, segment);
+    let rebalanced = [];
+    const result = commandHistory.execute('toggle', () => {
+        const toggled = toggleTask(taskId, segment);
+        rebalanced = toggled ? rebalanceKeys(tasks[toggled.toSegment]) : [];
+        return toggled;
+    });
+    persistToggleResult(result, rebalanced);
+    renderTasksWithCallbacks();
 
+    // The next recurring instance stays hidden until its day, tell the user when it comes back
+    if (result && result.newRecurringTask) {
+        const locale = currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        const nextDate = new Date(result.newRecurringTask.upcomingAt)
+            .toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+        showNotification({
+            type: 'info',
+            message: `${translations[currentLanguage].recurring.nextOccurrence}: ${nextDate}`,
+            duration: 3000
+        });
+    }
+}
+
+/**
+ * Persist the result of toggleTask (completed/restored task and new recurring instance)
+ * @param {object|null} result - Result of toggleTask
+ * @param {Array<object>} [rebalanced=[]] - Tasks with regenerated order keys (see rebalanceKeys)
+ */
+function persistToggleResult(result, rebalanced = []) {
     // Save to storage based on mode
     if (currentUser && db && !isGuestMode && result) {
         // Update the completed/restored task in Firestore
@@ -187,31 +605,396 @@ function handleToggleTask(taskId, segment) {
         if (result.newRecurringTask) {
             saveTaskToFirestore(result.newRecurringTask, currentUser.uid, db, window.firebase);
         }
+        persistRebalancedTasks(rebalanced, result.task);
     } else {
         // Save to LocalForage (guest mode)
         saveGuestTasks(tasks);
     }
+}
+
+/**
+ * Save the tasks whose order keys were regenerated (signed in only,
+ * guest mode saves all tasks anyway)
+ * @param {Array<object>} rebalanced - Tasks from rebalanceKeys
+ * @param {object} savedTask - Task the caller saves itself
+ */
+function persistRebalancedTasks(rebalanced, savedTask) {
+    const others = rebalanced.filter(task => task !== savedTask);
+    if (others.length > 0) {
+        writeTasksWithProgress(others.map(task => ({ type: 'set', task })));
+    }
+}
+
+/**
+ * Subtask toggle handler
+ * Completes the parent task automatically when the last subtask is ticked
+ */
+function handleSubtaskToggle(taskId, segment, subtaskId) {
+    let rebalanced = [];
+    const result = commandHistory.execute('update', () => {
+        const toggled = toggleSubtask(taskId, segment, subtaskId);
+        rebalanced = toggled && toggled.parentResult ? rebalanceKeys(tasks[toggled.parentResult.toSegment]) : [];
+        return toggled;
+    });
+    if (!result) return;
+
+    if (result.parentResult) {
+        persistToggleResult(result.parentResult, rebalanced);
+    } else {
+        persistTaskUpdate(result.task);
+    }
 
     renderTasksWithCallbacks();
 }
 
 /**
- * Render all tasks with all callbacks (Drag & Drop 2.0)
+ * Subtask add handler
  */
-function renderTasksWithCallbacks() {
-    const callbacks = {
+function handleSubtaskAdd(taskId, segment, text) {
+    const task = commandHistory.execute('update', () => addSubtask(taskId, segment, text));
+    if (!task) return;
+
+    persistTaskUpdate(task);
+    renderTasksWithCallbacks();
+
+    // Keep focus in the checklist input for adding the next step
+    const input = document.querySelector(`.task-item[data-task-id="${taskId}"] .task-checklist-input`);
+    if (input) input.focus();
+}
+
+/**
+ * Subtask delete handler
+ */
+function handleSubtaskDelete(taskId, segment, subtaskId) {
+    const task = commandHistory.execute('update', () => deleteSubtask(taskId, segment, subtaskId));
+    if (!task) return;
+
+    persistTaskUpdate(task);
+    renderTasksWithCallbacks();
+}
+
+/**
+ * Deadline escalation handler
+ * Promotes a task whose deadline entered the escalation window and offers an undo
+ */
+function handleEscalation({ task, fromSegment, toSegment }) {
+    const movedTask = moveTask(task.id, fromSegment, toSegment);
+    if (!movedTask) return;
+
+    movedTask.escalatedFrom = fromSegment;
+    movedTask.escalatedAt = Date.now();
+    // The escalation bypasses the history, undoing an older step would revert it
+    commandHistory.discard([movedTask.id]);
+    persistTaskUpdate(movedTask);
+    renderTasksWithCallbacks();
+
+    const lang = translations[currentLanguage];
+    showNotification({
+        type: 'warning',
+        message: `${lang.deadlines.escalated} ${lang.segments[toSegment].title} – ${movedTask.text}`,
+        duration: 10000,
+        actions: [{
+            label: lang.deadlines.undo,
+            onClick: () => {
+                const restoredTask = moveTask(movedTask.id, toSegment, fromSegment);
+                if (!restoredTask) return;
+
+                delete restoredTask.escalatedFrom;
+                delete restoredTask.escalatedAt;
+                restoredTask.escalationDismissed = true;
+                commandHistory.discard([restoredTask.id]);
+                persistTaskUpdate(restoredTask);
+                renderTasksWithCallbacks();
+            }
+        }]
+    });
+}
+
+/**
+ * Start the weekly review
+ */
+function handleStartReview() {
+    const ageDays = getReviewAgeDays();
+    openReviewModal(
+        buildReviewQueue(tasks),
+        getReviewSummary(tasks, getLastReviewAt(), ageDays),
+        ageDays,
+        translations,
+        currentLanguage,
+        {
+            getTask: (taskId) => Object.values(tasks).flat().find(t => t.id === taskId) || null,
+            onAction: handleReviewAction,
+            onFinish: () => {
+                setLastReviewAt();
+                renderLastReview(getLastReviewAt(), translations, currentLanguage);
+            }
+        }
+    );
+}
+
+/**
+ * Apply a decision of the weekly review (undoable like the same action in the matrix)
+ * @param {object} task - Reviewed task
+ * @param {string} action - One of REVIEW_ACTIONS
+ * @param {*} value - Target segment (move) or new due date (reschedule)
+ */
+function handleReviewAction(task, action, value) {
+    switch (action) {
+        case 'move':
+            handleMoveTask(task.id, task.segment, value);
+            break;
+        case 'delegate':
+            handleMoveTask(task.id, task.segment, SEGMENTS.DELEGATE);
+            break;
+        case 'drop':
+            handleDeleteTask(task.id, task.segment);
+            break;
+        case 'reschedule': {
+            const updated = commandHistory.execute('update', () => updateTask(task.id, task.segment, { dueDate: value }));
+            if (!updated) return;
+
+            persistTaskUpdate(updated);
+            renderTasksWithCallbacks();
+            break;
+        }
+        default:
+            // keep: the task stays as it is
+            break;
+    }
+}
+
+/**
+ * Remind of the weekly review once per session when it is due
+ */
+function remindOfReview() {
+    if (reviewReminderShown || !isReviewDue(tasks, getLastReviewAt())) return;
+    reviewReminderShown = true;
+
+    const lang = translations[currentLanguage].review;
+    showNotification({
+        type: 'info',
+        message: lang.due,
+        duration: 10000,
+        actions: [{ label: lang.startNow, onClick: handleStartReview }]
+    });
+}
+
+/**
+ * Clear completed tasks handler
+ */
+function handleClearCompleted() {
+    const count = getTasks(SEGMENTS.DONE).length;
+    if (count === 0) return;
+
+    commandHistory.execute('clearCompleted', () => clearCompletedTasks((taskIds) => {
+        if (currentUser && db && !isGuestMode) {
+            writeTasksWithProgress(taskIds.map(taskId => ({ type: 'delete', taskId })));
+        } else {
+            saveGuestTasks(tasks);
+        }
+    }));
+
+    renderTasksWithCallbacks();
+    showUndoNotification(`${count} ${translations[currentLanguage].history.clearedCompleted}`);
+}
+
+/**
+ * Remove the tasks that have been in Ignore! longer than the clean-up days
+ * @param {boolean} exportFirst - Download them as backup file first (can be brought back with the import)
+ */
+function handleCleanupIgnored(exportFirst) {
+    const staleTasks = findStaleIgnoredTasks(tasks, getCleanupDays());
+    if (staleTasks.length === 0) return;
+
+    if (exportFirst) {
+        exportData({ [SEGMENTS.IGNORE]: staleTasks }, APP_VERSION, 'eisenhauer-cleanup');
+    }
+
+    commandHistory.execute('cleanup', () => deleteTasks(staleTasks.map(t => t.id), (taskIds) => {
+        if (currentUser && db && !isGuestMode) {
+            writeTasksWithProgress(taskIds.map(taskId => ({ type: 'delete', taskId })));
+        } else {
+            saveGuestTasks(tasks);
+        }
+    }));
+
+    renderTasksWithCallbacks();
+    renderCleanupPanelWithCount();
+
+    const lang = translations[currentLanguage].aging;
+    showUndoNotification(`${staleTasks.length} ${exportFirst ? lang.exported : lang.deleted}`);
+}
+
+/**
+ * Show how many Ignore! tasks the clean-up would remove
+ */
+function renderCleanupPanelWithCount() {
+    renderCleanupPanel(findStaleIgnoredTasks(tasks, getCleanupDays()).length, translations, currentLanguage);
+}
+
+/**
+ * Undo the last task operation
+ * @param {object} [expected] - Only undo if this history entry is still the last one
+ */
+function handleUndo(expected = null) {
+    const result = commandHistory.undo(expected);
+    if (!result) return;
+
+    persistHistoryResult(result);
+    renderTasksWithCallbacks();
+}
+
+/**
+ * Redo the last undone task operation
+ */
+function handleRedo() {
+    const result = commandHistory.redo();
+    if (!result) return;
+
+    persistHistoryResult(result);
+    renderTasksWithCallbacks();
+}
+
+/**
+ * Replay an undo/redo against storage
+ * Restored tasks are written back, tasks that no longer exist are deleted.
+ */
+function persistHistoryResult(result) {
+    if (currentUser && db && !isGuestMode) {
+        result.tasks.forEach(({ id, task }) => {
+            if (task) {
+                updateTaskInFirestore(task, currentUser.uid, db, window.firebase);
+            } else {
+                deleteTaskFromFirestore(id, currentUser.uid, db);
+            }
+        });
+    } else {
+        saveGuestTasks(tasks);
+    }
+}
+
+/**
+ * Show a toast with an Undo action for the last recorded operation
+ */
+function showUndoNotification(message) {
+    const entry = commandHistory.peek();
+    if (!entry) return;
+
+    showNotification({
+        type: 'info',
+        message,
+        duration: 5000,
+        actions: [{
+            label: translations[currentLanguage].history.undo,
+            onClick: () => handleUndo(entry)
+        }]
+    });
+}
+
+/**
+ * Recurring instances whose occurrence day arrived become visible
+ */
+function handleMaterializedOccurrences(materializedTasks) {
+    // Undoing an older step would hide the instance again
+    commandHistory.discard(materializedTasks.map(task => task.id));
+
+    if (currentUser && db && !isGuestMode) {
+        materializedTasks.forEach(task => updateTaskInFirestore(task, currentUser.uid, db, window.firebase));
+    } else {
+        saveGuestTasks(tasks);
+    }
+    renderTasksWithCallbacks();
+}
+
+/**
+ * Open the detail view of a task (notes)
+ */
+function handleOpenDetails(taskId, segment) {
+    const task = getTasks(segment).find(t => t.id === taskId);
+    if (!task) return;
+
+    openTaskDetailModal(task, translations, currentLanguage, (notes) => {
+        // The task may have moved (e.g. escalation) while the modal was open
+        const current = Object.values(tasks).flat().find(t => t.id === taskId);
+        if (!current) return;
+
+        const updated = commandHistory.execute('update', () => setTaskNotes(taskId, current.segment, notes));
+        if (!updated) return;
+
+        persistTaskUpdate(updated);
+        renderTasksWithCallbacks();
+    });
+}
+
+/**
+ * Persist an updated task (Firestore or LocalForage depending on mode)
+ */
+function persistTaskUpdate(task) {
+    if (currentUser && db && !isGuestMode) {
+        updateTaskInFirestore(task, currentUser.uid, db, window.firebase);
+    } else {
+        saveGuestTasks(tasks);
+    }
+}
+
+/**
+ * Callbacks for rendered task elements
+ */
+function getTaskCallbacks() {
+    return {
         onToggle: handleToggleTask,
         // DragManager handles these internally now
         onDragEnd: handleMoveTask,
-        onSwipeDelete: handleDeleteTask
+        onSwipeDelete: handleDeleteTask,
+        onSubtaskToggle: handleSubtaskToggle,
+        onSubtaskAdd: handleSubtaskAdd,
+        onSubtaskDelete: handleSubtaskDelete,
+        onOpenDetails: handleOpenDetails
     };
+}
+
+/**
+ * Render the tag filter bar (re-renders all tasks on change)
+ */
+function renderTagFilter() {
+    const { tagFilter } = store.getState();
+    renderTagFilterBar(getAllTags(tasks), tagFilter, translations, currentLanguage, (newFilter) => {
+        store.setState({ tagFilter: newFilter }, 'tag-filter');
+        renderTasksWithCallbacks();
+    });
+}
 
-    renderAllTasks(tasks, translations, currentLanguage, callbacks);
+/**
+ * Render all tasks with all callbacks (Drag & Drop 2.0)
+ */
+function renderTasksWithCallbacks() {
+    // Restrict quadrants to the selected tags and hide upcoming recurring instances
+    const { tagFilter, sortModes } = store.getState();
+    renderAllTasks(getVisibleTasks(filterTasks('', tagFilter)), translations, currentLanguage, getTaskCallbacks(), sortModes);
+    renderTagFilter();
 
     // Setup drop zones for desktop drag & drop
     setupDropZones(handleMoveTask);
 }
 
+/**
+ * Re-render only some segments (e.g. after a remote change)
+ * @param {Iterable<number>} segmentIds - Segment IDs
+ */
+function renderSegmentsWithCallbacks(segmentIds) {
+    const { tagFilter, sortModes } = store.getState();
+    const visibleTasks = getVisibleTasks(filterTasks('', tagFilter));
+    const callbacks = getTaskCallbacks();
+    const staleThresholds = getStaleThresholds();
+
+    for (const segmentId of segmentIds) {
+        renderSegment(segmentId, visibleTasks, translations, currentLanguage, callbacks, sortModes[segmentId] || DEFAULT_SORT_MODE, staleThresholds);
+    }
+
+    // Remote changes can add or remove tags
+    renderTagFilter();
+}
+
 // ============================================
 // Event Handlers
 // ============================================
@@ -233,17 +1016,42 @@ function setupEventListeners() {
 
     // Task input (if exists - v1.4.5 uses modal instead)
     const taskInput = document.getElementById('taskInput');
+    const taskInputPreview = document.getElementById('taskInputPreview');
     if (taskInput) {
         taskInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && taskInput.value.trim()) {
-                openModal((text, segment, recurring) => {
-                    handleAddTask(text, segment, recurring);
-                    closeModal();
+                const parsed = parseQuickAdd(taskInput.value);
+                const clearInput = () => {
                     taskInput.value = '';
-                });
+                    renderQuickAddPreview(taskInputPreview, null, translations, currentLanguage);
+                };
+
+                // A quadrant flag (!urgent, !wichtig, ...) skips the segment modal
+                if (parsed.segment) {
+                    handleAddTask(parsed.text, parsed.segment, parsed.recurring, {
+                        dueDate: parsed.dueDate,
+                        tags: parsed.tags
+                    });
+                    clearInput();
+                    return;
+                }
+
+                openModal((text, segment, recurring, details) => {
+                    handleAddTask(text, segment, recurring || parsed.recurring, {
+                        dueDate: details.dueDate || parsed.dueDate,
+                        tags: mergeTags(parsed.tags, details.tags || [])
+                    });
+                    closeModal();
+                    clearInput();
+                }, parsed.text);
             }
         });
 
+        // Live preview of what will be created
+        taskInput.addEventListener('input', () => {
+            renderQuickAddPreview(taskInputPreview, parseQuickAdd(taskInput.value), translations, currentLanguage);
+        });
+
         // Enforce max length
         taskInput.maxLength = MAX_TASK_LENGTH;
     }
@@ -255,8 +1063,8 @@ function setupEventListeners() {
         btn.addEventListener('click', (e) => {
             const segment = parseInt(e.target.dataset.segment);
             console.log('Add button clicked, segment:', segment);
-            openQuickAddModal(segment, (text, selectedSegment, recurring) => {
-                handleAddTask(text, selectedSegment || segment, recurring);
+            openQuickAddModal(segment, (text, selectedSegment, recurring, details) => {
+                handleAddTask(text, selectedSegment || segment, recurring, details);
             }, translations, currentLanguage);
         });
     });
@@ -270,6 +1078,9 @@ function setupEventListeners() {
             e.preventDefault();
             e.stopPropagation();
             openSettingsModal(currentUser, APP_VERSION, new Date().toISOString().split('T')[0], isGuestMode);
+            renderSyncPanelWithCallbacks(getSyncStatus());
+            renderLastReview(getLastReviewAt(), translations, currentLanguage);
+            renderCleanupPanelWithCount();
         });
     }
 
@@ -294,6 +1105,9 @@ function setupEventListeners() {
         languageToggle.addEventListener('change', (e) => {
             setLanguage(e.target.value);
             updateLanguageUI(() => renderTasksWithCallbacks());
+            renderSyncPanelWithCallbacks(getSyncStatus());
+            renderLastReview(getLastReviewAt(), translations, currentLanguage);
+            renderCleanupPanelWithCount();
         });
     }
 
@@ -315,6 +1129,105 @@ function setupEventListeners() {
         });
     }
 
+    // Clear completed tasks (Done segment)
+    const clearCompletedBtn = document.getElementById('clearCompletedBtn');
+    if (clearCompletedBtn) {
+        clearCompletedBtn.addEventListener('click', handleClearCompleted);
+    }
+
+    // Undo/Redo shortcuts (Ctrl+Z / Ctrl+Shift+Z, Ctrl+Y)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Keep native undo inside text fields
+        if (e.target.matches('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    });
+
+    // Deadline escalation window
+    const escalationWindowSelect = document.getElementById('escalationWindowSelect');
+    if (escalationWindowSelect) {
+        escalationWindowSelect.value = String(getEscalationWindowHours());
+        escalationWindowSelect.addEventListener('change', (e) => {
+            setEscalationWindowHours(parseInt(e.target.value));
+        });
+    }
+
+    // Weekly review
+    const reviewAgeSelect = document.getElementById('reviewAgeSelect');
+    if (reviewAgeSelect) {
+        reviewAgeSelect.value = String(getReviewAgeDays());
+        reviewAgeSelect.addEventListener('change', (e) => {
+            setReviewAgeDays(parseInt(e.target.value));
+        });
+    }
+
+    const reviewBtn = document.getElementById('reviewBtn');
+    if (reviewBtn) {
+        reviewBtn.addEventListener('click', handleStartReview);
+    }
+
+    // Aging thresholds per quadrant (cards fade after that many days without changes)
+    const staleThresholds = getStaleThresholds();
+    document.querySelectorAll('.stale-threshold-input').forEach(input => {
+        const segment = parseInt(input.dataset.segment);
+        input.value = staleThresholds[segment];
+        input.addEventListener('change', (e) => {
+            const days = parseInt(e.target.value);
+            if (isNaN(days) || days < 0) {
+                e.target.value = getStaleThresholds()[segment];
+                return;
+            }
+            setStaleThreshold(segment, days);
+            renderTasksWithCallbacks();
+        });
+    });
+
+    // Clean-up of Ignore!
+    const cleanupDaysInput = document.getElementById('cleanupDaysInput');
+    if (cleanupDaysInput) {
+        cleanupDaysInput.value = getCleanupDays();
+        cleanupDaysInput.addEventListener('change', (e) => {
+            const days = parseInt(e.target.value);
+            if (isNaN(days) || days < 1) {
+                e.target.value = getCleanupDays();
+                return;
+            }
+            setCleanupDays(days);
+            renderCleanupPanelWithCount();
+        });
+    }
+
+    const cleanupExportBtn = document.getElementById('cleanupExportBtn');
+    if (cleanupExportBtn) {
+        cleanupExportBtn.addEventListener('click', () => handleCleanupIgnored(true));
+    }
+
+    const cleanupDeleteBtn = document.getElementById('cleanupDeleteBtn');
+    if (cleanupDeleteBtn) {
+        cleanupDeleteBtn.addEventListener('click', () => handleCleanupIgnored(false));
+    }
+
+    // Sort mode per quadrant
+    document.querySelectorAll('.segment-sort-select').forEach(select => {
+        const segment = parseInt(select.dataset.segment);
+        select.value = store.getState().sortModes[segment] || DEFAULT_SORT_MODE;
+        select.addEventListener('change', (e) => {
+            const sortModes = { ...store.getState().sortModes, [segment]: e.target.value };
+            store.setState({ sortModes }, 'sort-mode');
+            localStorage.setItem(STORAGE_KEYS.SORT_MODES, JSON.stringify(sortModes));
+            renderTasksWithCallbacks();
+        });
+    });
+
     // Export button
     const exportBtn = document.getElementById('exportBtn');
     if (exportBtn) {
@@ -323,6 +1236,22 @@ function setupEventListeners() {
         });
     }
 
+    // CSV export button
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', () => {
+            exportCsv(tasks, translations, currentLanguage);
+        });
+    }
+
+    // iCalendar export button
+    const exportIcsBtn = document.getElementById('exportIcsBtn');
+    if (exportIcsBtn) {
+        exportIcsBtn.addEventListener('click', () => {
+            exportIcs(tasks, translations, currentLanguage);
+        });
+    }
+
     // Import button
     const importBtn = document.getElementById('importBtn');
     const importFile = document.getElementById('importFile');
@@ -330,13 +1259,10 @@ function setupEventListeners() {
         importBtn.addEventListener('click', () => importFile.click());
         importFile.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                importData(e.target.files[0], tasks, async (importedTasks) => {
-                    setAllTasks(importedTasks);
-                    await saveAllTasks();
-                    renderTasksWithCallbacks();
-                    alert(getTranslation('importSuccess') || 'Data imported successfully!');
-                });
+                handleImportFile(e.target.files[0]);
             }
+            // Allow choosing the same file again
+            e.target.value = '';
         });
     }
 
@@ -344,16 +1270,7 @@ function setupEventListeners() {
     const metricsBtn = document.getElementById('metricsBtn');
     if (metricsBtn) {
         metricsBtn.addEventListener('click', () => {
-            openMetricsModal(() => {
-                // Calculate metrics
-                // This is a placeholder - real implementation in metrics module
-                return {
-                    totalCompleted: getTasks(SEGMENTS.DONE).length,
-                    currentStreak: 0,
-                    avgTime: '-',
-                    chartData: []
-                };
-            });
+            openMetricsModal(() => renderMetrics(tasks, translations, currentLanguage));
         });
     }
 
@@ -484,6 +1401,25 @@ window.onAuthStateChanged = async function(user, firebaseDb, guestMode = false)
         // Render tasks with callbacks (after DOM is ready)
         // DragManager and drop zones are now setup in renderTasksWithCallbacks()
         renderTasksWithCallbacks();
+
+        // Show recurring instances whose occurrence day has arrived
+        if (!stopRecurrenceScheduler) {
+            stopRecurrenceScheduler = startRecurrenceScheduler({
+                getTasks: () => tasks,
+                onMaterialize: handleMaterializedOccurrences
+            });
+        }
+
+        // Promote tasks whose deadline is approaching
+        if (!stopEscalationScheduler) {
+            stopEscalationScheduler = startEscalationScheduler({
+                getTasks: () => tasks,
+                onEscalate: handleEscalation
+            });
+        }
+
+        // Weekly review overdue?
+        remindOfReview();
     }, 100);
 
     updateOnlineStatus();
@@ -509,7 +1445,7 @@ async function initApp() {
     await initVersion();
 
     // Initialize storage with offline queue support (Phase 4)
-    initStorage(updateSyncStatus);
+    initStorage(handleSyncStatusChange, handleSyncConflict);
     console.log('✅ Storage initialized with offline queue');
 
     // Setup persistent storage
@@ -518,11 +1454,11 @@ async function initApp() {
     // Check online status
     window.addEventListener('online', () => {
         updateOnlineStatus();
-        updateSyncStatus(getSyncStatus());
+        handleSyncStatusChange(getSyncStatus());
     });
     window.addEventListener('offline', () => {
         updateOnlineStatus();
-        updateSyncStatus(getSyncStatus());
+        handleSyncStatusChange(getSyncStatus());
     });
 
     // Note: Event listeners and tasks are loaded in onAuthStateChanged callback
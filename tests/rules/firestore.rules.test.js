@@ -0,0 +1,219 @@
+/**
+ * Security Rules Tests (Firestore emulator)
+ * Writes tasks exactly as the app builds them (tasks.js + buildTaskData).
+ *
+ * Run with: npm run test:rules
+ * (starts the Firestore emulator via the Firebase CLI, requires Java)
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} from '@firebase/rules-unit-testing';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+import { buildTaskData, TASK_FIELDS } from '../../js/modules/firestore-schema.js';
+import {
+  addTaskToSegment,
+  toggleTask,
+  addSubtask,
+  setTaskNotes,
+  setAllTasks
+} from '../../js/modules/tasks.js';
+
+let testEnv;
+
+function tasksOf(uid, ownerUid = uid) {
+  return testEnv.authenticatedContext(uid).firestore()
+    .collection('users')
+    .doc(ownerUid)
+    .collection('tasks');
+}
+
+// Document data as written by saveTaskToFirestore
+function createData(task, revision = 1) {
+  return { ...buildTaskData(task, firebase), revision };
+}
+
+// Store a task without rules checks
+async function seed(uid, task, revision = 1) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.firestore()
+      .collection('users').doc(uid)
+      .collection('tasks').doc(task.id)
+      .set(createData(task, revision));
+  });
+}
+
+describe('Firestore rules', () => {
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-eisenhauer',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+    });
+  });
+
+  afterAll(async () => {
+    // testEnv is missing if the emulator was not reachable
+    if (testEnv) {
+      await testEnv.cleanup();
+    }
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    setAllTasks(null);
+  });
+
+  describe('tasks: create', () => {
+    it('should accept a task with every field the app writes', async () => {
+      const recurring = { enabled: true, interval: 'weekly', weekdays: [1, 3], dayOfMonth: 1, customDays: 1 };
+      const task = addTaskToSegment('Weekly report', 2, recurring, null, {
+        dueDate: Date.now() + 86400000,
+        tags: ['#work', '@alice']
+      });
+      addSubtask(task.id, 2, 'Collect numbers');
+      setTaskNotes(task.id, 2, 'See [wiki](https://example.com)');
+      Object.assign(task, { escalatedFrom: 3, escalatedAt: Date.now(), escalationDismissed: true, upcomingAt: Date.now() });
+
+      const data = createData(task);
+      expect(Object.keys(data).sort()).toEqual([...TASK_FIELDS].sort());
+
+      await assertSucceeds(tasksOf('alice').doc(task.id).set(data));
+    });
+
+    it('should accept the client clock and the server timestamp as createdAt', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+
+      await assertSucceeds(tasksOf('alice').doc(task.id).set(createData(task)));
+      await assertSucceeds(tasksOf('alice').doc('server-time').set(createData({ ...task, createdAt: null })));
+      await assertFails(tasksOf('alice').doc('string-time').set({ ...createData(task), createdAt: '2025-01-01' }));
+    });
+
+    it('should reject unknown fields and missing required fields', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      const data = createData(task);
+      const { checked, ...withoutChecked } = data;
+
+      expect(checked).toBe(false);
+      await assertFails(tasksOf('alice').doc(task.id).set({ ...data, userId: 'alice' }));
+      await assertFails(tasksOf('alice').doc(task.id).set(withoutChecked));
+    });
+
+    it('should reject invalid field values', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      const data = createData(task);
+      const invalid = [
+        { text: '' },
+        { text: 'x'.repeat(141) },
+        { segment: 6 },
+        { completedAt: 'yesterday' },
+        { dueDate: true },
+        { escalatedFrom: 0 },
+        { escalationDismissed: null },
+        { completedFrom: 5 },
+        { recurring: { enabled: true, interval: 'hourly' } },
+        { recurring: { enabled: true, interval: 'daily', cron: '* * * * *' } },
+        { recurring: { enabled: true, interval: 'monthly', dayOfMonth: 32 } },
+        { recurring: 'daily' },
+        { subtasks: 'none' },
+        { tags: '#work' },
+        { order: 'a0' },
+        { notes: 'x'.repeat(5001) },
+        { activity: 'created' },
+        { activity: Array.from({ length: 101 }, (_, i) => ({ type: 'edited', at: i, device: 'a' })) },
+        { revision: 0 }
+      ];
+
+      for (const fields of invalid) {
+        await assertFails(tasksOf('alice').doc(task.id).set({ ...data, ...fields }));
+      }
+    });
+
+    it('should not let users write other users\' tasks', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+
+      await assertFails(tasksOf('mallory', 'alice').doc(task.id).set(createData(task)));
+      await assertFails(testEnv.unauthenticatedContext().firestore()
+        .collection('users').doc('alice').collection('tasks').doc(task.id)
+        .set(createData(task)));
+    });
+  });
+
+  describe('tasks: update', () => {
+    it('should accept completing a task with a merge update', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      await seed('alice', task);
+
+      const { task: completed } = toggleTask(task.id, 1);
+
+      await assertSucceeds(tasksOf('alice').doc(task.id)
+        .set({ ...buildTaskData(completed, firebase), revision: 2 }, { merge: true }));
+    });
+
+    it('should clear a dismissed escalation with a merge update', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      task.escalationDismissed = true;
+      await seed('alice', task);
+
+      delete task.escalationDismissed;
+      const data = buildTaskData(task, firebase);
+
+      expect(data.escalationDismissed).toBe(false);
+      await assertSucceeds(tasksOf('alice').doc(task.id).set({ ...data, revision: 2 }, { merge: true }));
+    });
+
+    it('should require a higher revision', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      await seed('alice', task, 3);
+
+      await assertFails(tasksOf('alice').doc(task.id)
+        .set({ ...buildTaskData(task, firebase), text: 'Call Bob back', revision: 3 }, { merge: true }));
+    });
+
+    it('should keep createdAt unchanged', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      await seed('alice', task);
+
+      await assertFails(tasksOf('alice').doc(task.id)
+        .set({ ...buildTaskData(task, firebase), createdAt: task.createdAt + 1, revision: 2 }, { merge: true }));
+    });
+
+    it('should accept documents of older clients without revision', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('users').doc('alice')
+          .collection('tasks').doc(task.id)
+          .set({ text: task.text, segment: 1, checked: false, createdAt: task.createdAt });
+      });
+
+      await assertSucceeds(tasksOf('alice').doc(task.id)
+        .set({ ...buildTaskData(task, firebase), revision: 1 }, { merge: true }));
+    });
+  });
+
+  describe('tasks: read and delete', () => {
+    it('should only allow the owner', async () => {
+      const task = addTaskToSegment('Call Bob', 1);
+      await seed('alice', task);
+
+      await assertSucceeds(tasksOf('alice').doc(task.id).get());
+      await assertFails(tasksOf('mallory', 'alice').doc(task.id).get());
+      await assertFails(tasksOf('mallory', 'alice').doc(task.id).delete());
+      await assertSucceeds(tasksOf('alice').doc(task.id).delete());
+    });
+  });
+
+  describe('tags', () => {
+    it('should validate tag definitions', async () => {
+      const tags = testEnv.authenticatedContext('alice').firestore()
+        .collection('users').doc('alice').collection('tags');
+
+      await assertSucceeds(tags.doc('work').set({ name: '#work', color: '#1a73e8' }));
+      await assertFails(tags.doc('bad').set({ name: '#bad', color: 'red' }));
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Activity Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getDeviceId,
+  recordActivity,
+  mergeActivity,
+  getTaskActivity,
+  collectActivity
+} from '../../js/modules/activity.js';
+import { MAX_ACTIVITY_EVENTS } from '../../js/modules/config.js';
+import {
+  addTaskToSegment,
+  moveTask,
+  toggleTask,
+  setTaskNotes,
+  getTasks,
+  setAllTasks
+} from '../../js/modules/tasks.js';
+import { mergeTasks } from '../../js/modules/conflicts.js';
+import { commandHistory } from '../../js/modules/history.js';
+
+const types = (task) => task.activity.map(event => event.type);
+
+describe('Activity', () => {
+  beforeEach(() => {
+    setAllTasks(null);
+  });
+
+  it('should log how a task travels between quadrants', () => {
+    const task = addTaskToSegment('Prepare release', 2);
+    moveTask(task.id, 2, 1);
+    toggleTask(task.id, 1);
+    toggleTask(task.id, 5);
+    setTaskNotes(task.id, 1, 'Changelog');
+
+    const [logged] = getTasks(1);
+    expect(types(logged)).toEqual(['created', 'moved', 'completed', 'restored', 'edited']);
+    expect(logged.activity[0]).toMatchObject({ to: 2, device: getDeviceId() });
+    expect(logged.activity[1]).toMatchObject({ from: 2, to: 1 });
+    expect(logged.activity[2]).toMatchObject({ from: 1, to: 5, at: expect.any(Number) });
+    expect(logged.activity[3]).toMatchObject({ from: 5, to: 1 });
+    expect(logged.activity[4].fields).toEqual(['notes']);
+  });
+
+  it('should keep the log on undo and redo and record them as events', () => {
+    commandHistory.clear();
+    const task = addTaskToSegment('Prepare release', 2);
+    commandHistory.execute('move', () => moveTask(task.id, 2, 1));
+
+    commandHistory.undo();
+    const [undone] = getTasks(2);
+    expect(types(undone)).toEqual(['created', 'moved', 'undone']);
+    expect(undone.activity[2]).toMatchObject({ from: 1, to: 2, device: getDeviceId() });
+
+    commandHistory.redo();
+    const [redone] = getTasks(1);
+    expect(types(redone)).toEqual(['created', 'moved', 'undone', 'redone']);
+    expect(redone.activity[3]).toMatchObject({ from: 2, to: 1 });
+  });
+
+  it('should keep the device ID across calls', () => {
+    expect(getDeviceId()).toMatch(/^.{8}$/);
+    expect(getDeviceId()).toBe(getDeviceId());
+  });
+
+  it('should drop the oldest events but keep "created"', () => {
+    const task = { activity: [] };
+    recordActivity(task, 'created', { to: 1 }, 0);
+    for (let i = 1; i <= MAX_ACTIVITY_EVENTS + 10; i++) {
+      recordActivity(task, 'edited', { fields: ['notes'] }, i);
+    }
+
+    expect(task.activity).toHaveLength(MAX_ACTIVITY_EVENTS);
+    expect(task.activity[0].type).toBe('created');
+    expect(task.activity[1].at).toBe(12);
+  });
+
+  it('should merge the logs of two devices without duplicates', () => {
+    const created = { type: 'created', at: 1, device: 'a', to: 2 };
+    const mine = [created, { type: 'moved', at: 3, device: 'a', from: 2, to: 1 }];
+    const theirs = [created, { type: 'edited', at: 2, device: 'b', fields: ['notes'] }];
+
+    expect(mergeActivity(mine, theirs).map(event => event.at)).toEqual([1, 2, 3]);
+
+    // Both devices changed the task: the conflict merge keeps all events
+    const { task, conflicts } = mergeTasks(
+      { id: 't', activity: [created] },
+      { id: 't', activity: mine },
+      { id: 't', activity: theirs }
+    );
+    expect(conflicts).toEqual([]);
+    expect(task.activity).toHaveLength(3);
+  });
+
+  it('should show tasks from before the log with creation and completion', () => {
+    const timeline = getTaskActivity({ id: 'old', createdAt: 100, completedAt: 200 });
+
+    expect(timeline.map(event => event.type)).toEqual(['completed', 'created']);
+    expect(timeline[0].device).toBeNull();
+  });
+
+  it('should collect events of all tasks for statistics', () => {
+    const first = addTaskToSegment('A', 1);
+    const second = addTaskToSegment('B', 3);
+    toggleTask(first.id, 1);
+    toggleTask(second.id, 3);
+
+    expect(collectActivity({ 5: getTasks(5) }, 'completed')).toEqual([
+      expect.objectContaining({ taskId: first.id, from: 1 }),
+      expect.objectContaining({ taskId: second.id, from: 3 })
+    ]);
+  });
+});
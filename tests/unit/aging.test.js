@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for Aging Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getIdleDays,
+  getStaleThresholds,
+  setStaleThreshold,
+  getStaleLevel,
+  getSegmentEnteredAt,
+  getCleanupDays,
+  findStaleIgnoredTasks
+} from '../../js/modules/aging.js';
+import { addTaskToSegment, moveTask, deleteTasks, getTasks, getAllTasks, setAllTasks } from '../../js/modules/tasks.js';
+import { commandHistory } from '../../js/modules/history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+
+const thresholds = { 1: 3, 2: 14, 3: 7, 4: 0 };
+
+describe('Aging', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setAllTasks(null);
+    commandHistory.clear();
+  });
+
+  it('should age cards by the days without changes per quadrant', () => {
+    expect(getStaleLevel({ segment: 1, createdAt: NOW - 2 * DAY }, thresholds, NOW)).toBeNull();
+    expect(getStaleLevel({ segment: 1, createdAt: NOW - 3 * DAY }, thresholds, NOW)).toBe('aging');
+    expect(getStaleLevel({ segment: 1, createdAt: NOW - 6 * DAY }, thresholds, NOW)).toBe('stale');
+    expect(getStaleLevel({ segment: 2, createdAt: NOW - 6 * DAY }, thresholds, NOW)).toBeNull();
+
+    // A recent change keeps an old task fresh
+    const edited = { segment: 1, createdAt: NOW - 30 * DAY, updatedAt: NOW - DAY };
+    expect(getIdleDays(edited, NOW)).toBe(1);
+    expect(getStaleLevel(edited, thresholds, NOW)).toBeNull();
+
+    // Threshold 0, completed tasks and the Done segment never age
+    expect(getStaleLevel({ segment: 4, createdAt: NOW - 99 * DAY }, thresholds, NOW)).toBeNull();
+    expect(getStaleLevel({ segment: 1, checked: true, createdAt: NOW - 99 * DAY }, thresholds, NOW)).toBeNull();
+    expect(getStaleLevel({ segment: 5, createdAt: NOW - 99 * DAY }, thresholds, NOW)).toBeNull();
+  });
+
+  it('should store the thresholds per quadrant', () => {
+    expect(getStaleThresholds()).toEqual({ 1: 3, 2: 14, 3: 7, 4: 30 });
+
+    setStaleThreshold(4, 0);
+    expect(getStaleThresholds()[4]).toBe(0);
+    expect(getStaleThresholds()[2]).toBe(14);
+
+    localStorage.setItem('staleThresholds', '{broken');
+    expect(getStaleThresholds()[4]).toBe(30);
+    expect(getCleanupDays()).toBe(60);
+  });
+
+  it('should count the time in Ignore! from when the task got there', () => {
+    const task = {
+      segment: 4,
+      createdAt: NOW - 90 * DAY,
+      activity: [
+        { type: 'created', at: NOW - 90 * DAY, to: 1 },
+        { type: 'moved', at: NOW - 10 * DAY, from: 1, to: 4 }
+      ]
+    };
+
+    expect(getSegmentEnteredAt(task)).toBe(NOW - 10 * DAY);
+    expect(getSegmentEnteredAt({ segment: 4, createdAt: NOW - 5 * DAY })).toBe(NOW - 5 * DAY);
+  });
+
+  it('should find old Ignore! tasks and remove them in one undoable step', () => {
+    const old = addTaskToSegment('Learn Esperanto', 4);
+    const moved = addTaskToSegment('Sort photos', 1);
+    addTaskToSegment('Fresh idea', 4);
+    old.createdAt = NOW - 90 * DAY;
+    old.activity[0].at = old.createdAt;
+    getTasks(4).push({ id: 'upcoming', text: 'Next instance', segment: 4, createdAt: NOW - 90 * DAY, upcomingAt: NOW + DAY });
+
+    moveTask(moved.id, 1, 4);
+    moved.createdAt = NOW - 90 * DAY;
+
+    const stale = findStaleIgnoredTasks(getAllTasks(), 60, NOW);
+    expect(stale.map(task => task.text)).toEqual(['Learn Esperanto']);
+
+    let deletedIds = null;
+    commandHistory.execute('cleanup', () => deleteTasks(stale.map(task => task.id), (ids) => {
+      deletedIds = ids;
+    }));
+    expect(deletedIds).toEqual([old.id]);
+    expect(getTasks(4).map(task => task.text)).toEqual(['Fresh idea', 'Next instance', 'Sort photos']);
+
+    commandHistory.undo();
+    expect(getTasks(4)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Conflicts Module (concurrent edits)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  mergeTasks,
+  resolveAutomatically,
+  rememberSyncedTask,
+  getSyncedTask,
+  clearSyncedTasks
+} from '../../js/modules/conflicts.js';
+
+const base = {
+  id: 't1',
+  revision: 3,
+  text: 'Write report',
+  segment: 1,
+  checked: false,
+  completedAt: null,
+  updatedAt: 100,
+  order: 'V',
+  notes: null,
+  tags: ['work']
+};
+
+describe('Conflicts', () => {
+  describe('mergeTasks', () => {
+    it('should take fields changed on one side only', () => {
+      const mine = { ...base, text: 'Write final report', updatedAt: 200 };
+      const theirs = { ...base, revision: 4, notes: 'See wiki', updatedAt: 300 };
+
+      const { task, conflicts } = mergeTasks(base, mine, theirs);
+
+      expect(conflicts).toEqual([]);
+      expect(task.text).toBe('Write final report');
+      expect(task.notes).toBe('See wiki');
+      expect(task.updatedAt).toBe(300);
+      expect(task).not.toHaveProperty('revision');
+    });
+
+    it('should report fields both sides changed differently and keep the local value', () => {
+      const mine = { ...base, text: 'Mine' };
+      const theirs = { ...base, text: 'Theirs' };
+
+      const { task, conflicts } = mergeTasks(base, mine, theirs);
+
+      expect(conflicts).toEqual(['text']);
+      expect(task.text).toBe('Mine');
+    });
+
+    it('should merge tags added and removed on both sides', () => {
+      const mine = { ...base, tags: ['work', 'urgent'] };
+      const theirs = { ...base, tags: ['home'] };
+
+      expect(mergeTasks(base, mine, theirs).task.tags).toEqual(['home', 'urgent']);
+    });
+  });
+
+  describe('resolveAutomatically', () => {
+    it('should resolve both devices completing the task the same way on every device', () => {
+      const mine = { ...base, segment: 5, checked: true, completedAt: 500, order: 'k', updatedAt: 500 };
+      const theirs = { ...base, revision: 4, segment: 5, checked: true, completedAt: 400, order: 'a', updatedAt: 400 };
+
+      const resolved = resolveAutomatically(base, mine, theirs);
+      const reversed = resolveAutomatically(base, theirs, mine);
+
+      expect(resolved).toMatchObject({ segment: 5, checked: true, completedAt: 400, order: 'a', updatedAt: 500 });
+      expect(reversed).toEqual(resolved);
+    });
+
+    it('should leave real conflicts to the user', () => {
+      const mine = { ...base, segment: 2 };
+      const theirs = { ...base, segment: 3 };
+
+      expect(resolveAutomatically(base, mine, theirs)).toBeNull();
+    });
+
+    it('should leave tasks deleted on another device to the user', () => {
+      expect(resolveAutomatically(base, { ...base, text: 'Mine' }, null)).toBeNull();
+    });
+  });
+
+  describe('synced state', () => {
+    beforeEach(() => {
+      clearSyncedTasks();
+    });
+
+    it('should keep a copy of the synced task by string ID', () => {
+      const task = { ...base, id: 7 };
+      rememberSyncedTask(task);
+      task.text = 'Changed';
+
+      expect(getSyncedTask('7').text).toBe('Write report');
+      expect(getSyncedTask('unknown')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for CSV Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tasksToCsv,
+  decodeCsv,
+  detectDelimiter,
+  parseCsv,
+  guessColumnMapping,
+  getSegmentByName,
+  csvToBackup
+} from '../../js/modules/csv.js';
+import { validateBackup } from '../../js/modules/importer.js';
+import { translations } from '../../js/modules/translations.js';
+
+const tasks = {
+  1: [{
+    id: 'a',
+    text: 'Report; "final"',
+    checked: false,
+    createdAt: Date.UTC(2026, 2, 1, 9, 0),
+    recurring: { enabled: true, interval: 'daily' }
+  }],
+  2: [],
+  3: [],
+  4: [{ id: 'b', text: '=SUM(A1)', checked: false, createdAt: Date.UTC(2026, 2, 2) }],
+  5: [{ id: 'c', text: 'Done', checked: true, createdAt: Date.UTC(2026, 2, 3), completedAt: Date.UTC(2026, 2, 4) }]
+};
+
+describe('CSV', () => {
+  describe('tasksToCsv', () => {
+    it('should write one row per task with semicolons, quoting and quadrant names in German', () => {
+      const lines = tasksToCsv(tasks, translations, 'de').split('\r\n');
+
+      expect(lines[0]).toBe('\uFEFFid;text;quadrant;checked;createdAt;completedAt;recurring');
+      expect(lines[1]).toBe('a;"Report; ""final""";Sofort!;false;2026-03-01T09:00:00.000Z;;Täglich');
+      expect(lines[3]).toBe('c;Done;Fertig!;true;2026-03-03T00:00:00.000Z;2026-03-04T00:00:00.000Z;');
+    });
+
+    it('should use commas in English and guard formulas', () => {
+      const lines = tasksToCsv(tasks, translations, 'en').split('\r\n');
+
+      expect(lines[0]).toBe('\uFEFFid,text,quadrant,checked,createdAt,completedAt,recurring');
+      expect(lines[2]).toBe("b,'=SUM(A1),Ignore!,false,2026-03-02T00:00:00.000Z,,");
+    });
+  });
+
+  describe('decodeCsv', () => {
+    it('should decode UTF-8 and fall back to Windows-1252', () => {
+      const utf8 = new TextEncoder().encode('\uFEFFAufgabe;Quadrant\nÄpfel;Später!');
+      expect(decodeCsv(utf8.buffer)).toEqual({ text: 'Aufgabe;Quadrant\nÄpfel;Später!', encoding: 'utf-8' });
+
+      // "Äpfel" in Windows-1252 (Ä = 0xC4) is not valid UTF-8
+      const latin = new Uint8Array([0xc4, 0x70, 0x66, 0x65, 0x6c]);
+      expect(decodeCsv(latin.buffer)).toEqual({ text: 'Äpfel', encoding: 'windows-1252' });
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should detect the delimiter outside quotes', () => {
+      expect(detectDelimiter('Aufgabe;Quadrant;Erledigt\n"a, b";1;x')).toBe(';');
+      expect(detectDelimiter('"a;b",text,quadrant')).toBe(',');
+      expect(detectDelimiter('id\ttext')).toBe('\t');
+    });
+
+    it('should parse quoted cells with delimiters, quotes and line breaks', () => {
+      const rows = parseCsv('text;notes\r\n"a;b";"say ""hi""\nthere"\r\n\r\nc;\n');
+
+      expect(rows).toEqual([
+        ['text', 'notes'],
+        ['a;b', 'say "hi"\nthere'],
+        ['c', '']
+      ]);
+    });
+  });
+
+  describe('column and quadrant mapping', () => {
+    it('should guess columns from English and German headers', () => {
+      expect(guessColumnMapping(['Aufgabe', 'Kategorie', 'Erledigt', 'Erstellt am', 'Notiz'])).toEqual({
+        id: -1,
+        text: 0,
+        quadrant: 1,
+        checked: 2,
+        createdAt: 3,
+        completedAt: -1
+      });
+      expect(guessColumnMapping(['id', 'text', 'quadrant', 'checked', 'createdAt', 'completedAt']).completedAt).toBe(5);
+    });
+
+    it('should map quadrant names of both languages and numbers to segment IDs', () => {
+      expect(getSegmentByName('Sofort!', translations)).toBe(1);
+      expect(getSegmentByName('schedule', translations)).toBe(2);
+      expect(getSegmentByName(' SPÄTER ', translations)).toBe(4);
+      expect(getSegmentByName('5', translations)).toBe(5);
+      expect(getSegmentByName('Irgendwann', translations)).toBeNull();
+    });
+  });
+
+  describe('csvToBackup', () => {
+    it('should round-trip an export through the backup validation', () => {
+      const rows = parseCsv(tasksToCsv(tasks, translations, 'de').replace(/^\uFEFF/, ''));
+      const backup = validateBackup(csvToBackup(rows, guessColumnMapping(rows[0]), translations));
+
+      expect(backup.errors).toEqual([]);
+      expect(backup.tasks[1][0]).toMatchObject({ id: 'a', text: 'Report; "final"', createdAt: tasks[1][0].createdAt });
+      expect(backup.tasks[4][0].text).toBe('=SUM(A1)');
+      expect(backup.tasks[5][0]).toMatchObject({ checked: true, completedAt: tasks[5][0].completedAt });
+    });
+
+    it('should read German dates and report unknown quadrants', () => {
+      const rows = parseCsv('Aufgabe;Quadrant;Erledigt;Erstellt am\nAngebot;Planen!;ja;31.12.2026 14:30\nX;Irgendwann;;');
+      const backup = validateBackup(csvToBackup(rows, guessColumnMapping(rows[0]), translations));
+
+      expect(backup.tasks[5][0]).toMatchObject({
+        text: 'Angebot',
+        checked: true,
+        completedFrom: 2,
+        createdAt: new Date(2026, 11, 31, 14, 30).getTime()
+      });
+      expect(backup.errors).toEqual([{ segment: 'Irgendwann', index: 0, text: 'X', problems: ['segment'] }]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Deadlines Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getEscalationTarget,
+  findTasksToEscalate,
+  getEscalationWindowHours,
+  setEscalationWindowHours,
+  parseDueDateInput,
+  formatDueDateInput
+} from '../../js/modules/deadlines.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date(2025, 9, 20, 12, 0).getTime();
+
+function makeTask(overrides = {}) {
+  return {
+    id: 1,
+    text: 'Task',
+    segment: 2,
+    checked: false,
+    createdAt: NOW - 48 * HOUR,
+    dueDate: null,
+    ...overrides
+  };
+}
+
+describe('getEscalationTarget', () => {
+  it('should promote Schedule to Do inside the window', () => {
+    const task = makeTask({ segment: 2, dueDate: NOW + 2 * HOUR });
+    expect(getEscalationTarget(task, NOW, 24 * HOUR)).toBe(1);
+  });
+
+  it('should promote Ignore to Delegate inside the window', () => {
+    const task = makeTask({ segment: 4, dueDate: NOW + 2 * HOUR });
+    expect(getEscalationTarget(task, NOW, 24 * HOUR)).toBe(3);
+  });
+
+  it('should not promote tasks outside the window', () => {
+    const task = makeTask({ segment: 2, dueDate: NOW + 48 * HOUR });
+    expect(getEscalationTarget(task, NOW, 24 * HOUR)).toBeNull();
+  });
+
+  it('should promote overdue tasks', () => {
+    const task = makeTask({ segment: 2, dueDate: NOW - HOUR });
+    expect(getEscalationTarget(task, NOW, 24 * HOUR)).toBe(1);
+  });
+
+  it('should ignore tasks without due date or in other segments', () => {
+    expect(getEscalationTarget(makeTask(), NOW, 24 * HOUR)).toBeNull();
+    expect(getEscalationTarget(makeTask({ segment: 1, dueDate: NOW }), NOW, 24 * HOUR)).toBeNull();
+    expect(getEscalationTarget(makeTask({ segment: 3, dueDate: NOW }), NOW, 24 * HOUR)).toBeNull();
+  });
+
+  it('should not escalate a task twice or after dismissal', () => {
+    const escalated = makeTask({ dueDate: NOW, escalatedAt: NOW - HOUR });
+    const dismissed = makeTask({ dueDate: NOW, escalationDismissed: true });
+
+    expect(getEscalationTarget(escalated, NOW, 24 * HOUR)).toBeNull();
+    expect(getEscalationTarget(dismissed, NOW, 24 * HOUR)).toBeNull();
+  });
+});
+
+describe('findTasksToEscalate', () => {
+  it('should collect escalations from Schedule and Ignore', () => {
+    const tasks = {
+      1: [makeTask({ id: 1, segment: 1, dueDate: NOW })],
+      2: [makeTask({ id: 2, segment: 2, dueDate: NOW + HOUR }), makeTask({ id: 3, segment: 2 })],
+      3: [],
+      4: [makeTask({ id: 4, segment: 4, dueDate: NOW + HOUR })],
+      5: []
+    };
+
+    const result = findTasksToEscalate(tasks, NOW, 24 * HOUR);
+
+    expect(result.map(e => [e.task.id, e.fromSegment, e.toSegment])).toEqual([
+      [2, 2, 1],
+      [4, 4, 3]
+    ]);
+  });
+});
+
+describe('escalation window setting', () => {
+  it('should default to 24 hours', () => {
+    expect(getEscalationWindowHours()).toBe(24);
+  });
+
+  it('should persist the configured window', () => {
+    setEscalationWindowHours(72);
+    expect(getEscalationWindowHours()).toBe(72);
+
+    setEscalationWindowHours(0);
+    expect(getEscalationWindowHours()).toBe(0);
+  });
+});
+
+describe('due date input conversion', () => {
+  it('should round-trip datetime-local values', () => {
+    const value = '2025-10-21T09:30';
+    expect(formatDueDateInput(parseDueDateInput(value))).toBe(value);
+  });
+
+  it('should treat date-only values as end of day', () => {
+    expect(formatDueDateInput(parseDueDateInput('2025-10-21'))).toBe('2025-10-21T23:59');
+  });
+
+  it('should return null for empty or invalid input', () => {
+    expect(parseDueDateInput('')).toBeNull();
+    expect(parseDueDateInput('not a date')).toBeNull();
+    expect(formatDueDateInput(null)).toBe('');
+  });
+});
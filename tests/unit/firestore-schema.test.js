@@ -0,0 +1,44 @@
+/**
+ * Unit Tests for Firestore Schema Module
+ * Keeps the task document, TASK_FIELDS and firestore.rules in step
+ * (the rules themselves are tested against the emulator in tests/rules).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { buildTaskData, TASK_FIELDS } from '../../js/modules/firestore-schema.js';
+
+const firebase = {
+  firestore: { FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' } }
+};
+
+function getRulesTaskFields() {
+  const rules = readFileSync('firestore.rules', 'utf8');
+  const list = rules.match(/function taskFields\(\) \{\s*return \[([^\]]*)\]/);
+  return list[1].match(/'[^']+'/g).map(field => field.slice(1, -1));
+}
+
+describe('Firestore schema', () => {
+  it('should allow exactly TASK_FIELDS in firestore.rules', () => {
+    expect(getRulesTaskFields()).toEqual(TASK_FIELDS);
+  });
+
+  it('should only write fields listed in TASK_FIELDS', () => {
+    const data = buildTaskData({
+      id: 'a',
+      text: 'Task',
+      segment: 1,
+      escalationDismissed: true,
+      subtasks: [{ id: 's', text: 'Sub', checked: false, extra: 1 }]
+    }, firebase);
+
+    expect(Object.keys(data).every(field => TASK_FIELDS.includes(field))).toBe(true);
+    expect(data.createdAt).toBe('SERVER_TIMESTAMP');
+    expect(data.subtasks).toEqual([{ id: 's', text: 'Sub', checked: false }]);
+    expect(data.escalationDismissed).toBe(true);
+  });
+
+  it('should write escalationDismissed as false so merge updates can clear it', () => {
+    expect(buildTaskData({ text: 'Task', segment: 1 }, firebase).escalationDismissed).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for History Module (Undo/Redo)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CommandHistory } from '../../js/modules/history.js';
+import {
+  addTaskToSegment,
+  deleteTask,
+  moveTask,
+  toggleTask,
+  clearCompletedTasks,
+  getTasks,
+  setAllTasks
+} from '../../js/modules/tasks.js';
+
+// Fixed IDs keep the expectations readable
+function addWithId(id, text, segment, recurring = null) {
+  const task = addTaskToSegment(text, segment, recurring);
+  task.id = id;
+  return task;
+}
+
+describe('CommandHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    setAllTasks(null);
+    history = new CommandHistory(50);
+  });
+
+  it('should undo and redo adding a task', () => {
+    const task = history.execute('add', () => addTaskToSegment('Write report', 1));
+
+    const undone = history.undo();
+    expect(getTasks(1)).toHaveLength(0);
+    expect(undone.tasks).toEqual([{ id: task.id, task: null }]);
+
+    const redone = history.redo();
+    expect(getTasks(1).map(t => t.text)).toEqual(['Write report']);
+    expect(redone.tasks[0].task.text).toBe('Write report');
+  });
+
+  it('should restore a deleted task at its original position', () => {
+    addWithId(1, 'First', 2);
+    addWithId(2, 'Second', 2);
+
+    history.execute('delete', () => deleteTask(1, 2));
+    history.undo();
+
+    expect(getTasks(2).map(t => t.text)).toEqual(['First', 'Second']);
+  });
+
+  it('should undo a move including the original fields', () => {
+    const task = addTaskToSegment('Task', 1);
+    toggleTask(task.id, 1);
+
+    history.execute('move', () => moveTask(task.id, 5, 3));
+    expect(getTasks(3)[0].completedAt).toBeNull();
+
+    history.undo();
+    const [restored] = getTasks(5);
+    expect(restored.checked).toBe(true);
+    expect(restored.completedAt).toBeTypeOf('number');
+    expect(getTasks(3)).toHaveLength(0);
+  });
+
+  it('should undo completing a recurring task and remove the next instance', () => {
+    addWithId('standup', 'Standup', 1, { enabled: true, interval: 'daily' });
+
+    history.execute('toggle', () => {
+      const result = toggleTask('standup', 1);
+      result.newRecurringTask.id = 'standup-next';
+      return result;
+    });
+
+    const undone = history.undo();
+
+    expect(getTasks(1).map(t => t.id)).toEqual(['standup']);
+    expect(getTasks(1)[0].checked).toBe(false);
+    expect(getTasks(5)).toHaveLength(0);
+    expect(undone.tasks.find(t => t.id === 'standup-next').task).toBeNull();
+  });
+
+  it('should support multiple undo steps and clear redo on new operations', () => {
+    history.execute('add', () => addWithId('a', 'A', 1));
+    history.execute('add', () => addWithId('b', 'B', 1));
+
+    history.undo();
+    history.undo();
+    expect(getTasks(1)).toHaveLength(0);
+    expect(history.canRedo()).toBe(true);
+
+    history.redo();
+    history.execute('add', () => addWithId('c', 'C', 1));
+    expect(history.canRedo()).toBe(false);
+    expect(getTasks(1).map(t => t.text)).toEqual(['A', 'C']);
+  });
+
+  it('should restore all tasks removed by clearCompletedTasks', () => {
+    ['A', 'B', 'C'].forEach((text, i) => {
+      addWithId(i + 1, text, 1);
+      toggleTask(i + 1, 1);
+    });
+
+    history.execute('clearCompleted', () => clearCompletedTasks());
+    expect(getTasks(5)).toHaveLength(0);
+
+    const undone = history.undo();
+    expect(getTasks(5).map(t => t.text)).toEqual(['A', 'B', 'C']);
+    expect(undone.tasks).toHaveLength(3);
+  });
+
+  it('should not record operations without changes', () => {
+    history.execute('delete', () => deleteTask(999, 1));
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should only undo the expected entry', () => {
+    history.execute('add', () => addWithId('a', 'A', 1));
+    const entry = history.peek();
+    history.execute('add', () => addWithId('b', 'B', 1));
+
+    expect(history.undo(entry)).toBeNull();
+    expect(getTasks(1)).toHaveLength(2);
+  });
+
+  it('should discard steps that touch remotely changed tasks', () => {
+    history.execute('add', () => addWithId('a', 'A', 1));
+    history.execute('add', () => addWithId('b', 'B', 1));
+
+    history.discard(['a']);
+
+    expect(history.undo().tasks).toEqual([{ id: 'b', task: null }]);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should keep at most the configured number of steps', () => {
+    const limited = new CommandHistory(2);
+    ['A', 'B', 'C'].forEach((text, i) => {
+      limited.execute('add', () => addWithId(i, text, 1));
+    });
+
+    limited.undo();
+    limited.undo();
+    expect(limited.undo()).toBeNull();
+    expect(getTasks(1).map(t => t.text)).toEqual(['A']);
+  });
+});
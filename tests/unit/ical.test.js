@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for iCalendar Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { tasksToIcs, recurringToRrule, rruleToRecurring, icsToBackup } from '../../js/modules/ical.js';
+import { validateBackup } from '../../js/modules/importer.js';
+import { translations } from '../../js/modules/translations.js';
+
+const now = Date.UTC(2026, 2, 10, 12, 0);
+
+const tasks = {
+  1: [{
+    id: 'a',
+    text: 'Report; final, v2',
+    checked: false,
+    createdAt: Date.UTC(2026, 2, 1, 9, 0),
+    dueDate: Date.UTC(2026, 2, 12, 16, 30),
+    notes: 'Line 1\nLine 2',
+    tags: ['#work', '@alice'],
+    recurring: { enabled: true, interval: 'weekly', weekdays: [1, 3], dayOfMonth: 1, customDays: 1 }
+  }],
+  2: [],
+  3: [],
+  4: [{ id: 'b', text: 'Later', checked: false, createdAt: Date.UTC(2026, 2, 2) }],
+  5: [{
+    id: 'c',
+    text: 'Done',
+    checked: true,
+    createdAt: Date.UTC(2026, 2, 3),
+    completedAt: Date.UTC(2026, 2, 4, 8, 15),
+    completedFrom: 2
+  }]
+};
+
+describe('iCalendar', () => {
+  describe('recurrence rules', () => {
+    it('should map recurring configs to RRULEs', () => {
+      expect(recurringToRrule({ enabled: true, interval: 'daily' })).toBe('FREQ=DAILY');
+      expect(recurringToRrule({ enabled: true, interval: 'weekly', weekdays: [0, 5] })).toBe('FREQ=WEEKLY;BYDAY=SU,FR');
+      expect(recurringToRrule({ enabled: true, interval: 'monthly', dayOfMonth: 31 })).toBe('FREQ=MONTHLY;BYMONTHDAY=31');
+      expect(recurringToRrule({ enabled: true, interval: 'custom', customDays: 3 })).toBe('FREQ=DAILY;INTERVAL=3');
+      expect(recurringToRrule({ enabled: false, interval: 'daily' })).toBeNull();
+    });
+
+    it('should read RRULEs the app can repeat and ignore the others', () => {
+      expect(rruleToRecurring('FREQ=WEEKLY;BYDAY=FR,MO')).toMatchObject({ interval: 'weekly', weekdays: [1, 5] });
+      expect(rruleToRecurring('FREQ=DAILY;INTERVAL=3')).toMatchObject({ interval: 'custom', customDays: 3 });
+      expect(rruleToRecurring('FREQ=WEEKLY;INTERVAL=2')).toMatchObject({ interval: 'custom', customDays: 14 });
+      expect(rruleToRecurring('FREQ=MONTHLY;BYMONTHDAY=15')).toMatchObject({ interval: 'monthly', dayOfMonth: 15 });
+      expect(rruleToRecurring('FREQ=YEARLY')).toBeNull();
+      expect(rruleToRecurring('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO')).toBeNull();
+    });
+  });
+
+  describe('tasksToIcs', () => {
+    it('should export open tasks as VTODOs with priority, due date and recurrence', () => {
+      const ics = tasksToIcs(tasks, translations, 'en', now);
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines).toEqual(expect.arrayContaining([
+        'UID:a@eisenhauer-matrix',
+        'DTSTAMP:20260310T120000Z',
+        'SUMMARY:Report\\; final\\, v2',
+        'DESCRIPTION:Line 1\\nLine 2',
+        'DUE:20260312T163000Z',
+        'PRIORITY:1',
+        'CATEGORIES:Do!,#work,@alice',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+        'PRIORITY:9'
+      ]));
+      expect(ics.match(/BEGIN:VTODO/g)).toHaveLength(3);
+    });
+
+    it('should export done tasks as completed VTODO and VEVENT at the completion time', () => {
+      const ics = tasksToIcs(tasks, translations, 'de', now);
+      const event = ics.slice(ics.indexOf('BEGIN:VEVENT'), ics.indexOf('END:VEVENT'));
+
+      expect(ics).toContain('STATUS:COMPLETED\r\nCOMPLETED:20260304T081500Z');
+      expect(ics).toContain('X-EISENHAUER-COMPLETED-FROM:2\r\nEND:VTODO');
+      expect(event).toContain('UID:c-done@eisenhauer-matrix');
+      expect(event).toContain('DTSTART:20260304T081500Z');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+
+    it('should fold long lines to 75 octets', () => {
+      const ics = tasksToIcs({ 1: [{ id: 'x', text: 'ä'.repeat(100), createdAt: now }] }, translations, 'de', now);
+      const lines = ics.split('\r\n');
+
+      lines.forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+      expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    });
+  });
+
+  describe('icsToBackup', () => {
+    it('should round-trip an export through the backup validation', () => {
+      const backup = validateBackup(icsToBackup(tasksToIcs(tasks, translations, 'de', now), translations));
+
+      expect(backup.errors).toEqual([]);
+      expect(backup.total).toBe(3);
+      expect(backup.tasks[1][0]).toMatchObject({
+        id: 'a',
+        text: 'Report; final, v2',
+        notes: 'Line 1\nLine 2',
+        tags: ['#work', '@alice'],
+        createdAt: tasks[1][0].createdAt,
+        dueDate: tasks[1][0].dueDate,
+        recurring: { interval: 'weekly', weekdays: [1, 3] }
+      });
+      expect(backup.tasks[4][0].id).toBe('b');
+      expect(backup.tasks[5][0]).toMatchObject({ id: 'c', checked: true, completedAt: tasks[5][0].completedAt, completedFrom: 2 });
+    });
+
+    it('should take the quadrant from the priority of foreign VTODOs', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'UID:123@example.com',
+        'SUMMARY:Call the',
+        '  bank',
+        'PRIORITY:4',
+        'CATEGORIES:Errands',
+        'DUE;VALUE=DATE:20260320',
+        'END:VTODO',
+        'BEGIN:VTODO',
+        'SUMMARY:No priority',
+        'END:VTODO',
+        'BEGIN:VEVENT',
+        'SUMMARY:Meeting',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\n');
+
+      const backup = validateBackup(icsToBackup(ics, translations));
+
+      expect(backup.tasks[2]).toHaveLength(1);
+      expect(backup.tasks[2][0]).toMatchObject({
+        text: 'Call the bank',
+        tags: ['#errands'],
+        dueDate: new Date(2026, 2, 20, 23, 59).getTime()
+      });
+      expect(backup.tasks[2][0].id).toBeUndefined();
+      expect(backup.tasks[1].map(t => t.text)).toEqual(['No priority']);
+    });
+
+    it('should take the quadrant of origin of completed VTODOs from their category', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'SUMMARY:Tax return',
+        'CATEGORIES:Planen!',
+        'STATUS:COMPLETED',
+        'COMPLETED:20260304T081500Z',
+        'END:VTODO',
+        'END:VCALENDAR'
+      ].join('\n');
+
+      const backup = validateBackup(icsToBackup(ics, translations));
+
+      expect(backup.tasks[5][0]).toMatchObject({ text: 'Tax return', checked: true, completedFrom: 2 });
+    });
+
+    it('should reject files without calendar', () => {
+      expect(() => icsToBackup('hello', translations)).toThrow(expect.objectContaining({ code: 'noCalendar' }));
+    });
+  });
+});
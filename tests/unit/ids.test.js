@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for IDs Module
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { generateId, migrateTaskIds } from '../../js/modules/ids.js';
+import { addTaskToSegment, getTask, deleteTask, setAllTasks } from '../../js/modules/tasks.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('generateId', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should generate unique UUID strings', () => {
+    const ids = new Set(Array.from({ length: 1000 }, () => generateId()));
+
+    expect(ids.size).toBe(1000);
+    ids.forEach(id => expect(id).toMatch(UUID_PATTERN));
+  });
+
+  it('should fall back to getRandomValues without randomUUID', () => {
+    vi.stubGlobal('crypto', { getRandomValues: (bytes) => bytes.fill(7) });
+
+    expect(generateId()).toMatch(UUID_PATTERN);
+  });
+
+  it('should fall back to Math.random without Web Crypto', () => {
+    vi.stubGlobal('crypto', undefined);
+
+    expect(generateId()).toMatch(UUID_PATTERN);
+  });
+});
+
+describe('migrateTaskIds', () => {
+  it('should keep integer IDs as strings', () => {
+    const tasks = { 1: [{ id: 1729425600000, text: 'A' }], 2: [], 3: [], 4: [], 5: [] };
+
+    const result = migrateTaskIds(tasks);
+
+    expect(tasks[1][0].id).toBe('1729425600000');
+    expect(result).toEqual({ changed: true, renamed: [] });
+  });
+
+  it('should replace float and missing IDs', () => {
+    const tasks = {
+      1: [{ id: 1729425600000.123, text: 'Imported' }],
+      2: [{ id: '1729425600000.456', text: 'From Firestore' }],
+      3: [{ text: 'Without ID' }],
+      4: [],
+      5: []
+    };
+
+    const { renamed } = migrateTaskIds(tasks);
+
+    expect(renamed.map(r => r.from)).toEqual(['1729425600000.123', '1729425600000.456', '']);
+    renamed.forEach(({ to, task }) => {
+      expect(to).toMatch(UUID_PATTERN);
+      expect(task.id).toBe(to);
+    });
+  });
+
+  it('should leave migrated data unchanged', () => {
+    const tasks = { 1: [{ id: generateId() }, { id: '1729425600000' }], 2: [], 3: [], 4: [], 5: [] };
+
+    expect(migrateTaskIds(tasks)).toEqual({ changed: false, renamed: [] });
+  });
+});
+
+describe('task IDs', () => {
+  it('should give tasks created in the same millisecond different IDs', () => {
+    setAllTasks(null);
+    vi.spyOn(Date, 'now').mockReturnValue(1729425600000);
+
+    const a = addTaskToSegment('A', 1);
+    const b = addTaskToSegment('B', 1);
+    vi.restoreAllMocks();
+
+    expect(a.id).not.toBe(b.id);
+    expect(typeof a.id).toBe('string');
+  });
+
+  it('should find tasks by the ID read from data-task-id', () => {
+    setAllTasks(null);
+    const task = addTaskToSegment('A', 1);
+    const element = document.createElement('div');
+    element.dataset.taskId = task.id;
+
+    expect(getTask(element.dataset.taskId, 1)).toBe(task);
+    expect(deleteTask(element.dataset.taskId, 1)).toBe(true);
+  });
+});
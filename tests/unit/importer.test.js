@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for Importer Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseBackup, validateBackup, planImport, ImportError } from '../../js/modules/importer.js';
+import { toggleTask, setAllTasks, getTasks } from '../../js/modules/tasks.js';
+
+const emptyTasks = () => ({ 1: [], 2: [], 3: [], 4: [], 5: [] });
+
+describe('Importer', () => {
+  describe('validateBackup', () => {
+    it('should report invalid tasks with quadrant, position and fields and keep the valid ones', () => {
+      const backup = validateBackup({
+        schemaVersion: 1,
+        exportDate: '2026-03-01T10:00:00.000Z',
+        tasks: {
+          1: [
+            { id: 'a', text: 'Report', createdAt: 100 },
+            { id: 'b', text: '', createdAt: 100 },
+            { id: 'c', text: 'Call', dueDate: 'soon', tags: 'work' }
+          ],
+          7: [{ id: 'd', text: 'Nowhere' }],
+          2: ['not a task']
+        }
+      });
+
+      expect(backup.total).toBe(5);
+      expect(backup.tasks[1].map(t => t.id)).toEqual(['a']);
+      expect(backup.errors).toEqual([
+        { segment: '1', index: 1, text: '', problems: ['text'] },
+        { segment: '1', index: 2, text: 'Call', problems: ['dueDate', 'tags'] },
+        { segment: '2', index: 0, text: null, problems: ['task'] },
+        { segment: '7', index: 0, text: 'Nowhere', problems: ['segment'] }
+      ]);
+    });
+
+    it('should read backups without schema version and normalize old timestamps', () => {
+      const backup = validateBackup({
+        tasks: {
+          5: [{
+            id: 1700000000000,
+            text: '  Done  ',
+            segment: 1,
+            checked: true,
+            revision: 3,
+            createdAt: { seconds: 1700000000, nanoseconds: 500000000 },
+            completedAt: '2026-03-01T10:00:00.000Z',
+            dueDate: null,
+            order: 'a-b'
+          }]
+        }
+      });
+
+      expect(backup.schemaVersion).toBe(1);
+      expect(backup.tasks[5][0]).toEqual({
+        id: 1700000000000,
+        text: 'Done',
+        segment: 5,
+        checked: true,
+        createdAt: 1700000000500,
+        completedAt: Date.parse('2026-03-01T10:00:00.000Z')
+      });
+    });
+
+    it('should fill in missing subtask fields and reject unusable subtasks', () => {
+      const backup = validateBackup({
+        tasks: {
+          1: [
+            { id: 'a', text: 'Trip', subtasks: [{ text: 'Book hotel' }, { id: 'tickets', text: 'Tickets', checked: true }] },
+            { id: 'b', text: 'Move', subtasks: [{ id: 'boxes', text: 'Boxes', checked: 'yes' }] }
+          ]
+        }
+      });
+
+      const [hotel, tickets] = backup.tasks[1][0].subtasks;
+      expect(hotel).toEqual({ id: expect.any(String), text: 'Book hotel', checked: false });
+      expect(hotel.id).not.toBe('');
+      expect(tickets).toEqual({ id: 'tickets', text: 'Tickets', checked: true });
+      expect(backup.errors).toEqual([{ segment: '1', index: 1, text: 'Move', problems: ['subtasks'] }]);
+    });
+
+    it('should only accept recurring configurations and flags the rules accept', () => {
+      const recurring = (fields) => ({ enabled: true, interval: 'monthly', ...fields });
+      const backup = validateBackup({
+        tasks: {
+          1: [
+            { id: 'a', text: 'Rent', recurring: recurring({ dayOfMonth: 1, weekdays: [], source: 'old app' }) },
+            { id: 'b', text: 'Day 32', recurring: recurring({ dayOfMonth: 32 }) },
+            { id: 'c', text: 'Every 0 days', recurring: recurring({ interval: 'custom', customDays: 0 }) },
+            { id: 'd', text: 'Eight weekdays', recurring: recurring({ interval: 'weekly', weekdays: [0, 1, 2, 3, 4, 5, 6, 1] }) },
+            { id: 'e', text: 'Dismissed', escalationDismissed: 'yes' }
+          ]
+        }
+      });
+
+      expect(backup.tasks[1].map(task => task.id)).toEqual(['a']);
+      expect(backup.tasks[1][0].recurring).toEqual({ enabled: true, interval: 'monthly', dayOfMonth: 1, weekdays: [] });
+      expect(backup.errors.map(error => [error.text, error.problems])).toEqual([
+        ['Day 32', ['recurring']],
+        ['Every 0 days', ['recurring']],
+        ['Eight weekdays', ['recurring']],
+        ['Dismissed', ['escalationDismissed']]
+      ]);
+    });
+
+    it('should move completed tasks of other quadrants into Done so they can be restored', () => {
+      const backup = validateBackup({
+        tasks: {
+          1: [{ id: 'tax', text: 'Steuer', checked: true, createdAt: 100 }],
+          5: [{ id: 'old', text: 'Open in Done', checked: false, createdAt: 100, completedAt: 200 }]
+        }
+      });
+
+      const [tax, old] = backup.tasks[5];
+      expect(backup.tasks[1]).toEqual([]);
+      expect(tax).toMatchObject({ id: 'tax', segment: 5, checked: true, completedFrom: 1 });
+      expect(tax.completedAt).toEqual(expect.any(Number));
+      expect(old).toMatchObject({ id: 'old', segment: 5, checked: true });
+
+      setAllTasks(backup.tasks);
+      expect(toggleTask('tax', 5)).toMatchObject({ action: 'restored' });
+      expect(getTasks(1).map(task => task.id)).toEqual(['tax']);
+    });
+
+    it('should reject files that are no backups or from a newer schema version', () => {
+      expect(() => validateBackup({ version: '1.0' })).toThrow(ImportError);
+      expect(() => validateBackup({ schemaVersion: 99, tasks: {} })).toThrow(
+        expect.objectContaining({ code: 'unsupportedVersion' })
+      );
+      expect(() => parseBackup('{ not json')).toThrow(expect.objectContaining({ code: 'invalidJson' }));
+      expect(() => parseBackup('[]')).toThrow(expect.objectContaining({ code: 'noTasks' }));
+    });
+  });
+
+  describe('planImport', () => {
+    const current = () => ({
+      ...emptyTasks(),
+      1: [{ id: 'x', text: 'Report', segment: 1, createdAt: 100, order: 'V' }]
+    });
+    const backup = () => validateBackup({
+      tasks: {
+        1: [
+          { id: 'x', text: 'Report', createdAt: 100 },
+          { id: 'y', text: 'Slides', createdAt: 200 }
+        ],
+        2: [{ id: 'z', text: 'Plan', createdAt: 300 }]
+      }
+    });
+
+    it('should merge all tasks with new IDs behind the existing ones and count duplicates', () => {
+      const tasks = current();
+      const plan = planImport(backup(), tasks, 'merge');
+
+      expect(plan.tasks[1].map(t => t.text)).toEqual(['Report', 'Report', 'Slides']);
+      expect(plan.added.map(t => t.id)).not.toContain('x');
+      expect(plan.tasks[1][1].order > 'V').toBe(true);
+      expect(plan.counts).toEqual({ 1: 2, 2: 1, 3: 0, 4: 0, 5: 0 });
+      expect(plan.duplicates).toBe(1);
+      expect(plan.removedIds).toEqual([]);
+      // Dry run: the current tasks are untouched
+      expect(tasks).toEqual(current());
+    });
+
+    it('should skip duplicates by text and creation time', () => {
+      const plan = planImport(backup(), current(), 'skipDuplicates');
+
+      expect(plan.added.map(t => t.text)).toEqual(['Slides', 'Plan']);
+      expect(plan.skipped).toBe(1);
+      expect(plan.counts[1]).toBe(1);
+    });
+
+    it('should replace the current tasks, keeping the IDs of the backup', () => {
+      const tasks = current();
+      tasks[3].push({ id: 'old', text: 'Old', segment: 3, createdAt: 1 });
+
+      const plan = planImport(backup(), tasks, 'replace');
+
+      expect(plan.tasks[1].map(t => t.id)).toEqual(['x', 'y']);
+      expect(plan.tasks[3]).toEqual([]);
+      expect(plan.removedIds).toEqual(['old']);
+      expect(plan.added).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Markdown Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, getNotesPreview, escapeHtml } from '../../js/modules/markdown.js';
+
+describe('Markdown', () => {
+  describe('renderMarkdown', () => {
+    it('should render paragraphs with line breaks', () => {
+      expect(renderMarkdown('Call Bob\n+49 170 1234567\n\nBring slides')).toBe(
+        '<p>Call Bob<br>+49 170 1234567</p><p>Bring slides</p>'
+      );
+    });
+
+    it('should render bullet and numbered lists', () => {
+      expect(renderMarkdown('- one\n- two\n1. first\n2. second')).toBe(
+        '<ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>'
+      );
+    });
+
+    it('should render inline and fenced code without formatting its content', () => {
+      expect(renderMarkdown('Run `npm **test**`')).toBe('<p>Run <code>npm **test**</code></p>');
+      expect(renderMarkdown('```\n<b>x</b>\n  *y*\n```')).toBe(
+        '<pre><code>&lt;b&gt;x&lt;/b&gt;\n  *y*</code></pre>'
+      );
+    });
+
+    it('should render bold, italic and headings', () => {
+      expect(renderMarkdown('**Agenda** and *notes* and _more_')).toBe(
+        '<p><strong>Agenda</strong> and <em>notes</em> and <em>more</em></p>'
+      );
+      expect(renderMarkdown('# Title')).toBe('<h4>Title</h4>');
+    });
+
+    it('should leave underscores inside words alone', () => {
+      expect(renderMarkdown('file_name_here')).toBe('<p>file_name_here</p>');
+    });
+
+    it('should render links and bare URLs that open in a new tab', () => {
+      expect(renderMarkdown('[Docs](https://example.com/a?b=1&c=2)')).toBe(
+        '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">Docs</a></p>'
+      );
+      expect(renderMarkdown('See https://example.com.')).toBe(
+        '<p>See <a href="https://example.com" target="_blank" rel="noopener noreferrer">https://example.com</a>.</p>'
+      );
+      expect(renderMarkdown('[Call](tel:+491701234567)')).toContain('href="tel:+491701234567"');
+    });
+
+    it('should escape raw HTML', () => {
+      const html = renderMarkdown('<img src=x onerror="alert(1)"> <script>alert(1)</script>');
+
+      expect(html).not.toContain('<img');
+      expect(html).not.toContain('<script');
+      expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    });
+
+    it('should not create links with unsafe schemes', () => {
+      const html = renderMarkdown('[click](javascript:alert(1)) [data](data:text/html,x)');
+
+      expect(html).not.toContain('<a');
+      expect(html).not.toContain('href');
+    });
+
+    it('should not let link URLs break out of the attribute', () => {
+      const html = renderMarkdown('[x](https://example.com/"onmouseover="alert(1))');
+
+      expect(html).not.toContain('" onmouseover');
+      expect(html).not.toMatch(/href="[^"]*"onmouseover/);
+    });
+
+    it('should return an empty string for empty notes', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(null)).toBe('');
+    });
+  });
+
+  describe('getNotesPreview', () => {
+    it('should strip Markdown syntax and shorten long notes', () => {
+      expect(getNotesPreview('**Agenda:** see [doc](https://x.y)')).toBe('Agenda: see doc');
+      expect(getNotesPreview('a'.repeat(100), 10)).toBe('aaaaaaaaa…');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape all HTML special characters', () => {
+      expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for Metrics Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getISOWeek,
+  getCompletedTasksData,
+  calculateStreak,
+  calculateAverageProcessingTime,
+  getSegmentDistribution,
+  getCompletedFrom,
+  getCompletionsByOrigin,
+  getAverageTimeByOrigin,
+  getFirefightingRatio,
+  formatDuration
+} from '../../js/modules/metrics.js';
+import { addTaskToSegment, moveTask, toggleTask, getTasks, getAllTasks, setAllTasks } from '../../js/modules/tasks.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    setAllTasks(null);
+  });
+
+  describe('calendar', () => {
+    it('should run in a time zone with DST changes (see vitest.config.js)', () => {
+      expect(new Date(2026, 2, 28).getTimezoneOffset()).not.toBe(new Date(2026, 2, 30).getTimezoneOffset());
+      expect(new Date(2026, 9, 24).getTimezoneOffset()).not.toBe(new Date(2026, 9, 26).getTimezoneOffset());
+    });
+
+    it('should number weeks according to ISO 8601', () => {
+      expect(getISOWeek(new Date(2021, 0, 3))).toEqual({ year: 2020, week: 53 });
+      expect(getISOWeek(new Date(2021, 0, 4))).toEqual({ year: 2021, week: 1 });
+      expect(getISOWeek(new Date(2024, 11, 30))).toEqual({ year: 2025, week: 1 });
+      expect(getISOWeek(new Date(2026, 0, 1))).toEqual({ year: 2026, week: 1 });
+      expect(getISOWeek(new Date(2026, 2, 30))).toEqual({ year: 2026, week: 14 });
+    });
+
+    it('should count completions per day, week and month', () => {
+      // Wednesday, 1 April 2026 (the DST change on 29 March lies in the range)
+      const now = new Date(2026, 3, 1, 10).getTime();
+      const completed = [
+        { completedAt: new Date(2026, 3, 1, 0, 30).getTime() },
+        { completedAt: new Date(2026, 2, 29, 23, 30).getTime() },
+        { completedAt: new Date(2026, 2, 28, 1).getTime() },
+        { completedAt: new Date(2026, 0, 15).getTime() },
+        { completedAt: null }
+      ];
+
+      const days = getCompletedTasksData(completed, 'day', now);
+      expect(days).toHaveLength(7);
+      expect(days[0].start).toEqual(new Date(2026, 2, 26));
+      expect(days.map(day => day.count)).toEqual([0, 0, 1, 1, 0, 0, 1]);
+
+      const weeks = getCompletedTasksData(completed, 'week', now);
+      expect(weeks[3].start).toEqual(new Date(2026, 2, 30));
+      expect(weeks.map(week => week.count)).toEqual([0, 0, 2, 1]);
+
+      const months = getCompletedTasksData(completed, 'month', now);
+      expect(months[0].start).toEqual(new Date(2025, 10, 1));
+      expect(months.map(month => month.count)).toEqual([0, 0, 1, 0, 2, 1]);
+    });
+
+    it('should count the streak across DST changes', () => {
+      // Daily completions late in the evening around 25 October 2026
+      const completed = [22, 23, 24, 25, 26, 27].map(day => ({ completedAt: new Date(2026, 9, day, 23, 30).getTime() }));
+
+      expect(calculateStreak(completed, new Date(2026, 9, 27, 23, 45).getTime())).toBe(6);
+      // Nothing completed yet today: the streak of the days before still counts
+      expect(calculateStreak(completed, new Date(2026, 9, 28, 8).getTime())).toBe(6);
+      expect(calculateStreak(completed, new Date(2026, 9, 29, 8).getTime())).toBe(0);
+      expect(calculateStreak([], Date.now())).toBe(0);
+    });
+  });
+
+  describe('overview', () => {
+    it('should average the processing time of completed tasks', () => {
+      expect(calculateAverageProcessingTime([
+        { createdAt: 0, completedAt: 2 * HOUR },
+        { createdAt: 0, completedAt: 4 * HOUR },
+        { createdAt: 0 }
+      ])).toBe(3 * HOUR);
+      expect(calculateAverageProcessingTime([])).toBeNull();
+      expect(formatDuration(null)).toBe('-');
+    });
+
+    it('should count completed tasks in the quadrant they came from', () => {
+      const distribution = getSegmentDistribution({
+        1: [{}, {}, { upcomingAt: Date.now() + DAY }],
+        2: [{}, { upcomingAt: Date.now() - DAY }],
+        3: [],
+        4: [],
+        5: [{ completedFrom: 2 }, { completedFrom: 4 }, {}]
+      });
+
+      // The upcoming instance in Do! is not on the board yet
+      expect(distribution).toEqual({ 1: 2, 2: 3, 3: 0, 4: 1, unknown: 1 });
+    });
+  });
+
+  describe('quadrant of origin', () => {
+    it('should record the quadrant a task was completed from', () => {
+      const task = addTaskToSegment('Plan sprint', 2);
+      toggleTask(task.id, 2);
+      expect(getTasks(5)[0].completedFrom).toBe(2);
+
+      // Restoring clears it, moving into Done records it again
+      toggleTask(task.id, 5);
+      expect(getTasks(1)[0].completedFrom).toBeNull();
+      expect(moveTask(task.id, 1, 5).completedFrom).toBe(1);
+    });
+
+    it('should fall back to the activity log and report unknown origins', () => {
+      expect(getCompletedFrom({ completedFrom: 3 })).toBe(3);
+      expect(getCompletedFrom({ activity: [{ type: 'completed', from: 4, to: 5, at: 1 }] })).toBe(4);
+      expect(getCompletedFrom({ completedAt: 1 })).toBeNull();
+    });
+
+    it('should count completions per week and origin', () => {
+      // Wednesday, 11 March 2026
+      const now = new Date(2026, 2, 11, 12).getTime();
+      const completed = [
+        { completedFrom: 1, completedAt: new Date(2026, 2, 9, 8).getTime() },  // Monday this week
+        { completedFrom: 2, completedAt: new Date(2026, 2, 8, 23).getTime() }, // Sunday last week
+        { completedAt: new Date(2026, 2, 10).getTime() },                      // Unknown origin
+        { completedFrom: 1, completedAt: new Date(2025, 0, 1).getTime() }      // Outside the range
+      ];
+
+      const { weeks, counts } = getCompletionsByOrigin(completed, 2, now);
+
+      expect(weeks).toEqual([new Date(2026, 2, 2), new Date(2026, 2, 9)]);
+      expect(counts[1]).toEqual([0, 1]);
+      expect(counts[2]).toEqual([1, 0]);
+      expect(counts.unknown).toEqual([0, 1]);
+    });
+
+    it('should average the time to complete per quadrant', () => {
+      const averages = getAverageTimeByOrigin([
+        { completedFrom: 1, createdAt: 0, completedAt: 2 * HOUR },
+        { completedFrom: 1, createdAt: 0, completedAt: 4 * HOUR },
+        { completedFrom: 4, createdAt: 0, completedAt: 3 * DAY }
+      ]);
+
+      expect(averages[1]).toEqual({ average: 3 * HOUR, count: 2 });
+      expect(averages[2]).toEqual({ average: null, count: 0 });
+      expect(formatDuration(averages[4].average)).toBe('3d 0h');
+    });
+  });
+
+  describe('getFirefightingRatio', () => {
+    it('should count scheduled tasks that were escalated or moved to Do!', () => {
+      const escalated = addTaskToSegment('Tax return', 2);
+      const moved = addTaskToSegment('Slides', 2);
+      addTaskToSegment('Gym', 2);
+      addTaskToSegment('Call Bob', 1);
+
+      // Escalation (as in handleEscalation) and a move by hand, known from the activity log
+      moveTask(escalated.id, 2, 1).escalatedFrom = 2;
+      moveTask(moved.id, 2, 1);
+
+      expect(getFirefightingRatio(getAllTasks())).toEqual({ escalated: 2, scheduled: 3, ratio: 2 / 3 });
+      expect(getFirefightingRatio({ 1: [], 2: [] }).ratio).toBeNull();
+    });
+  });
+});
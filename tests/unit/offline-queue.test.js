@@ -0,0 +1,278 @@
+/**
+ * Unit Tests for Offline Queue Module
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+
+// In-memory localforage: instances with the same store name share their data (like IndexedDB)
+const stores = new Map();
+window.localforage = {
+  createInstance: ({ name, storeName }) => {
+    const key = `${name}/${storeName}`;
+    if (!stores.has(key)) {
+      stores.set(key, new Map());
+    }
+    const data = stores.get(key);
+    return {
+      getItem: async (item) => structuredClone(data.get(item) ?? null),
+      setItem: async (item, value) => {
+        data.set(item, structuredClone(value));
+      }
+    };
+  }
+};
+
+let OfflineQueue;
+let isRetryableError;
+let getBackoffDelay;
+
+describe('OfflineQueue', () => {
+  beforeAll(async () => {
+    ({ OfflineQueue, isRetryableError, getBackoffDelay } = await import('../../js/modules/offline-queue.js'));
+  });
+
+  beforeEach(() => {
+    stores.clear();
+    // Process only when the test calls processQueue
+    navigator.onLine = false;
+  });
+
+  it('should execute items with the handler registered for their operation', async () => {
+    const queue = new OfflineQueue('test');
+    const handler = vi.fn().mockResolvedValue();
+    queue.registerHandler('updateTask', handler);
+
+    await queue.add('updateTask', { taskId: 'a', data: { text: 'A' } }, { key: 'a' });
+    const result = await queue.processQueue();
+
+    expect(result).toEqual({ processed: 1, succeeded: 1, failed: 0 });
+    expect(handler).toHaveBeenCalledWith({ taskId: 'a', data: { text: 'A' } }, expect.objectContaining({ key: 'a' }));
+    expect(queue.getPendingCount()).toBe(0);
+  });
+
+  it('should keep queued items across a reload', async () => {
+    const before = new OfflineQueue('test');
+    await before.add('saveTask', { taskId: 'a', data: { text: 'A' } }, { key: 'a' });
+
+    // New instance = page reload, handlers are registered again at module load
+    const after = new OfflineQueue('test');
+    const handler = vi.fn().mockResolvedValue();
+    after.registerHandler('saveTask', handler);
+    await after.processQueue();
+
+    expect(handler).toHaveBeenCalledWith({ taskId: 'a', data: { text: 'A' } }, expect.anything());
+  });
+
+  it('should retry items that were processing during a reload and drop old closure items', async () => {
+    stores.set('eisenhauer/queue_test', new Map([['queue', [
+      { id: '1', operation: 'updateTask', key: 'a', payload: { text: 'A' }, retries: 0, maxRetries: 3, status: 'processing' },
+      { id: '2', operation: 'updateTask', metadata: { taskId: 'b' }, retries: 0, maxRetries: 3, status: 'pending' }
+    ]]]));
+
+    const queue = new OfflineQueue('test');
+    await queue.ready;
+
+    expect(queue.queue.map(i => [i.id, i.status])).toEqual([['1', 'pending']]);
+  });
+
+  it('should coalesce queued updates of the same key into one write with the latest payload', async () => {
+    const queue = new OfflineQueue('test');
+    const handler = vi.fn().mockResolvedValue();
+    queue.registerHandler('saveTask', handler);
+    queue.registerHandler('updateTask', handler);
+
+    await queue.add('saveTask', { text: 'v1' }, { key: 'a', mergeInto: ['saveTask'] });
+    await queue.add('updateTask', { text: 'v2' }, { key: 'a', mergeInto: ['saveTask', 'updateTask'] });
+    await queue.add('updateTask', { text: 'other' }, { key: 'b', mergeInto: ['saveTask', 'updateTask'] });
+    await queue.add('updateTask', { text: 'v3' }, { key: 'a', mergeInto: ['saveTask', 'updateTask'] });
+
+    expect(queue.queue.map(i => [i.operation, i.key, i.payload.text])).toEqual([
+      ['saveTask', 'a', 'v3'],
+      ['updateTask', 'b', 'other']
+    ]);
+
+    await queue.processQueue();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop queued writes superseded by a delete', async () => {
+    const queue = new OfflineQueue('test');
+
+    await queue.add('updateTask', { text: 'A' }, { key: 'a', mergeInto: ['updateTask'] });
+    await queue.add('deleteTask', {}, { key: 'a', supersedes: ['saveTask', 'updateTask'] });
+
+    expect(queue.queue.map(i => i.operation)).toEqual(['deleteTask']);
+  });
+
+  it('should not coalesce into an item that is already being written', async () => {
+    const queue = new OfflineQueue('test');
+    let finishWrite;
+    const handler = vi.fn(() => new Promise(resolve => { finishWrite = resolve; }));
+    queue.registerHandler('updateTask', handler);
+
+    await queue.add('updateTask', { text: 'v1' }, { key: 'a', mergeInto: ['updateTask'] });
+    const processing = queue.processQueue();
+    await vi.waitFor(() => expect(handler).toHaveBeenCalled());
+
+    await queue.add('updateTask', { text: 'v2' }, { key: 'a', mergeInto: ['updateTask'] });
+    finishWrite();
+    await processing;
+
+    expect(handler.mock.calls[0][0].text).toBe('v1');
+    expect(queue.queue.map(i => i.payload.text)).toEqual(['v2']);
+    expect(queue.hasPending(i => i.key === 'a')).toBe(true);
+  });
+
+  it('should process items added while a run is in progress', async () => {
+    const queue = new OfflineQueue('test');
+    let finishWrite;
+    const handler = vi.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { finishWrite = resolve; }))
+      .mockResolvedValue();
+    queue.registerHandler('saveTask', handler);
+
+    await queue.add('saveTask', { text: 'A' }, { key: 'a' });
+    navigator.onLine = true;
+    const processing = queue.processQueue();
+    await vi.waitFor(() => expect(handler).toHaveBeenCalled());
+
+    await queue.add('saveTask', { text: 'B' }, { key: 'b' });
+    finishWrite();
+    await processing;
+
+    await vi.waitFor(() => expect(handler).toHaveBeenCalledTimes(2));
+    expect(handler.mock.calls[1][0].text).toBe('B');
+    await vi.waitFor(() => expect(queue.getPendingCount()).toBe(0));
+  });
+
+  it('should retry a failed item with a fresh retry budget and discard items', async () => {
+    const queue = new OfflineQueue('test');
+    const handler = vi.fn()
+      .mockRejectedValueOnce(new Error('unavailable'))
+      .mockResolvedValue();
+    queue.registerHandler('updateTask', handler);
+
+    await queue.add('updateTask', { text: 'A' }, { key: 'a', maxRetries: 1 });
+    await queue.add('updateTask', { text: 'B' }, { key: 'b' });
+    await queue.processQueue();
+
+    const [failed, done] = [queue.getItems()[0], queue.getItems()[1]];
+    expect(failed).toMatchObject({ status: 'failed', retries: 1, error: 'unavailable' });
+    expect(done).toBeUndefined();
+    expect(queue.getFailedCount()).toBe(1);
+
+    await queue.retry(failed.id);
+    expect(queue.getItems()).toEqual([]);
+
+    await queue.add('updateTask', { text: 'C' }, { key: 'c' });
+    expect(await queue.remove(queue.getItems()[0].id)).toBe(true);
+    expect(queue.getItems()).toEqual([]);
+  });
+
+  it('should back off exponentially with jitter up to the cap', () => {
+    const delays = [1, 2, 3, 4, 10].map(attempt => getBackoffDelay(attempt, 1000, 5000));
+
+    expect(delays[0]).toBeGreaterThanOrEqual(500);
+    expect(delays[0]).toBeLessThanOrEqual(1000);
+    expect(delays[1]).toBeGreaterThanOrEqual(1000);
+    expect(delays[1]).toBeLessThanOrEqual(2000);
+    expect(delays[2]).toBeGreaterThanOrEqual(2000);
+    expect(delays[2]).toBeLessThanOrEqual(4000);
+    delays.slice(3).forEach(delay => {
+      expect(delay).toBeGreaterThanOrEqual(2500);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+  });
+
+  it('should tell retryable from permanent errors', () => {
+    expect(isRetryableError(Object.assign(new Error('offline'), { code: 'unavailable' }))).toBe(true);
+    expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('denied'), { code: 'permission-denied' }))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('bad'), { code: 'invalid-argument' }))).toBe(false);
+  });
+
+  it('should retry retryable errors once the backoff has passed', async () => {
+    vi.useFakeTimers();
+    try {
+      const queue = new OfflineQueue('test', { baseDelay: 1000, maxDelay: 8000 });
+      const handler = vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('offline'), { code: 'unavailable' }))
+        .mockResolvedValue();
+      queue.registerHandler('updateTask', handler);
+
+      await queue.add('updateTask', { text: 'A' }, { key: 'a' });
+      await queue.processQueue();
+
+      const [item] = queue.getItems();
+      expect(item).toMatchObject({ status: 'pending', retries: 1, errorCode: 'unavailable' });
+      expect(item.nextAttemptAt).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      await queue.processQueue();
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      navigator.onLine = true;
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(queue.getItems()).toEqual([]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should process items waiting for their backoff when asked to sync immediately', async () => {
+    const queue = new OfflineQueue('test', { baseDelay: 60000 });
+    const handler = vi.fn()
+      .mockRejectedValueOnce(new Error('network'))
+      .mockResolvedValue();
+    queue.registerHandler('updateTask', handler);
+
+    await queue.add('updateTask', { text: 'A' }, { key: 'a' });
+    await queue.processQueue();
+    await queue.processQueue({ immediate: true });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(queue.getItems()).toEqual([]);
+  });
+
+  it('should move items with permanent errors to the exportable dead letters at once', async () => {
+    const queue = new OfflineQueue('test');
+    const denied = Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+    const handler = vi.fn().mockRejectedValue(denied);
+    const failed = vi.fn();
+    queue.registerHandler('updateTask', handler);
+    queue.on('itemFailed', failed);
+
+    await queue.add('updateTask', { text: 'A' }, { key: 'a' });
+    await queue.add('updateTask', { text: 'B' }, { key: 'b' });
+    await queue.processQueue();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(failed).toHaveBeenCalledTimes(2);
+    expect(queue.getItems()[0]).toMatchObject({
+      status: 'failed',
+      retries: 1,
+      errorCode: 'permission-denied',
+      nextAttemptAt: null
+    });
+
+    const report = queue.exportDeadLetters();
+    expect(report.queue).toBe('test');
+    expect(report.items.map(i => i.payload.text)).toEqual(['A', 'B']);
+    expect(report.items[0].failedAt).toEqual(expect.any(String));
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  it('should fail items without a registered handler after the retries', async () => {
+    const queue = new OfflineQueue('test');
+    const failed = vi.fn();
+    queue.on('itemFailed', failed);
+
+    await queue.add('unknown', {}, { maxRetries: 1 });
+    await queue.processQueue();
+
+    expect(failed).toHaveBeenCalled();
+    expect(queue.queue[0].status).toBe('failed');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Ordering Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  keyBetween,
+  keysBetween,
+  sortByOrder,
+  ensureTaskOrder,
+  rebalanceKeys,
+  isValidKey,
+  sortTasks
+} from '../../js/modules/ordering.js';
+
+describe('Ordering', () => {
+  describe('keyBetween', () => {
+    it('should create keys in the requested range', () => {
+      const first = keyBetween(null, null);
+      const after = keyBetween(first, null);
+      const before = keyBetween(null, first);
+      const middle = keyBetween(first, after);
+
+      expect(before < first).toBe(true);
+      expect(first < middle).toBe(true);
+      expect(middle < after).toBe(true);
+    });
+
+    it('should always find room between adjacent keys', () => {
+      let low = keyBetween(null, null);
+      const high = keyBetween(low, null);
+
+      // Repeatedly inserting right behind the same key must keep working
+      for (let i = 0; i < 50; i++) {
+        const key = keyBetween(low, high);
+        expect(key > low && key < high).toBe(true);
+        expect(isValidKey(key)).toBe(true);
+        low = key;
+      }
+    });
+
+    it('should keep keys valid when prepending repeatedly', () => {
+      let first = keyBetween(null, null);
+
+      for (let i = 0; i < 50; i++) {
+        const key = keyBetween(null, first);
+        expect(key < first).toBe(true);
+        expect(isValidKey(key)).toBe(true);
+        first = key;
+      }
+    });
+
+    it('should reject invalid or reversed bounds', () => {
+      expect(() => keyBetween('b', 'a')).toThrow();
+      expect(() => keyBetween('a', 'a')).toThrow();
+      expect(() => keyBetween('a0', null)).toThrow();
+      expect(() => keyBetween('a-b', null)).toThrow();
+    });
+  });
+
+  describe('keysBetween', () => {
+    it('should create ascending, short keys', () => {
+      const keys = keysBetween(null, null, 100);
+
+      expect(keys).toHaveLength(100);
+      expect([...keys].sort()).toEqual(keys);
+      expect(new Set(keys).size).toBe(100);
+      expect(Math.max(...keys.map(key => key.length))).toBeLessThanOrEqual(3);
+    });
+  });
+
+  describe('sortByOrder', () => {
+    it('should sort by key and break ties by ID', () => {
+      const tasks = [
+        { id: 'b', order: 'V' },
+        { id: 'c', order: 'G' },
+        { id: 'a', order: 'V' }
+      ];
+
+      expect(sortByOrder(tasks).map(t => t.id)).toEqual(['c', 'a', 'b']);
+    });
+  });
+
+  describe('ensureTaskOrder', () => {
+    it('should append tasks without a key in their current order', () => {
+      const tasks = {
+        1: [{ id: 'old-1' }, { id: 'new', order: 'V' }, { id: 'old-2' }],
+        2: []
+      };
+
+      const assigned = ensureTaskOrder(tasks);
+
+      expect(tasks[1].map(t => t.id)).toEqual(['new', 'old-1', 'old-2']);
+      expect(assigned.map(t => t.id)).toEqual(['old-1', 'old-2']);
+      expect(tasks[1][1].order > 'V').toBe(true);
+      expect(tasks[1][2].order > tasks[1][1].order).toBe(true);
+    });
+
+    it('should leave ordered tasks untouched', () => {
+      const tasks = { 1: [{ id: 'x', order: 'k' }, { id: 'y', order: 'G' }] };
+
+      expect(ensureTaskOrder(tasks)).toEqual([]);
+      expect(tasks[1].map(t => t.id)).toEqual(['y', 'x']);
+    });
+  });
+
+  describe('rebalanceKeys', () => {
+    it('should leave segments with short keys alone', () => {
+      const tasks = [{ id: 'a', order: 'G' }, { id: 'b', order: 'V' }];
+
+      expect(rebalanceKeys(tasks)).toEqual([]);
+      expect(tasks.map(t => t.order)).toEqual(['G', 'V']);
+    });
+
+    it('should give every task a short key in the current order once a key is too long', () => {
+      const long = 'V'.repeat(50) + '1';
+      const tasks = [{ id: 'a', order: long }, { id: 'b', order: 'z' }, { id: 'c', order: 'G' }];
+
+      const assigned = rebalanceKeys(tasks);
+
+      expect(tasks.map(t => t.id)).toEqual(['c', 'a', 'b']);
+      expect(assigned.map(t => t.id)).toEqual(['a', 'b']);
+      expect(tasks.every(t => t.order.length === 1 && isValidKey(t.order))).toBe(true);
+      expect([...tasks.map(t => t.order)].sort()).toEqual(tasks.map(t => t.order));
+    });
+  });
+
+  describe('sortTasks', () => {
+    const tasks = [
+      { id: '1', text: 'banana', createdAt: 300, updatedAt: 300, dueDate: null },
+      { id: '2', text: 'Äpfel', createdAt: 100, updatedAt: 900, dueDate: 5000 },
+      { id: '3', text: 'cherry 10', createdAt: 200, dueDate: 1000 },
+      { id: '4', text: 'cherry 9', createdAt: { toMillis: () => 50 }, updatedAt: 400 }
+    ];
+    const ids = list => list.map(t => t.id);
+
+    it('should keep the manual order and never mutate the input', () => {
+      const sorted = sortTasks(tasks, 'due');
+
+      expect(sorted).not.toBe(tasks);
+      expect(ids(tasks)).toEqual(['1', '2', '3', '4']);
+      expect(ids(sortTasks(tasks, 'manual'))).toEqual(['1', '2', '3', '4']);
+    });
+
+    it('should sort by creation date (oldest first, Firestore timestamps included)', () => {
+      expect(ids(sortTasks(tasks, 'created'))).toEqual(['4', '2', '3', '1']);
+    });
+
+    it('should sort by due date with undated tasks last in manual order', () => {
+      expect(ids(sortTasks(tasks, 'due'))).toEqual(['3', '2', '1', '4']);
+    });
+
+    it('should sort alphabetically with locale and numeric awareness', () => {
+      expect(ids(sortTasks(tasks, 'alpha', 'de'))).toEqual(['2', '1', '4', '3']);
+    });
+
+    it('should sort by last change, falling back to creation date', () => {
+      expect(ids(sortTasks(tasks, 'modified'))).toEqual(['2', '4', '1', '3']);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for Quick Add Parser Module
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd, hasQuickAddDetails } from '../../js/modules/quick-add-parser.js';
+
+// Monday, 20 October 2025, 10:00 local time
+const NOW = new Date(2025, 9, 20, 10, 0);
+
+function parse(input) {
+  return parseQuickAdd(input, { now: NOW });
+}
+
+function at(month, day, hours = 23, minutes = 59, year = 2025) {
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+describe('parseQuickAdd', () => {
+  it('should parse the full example phrase', () => {
+    const result = parse('Call Bob tomorrow 3pm !urgent #work every monday');
+
+    expect(result.text).toBe('Call Bob');
+    expect(result.segment).toBe(3);
+    expect(result.dueDate).toBe(at(10, 21, 15, 0));
+    expect(result.tags).toEqual(['#work']);
+    expect(result.recurring).toEqual({
+      enabled: true,
+      interval: 'weekly',
+      weekdays: [1],
+      dayOfMonth: 1,
+      customDays: 1
+    });
+  });
+
+  it('should parse the German equivalent', () => {
+    const result = parse('Bob anrufen morgen um 15 Uhr !dringend #arbeit jeden Montag');
+
+    expect(result.text).toBe('Bob anrufen');
+    expect(result.segment).toBe(3);
+    expect(result.dueDate).toBe(at(10, 21, 15, 0));
+    expect(result.tags).toEqual(['#arbeit']);
+    expect(result.recurring.weekdays).toEqual([1]);
+  });
+
+  it('should return plain text unchanged', () => {
+    const result = parse('Read chapter 3 of the book');
+
+    expect(result).toEqual({
+      text: 'Read chapter 3 of the book',
+      segment: null,
+      dueDate: null,
+      tags: [],
+      recurring: null
+    });
+    expect(hasQuickAddDetails(result)).toBe(false);
+  });
+
+  describe('priority flags', () => {
+    it('should combine urgent and important into quadrants', () => {
+      expect(parse('A !urgent !important').segment).toBe(1);
+      expect(parse('A !wichtig').segment).toBe(2);
+      expect(parse('A !dringend').segment).toBe(3);
+    });
+
+    it('should accept quadrant names', () => {
+      expect(parse('A !sofort').segment).toBe(1);
+      expect(parse('A !schedule').segment).toBe(2);
+      expect(parse('A !abgeben').segment).toBe(3);
+      expect(parse('A !später').segment).toBe(4);
+    });
+
+    it('should keep unknown flags in the text', () => {
+      const result = parse('Say hello !world');
+      expect(result.text).toBe('Say hello !world');
+      expect(result.segment).toBeNull();
+    });
+  });
+
+  describe('dates', () => {
+    it('should parse relative days', () => {
+      expect(parse('A today').dueDate).toBe(at(10, 20));
+      expect(parse('A heute').dueDate).toBe(at(10, 20));
+      expect(parse('A übermorgen').dueDate).toBe(at(10, 22));
+      expect(parse('A day after tomorrow').dueDate).toBe(at(10, 22));
+      expect(parse('A in 3 days').dueDate).toBe(at(10, 23));
+      expect(parse('A in 2 Wochen').dueDate).toBe(at(11, 3));
+      expect(parse('A nächste Woche').dueDate).toBe(at(10, 27));
+    });
+
+    it('should parse weekdays as the next occurrence', () => {
+      expect(parse('A friday').dueDate).toBe(at(10, 24));
+      expect(parse('A am Mittwoch').dueDate).toBe(at(10, 22));
+      // Today is Monday, so "monday" means next week
+      expect(parse('A next monday').dueDate).toBe(at(10, 27));
+    });
+
+    it('should parse absolute dates', () => {
+      expect(parse('A 2025-12-24').dueDate).toBe(at(12, 24));
+      expect(parse('A am 24.12.').dueDate).toBe(at(12, 24));
+      expect(parse('A 24.12.2026').dueDate).toBe(at(12, 24, 23, 59, 2026));
+      expect(parse('A on 12/24').dueDate).toBe(at(12, 24));
+      expect(parse('A 24/12').dueDate).toBe(at(12, 24));
+    });
+
+    it('should move dates without year into the future', () => {
+      expect(parse('A 1.3.').dueDate).toBe(at(3, 1, 23, 59, 2026));
+    });
+
+    it('should reject invalid dates', () => {
+      const result = parse('A 31.02.');
+      expect(result.dueDate).toBeNull();
+      expect(result.text).toBe('A 31.02.');
+    });
+  });
+
+  describe('times', () => {
+    it('should parse English and German times', () => {
+      expect(parse('A tomorrow at 9am').dueDate).toBe(at(10, 21, 9, 0));
+      expect(parse('A tomorrow 12pm').dueDate).toBe(at(10, 21, 12, 0));
+      expect(parse('A morgen 14:30').dueDate).toBe(at(10, 21, 14, 30));
+      expect(parse('A morgen um 8 Uhr').dueDate).toBe(at(10, 21, 8, 0));
+    });
+
+    it('should use today or tomorrow for a time without date', () => {
+      expect(parse('A 3pm').dueDate).toBe(at(10, 20, 15, 0));
+      expect(parse('A 9:00').dueDate).toBe(at(10, 21, 9, 0));
+    });
+  });
+
+  describe('recurrence', () => {
+    it('should parse daily, weekly and monthly phrases', () => {
+      expect(parse('A daily').recurring.interval).toBe('daily');
+      expect(parse('A jeden Tag').recurring.interval).toBe('daily');
+      expect(parse('A wöchentlich').recurring).toMatchObject({ interval: 'weekly', weekdays: [] });
+      expect(parse('A monatlich').recurring).toMatchObject({ interval: 'monthly', dayOfMonth: 20 });
+    });
+
+    it('should parse weekday lists', () => {
+      expect(parse('A every monday and thursday').recurring.weekdays).toEqual([1, 4]);
+      expect(parse('A jeden Dienstag, Freitag').recurring.weekdays).toEqual([2, 5]);
+      expect(parse('A fridays').recurring.weekdays).toEqual([5]);
+      expect(parse('A werktags').recurring.weekdays).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should parse custom intervals and days of month', () => {
+      expect(parse('A every 3 days').recurring).toMatchObject({ interval: 'custom', customDays: 3 });
+      expect(parse('A alle 2 Wochen').recurring).toMatchObject({ interval: 'custom', customDays: 14 });
+      expect(parse('A every 15th').recurring).toMatchObject({ interval: 'monthly', dayOfMonth: 15 });
+      expect(parse('A jeden 1. des Monats').recurring).toMatchObject({ interval: 'monthly', dayOfMonth: 1 });
+    });
+
+    it('should start weekly tasks with a time on the next matching weekday', () => {
+      // Monday 9:00 has already passed, Wednesday is next
+      expect(parse('Standup every monday and wednesday 9am').dueDate).toBe(at(10, 22, 9, 0));
+      expect(parse('Standup mondays 11:00').dueDate).toBe(at(10, 20, 11, 0));
+    });
+  });
+
+  it('should keep the input as text if only details were given', () => {
+    expect(parse('tomorrow').text).toBe('tomorrow');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Recurrence Module
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getNextOccurrence,
+  getNextInstanceDates,
+  isUpcoming,
+  getVisibleTasks,
+  materializeDueOccurrences,
+  startRecurrenceScheduler
+} from '../../js/modules/recurrence.js';
+import { addTaskToSegment, toggleTask, getTasks, setAllTasks } from '../../js/modules/tasks.js';
+
+function day(year, month, date, hours = 0, minutes = 0) {
+  return new Date(year, month - 1, date, hours, minutes);
+}
+
+function config(interval, options = {}) {
+  return { enabled: true, interval, weekdays: [], dayOfMonth: 1, customDays: 1, ...options };
+}
+
+describe('getNextOccurrence', () => {
+  // Monday, 20 October 2025
+  const MONDAY = day(2025, 10, 20, 14, 30);
+
+  it('should return the next day for daily tasks', () => {
+    expect(getNextOccurrence(config('daily'), MONDAY)).toEqual(day(2025, 10, 21));
+  });
+
+  it('should return the next matching weekday', () => {
+    expect(getNextOccurrence(config('weekly', { weekdays: [1, 4] }), MONDAY)).toEqual(day(2025, 10, 23));
+    expect(getNextOccurrence(config('weekly', { weekdays: [1] }), MONDAY)).toEqual(day(2025, 10, 27));
+    expect(getNextOccurrence(config('weekly', { weekdays: [0] }), MONDAY)).toEqual(day(2025, 10, 26));
+  });
+
+  it('should repeat weekly tasks without weekdays after seven days', () => {
+    expect(getNextOccurrence(config('weekly'), MONDAY)).toEqual(day(2025, 10, 27));
+  });
+
+  it('should use the configured day of month', () => {
+    expect(getNextOccurrence(config('monthly', { dayOfMonth: 25 }), MONDAY)).toEqual(day(2025, 10, 25));
+    expect(getNextOccurrence(config('monthly', { dayOfMonth: 15 }), MONDAY)).toEqual(day(2025, 11, 15));
+    expect(getNextOccurrence(config('monthly', { dayOfMonth: 20 }), MONDAY)).toEqual(day(2025, 11, 20));
+  });
+
+  it('should clamp the day of month to the month length', () => {
+    const monthly31 = config('monthly', { dayOfMonth: 31 });
+
+    expect(getNextOccurrence(monthly31, day(2026, 1, 31))).toEqual(day(2026, 2, 28));
+    expect(getNextOccurrence(monthly31, day(2028, 1, 31))).toEqual(day(2028, 2, 29));
+    // After the clamped February date the schedule goes back to the 31st
+    expect(getNextOccurrence(monthly31, day(2026, 2, 28))).toEqual(day(2026, 3, 31));
+    expect(getNextOccurrence(monthly31, day(2026, 3, 31))).toEqual(day(2026, 4, 30));
+  });
+
+  it('should wrap months at the end of the year', () => {
+    expect(getNextOccurrence(config('monthly', { dayOfMonth: 5 }), day(2025, 12, 10))).toEqual(day(2026, 1, 5));
+  });
+
+  it('should add custom day intervals', () => {
+    expect(getNextOccurrence(config('custom', { customDays: 3 }), MONDAY)).toEqual(day(2025, 10, 23));
+  });
+
+  it('should keep calendar days across daylight saving changes', () => {
+    // Europe switches back to standard time on 26 October 2025
+    expect(getNextOccurrence(config('daily'), day(2025, 10, 25, 23, 30))).toEqual(day(2025, 10, 26));
+    expect(getNextOccurrence(config('daily'), day(2025, 10, 26, 12))).toEqual(day(2025, 10, 27));
+  });
+
+  it('should return null for disabled or unknown configs', () => {
+    expect(getNextOccurrence(null, MONDAY)).toBeNull();
+    expect(getNextOccurrence({ enabled: false, interval: 'daily' }, MONDAY)).toBeNull();
+    expect(getNextOccurrence(config('hourly'), MONDAY)).toBeNull();
+  });
+});
+
+describe('getNextInstanceDates', () => {
+  const NOW = day(2025, 10, 20, 10).getTime();
+
+  it('should continue from the due date and keep its time', () => {
+    const task = {
+      recurring: config('monthly', { dayOfMonth: 15 }),
+      dueDate: day(2025, 10, 15, 9).getTime()
+    };
+
+    // Completed late: the next occurrence after today is used
+    expect(getNextInstanceDates(task, NOW)).toEqual({
+      dueDate: day(2025, 11, 15, 9).getTime(),
+      upcomingAt: day(2025, 11, 15).getTime()
+    });
+  });
+
+  it('should continue from a future due date when completed early', () => {
+    const task = {
+      recurring: config('weekly', { weekdays: [5] }),
+      dueDate: day(2025, 10, 24, 17).getTime()
+    };
+
+    expect(getNextInstanceDates(task, NOW).dueDate).toBe(day(2025, 10, 31, 17).getTime());
+  });
+
+  it('should make tasks without due date due at the end of the occurrence day', () => {
+    const task = { recurring: config('daily') };
+
+    expect(getNextInstanceDates(task, NOW)).toEqual({
+      dueDate: day(2025, 10, 21, 23, 59).getTime(),
+      upcomingAt: day(2025, 10, 21).getTime()
+    });
+  });
+});
+
+describe('upcoming instances', () => {
+  const NOW = day(2025, 10, 20, 10).getTime();
+
+  it('should hide instances until their day', () => {
+    const tasks = {
+      1: [{ id: 'a' }, { id: 'b', upcomingAt: NOW + 1000 }, { id: 'c', upcomingAt: NOW - 1000 }],
+      2: [], 3: [], 4: [], 5: []
+    };
+
+    expect(isUpcoming(tasks[1][1], NOW)).toBe(true);
+    expect(getVisibleTasks(tasks, NOW)[1].map(t => t.id)).toEqual(['a', 'c']);
+
+    const materialized = materializeDueOccurrences(tasks, NOW);
+    expect(materialized.map(t => t.id)).toEqual(['c']);
+    expect(tasks[1][2].upcomingAt).toBeNull();
+  });
+});
+
+describe('recurring tasks with a fixed clock', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(day(2025, 10, 20, 10));
+    setAllTasks(null);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should not show a monthly task again right after completing it', () => {
+    const task = addTaskToSegment('Pay rent', 2, config('monthly', { dayOfMonth: 15 }));
+    const result = toggleTask(task.id, 2);
+
+    const next = result.newRecurringTask;
+    expect(next.dueDate).toBe(day(2025, 11, 15, 23, 59).getTime());
+    expect(getVisibleTasks({ 2: getTasks(2) })[2]).toHaveLength(0);
+
+    vi.setSystemTime(day(2025, 11, 15, 0, 1));
+    expect(getVisibleTasks({ 2: getTasks(2) })[2]).toEqual([next]);
+  });
+
+  it('should materialize due occurrences on start and on the timer', () => {
+    const task = addTaskToSegment('Water plants', 1, config('daily'));
+    toggleTask(task.id, 1);
+
+    const onMaterialize = vi.fn();
+    const stop = startRecurrenceScheduler({ getTasks: () => ({ 1: getTasks(1) }), onMaterialize, interval: 60000 });
+    expect(onMaterialize).not.toHaveBeenCalled();
+
+    vi.setSystemTime(day(2025, 10, 21, 0, 1));
+    vi.advanceTimersByTime(60000);
+    expect(onMaterialize).toHaveBeenCalledTimes(1);
+    expect(onMaterialize.mock.calls[0][0][0].text).toBe('Water plants');
+    expect(getTasks(1)[0].upcomingAt).toBeNull();
+
+    stop();
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Review Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getLastReviewAt,
+  setLastReviewAt,
+  getReviewAgeDays,
+  setReviewAgeDays,
+  buildReviewQueue,
+  getReviewSummary,
+  isReviewDue
+} from '../../js/modules/review.js';
+import { getTaskAgeDays } from '../../js/modules/aging.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+
+const task = (id, segment, ageDays, overrides = {}) => ({
+  id,
+  text: id,
+  segment,
+  checked: false,
+  createdAt: NOW - ageDays * DAY,
+  ...overrides
+});
+
+describe('Review', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should store the last review and the age setting', () => {
+    expect(getLastReviewAt()).toBeNull();
+    expect(getReviewAgeDays()).toBe(14);
+
+    setLastReviewAt(NOW);
+    setReviewAgeDays(30);
+
+    expect(getLastReviewAt()).toBe(NOW);
+    expect(getReviewAgeDays()).toBe(30);
+  });
+
+  it('should walk the quadrants in order, oldest task first', () => {
+    const tasks = {
+      1: [task('new', 1, 1), task('old', 1, 20)],
+      2: [task('upcoming', 2, 3, { upcomingAt: NOW + DAY })],
+      3: [],
+      4: [task('someday', 4, 40)],
+      5: [task('done', 5, 2, { checked: true })]
+    };
+
+    expect(buildReviewQueue(tasks, NOW).map(t => t.id)).toEqual(['old', 'new', 'someday']);
+    expect(getTaskAgeDays(tasks[1][1], NOW)).toBe(20);
+    expect(getTaskAgeDays({}, NOW)).toBeNull();
+  });
+
+  it('should summarize completions since the last review', () => {
+    const tasks = {
+      1: [task('a', 1, 3), task('b', 1, 15)],
+      2: [task('c', 2, 30)],
+      3: [],
+      4: [],
+      5: [
+        task('d', 5, 5, { checked: true, completedFrom: 2, completedAt: NOW - 2 * DAY }),
+        task('e', 5, 5, { checked: true, completedAt: NOW - DAY }),
+        task('f', 5, 20, { checked: true, completedFrom: 1, completedAt: NOW - 10 * DAY })
+      ]
+    };
+
+    const summary = getReviewSummary(tasks, NOW - 3 * DAY, 14, NOW);
+    expect(summary).toMatchObject({ since: NOW - 3 * DAY, firstReview: false, completed: 2, open: 3, old: 2 });
+    expect(summary.completedByOrigin).toEqual({ 1: 0, 2: 1, 3: 0, 4: 0, unknown: 1 });
+
+    // Without a previous review the last 7 days count
+    expect(getReviewSummary(tasks, null, 14, NOW)).toMatchObject({ firstReview: true, completed: 2 });
+  });
+
+  it('should be due a week after the last review', () => {
+    expect(isReviewDue({}, NOW - 6 * DAY, NOW)).toBe(false);
+    expect(isReviewDue({}, NOW - 7 * DAY, NOW)).toBe(true);
+  });
+
+  it('should not remind new users before a task is a week old', () => {
+    expect(isReviewDue({ 1: [task('a', 1, 2)] }, null, NOW)).toBe(false);
+    expect(isReviewDue({ 1: [task('a', 1, 2)], 4: [task('b', 4, 8)] }, null, NOW)).toBe(true);
+    expect(isReviewDue({ 5: [task('c', 5, 30, { checked: true })] }, null, NOW)).toBe(false);
+  });
+});
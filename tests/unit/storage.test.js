@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for Storage Module (batched bulk writes)
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+// In-memory localforage for the offline queue
+window.localforage = {
+  createInstance: () => {
+    const data = new Map();
+    return {
+      getItem: async (item) => structuredClone(data.get(item) ?? null),
+      setItem: async (item, value) => {
+        data.set(item, structuredClone(value));
+      }
+    };
+  }
+};
+
+const firebase = {
+  firestore: { FieldValue: { serverTimestamp: () => 'server-time' } }
+};
+
+/**
+ * Fake Firestore that records committed transactions
+ * @param {Array<boolean>} results - Outcome of each commit (true = success)
+ */
+function createDb(results = []) {
+  const commits = [];
+  const docs = new Map();
+  let call = 0;
+  const ref = (path) => ({
+    path,
+    collection: (name) => ({ doc: (id) => ref(`${path}/${name}/${id}`) })
+  });
+
+  return {
+    commits,
+    docs,
+    collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) }),
+    runTransaction: async (update) => {
+      const operations = [];
+      const result = await update({
+        get: async (docRef) => ({
+          exists: docs.has(docRef.path),
+          data: () => structuredClone(docs.get(docRef.path))
+        }),
+        set: (docRef, data) => operations.push({ type: 'set', path: docRef.path, data }),
+        delete: (docRef) => operations.push({ type: 'delete', path: docRef.path })
+      });
+
+      if (results[call++] === false) {
+        throw Object.assign(new Error('unavailable'), { code: 'unavailable' });
+      }
+      operations.forEach(operation => {
+        if (operation.type === 'set') {
+          docs.set(operation.path, operation.data);
+        } else {
+          docs.delete(operation.path);
+        }
+      });
+      commits.push(operations);
+      return result;
+    }
+  };
+}
+
+const taskOperations = (count, prefix = 't') => Array.from({ length: count }, (_, i) => ({
+  type: 'set',
+  task: { id: `${prefix}${i}`, text: `Task ${i}`, segment: 1, createdAt: 1 }
+}));
+
+let storage;
+let conflicts;
+const onConflict = vi.fn();
+
+describe('Storage', () => {
+  beforeAll(async () => {
+    storage = await import('../../js/modules/storage.js');
+    conflicts = await import('../../js/modules/conflicts.js');
+    storage.initStorage(null, onConflict);
+  });
+
+  beforeEach(() => {
+    conflicts.clearSyncedTasks();
+    onConflict.mockClear();
+    navigator.onLine = true;
+    // Queued operations wait instead of being written in the background
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('writeTasksInBatches', () => {
+    it('should commit chunks of at most 500 operations and report progress', async () => {
+      const db = createDb();
+      const progress = vi.fn();
+
+      const result = await storage.writeTasksInBatches(taskOperations(1201), 'user', db, firebase, progress);
+
+      expect(result).toEqual({ written: 1201, queued: 0 });
+      expect(db.commits.map(ops => ops.length)).toEqual([500, 500, 201]);
+      expect(progress.mock.calls).toEqual([[500, 1201], [1000, 1201], [1201, 1201]]);
+    });
+
+    it('should write tasks with the next revision and deletes', async () => {
+      const db = createDb();
+      conflicts.rememberSyncedTask({ id: 't0', text: 'Old', revision: 4 });
+      db.docs.set('users/user/tasks/t0', { text: 'Old', revision: 4 });
+
+      await storage.writeTasksInBatches(
+        [...taskOperations(1), { type: 'delete', taskId: 'gone' }],
+        'user', db, firebase
+      );
+
+      const [[set, removal]] = db.commits;
+      expect(set).toMatchObject({ type: 'set', path: 'users/user/tasks/t0', data: { text: 'Task 0', revision: 5 } });
+      expect(removal).toEqual({ type: 'delete', path: 'users/user/tasks/gone' });
+      expect(conflicts.getSyncedTask('t0').revision).toBe(5);
+    });
+
+    it('should queue the failed chunk and the rest when a commit fails', async () => {
+      const db = createDb([true, false]);
+      const progress = vi.fn();
+      navigator.onLine = false;
+
+      // Offline: nothing is committed, everything goes through the queue
+      const offline = await storage.writeTasksInBatches(taskOperations(3, 'o'), 'user', db, firebase);
+      expect(offline).toEqual({ written: 0, queued: 3 });
+      expect(db.commits).toEqual([]);
+
+      navigator.onLine = true;
+      const result = await storage.writeTasksInBatches(taskOperations(700), 'user', db, firebase, progress);
+
+      expect(result).toEqual({ written: 500, queued: 200 });
+      expect(db.commits.map(ops => ops.length)).toEqual([500]);
+      expect(progress).toHaveBeenLastCalledWith(700, 700);
+      expect(storage.hasPendingTaskWrite('t600')).toBe(true);
+      expect(storage.hasPendingTaskWrite('t0')).toBe(false);
+    });
+
+    it('should report tasks changed on another device instead of overwriting them', async () => {
+      const db = createDb();
+      conflicts.rememberSyncedTask({ id: 'c0', text: 'Old', segment: 1, revision: 4 });
+      db.docs.set('users/user/tasks/c0', { text: 'Theirs', segment: 1, revision: 6 });
+
+      const result = await storage.writeTasksInBatches(taskOperations(2, 'c'), 'user', db, firebase);
+
+      expect(result).toEqual({ written: 2, queued: 0 });
+      expect(db.docs.get('users/user/tasks/c0')).toMatchObject({ text: 'Theirs', revision: 6 });
+      expect(db.docs.get('users/user/tasks/c1')).toMatchObject({ text: 'Task 1', revision: 1 });
+      expect(onConflict).toHaveBeenCalledTimes(1);
+      expect(onConflict.mock.calls[0][0]).toMatchObject({
+        taskId: 'c0',
+        mine: { text: 'Task 0' },
+        theirs: { text: 'Theirs' },
+        resolved: null
+      });
+    });
+
+    it('should keep the base of queued edits it replaces', async () => {
+      const db = createDb();
+      const task = { id: 'q0', text: 'Offline edit', segment: 1, createdAt: 1 };
+      conflicts.rememberSyncedTask({ id: 'q0', text: 'Old', segment: 1, revision: 4 });
+
+      navigator.onLine = false;
+      await storage.updateTaskInFirestore(task, 'user', db, firebase);
+
+      // Offline again: the bulk write is queued with the base of the replaced edit
+      await storage.writeTasksInBatches([{ type: 'set', task: { ...task, text: 'Bulk edit' } }], 'user', db, firebase);
+      const [queued] = storage.getSyncQueueItems().filter(item => item.key === 'q0');
+      expect(queued).toMatchObject({ operation: 'updateTask', payload: { base: { revision: 4 } } });
+
+      // Meanwhile another device changed the task and this device has seen it
+      conflicts.rememberSyncedTask({ id: 'q0', text: 'Theirs', segment: 1, revision: 5 });
+      db.docs.set('users/user/tasks/q0', { text: 'Theirs', segment: 1, revision: 5 });
+
+      navigator.onLine = true;
+      await storage.writeTasksInBatches([{ type: 'set', task: { ...task, text: 'Final' } }], 'user', db, firebase);
+
+      expect(db.docs.get('users/user/tasks/q0')).toMatchObject({ text: 'Theirs', revision: 5 });
+      expect(onConflict.mock.calls[0][0]).toMatchObject({ taskId: 'q0', base: { text: 'Old' }, mine: { text: 'Final' } });
+    });
+  });
+});
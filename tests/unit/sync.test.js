@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Sync Module (remote Firestore changes)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyRemoteChanges } from '../../js/modules/sync.js';
+import { getSyncedTask } from '../../js/modules/conflicts.js';
+
+function createTasks() {
+  return {
+    1: [{ id: 'a', text: 'A', segment: 1, order: 'G', tags: [] }],
+    2: [{ id: 'b', text: 'B', segment: 2, order: 'V', tags: [] }],
+    3: [],
+    4: [],
+    5: []
+  };
+}
+
+describe('Sync', () => {
+  describe('applyRemoteChanges', () => {
+    it('should add remote tasks in their manual order', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [
+        { type: 'added', id: 'c', data: { text: 'C', segment: 1, order: 'A' } }
+      ]);
+
+      expect(tasks[1].map(t => t.id)).toEqual(['c', 'a']);
+      expect([...result.segments]).toEqual([1]);
+      expect(result.taskIds).toEqual(['c']);
+      expect(result.reordered).toEqual([]);
+    });
+
+    it('should replace modified tasks and report both segments of a move', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [
+        { type: 'modified', id: 'a', data: { text: 'A2', segment: 2, order: 'k', tags: [] } }
+      ]);
+
+      expect(tasks[1]).toHaveLength(0);
+      expect(tasks[2].map(t => t.text)).toEqual(['B', 'A2']);
+      expect([...result.segments].sort()).toEqual([1, 2]);
+    });
+
+    it('should remove deleted tasks', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [{ type: 'removed', id: 'b', data: {} }]);
+
+      expect(tasks[2]).toHaveLength(0);
+      expect(result.taskIds).toEqual(['b']);
+    });
+
+    it('should skip changes identical to the local task', () => {
+      const tasks = createTasks();
+      const local = tasks[1][0];
+
+      // Cleared fields arrive as null from Firestore
+      const result = applyRemoteChanges(tasks, [
+        { type: 'modified', id: 'a', data: { text: 'A', segment: 1, order: 'G', tags: [], notes: null } }
+      ]);
+
+      expect(result.segments.size).toBe(0);
+      expect(tasks[1][0]).toBe(local);
+    });
+
+    it('should skip tasks with a pending local write', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [
+        { type: 'modified', id: 'a', data: { text: 'Old', segment: 1, order: 'G' } },
+        { type: 'removed', id: 'b', data: {} }
+      ], { isPending: id => id === 'a' || id === 'b' });
+
+      expect(result.segments.size).toBe(0);
+      expect(tasks[1][0].text).toBe('A');
+      expect(tasks[2]).toHaveLength(1);
+    });
+
+    it('should give tasks without an order key one', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [
+        { type: 'added', id: 'c', data: { text: 'C', segment: 1 } }
+      ]);
+
+      expect(tasks[1].map(t => t.id)).toEqual(['a', 'c']);
+      expect(tasks[1][1].order > 'G').toBe(true);
+      expect(result.reordered.map(t => t.id)).toEqual(['c']);
+    });
+
+    it('should keep the revision in the synced state only', () => {
+      const tasks = createTasks();
+
+      applyRemoteChanges(tasks, [
+        { type: 'modified', id: 'a', data: { text: 'A2', segment: 1, order: 'G', revision: 5 } }
+      ]);
+
+      expect(tasks[1][0]).not.toHaveProperty('revision');
+      expect(getSyncedTask('a').revision).toBe(5);
+
+      applyRemoteChanges(tasks, [{ type: 'removed', id: 'a', data: {} }]);
+      expect(getSyncedTask('a')).toBeNull();
+    });
+
+    it('should ignore tasks with an unknown segment', () => {
+      const tasks = createTasks();
+
+      const result = applyRemoteChanges(tasks, [
+        { type: 'added', id: 'x', data: { text: 'X', segment: 9 } }
+      ]);
+
+      expect(result.segments.size).toBe(0);
+    });
+  });
+});
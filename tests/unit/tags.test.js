@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for Tags Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  normalizeTag,
+  parseTags,
+  parseTagInput,
+  mergeTags,
+  setTagDefinitions,
+  ensureTagDefinitions,
+  getTagColor,
+  getAllTags,
+  matchesTagFilter,
+  TAG_COLORS
+} from '../../js/modules/tags.js';
+
+describe('Tags', () => {
+  beforeEach(() => {
+    setTagDefinitions([]);
+  });
+
+  describe('parseTags', () => {
+    it('should extract #tags and @mentions from text', () => {
+      expect(parseTags('Call Bob #work @Alice')).toEqual({
+        text: 'Call Bob',
+        tags: ['#work', '@alice']
+      });
+    });
+
+    it('should keep tags in the middle of the text out of the result text', () => {
+      expect(parseTags('Fix #urgent bug in login').text).toBe('Fix bug in login');
+    });
+
+    it('should support umlauts and ignore duplicates', () => {
+      expect(parseTags('Einkaufen #Küche #küche').tags).toEqual(['#küche']);
+    });
+
+    it('should not treat mid-word characters as tags', () => {
+      expect(parseTags('mail bob@example.com and C#').tags).toEqual([]);
+    });
+  });
+
+  describe('parseTagInput', () => {
+    it('should split comma and space separated input and add the # prefix', () => {
+      expect(parseTagInput('work, @alice home')).toEqual(['#work', '@alice', '#home']);
+    });
+
+    it('should drop empty values', () => {
+      expect(parseTagInput(' , # ')).toEqual([]);
+      expect(normalizeTag('')).toBe('');
+    });
+  });
+
+  it('should merge tag lists without duplicates', () => {
+    expect(mergeTags(['#a', '#b'], ['#b', '#c'])).toEqual(['#a', '#b', '#c']);
+  });
+
+  describe('definitions', () => {
+    it('should assign palette colors to new tags only once', () => {
+      const created = ensureTagDefinitions(['#work', '#home']);
+      expect(created).toHaveLength(2);
+      expect(getTagColor('#work')).toBe(TAG_COLORS[0]);
+      expect(getTagColor('#home')).toBe(TAG_COLORS[1]);
+
+      expect(ensureTagDefinitions(['#work'])).toHaveLength(0);
+    });
+
+    it('should list defined and used tags', () => {
+      setTagDefinitions([{ name: '#work', color: '#000000' }]);
+      const tasks = { 1: [{ tags: ['#home'] }], 2: [], 3: [], 4: [], 5: [] };
+
+      expect(getAllTags(tasks)).toEqual(['#home', '#work']);
+    });
+  });
+
+  describe('matchesTagFilter', () => {
+    const task = { tags: ['#work', '@alice'] };
+
+    it('should match any selected tag', () => {
+      expect(matchesTagFilter(task, ['#home', '#work'], 'any')).toBe(true);
+      expect(matchesTagFilter(task, ['#home'], 'any')).toBe(false);
+    });
+
+    it('should match all selected tags', () => {
+      expect(matchesTagFilter(task, ['#work', '@alice'], 'all')).toBe(true);
+      expect(matchesTagFilter(task, ['#work', '#home'], 'all')).toBe(false);
+    });
+
+    it('should match everything without selection', () => {
+      expect(matchesTagFilter({}, [], 'all')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit Tests for Tasks Module
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  addTaskToSegment,
+  moveTask,
+  reorderTask,
+  toggleTask,
+  addSubtask,
+  deleteSubtask,
+  toggleSubtask,
+  setTaskNotes,
+  getSubtaskProgress,
+  getTasks,
+  setAllTasks,
+  filterTasks,
+  getRecurringDescription
+} from '../../js/modules/tasks.js';
+import { rebalanceKeys } from '../../js/modules/ordering.js';
+import { translations } from '../../js/modules/translations.js';
+
+describe('Tasks', () => {
+  beforeEach(() => {
+    setAllTasks(null);
+  });
+
+  describe('moveTask', () => {
+    it('should keep all task fields when moving between segments', () => {
+      const task = addTaskToSegment('Prepare release', 2, null, null, { dueDate: 12345 });
+      addSubtask(task.id, 2, 'Write changelog');
+
+      const moved = moveTask(task.id, 2, 1);
+
+      expect(moved.segment).toBe(1);
+      expect(moved.dueDate).toBe(12345);
+      expect(moved.subtasks).toHaveLength(1);
+      expect(moved.subtasks[0].text).toBe('Write changelog');
+      expect(getTasks(2)).toHaveLength(0);
+      expect(getTasks(1)).toHaveLength(1);
+    });
+
+    it('should record the time of the last change', () => {
+      const task = addTaskToSegment('Task', 2);
+      task.updatedAt = 0;
+
+      const moved = moveTask(task.id, 2, 1);
+
+      expect(moved.updatedAt).toBeGreaterThan(0);
+      expect(moved.createdAt).toBe(task.createdAt);
+    });
+
+    it('should clear completedAt when moving out of Done', () => {
+      const task = addTaskToSegment('Task', 1);
+      toggleTask(task.id, 1);
+
+      const moved = moveTask(task.id, 5, 2);
+
+      expect(moved.checked).toBe(false);
+      expect(moved.completedAt).toBeNull();
+    });
+  });
+
+  describe('reorderTask', () => {
+    const texts = segmentId => getTasks(segmentId).map(t => t.text);
+
+    it('should reorder within a segment', () => {
+      const a = addTaskToSegment('A', 1);
+      addTaskToSegment('B', 1);
+      const c = addTaskToSegment('C', 1);
+
+      reorderTask(c.id, 1, 1, a.id);
+      expect(texts(1)).toEqual(['C', 'A', 'B']);
+
+      reorderTask(c.id, 1, 1, null);
+      expect(texts(1)).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should move to a position in another segment', () => {
+      addTaskToSegment('A', 1);
+      const b = addTaskToSegment('B', 1);
+      const x = addTaskToSegment('X', 2);
+
+      const moved = reorderTask(x.id, 2, 1, b.id);
+
+      expect(moved.segment).toBe(1);
+      expect(texts(1)).toEqual(['A', 'X', 'B']);
+      expect(getTasks(2)).toHaveLength(0);
+    });
+
+    it('should keep the order keys sorted after every move', () => {
+      const ids = ['A', 'B', 'C', 'D'].map(text => addTaskToSegment(text, 1).id);
+
+      reorderTask(ids[3], 1, 1, ids[1]);
+      reorderTask(ids[0], 1, 1, ids[2]);
+
+      const orders = getTasks(1).map(t => t.order);
+      expect([...orders].sort()).toEqual(orders);
+      expect(texts(1)).toEqual(['D', 'B', 'A', 'C']);
+    });
+
+    it('should keep the keys short when tasks are dropped at the top again and again', () => {
+      ['A', 'B', 'C'].forEach(text => addTaskToSegment(text, 1));
+
+      for (let i = 0; i < 600; i++) {
+        const last = getTasks(1)[2];
+        reorderTask(last.id, 1, 1, getTasks(1)[0].id);
+        rebalanceKeys(getTasks(1));
+      }
+
+      expect(texts(1)).toEqual(['A', 'B', 'C']);
+      expect(Math.max(...getTasks(1).map(t => t.order.length))).toBeLessThanOrEqual(51);
+    });
+
+    it('should do nothing when dropped onto its own position', () => {
+      const a = addTaskToSegment('A', 1);
+      const b = addTaskToSegment('B', 1);
+      const order = a.order;
+
+      expect(reorderTask(a.id, 1, 1, b.id)).toBeNull();
+      expect(reorderTask(a.id, 1, 1, a.id)).toBeNull();
+      expect(a.order).toBe(order);
+    });
+
+    it('should place a task in front of tasks with identical keys', () => {
+      const a = addTaskToSegment('A', 1);
+      const b = addTaskToSegment('B', 1);
+      const c = addTaskToSegment('C', 1);
+      b.order = a.order;
+
+      reorderTask(c.id, 1, 1, b.id);
+
+      expect(c.order < a.order).toBe(true);
+      expect(texts(1)[0]).toBe('C');
+    });
+  });
+
+  describe('subtasks', () => {
+    it('should create subtasks from details', () => {
+      const task = addTaskToSegment('Task', 2, null, null, { subtasks: ['A', 'B'] });
+
+      expect(task.subtasks.map(s => s.text)).toEqual(['A', 'B']);
+      expect(getSubtaskProgress(task)).toEqual({ done: 0, total: 2 });
+    });
+
+    it('should tick a subtask without completing the parent', () => {
+      const task = addTaskToSegment('Task', 2, null, null, { subtasks: ['A', 'B'] });
+
+      const result = toggleSubtask(task.id, 2, task.subtasks[0].id);
+
+      expect(result.parentResult).toBeNull();
+      expect(task.checked).toBe(false);
+      expect(getSubtaskProgress(task)).toEqual({ done: 1, total: 2 });
+    });
+
+    it('should complete the parent when all subtasks are done', () => {
+      const task = addTaskToSegment('Task', 2, null, null, { subtasks: ['A', 'B'] });
+
+      toggleSubtask(task.id, 2, task.subtasks[0].id);
+      const result = toggleSubtask(task.id, 2, task.subtasks[1].id);
+
+      expect(result.parentResult.action).toBe('completed');
+      expect(getTasks(5)).toHaveLength(1);
+      expect(getTasks(2)).toHaveLength(0);
+    });
+
+    it('should delete subtasks', () => {
+      const task = addTaskToSegment('Task', 2, null, null, { subtasks: ['A'] });
+
+      deleteSubtask(task.id, 2, task.subtasks[0].id);
+
+      expect(getSubtaskProgress(task)).toEqual({ done: 0, total: 0 });
+    });
+
+    it('should reset the checklist on the next recurring instance', () => {
+      const task = addTaskToSegment('Weekly report', 1, { enabled: true, interval: 'weekly' }, null, {
+        subtasks: ['Collect numbers']
+      });
+      toggleSubtask(task.id, 1, task.subtasks[0].id);
+
+      const [next] = getTasks(1);
+
+      expect(next.subtasks).toHaveLength(1);
+      expect(next.subtasks[0].checked).toBe(false);
+    });
+  });
+
+  describe('setTaskNotes', () => {
+    it('should store trimmed notes and remove empty ones', () => {
+      const task = addTaskToSegment('Meeting', 2);
+
+      expect(setTaskNotes(task.id, 2, '  Agenda: [doc](https://x.y)  ').notes).toBe('Agenda: [doc](https://x.y)');
+      expect(setTaskNotes(task.id, 2, '   ').notes).toBeNull();
+    });
+
+    it('should report unchanged notes', () => {
+      const task = addTaskToSegment('Meeting', 2);
+      setTaskNotes(task.id, 2, 'Room 4');
+
+      expect(setTaskNotes(task.id, 2, 'Room 4')).toBeNull();
+    });
+  });
+
+  describe('filterTasks', () => {
+    it('should restrict tasks to the selected tags', () => {
+      addTaskToSegment('Report', 1, null, null, { tags: ['#work'] });
+      addTaskToSegment('Groceries', 1, null, null, { tags: ['#home'] });
+      addTaskToSegment('Plan offsite', 2, null, null, { tags: ['#work', '@alice'] });
+
+      const any = filterTasks('', { tags: ['#work'], mode: 'any' });
+      const all = filterTasks('', { tags: ['#work', '@alice'], mode: 'all' });
+
+      expect(any[1].map(t => t.text)).toEqual(['Report']);
+      expect(any[2].map(t => t.text)).toEqual(['Plan offsite']);
+      expect(all[1]).toHaveLength(0);
+      expect(all[2]).toHaveLength(1);
+    });
+
+    it('should combine search term and tag filter', () => {
+      addTaskToSegment('Report', 1, null, null, { tags: ['#work'] });
+      addTaskToSegment('Review', 1, null, null, { tags: ['#work'] });
+
+      expect(filterTasks('rev', { tags: ['#work'], mode: 'any' })[1].map(t => t.text)).toEqual(['Review']);
+    });
+  });
+
+  describe('getRecurringDescription', () => {
+    it('should name the selected weekdays', () => {
+      const recurring = { enabled: true, interval: 'weekly', weekdays: [1, 4] };
+
+      expect(getRecurringDescription(recurring, translations.en)).toBe('Weekly: Monday, Thursday');
+      expect(getRecurringDescription(recurring, translations.de)).toBe('Wöchentlich: Montag, Donnerstag');
+    });
+  });
+});
@@ -1,4 +1,8 @@
-import { defineConfig } from 'vitest/config';
+import { defineConfig, configDefaults } from 'vitest/config';
+
+// Fixed time zone with daylight saving time, so date tests cross real DST
+// changes on every machine (CI runs in UTC otherwise)
+process.env.TZ = 'Europe/Berlin';
 
 export default defineConfig({
   test: {
@@ -27,6 +31,8 @@ export default defineConfig({
 
     // Test files pattern
     include: ['tests/**/*.test.js'],
+    // Security rules tests need the Firestore emulator (npm run test:rules)
+    exclude: [...configDefaults.exclude, 'tests/rules/**'],
 
     // Setup files
     setupFiles: ['./tests/setup.js'],
@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+// Security rules tests against the Firestore emulator (npm run test:rules)
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['tests/rules/**/*.test.js'],
+    // Rules tests share one emulator database
+    fileParallelism: false,
+    testTimeout: 20000
+  }
+});